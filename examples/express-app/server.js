@@ -1,73 +1,52 @@
 import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
-import { createBrassVerifier } from '@brassproof/verifier'
+import { brassMiddleware, captureRawBody } from '@brassproof/express'
+import { createRedisStore } from '@brassproof/verifier'
 
 dotenv.config()
 
 const app = express()
 const PORT = process.env.PORT || 3000
 
-app.use(cors())
-app.use(express.json())
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'] }))
+// Keep the raw body: the spend is bound to the exact bytes the client sent
+app.use(express.json({ verify: captureRawBody }))
 app.use(express.static('public'))
 
-const verifier = createBrassVerifier({
-  secretKey: process.env.BRASS_SECRET_KEY,
-  issuerPublicKey: process.env.BRASS_ISSUER_PUBKEY,
+// Rate limits and replay protection live in memory, or in Redis (shared by
+// every process) when REDIS_URL is set
+// (requires `npm install ioredis`)
+let store
+if (process.env.REDIS_URL) {
+  const { default: Redis } = await import('ioredis')
+  store = createRedisStore(new Redis(process.env.REDIS_URL))
+}
+
+// Reads BRASS_SECRET_KEY and BRASS_ISSUER_PUBKEY from the environment
+const brass = brassMiddleware({
+  store,
+  scope: 'comment-submission',
   rateLimits: {
     'comment-submission': { maxRequests: 3, windowSeconds: 86400 }
   }
 })
 
-app.post('/api/submit-comment', async (req, res) => {
-  try {
-    const { brassToken, comment } = req.body
+app.post('/api/submit-comment', brass, (req, res) => {
+  const { comment } = req.body
 
-    if (!brassToken) {
-      return res.status(400).json({ error: 'Missing BRASS token' })
-    }
-
-    if (!comment || comment.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment cannot be empty' })
-    }
-
-    let payload
-    try {
-      payload = typeof brassToken === 'string'
-        ? JSON.parse(Buffer.from(brassToken, 'base64').toString())
-        : brassToken
-    } catch {
-      return res.status(400).json({ error: 'Invalid BRASS token format' })
-    }
-
-    const result = await verifier.verify(payload, {
-      origin: req.headers.origin || 'http://localhost:3000',
-      scope: 'comment-submission',
-      clientIp: req.ip,
-      userAgent: req.headers['user-agent'] || ''
-    })
-
-    if (!result.success) {
-      return res.status(429).json({
-        error: result.error || 'Rate limit exceeded',
-        remaining: result.remaining || 0,
-        resetAt: result.resetAt
-      })
-    }
+  if (!comment || comment.trim().length === 0) {
+    return res.status(400).json({ error: 'Comment cannot be empty' })
+  }
 
-    console.log('✅ Comment submitted:', comment.substring(0, 50) + '...')
+  console.log('✅ Comment submitted:', comment.substring(0, 50) + '...')
 
-    res.json({
-      success: true,
-      message: 'Comment submitted successfully!',
-      remaining: result.remaining,
-      resetAt: result.resetAt
-    })
-  } catch (error) {
-    console.error('Error:', error)
-    res.status(500).json({ error: 'Internal server error' })
-  }
+  res.json({
+    success: true,
+    message: 'Comment submitted successfully!',
+    remaining: req.brass.remaining,
+    resetAt: req.brass.resetAt
+  })
 })
 
 app.listen(PORT, () => {
@@ -0,0 +1,291 @@
+import { randomBytes } from '@noble/hashes/utils'
+import {
+  u8,
+  b64u,
+  b64ud,
+  bytesToBig,
+  bigToBytes32,
+  randScalar,
+  modInv,
+  hashToCurve,
+  decodePoint,
+  encodePoint,
+  proveClient,
+  requestBinding,
+  nullifier,
+  spendBinder,
+  verifyIssuerProof,
+  verifyIssuerBatchProof,
+  DST_H1,
+} from '@brassproof/protocol'
+import { fetchPowChallenge, solvePowChallenge } from './pow'
+import type {
+  BrassClientConfig,
+  BrassToken,
+  BrassSpend,
+  IssuerProof,
+  MintEpochPassOptions,
+  MintEpochPassesOptions,
+  BrassIssuerError,
+  BuildSpendOptions,
+} from './types'
+
+export * from './types'
+
+/**
+ * Protocol defaults (Strict Privacy Mode v1.1, INTERMEDIATE).
+ * Labels and encodings come from @brassproof/protocol.
+ */
+export const DEFAULT_CONFIG: BrassClientConfig = {
+  issuerUrl: 'https://issuer.brassproof.com/issue',
+  AADi: 'v1',
+  AADr: 'v1|policy=comments',
+  KID: 'kid-rotate-2025-10',
+}
+
+/**
+ * Epoch days since Unix epoch
+ */
+export function currentEpochDays(now: number = Date.now()): number {
+  return Math.floor(now / (1000 * 86400))
+}
+
+// P = H1(origin || epoch || subPolicy), blinded with a fresh r: M = r·P
+function blind(originCanonical: string, epoch: number, subPolicy: string) {
+  const P = hashToCurve(u8(`${originCanonical}||${epoch}||${subPolicy}`), DST_H1)
+  const r = randScalar()
+  return { P, r, M: P.multiply(r) }
+}
+
+type IssuerPass = { P: string; M: string; origin: string; epoch: number; subPolicy: string }
+
+// Solve a proof-of-work challenge covering every pass and add it to the attestation
+async function attestWithPow(
+  options: { issuerUrl?: string; fetch?: typeof fetch; attestation?: unknown },
+  config: BrassClientConfig,
+  passes: IssuerPass[]
+): Promise<unknown> {
+  const challenge = await fetchPowChallenge({
+    issuerUrl: options.issuerUrl || config.issuerUrl,
+    originCanonical: passes[0].origin,
+    epoch: passes[0].epoch,
+    subPolicies: passes.map((pass) => pass.subPolicy),
+    fetch: options.fetch,
+  })
+  const pow = await solvePowChallenge(challenge)
+  const attestation = options.attestation
+  return typeof attestation === 'object' && attestation !== null ? { ...attestation, pow } : { pow }
+}
+
+async function postIssuer(
+  options: { issuerUrl?: string; fetch?: typeof fetch; attestation?: unknown; pow?: boolean },
+  config: BrassClientConfig,
+  body: IssuerPass | { batch: IssuerPass[] }
+): Promise<{ KID?: string; Z: string | string[]; piI: IssuerProof }> {
+  const fetchImpl = options.fetch || fetch
+  const attestation = options.pow
+    ? await attestWithPow(options, config, 'batch' in body ? body.batch : [body])
+    : options.attestation
+  const resp = await fetchImpl(options.issuerUrl || config.issuerUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ...body,
+      AADi: config.AADi,
+      mode: 'INTERMEDIATE',
+      ...(attestation !== undefined ? { attestation } : {}),
+    }),
+  })
+
+  if (!resp.ok) {
+    // Issuance policies refuse with { error: '<code>' } and, for quotas, Retry-After
+    const { error: code } = (await resp.json().catch(() => ({}))) as { error?: string }
+    const retryAfter = parseInt(resp.headers.get('Retry-After') || '', 10)
+    const error = new Error(`Issuer error: ${resp.status}${code ? ` ${code}` : ''}`) as BrassIssuerError
+    error.status = resp.status
+    error.code = code
+    if (!Number.isNaN(retryAfter)) error.retryAfter = retryAfter
+    throw error
+  }
+  return resp.json()
+}
+
+/**
+ * Mint an epoch pass from the issuer (INTERMEDIATE mode: issuer sees P).
+ *
+ * @example
+ * ```typescript
+ * const token = await mintEpochPass({
+ *   originCanonical: 'https://example.com',
+ *   subPolicy: 'comments',
+ *   issuerPublicKey: process.env.BRASS_ISSUER_PUBKEY,
+ * })
+ * ```
+ */
+export async function mintEpochPass(options: MintEpochPassOptions): Promise<BrassToken> {
+  const config = { ...DEFAULT_CONFIG, ...options.config }
+  const { originCanonical, subPolicy } = options
+  const epoch = options.epoch ?? currentEpochDays()
+
+  const { P, r, M } = blind(originCanonical, epoch, subPolicy)
+
+  const { KID, Z: Zb64, piI } = await postIssuer(options, config, {
+    P: encodePoint(P),
+    M: encodePoint(M),
+    origin: originCanonical,
+    epoch,
+    subPolicy,
+  })
+  if (typeof Zb64 !== 'string') throw new Error('Issuer returned a batch response')
+  const Z = decodePoint(Zb64)
+
+  if (options.issuerPublicKey) {
+    const Y = decodePoint(options.issuerPublicKey)
+    if (!verifyIssuerProof(piI, Y, M, Z)) {
+      throw new Error('Issuer DLEQ proof verification failed')
+    }
+  }
+
+  // Unblind: Z′ = r⁻¹·Z = k·P
+  const Zprime = Z.multiply(modInv(r))
+
+  return {
+    KID: KID || config.KID,
+    origin: originCanonical,
+    epoch,
+    subPolicy,
+    P: encodePoint(P),
+    M: encodePoint(M),
+    Z: Zb64,
+    Zprime: encodePoint(Zprime),
+    piI,
+    r: b64u(bigToBytes32(r)),
+  }
+}
+
+/**
+ * Mint several epoch passes in one issuer round trip. The issuer returns a single
+ * batched πI; each pass carries the batch so verifiers can check it.
+ *
+ * Verifiers see the blinded points of the whole batch, so passes from one batch
+ * can be linked to each other. Batch passes you would spend at the same origin.
+ *
+ * @example
+ * ```typescript
+ * const tokens = await mintEpochPasses({
+ *   passes: [
+ *     { originCanonical: 'https://api.example.com', subPolicy: 'api' },
+ *     { originCanonical: 'https://api.example.com', subPolicy: 'search' },
+ *   ],
+ *   issuerPublicKey: process.env.BRASS_ISSUER_PUBKEY,
+ * })
+ * ```
+ */
+export async function mintEpochPasses(options: MintEpochPassesOptions): Promise<BrassToken[]> {
+  const config = { ...DEFAULT_CONFIG, ...options.config }
+  const blinded = options.passes.map((pass) => {
+    const epoch = pass.epoch ?? currentEpochDays()
+    return { ...pass, epoch, ...blind(pass.originCanonical, epoch, pass.subPolicy) }
+  })
+
+  const { KID, Z: Zb64s, piI } = await postIssuer(options, config, {
+    batch: blinded.map(({ P, M, originCanonical, epoch, subPolicy }) => ({
+      P: encodePoint(P),
+      M: encodePoint(M),
+      origin: originCanonical,
+      epoch,
+      subPolicy,
+    })),
+  })
+  if (!Array.isArray(Zb64s) || Zb64s.length !== blinded.length) {
+    throw new Error('Issuer batch response does not match the request')
+  }
+
+  const Ms = blinded.map(({ M }) => M)
+  const Zs = Zb64s.map(decodePoint)
+
+  if (options.issuerPublicKey) {
+    const Y = decodePoint(options.issuerPublicKey)
+    if (!verifyIssuerBatchProof(piI, Y, Ms, Zs)) {
+      throw new Error('Issuer batch DLEQ proof verification failed')
+    }
+  }
+
+  const piIBatch = { M: Ms.map(encodePoint), Z: Zb64s }
+
+  return blinded.map(({ originCanonical, subPolicy, epoch, P, r }, i) => ({
+    KID: KID || config.KID,
+    origin: originCanonical,
+    epoch,
+    subPolicy,
+    P: encodePoint(P),
+    M: piIBatch.M[i],
+    Z: Zb64s[i],
+    Zprime: encodePoint(Zs[i].multiply(modInv(r))),
+    piI,
+    piIBatch,
+    r: b64u(bigToBytes32(r)),
+  }))
+}
+
+/**
+ * Build a spend payload for one request, bound to its method, path and body.
+ *
+ * @example
+ * ```typescript
+ * const body = JSON.stringify({ comment })
+ * const spend = buildSpend({ token, httpMethod: 'POST', normalizedPath: '/api/comments', bodyBytes: body })
+ * ```
+ */
+export function buildSpend(options: BuildSpendOptions): BrassSpend {
+  const config = { ...DEFAULT_CONFIG, ...options.config }
+  const { token, httpMethod, normalizedPath, bodyBytes } = options
+  const { AADr } = config
+  const KID = token.KID
+
+  const P = decodePoint(token.P)
+  const M = decodePoint(token.M)
+  const Zprime = decodePoint(token.Zprime)
+  const r = bytesToBig(b64ud(token.r))
+
+  // Fresh nonce c and salt η per redemption
+  const c = options.nonces?.c ?? randomBytes(16)
+  const eta = options.nonces?.eta ?? randomBytes(16)
+
+  // d = H(HTTP_CTX_v1, method, path, body_hash)
+  const d = requestBinding(httpMethod, normalizedPath, bodyBytes)
+
+  // y = H(LABEL_Y, Z′, KID, AADr, η)
+  const y = nullifier(Zprime, KID, AADr, eta)
+
+  // πC is bound to H(BIND_v1, y, c, d, AADr, KID, η)
+  const piC = proveClient(P, M, r, spendBinder({ y, c, d, AADr, KID, eta }), undefined, options.nonces?.w)
+
+  return {
+    KID,
+    AADr,
+    origin: token.origin,
+    epoch: token.epoch,
+    y: b64u(y),
+    eta: b64u(eta),
+    c: b64u(c),
+    P: token.P,
+    M: token.M,
+    Z: token.Z,
+    Zprime: token.Zprime,
+    piI: token.piI,
+    ...(token.piIBatch ? { piI_batch: token.piIBatch } : {}),
+    piC,
+    d_client: b64u(d),
+  }
+}
+
+/**
+ * Encode a spend payload for the `X-BRASS-Token` header (base64 JSON)
+ */
+export function encodeSpend(spend: BrassSpend): string {
+  return btoa(JSON.stringify(spend))
+}
+
+export { b64u, b64ud, verifyIssuerProof, verifyIssuerBatchProof } from '@brassproof/protocol'
+export { fetchPowChallenge, solvePowChallenge, POW_CHALLENGE_PATH } from './pow'
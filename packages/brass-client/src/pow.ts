@@ -0,0 +1,117 @@
+import { sha256 } from '@noble/hashes/sha256'
+import { utf8ToBytes } from '@noble/hashes/utils'
+import type { PowChallenge, PowSolution, FetchPowChallengeOptions, SolvePowOptions } from './types'
+
+export const POW_CHALLENGE_PATH = '/pow/challenge'
+
+// Leading zero bits of a digest
+function zeroBits(digest: Uint8Array): number {
+  let bits = 0
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8
+      continue
+    }
+    return bits + Math.clz32(byte) - 24
+  }
+  return bits
+}
+
+/**
+ * Fetch a challenge bound to the origin and epoch of the passes to mint
+ */
+export async function fetchPowChallenge(options: FetchPowChallengeOptions): Promise<PowChallenge> {
+  const url = new URL(POW_CHALLENGE_PATH, options.issuerUrl)
+  url.searchParams.set('origin', options.originCanonical)
+  url.searchParams.set('epoch', String(options.epoch))
+  for (const subPolicy of options.subPolicies) url.searchParams.append('subPolicy', subPolicy)
+  url.searchParams.set('count', String(options.count ?? options.subPolicies.length))
+
+  const resp = await (options.fetch || fetch)(url.toString())
+  if (!resp.ok) throw new Error(`Issuer error: ${resp.status} (proof-of-work challenge)`)
+  return resp.json()
+}
+
+// Runs inside the Web Worker: SHA-256 via WebCrypto, hashed in parallel chunks
+const WORKER_SOURCE = `
+const zeroBits = ${zeroBits.toString()};
+self.onmessage = async (event) => {
+  const { challenge, difficulty } = event.data;
+  const encoder = new TextEncoder();
+  for (let base = 0; ; base += 256) {
+    const digests = await Promise.all(Array.from({ length: 256 }, (_, i) =>
+      crypto.subtle.digest('SHA-256', encoder.encode('BRASS:POW_v1:' + challenge + ':' + (base + i)))));
+    for (let i = 0; i < digests.length; i++) {
+      if (zeroBits(new Uint8Array(digests[i])) >= difficulty) {
+        self.postMessage(String(base + i));
+        return;
+      }
+    }
+  }
+};
+`
+
+function solveInWorker(challenge: PowChallenge, signal?: AbortSignal): Promise<string> {
+  // An abort event never fires for a signal that is already aborted
+  if (signal?.aborted) return Promise.reject(signal.reason)
+
+  const blobUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }))
+  const worker = new Worker(blobUrl)
+
+  return new Promise<string>((resolve, reject) => {
+    const onAbort = () => {
+      done()
+      reject(signal!.reason)
+    }
+    const done = () => {
+      signal?.removeEventListener('abort', onAbort)
+      worker.terminate()
+      URL.revokeObjectURL(blobUrl)
+    }
+    signal?.addEventListener('abort', onAbort)
+    worker.onmessage = (event: MessageEvent<string>) => {
+      done()
+      resolve(event.data)
+    }
+    worker.onerror = (event) => {
+      done()
+      reject(new Error(`Proof-of-work worker failed: ${event.message}`))
+    }
+    worker.postMessage({ challenge: challenge.challenge, difficulty: challenge.difficulty })
+  })
+}
+
+// Fallback for Node.js and Workers: synchronous hashing, yielding to the event loop between chunks
+async function solveInline(challenge: PowChallenge, signal?: AbortSignal): Promise<string> {
+  const prefix = `BRASS:POW_v1:${challenge.challenge}:`
+  for (let base = 0; ; base += 4096) {
+    if (signal?.aborted) throw signal.reason
+    for (let i = base; i < base + 4096; i++) {
+      if (zeroBits(sha256(utf8ToBytes(prefix + i))) >= challenge.difficulty) return String(i)
+    }
+    await new Promise((resolve) => setTimeout(resolve, 0))
+  }
+}
+
+/**
+ * Solve a proof-of-work challenge, off the main thread in browsers
+ *
+ * @example
+ * ```typescript
+ * const challenge = await fetchPowChallenge({
+ *   issuerUrl: 'https://issuer.example.com',
+ *   originCanonical: 'https://example.com',
+ *   epoch: currentEpochDays(),
+ *   subPolicies: ['comments'],
+ * })
+ * const pow = await solvePowChallenge(challenge)
+ * ```
+ */
+export async function solvePowChallenge(challenge: PowChallenge, options: SolvePowOptions = {}): Promise<PowSolution> {
+  const canUseWorker = typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL.createObjectURL === 'function'
+  const solution = options.useWorker !== false && canUseWorker
+    ? await solveInWorker(challenge, options.signal)
+    : await solveInline(challenge, options.signal)
+
+  return { challenge: challenge.challenge, solution }
+}
@@ -0,0 +1,157 @@
+export interface BrassClientConfig {
+  /** Issuer endpoint that evaluates blinded points */
+  issuerUrl: string
+  /** Issuance-side additional authenticated data */
+  AADi: string
+  /** Redemption-side additional authenticated data (carries the policy) */
+  AADr: string
+  /** Key identifier used when the issuer response does not name one */
+  KID: string
+}
+
+export interface IssuerProof {
+  c: string         // base64url
+  r: string         // base64url
+}
+
+export interface ClientProof {
+  c: string         // base64url
+  r: string         // base64url
+}
+
+/**
+ * Epoch pass returned by `mintEpochPass`.
+ *
+ * `r` is the blinding scalar and must stay on the client: it is what lets
+ * `buildSpend` prove knowledge of M = r·P for each redemption.
+ */
+export interface BrassToken {
+  KID: string
+  origin: string
+  epoch: number
+  subPolicy: string
+  P: string         // base64url (compressed point)
+  M: string         // base64url (compressed point)
+  Z: string         // base64url (compressed point)
+  Zprime: string    // base64url (compressed point)
+  piI: IssuerProof
+  /** Set for batch-minted passes: πI covers every (M, Z) of the batch */
+  piIBatch?: IssuerBatch
+  r: string         // base64url (32-byte scalar) - secret
+}
+
+/**
+ * Blinded points and evaluations of one issuance batch, in request order
+ */
+export interface IssuerBatch {
+  M: string[]       // base64url (compressed points)
+  Z: string[]       // base64url (compressed points)
+}
+
+/**
+ * Spend payload sent to the verifier. Shape matches `BrassSpendPayload`
+ * in @brassproof/verifier.
+ */
+export interface BrassSpend {
+  KID: string
+  AADr: string
+  origin: string
+  epoch: number
+  y: string         // base64url
+  eta: string       // base64url
+  c: string         // base64url
+  P: string         // base64url
+  M: string         // base64url
+  Z: string         // base64url
+  Zprime: string    // base64url
+  piI: IssuerProof
+  piI_batch?: IssuerBatch
+  piC: ClientProof
+  d_client: string  // base64url
+}
+
+export interface MintEpochPassOptions {
+  /** Canonical origin the pass is scoped to (e.g. 'https://example.com') */
+  originCanonical: string
+  /** Policy the pass is minted for (e.g. 'comments') */
+  subPolicy: string
+  /** Epoch in days since Unix epoch (default: current epoch) */
+  epoch?: number
+  /** Overrides the configured issuer URL */
+  issuerUrl?: string
+  /** Issuer public key Y (base64url). When set, πI is verified before the pass is returned */
+  issuerPublicKey?: string
+  /** Custom fetch implementation (default: global fetch) */
+  fetch?: typeof fetch
+  /** Sent to the issuer's attesters as `attestation` (e.g. a session token or proof-of-work) */
+  attestation?: unknown
+  /**
+   * Solve the issuer's proof-of-work challenge and send it as `attestation.pow`
+   * (default: false). All passes of a batch must share one origin and epoch.
+   */
+  pow?: boolean
+  config?: Partial<BrassClientConfig>
+}
+
+/**
+ * Error thrown when the issuer refuses or fails an issuance request
+ */
+export interface BrassIssuerError extends Error {
+  status: number
+  /** Issuer error code, e.g. 'issuance_quota_exceeded' or 'attestation_required' */
+  code?: string
+  /** Seconds until issuance may succeed again (from Retry-After) */
+  retryAfter?: number
+}
+
+export interface MintEpochPassesOptions extends Omit<MintEpochPassOptions, 'originCanonical' | 'subPolicy' | 'epoch'> {
+  /** One entry per pass; all are evaluated in a single issuer round trip */
+  passes: Array<Pick<MintEpochPassOptions, 'originCanonical' | 'subPolicy' | 'epoch'>>
+}
+
+/**
+ * Proof-of-work challenge from the issuer's `GET /pow/challenge`
+ */
+export interface PowChallenge {
+  /** Opaque, issuer-signed challenge string */
+  challenge: string
+  /** Required leading zero bits */
+  difficulty: number
+  /** Unix ms after which the issuer rejects the solution */
+  expiresAt: number
+}
+
+export interface PowSolution {
+  challenge: string
+  solution: string
+}
+
+export interface FetchPowChallengeOptions {
+  issuerUrl: string
+  originCanonical: string
+  epoch: number
+  /** Policies of the passes the solution will be used for (difficulty is per policy) */
+  subPolicies: string[]
+  /** Number of passes in the issuance request (default: subPolicies.length) */
+  count?: number
+  fetch?: typeof fetch
+}
+
+export interface SolvePowOptions {
+  /** Solve in a Web Worker when available (default: true) */
+  useWorker?: boolean
+  /** Stop solving; the promise rejects with `signal.reason` */
+  signal?: AbortSignal
+}
+
+export interface BuildSpendOptions {
+  token: BrassToken
+  httpMethod: string
+  /** Request path exactly as the verifier will see it (no query string) */
+  normalizedPath: string
+  /** Exact request body bytes; strings are UTF-8 encoded */
+  bodyBytes: Uint8Array | string
+  config?: Partial<BrassClientConfig>
+  /** Fixed nonce c, salt η and πC nonce w. Test vectors only; never set in production */
+  nonces?: { c: Uint8Array; eta: Uint8Array; w: bigint }
+}
@@ -1,29 +1,104 @@
-import { createBrassVerifier, type BrassSpendPayload } from '@brassproof/verifier'
+import {
+  createBrassVerifier,
+  parseIssuerKeys,
+  decodeBrassToken,
+  withHttpContext,
+  rateLimitHeaders,
+  failureStatus,
+  parseBodyLimit,
+  readRequestBody,
+  BRASS_TOKEN_HEADER,
+  type BrassSpendPayload,
+  type BrassVerifier,
+  type BrassVerifierConfig,
+  type ShadowDenial,
+  type VerificationResult,
+} from '@brassproof/verifier'
 
 export interface BrassWorkerEnv {
   BRASS_SECRET_KEY: string
-  BRASS_ISSUER_PUBKEY: string
+  BRASS_ISSUER_PUBKEY?: string
+  /** Rotated issuer keys as JSON (issuer /pub response or KID → Y map) */
+  BRASS_ISSUER_KEYS?: string
+  /** Issuer URL for the signed key directory (used when no static key is set) */
+  BRASS_ISSUER_URL?: string
+  /** Pinned key directory signing key */
+  BRASS_ISSUER_DIRECTORY_KEY?: string
+  /** 'shadow' to verify without rejecting (see `BrassWorkerOptions.mode`) */
+  BRASS_MODE?: string
   BRASS_KV?: KVNamespace
   [key: string]: unknown
 }
 
 export interface BrassWorkerOptions {
   scope?: string
+  /**
+   * Largest body the wrapper reads to bind the spend, in bytes or as '100kb' / '1mb'
+   * (default: '100kb'). Larger requests get 413.
+   */
+  limit?: number | string
   rateLimits?: Record<string, { maxRequests: number; windowSeconds: number }>
   onVerified?: (result: { remaining: number; resetAt: number }) => void | Promise<void>
   onRateLimited?: (result: { remaining: number; resetAt: number }) => Response | Promise<Response>
   corsHeaders?: HeadersInit
+  /** 'shadow': run the handler for every POST and report would-be rejections (default: env.BRASS_MODE, else 'enforce') */
+  mode?: BrassVerifierConfig['mode']
+  /** Shadow mode: called for each request that would have been rejected */
+  onShadowDenied?: (denial: ShadowDenial) => void | Promise<void>
 }
 
+// RateLimit-* (and Retry-After on enforced denials) from the verification, unless
+// the response already sets them. Copied first: fetch() responses have immutable headers
+function withRateLimitHeaders(response: Response, result?: VerificationResult): Response {
+  const headers = result ? Object.entries(rateLimitHeaders(result)) : []
+  if (headers.length === 0) return response
+  const copy = new Response(response.body, response)
+  for (const [name, value] of headers) {
+    if (!copy.headers.has(name)) copy.headers.set(name, value)
+  }
+  return copy
+}
+
+/**
+ * Wrap a Worker fetch handler so it only runs for verified BRASS requests
+ *
+ * The spend comes from the `X-BRASS-Token` header and is bound to the request
+ * the Worker received: method, path (without query string) and a SHA-256 of
+ * the exact body bytes. The body is read from a clone, so the handler can
+ * still read it.
+ *
+ * Verified and rate-limited responses carry RateLimit-Limit, RateLimit-Remaining
+ * and RateLimit-Reset headers. Rate-limited requests get 429 with Retry-After,
+ * invalid tokens 401, bodies over `limit` 413.
+ *
+ * In shadow mode the handler runs for every POST; rejections it would have
+ * sent (missing or invalid tokens included) go to `onShadowDenied` instead.
+ *
+ * @example
+ * ```typescript
+ * export default {
+ *   fetch: createBrassWorker(async (request) => {
+ *     const { comment } = await request.json()
+ *     return Response.json({ ok: true })
+ *   }, { scope: 'comment-submission' }),
+ * }
+ * ```
+ */
 export function createBrassWorker(
   handler: (request: Request, env: BrassWorkerEnv) => Promise<Response> | Response,
   options: BrassWorkerOptions = {}
 ) {
+  // One verifier per env (stable within an isolate), so the key cache and, without
+  // BRASS_KV, the in-memory store outlive a single request
+  const verifiers = new WeakMap<BrassWorkerEnv, BrassVerifier>()
+  const limit = parseBodyLimit(options.limit)
+
   return async (request: Request, env: BrassWorkerEnv): Promise<Response> => {
     const corsHeaders = options.corsHeaders || {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'POST, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-BRASS-Token',
+      'Access-Control-Expose-Headers': 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After',
     }
 
     if (request.method === 'OPTIONS') {
@@ -37,64 +112,73 @@ export function createBrassWorker(
       })
     }
 
-    try {
-      if (!env.BRASS_SECRET_KEY || !env.BRASS_ISSUER_PUBKEY) {
-        return new Response(
-          JSON.stringify({ error: 'Server configuration error' }),
-          { 
-            status: 500,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders as Record<string, string> }
+    const mode = options.mode || (env.BRASS_MODE as BrassVerifierConfig['mode'])
+
+    // Enforce mode sends the rejection; shadow mode reports it and runs the handler
+    const reject = async (status: number, body: { error: string; [key: string]: unknown }, result?: VerificationResult) => {
+      if (mode !== 'shadow') {
+        return new Response(JSON.stringify(body), {
+          status,
+          headers: {
+            'Content-Type': 'application/json',
+            ...corsHeaders as Record<string, string>,
+            ...(result && rateLimitHeaders(result)),
           }
-        )
+        })
       }
+      if (options.onShadowDenied) await options.onShadowDenied({ status, error: body.error, result })
+      return withRateLimitHeaders(await handler(request, env), result)
+    }
 
-      let body: { brassToken?: BrassSpendPayload; [key: string]: unknown }
-      try {
-        body = await request.json()
-      } catch {
-        return new Response(
-          JSON.stringify({ error: 'Invalid JSON body' }),
-          { 
-            status: 400,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders as Record<string, string> }
-          }
-        )
+    try {
+      if (!env.BRASS_SECRET_KEY || (!env.BRASS_ISSUER_PUBKEY && !env.BRASS_ISSUER_KEYS && !env.BRASS_ISSUER_URL)) {
+        return await reject(500, { error: 'Server configuration error' })
       }
 
-      const brassToken = body.brassToken || request.headers.get('x-brass-token')
+      // The spend is bound to the body, so it travels in a header
+      const brassToken = request.headers.get(BRASS_TOKEN_HEADER)
       
       if (!brassToken) {
-        return new Response(
-          JSON.stringify({ error: 'Missing BRASS token' }),
-          { 
-            status: 400,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders as Record<string, string> }
-          }
-        )
+        return await reject(400, { error: 'Missing BRASS token' })
       }
 
       let payload: BrassSpendPayload
       try {
-        payload = typeof brassToken === 'string'
-          ? JSON.parse(atob(brassToken))
-          : brassToken
+        payload = decodeBrassToken(brassToken)
       } catch {
-        return new Response(
-          JSON.stringify({ error: 'Invalid BRASS token format' }),
-          { 
-            status: 400,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders as Record<string, string> }
-          }
-        )
+        return await reject(400, { error: 'Invalid BRASS token format' })
       }
 
-      const verifier = createBrassVerifier({
-        secretKey: env.BRASS_SECRET_KEY,
-        issuerPublicKey: env.BRASS_ISSUER_PUBKEY,
-        kvNamespace: env.BRASS_KV,
-        rateLimits: options.rateLimits,
+      // Bind to the request as received (path without query, exact body bytes).
+      // Read a clone so the handler can still consume the body.
+      const body = await readRequestBody(request, limit)
+      if (!body) {
+        return new Response(JSON.stringify({ error: 'Request body too large' }), {
+          status: 413,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders as Record<string, string> },
+        })
+      }
+      payload = withHttpContext(payload, {
+        method: request.method,
+        path: new URL(request.url).pathname,
+        body,
       })
 
+      let verifier = verifiers.get(env)
+      if (!verifier) {
+        verifier = createBrassVerifier({
+          secretKey: env.BRASS_SECRET_KEY,
+          issuerPublicKey: env.BRASS_ISSUER_PUBKEY,
+          issuerPublicKeys: env.BRASS_ISSUER_KEYS ? parseIssuerKeys(env.BRASS_ISSUER_KEYS) : undefined,
+          issuerUrl: env.BRASS_ISSUER_URL,
+          issuerDirectoryKey: env.BRASS_ISSUER_DIRECTORY_KEY,
+          kvNamespace: env.BRASS_KV,
+          rateLimits: options.rateLimits,
+          mode,
+        })
+        verifiers.set(env, verifier)
+      }
+
       const origin = request.headers.get('origin') || ''
       const scope = options.scope || 'generic'
 
@@ -105,25 +189,30 @@ export function createBrassWorker(
         userAgent: request.headers.get('user-agent') || '',
       })
 
+      if (result.shadow && !result.shadow.wouldSucceed) {
+        return await reject(failureStatus(result), {
+          error: result.shadow.error || 'Verification failed',
+          remaining: result.remaining || 0,
+          resetAt: result.resetAt,
+        }, result)
+      }
+
       if (!result.success) {
+        // A shadow-mode verifier only fails on errors (e.g. a store outage), never on denials
+        if (mode === 'shadow') throw new Error(result.error || 'Verification failed')
+
         if (options.onRateLimited && result.remaining !== undefined && result.resetAt) {
-          return await options.onRateLimited({
+          return withRateLimitHeaders(await options.onRateLimited({
             remaining: result.remaining,
             resetAt: result.resetAt,
-          })
+          }), result)
         }
 
-        return new Response(
-          JSON.stringify({ 
-            error: result.error || 'Verification failed',
-            remaining: result.remaining || 0,
-            resetAt: result.resetAt,
-          }),
-          { 
-            status: 429,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders as Record<string, string> }
-          }
-        )
+        return await reject(failureStatus(result), {
+          error: result.error || 'Verification failed',
+          remaining: result.remaining || 0,
+          resetAt: result.resetAt,
+        }, result)
       }
 
       if (options.onVerified && result.remaining !== undefined && result.resetAt) {
@@ -133,7 +222,7 @@ export function createBrassWorker(
         })
       }
 
-      return await handler(request, env)
+      return withRateLimitHeaders(await handler(request, env), result)
     } catch (error) {
       console.error('BRASS verification error:', error)
       return new Response(
@@ -147,4 +236,11 @@ export function createBrassWorker(
   }
 }
 
-export { createBrassVerifier, type BrassVerifierConfig, type BrassSpendPayload } from '@brassproof/verifier'
+export {
+  createBrassVerifier,
+  parseIssuerKeys,
+  decodeBrassToken,
+  withHttpContext,
+  type BrassVerifierConfig,
+  type BrassSpendPayload,
+} from '@brassproof/verifier'
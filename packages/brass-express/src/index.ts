@@ -0,0 +1,232 @@
+import type { IncomingMessage, ServerResponse } from 'node:http'
+import {
+  createBrassVerifier,
+  verifierConfigFromEnv,
+  decodeBrassToken,
+  withHttpContext,
+  rateLimitHeaders,
+  failureStatus,
+  BRASS_TOKEN_HEADER,
+  type BrassVerifier,
+  type BrassVerifierConfig,
+  type VerificationResult,
+} from '@brassproof/verifier'
+
+/**
+ * Request as seen by the middleware (Express adds `originalUrl`, `ip` and `body`)
+ */
+export interface BrassRequest extends IncomingMessage {
+  originalUrl?: string
+  ip?: string
+  body?: unknown
+  /** Exact request body bytes, captured by `captureRawBody` or read by the middleware */
+  rawBody?: Buffer
+  /** Verification result, set once the spend has been checked */
+  brass?: VerificationResult
+  /** body-parser's "already parsed" flag */
+  _body?: boolean
+}
+
+export interface BrassMiddlewareOptions extends Omit<BrassVerifierConfig, 'secretKey'> {
+  /** Defaults to BRASS_SECRET_KEY */
+  secretKey?: string
+  /** Share one verifier across routes instead of building one from the options */
+  verifier?: BrassVerifier
+  /** Rate-limit scope for this route, or a function of the request (default: 'generic') */
+  scope?: string | ((req: BrassRequest) => string)
+  /**
+   * Largest body the middleware reads itself, in bytes or as '100kb' / '1mb'
+   * (default: '100kb', like express.json). Larger requests get 413.
+   */
+  limit?: number | string
+  onVerified?: (req: BrassRequest, result: VerificationResult) => void | Promise<void>
+  /** Send your own rejection; the RateLimit-* headers are already set */
+  onRejected?: (req: BrassRequest, res: ServerResponse, result: VerificationResult) => void | Promise<void>
+}
+
+type Next = (error?: unknown) => void
+
+declare global {
+  namespace Express {
+    interface Request {
+      /** Set by brassMiddleware */
+      brass?: VerificationResult
+      rawBody?: Buffer
+    }
+  }
+}
+
+/**
+ * `verify` hook for body parsers so the middleware can hash the exact bytes
+ *
+ * @example
+ * ```typescript
+ * app.use(express.json({ verify: captureRawBody }))
+ * ```
+ */
+export function captureRawBody(req: IncomingMessage, _res: ServerResponse, buf: Buffer): void {
+  ;(req as BrassRequest).rawBody = buf
+}
+
+const DEFAULT_BODY_LIMIT = '100kb'
+const BYTE_UNITS: Record<string, number> = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+
+// Bytes from a number or '512b' / '100kb' / '1mb' / '1gb'
+function parseBytes(value: number | string): number {
+  if (typeof value === 'number') return value
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value.trim())
+  if (!match) throw new Error(`Invalid body limit: ${JSON.stringify(value)}`)
+  return Math.floor(parseFloat(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()])
+}
+
+class BodyTooLargeError extends Error {}
+
+function sendJson(res: ServerResponse, status: number, body: unknown): void {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+// Read the request stream, stopping (and pausing it) once it exceeds `limit` bytes
+function readBody(req: BrassRequest, limit: number): Promise<Buffer> {
+  if (Number(req.headers['content-length']) > limit) return Promise.reject(new BodyTooLargeError())
+
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = []
+    let size = 0
+    const cleanup = () => {
+      req.off('data', onData)
+      req.off('end', onEnd)
+      req.off('error', onError)
+    }
+    const onData = (chunk: Buffer | string) => {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+      size += buf.length
+      if (size > limit) {
+        cleanup()
+        req.pause()
+        reject(new BodyTooLargeError())
+        return
+      }
+      chunks.push(buf)
+    }
+    const onEnd = () => {
+      cleanup()
+      resolve(Buffer.concat(chunks))
+    }
+    const onError = (error: Error) => {
+      cleanup()
+      reject(error)
+    }
+    req.on('data', onData)
+    req.on('end', onEnd)
+    req.on('error', onError)
+  })
+}
+
+// Raw body for the request binding. When no parser has run yet, read the stream
+// (up to `limit` bytes) and parse JSON ourselves, marking the body parsed so
+// body-parser skips it.
+async function rawBodyOf(req: BrassRequest, limit: number): Promise<Buffer> {
+  if (req.rawBody) return req.rawBody
+  if (req._body || req.readableEnded) {
+    throw new Error('Raw request body unavailable: register express.json({ verify: captureRawBody }) before BRASS')
+  }
+
+  req.rawBody = await readBody(req, limit)
+
+  if (req.rawBody.length > 0 && /\bjson\b/i.test(req.headers['content-type'] || '')) {
+    req.body = JSON.parse(req.rawBody.toString('utf8'))
+  }
+  req._body = true
+  return req.rawBody
+}
+
+/**
+ * Express/Connect middleware that verifies the request's BRASS spend
+ *
+ * Reads the spend from the `X-BRASS-Token` header, binds it to the request's
+ * method, path and exact body, verifies it, sets RateLimit-* headers and
+ * exposes the result on `req.brass`. Rejections get 400 (missing or malformed
+ * token), 401 (invalid proof) or 429 (rate limited, with Retry-After). Bodies
+ * the middleware reads itself are capped at `limit` (413 above it).
+ *
+ * @example
+ * ```typescript
+ * import express from 'express'
+ * import { brassMiddleware, captureRawBody } from '@brassproof/express'
+ *
+ * const app = express()
+ * app.use(express.json({ verify: captureRawBody }))
+ *
+ * app.post('/api/comments', brassMiddleware({ scope: 'comment-submission' }), (req, res) => {
+ *   res.json({ ok: true, remaining: req.brass?.remaining })
+ * })
+ * ```
+ */
+export function brassMiddleware(options: BrassMiddlewareOptions = {}) {
+  let verifier = options.verifier
+  const limit = parseBytes(options.limit ?? DEFAULT_BODY_LIMIT)
+
+  return async (req: BrassRequest, res: ServerResponse, next: Next): Promise<void> => {
+    try {
+      verifier = verifier || createBrassVerifier(verifierConfigFromEnv(options))
+
+      const token = req.headers[BRASS_TOKEN_HEADER]
+      if (!token || Array.isArray(token)) {
+        return sendJson(res, 400, { error: 'Missing BRASS token' })
+      }
+
+      let payload
+      try {
+        payload = decodeBrassToken(token)
+      } catch {
+        return sendJson(res, 400, { error: 'Invalid BRASS token format' })
+      }
+
+      let body: Buffer
+      try {
+        body = await rawBodyOf(req, limit)
+      } catch (error) {
+        if (error instanceof SyntaxError) return sendJson(res, 400, { error: 'Invalid JSON body' })
+        if (error instanceof BodyTooLargeError) {
+          // The rest of the body is never read, so the connection cannot be reused
+          res.setHeader('Connection', 'close')
+          return sendJson(res, 413, { error: 'Request body too large' })
+        }
+        throw error
+      }
+
+      const scope = typeof options.scope === 'function' ? options.scope(req) : options.scope || 'generic'
+      const result = await verifier.verify(
+        withHttpContext(payload, { method: req.method || 'GET', path: req.originalUrl || req.url || '/', body }),
+        {
+          origin: req.headers.origin || '',
+          scope,
+          clientIp: req.ip || req.socket?.remoteAddress || '',
+          userAgent: req.headers['user-agent'] || '',
+        }
+      )
+
+      req.brass = result
+      for (const [name, value] of Object.entries(rateLimitHeaders(result))) res.setHeader(name, value)
+
+      if (!result.success) {
+        if (options.onRejected) return await options.onRejected(req, res, result)
+        return sendJson(res, failureStatus(result), {
+          error: result.error || 'Verification failed',
+          remaining: result.remaining || 0,
+          resetAt: result.resetAt,
+        })
+      }
+
+      if (options.onVerified) await options.onVerified(req, result)
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+export default brassMiddleware
+export type { BrassVerifierConfig, BrassSpendPayload, VerificationResult } from '@brassproof/verifier'
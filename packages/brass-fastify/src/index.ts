@@ -0,0 +1,135 @@
+import fp from 'fastify-plugin'
+import type { FastifyPluginAsync, FastifyReply, FastifyRequest } from 'fastify'
+import {
+  createBrassVerifier,
+  verifierConfigFromEnv,
+  decodeBrassToken,
+  withHttpContext,
+  rateLimitHeaders,
+  failureStatus,
+  BRASS_TOKEN_HEADER,
+  type BrassVerifier,
+  type BrassVerifierConfig,
+  type VerificationResult,
+} from '@brassproof/verifier'
+
+/**
+ * Per-route settings, under the route's `config.brass`
+ */
+export interface BrassRouteConfig {
+  /** Rate-limit scope for the route (default: the plugin's `scope`, else 'generic') */
+  scope?: string
+}
+
+declare module 'fastify' {
+  interface FastifyRequest {
+    /** Verification result for BRASS-protected routes, null elsewhere */
+    brass: VerificationResult | null
+    /** Exact JSON request body bytes */
+    rawBody?: Buffer
+  }
+  interface FastifyContextConfig {
+    /** Protect the route with BRASS; `true` uses the plugin defaults */
+    brass?: BrassRouteConfig | boolean
+  }
+}
+
+export interface BrassPluginOptions extends Omit<BrassVerifierConfig, 'secretKey'> {
+  /** Defaults to BRASS_SECRET_KEY */
+  secretKey?: string
+  /** Share one verifier instead of building one from the options */
+  verifier?: BrassVerifier
+  /** Default scope for protected routes */
+  scope?: string
+  onVerified?: (request: FastifyRequest, result: VerificationResult) => void | Promise<void>
+  /** Send your own rejection; the RateLimit-* headers are already set */
+  onRejected?: (request: FastifyRequest, reply: FastifyReply, result: VerificationResult) => unknown
+}
+
+const plugin: FastifyPluginAsync<BrassPluginOptions> = async (fastify, options) => {
+  const verifier = options.verifier || createBrassVerifier(verifierConfigFromEnv(options))
+
+  fastify.decorateRequest('brass', null)
+
+  // Parse JSON as before, but keep the bytes for the request binding
+  const parseJson = fastify.getDefaultJsonParser('error', 'ignore')
+  fastify.removeContentTypeParser('application/json')
+  fastify.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) => {
+    request.rawBody = body as Buffer
+    parseJson(request, (body as Buffer).toString('utf8'), done)
+  })
+
+  fastify.addHook('preHandler', async (request, reply) => {
+    const routeConfig = request.routeOptions.config.brass
+    if (!routeConfig) return
+
+    const token = request.headers[BRASS_TOKEN_HEADER]
+    if (!token || Array.isArray(token)) {
+      return reply.code(400).send({ error: 'Missing BRASS token' })
+    }
+
+    let payload
+    try {
+      payload = decodeBrassToken(token)
+    } catch {
+      return reply.code(400).send({ error: 'Invalid BRASS token format' })
+    }
+
+    // JSON bytes come from our parser; other content types need a string or buffer parser
+    const body = request.rawBody ?? (typeof request.body === 'string' ? request.body : Buffer.isBuffer(request.body) ? request.body : undefined)
+    if (body === undefined && request.body !== undefined) {
+      throw new Error(`Raw request body unavailable for content type ${request.headers['content-type']}`)
+    }
+
+    const scope = (typeof routeConfig === 'object' && routeConfig.scope) || options.scope || 'generic'
+    const result = await verifier.verify(
+      withHttpContext(payload, { method: request.method, path: request.url, body }),
+      {
+        origin: request.headers.origin || '',
+        scope,
+        clientIp: request.ip,
+        userAgent: request.headers['user-agent'] || '',
+      }
+    )
+
+    request.brass = result
+    reply.headers(rateLimitHeaders(result))
+
+    if (!result.success) {
+      if (options.onRejected) return options.onRejected(request, reply, result)
+      return reply.code(failureStatus(result)).send({
+        error: result.error || 'Verification failed',
+        remaining: result.remaining || 0,
+        resetAt: result.resetAt,
+      })
+    }
+
+    if (options.onVerified) await options.onVerified(request, result)
+  })
+}
+
+/**
+ * Fastify plugin that verifies BRASS spends on routes with `config.brass`
+ *
+ * Reads the spend from the `X-BRASS-Token` header, binds it to the request's
+ * method, path and exact JSON body, verifies it, sets RateLimit-* headers and
+ * exposes the result on `request.brass`. Rejections get 400 (missing or
+ * malformed token), 401 (invalid proof) or 429 (rate limited, with Retry-After).
+ *
+ * @example
+ * ```typescript
+ * import Fastify from 'fastify'
+ * import brassPlugin from '@brassproof/fastify'
+ *
+ * const app = Fastify()
+ * await app.register(brassPlugin, { rateLimits: { comments: { maxRequests: 3, windowSeconds: 86400 } } })
+ *
+ * app.post('/api/comments', { config: { brass: { scope: 'comments' } } }, async (request) => {
+ *   return { ok: true, remaining: request.brass?.remaining }
+ * })
+ * ```
+ */
+export const brassPlugin = fp(plugin, { fastify: '4.x || 5.x', name: '@brassproof/fastify' })
+
+export default brassPlugin
+export type { BrassVerifierConfig, BrassSpendPayload, VerificationResult } from '@brassproof/verifier'
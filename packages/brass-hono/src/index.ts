@@ -0,0 +1,146 @@
+import { createMiddleware } from 'hono/factory'
+import { env } from 'hono/adapter'
+import type { Context } from 'hono'
+import {
+  createBrassVerifier,
+  verifierConfigFromEnv,
+  decodeBrassToken,
+  withHttpContext,
+  rateLimitHeaders,
+  failureStatus,
+  parseBodyLimit,
+  readRequestBody,
+  BRASS_TOKEN_HEADER,
+  type BrassVerifier,
+  type BrassVerifierConfig,
+  type VerificationResult,
+} from '@brassproof/verifier'
+
+/**
+ * Context variables set by the middleware (`c.get('brass')`)
+ */
+export type BrassVariables = {
+  brass: VerificationResult
+}
+
+export interface BrassMiddlewareOptions extends Omit<BrassVerifierConfig, 'secretKey'> {
+  /** Defaults to BRASS_SECRET_KEY from the runtime environment */
+  secretKey?: string
+  /** Share one verifier across routes instead of building one from the options */
+  verifier?: BrassVerifier
+  /** Rate-limit scope for this route, or a function of the context (default: 'generic') */
+  scope?: string | ((c: Context) => string)
+  /**
+   * Largest body the middleware reads to bind the spend, in bytes or as '100kb' / '1mb'
+   * (default: '100kb'). Larger requests get 413.
+   */
+  limit?: number | string
+  onVerified?: (c: Context, result: VerificationResult) => void | Promise<void>
+  /** Return your own rejection; the RateLimit-* headers are already set */
+  onRejected?: (c: Context, result: VerificationResult) => Response | Promise<Response>
+}
+
+// c.header() only reaches responses built through the context, so copy the
+// RateLimit-* headers onto a raw Response unless it sets its own
+function withHeaders(response: Response, headers: Record<string, string>): Response {
+  const missing = Object.entries(headers).filter(([name]) => !response.headers.has(name))
+  if (missing.length === 0) return response
+  const copy = new Response(response.body, response)
+  for (const [name, value] of missing) copy.headers.set(name, value)
+  return copy
+}
+
+/**
+ * Hono middleware that verifies the request's BRASS spend
+ *
+ * Reads the spend from the `X-BRASS-Token` header, binds it to the request's
+ * method, path and exact body, verifies it, sets RateLimit-* headers and
+ * exposes the result as `c.get('brass')`. Rejections get 400 (missing or
+ * malformed token), 401 (invalid proof), 413 (body over `limit`) or 429 (rate
+ * limited, with Retry-After).
+ * Runs on Node, Bun, Deno and Workers; BRASS_* variables and the BRASS_KV
+ * binding are read with `env(c)`.
+ *
+ * @example
+ * ```typescript
+ * import { Hono } from 'hono'
+ * import { brassMiddleware, type BrassVariables } from '@brassproof/hono'
+ *
+ * const app = new Hono<{ Variables: BrassVariables }>()
+ *
+ * app.post('/api/comments', brassMiddleware({ scope: 'comment-submission' }), async (c) => {
+ *   const { comment } = await c.req.json()
+ *   return c.json({ ok: true, remaining: c.get('brass').remaining })
+ * })
+ * ```
+ */
+export function brassMiddleware(options: BrassMiddlewareOptions = {}) {
+  let verifier = options.verifier
+  const limit = parseBodyLimit(options.limit)
+
+  return createMiddleware<{ Variables: BrassVariables }>(async (c, next) => {
+    if (!verifier) {
+      const runtimeEnv = env<Record<string, unknown>>(c)
+      verifier = createBrassVerifier(
+        verifierConfigFromEnv(
+          { ...options, kvNamespace: options.kvNamespace ?? (runtimeEnv.BRASS_KV as BrassVerifierConfig['kvNamespace']) },
+          runtimeEnv
+        )
+      )
+    }
+
+    const token = c.req.header(BRASS_TOKEN_HEADER)
+    if (!token) {
+      return c.json({ error: 'Missing BRASS token' }, 400)
+    }
+
+    let payload
+    try {
+      payload = decodeBrassToken(token)
+    } catch {
+      return c.json({ error: 'Invalid BRASS token format' }, 400)
+    }
+
+    // Read from a clone, so handlers can still call c.req.json(). A body an
+    // earlier middleware already read is in Hono's cache
+    const body = c.req.raw.bodyUsed
+      ? new Uint8Array(await c.req.arrayBuffer())
+      : await readRequestBody(c.req.raw, limit)
+    if (!body || body.byteLength > limit) {
+      return c.json({ error: 'Request body too large' }, 413)
+    }
+
+    const scope = typeof options.scope === 'function' ? options.scope(c) : options.scope || 'generic'
+    const result = await verifier.verify(
+      withHttpContext(payload, { method: c.req.method, path: c.req.path, body }),
+      {
+        origin: c.req.header('origin') || '',
+        scope,
+        clientIp: c.req.header('cf-connecting-ip') || c.req.header('x-forwarded-for')?.split(',')[0].trim() || '',
+        userAgent: c.req.header('user-agent') || '',
+      }
+    )
+
+    c.set('brass', result)
+    const headers = rateLimitHeaders(result)
+    for (const [name, value] of Object.entries(headers)) c.header(name, value)
+
+    if (!result.success) {
+      if (options.onRejected) return withHeaders(await options.onRejected(c, result), headers)
+      return c.json(
+        {
+          error: result.error || 'Verification failed',
+          remaining: result.remaining || 0,
+          resetAt: result.resetAt,
+        },
+        failureStatus(result)
+      )
+    }
+
+    if (options.onVerified) await options.onVerified(c, result)
+    await next()
+  })
+}
+
+export default brassMiddleware
+export type { BrassVerifierConfig, BrassSpendPayload, VerificationResult } from '@brassproof/verifier'
@@ -1,10 +1,21 @@
 'use client'
 
-import { useState, useCallback } from 'react'
+import { useState, useCallback, useRef } from 'react'
+import {
+  mintEpochPass,
+  buildSpend,
+  encodeSpend,
+  currentEpochDays,
+  type BrassToken,
+} from '@brassproof/client'
 
 export interface UseBrassOptions {
   issuerUrl?: string
+  /** Issuer public key (base64url). When set, the issuer's proof is checked before a pass is used */
+  issuerPublicKey?: string
   scope?: string
+  /** Solve the issuer's proof-of-work challenge when minting a pass */
+  pow?: boolean
   onError?: (error: Error) => void
   onSuccess?: (result: { remaining?: number }) => void
 }
@@ -25,7 +36,10 @@ export function useBrass(options: UseBrassOptions = {}): UseBrassReturn {
   const [error, setError] = useState<Error | null>(null)
   const [remaining, setRemaining] = useState<number | null>(null)
 
-  const issuerUrl = options.issuerUrl || 'https://issuer.brassproof.com'
+  // Epoch passes are reusable for the whole epoch; spends are built per request
+  const passRef = useRef<BrassToken | null>(null)
+
+  const issuerUrl = options.issuerUrl || 'https://issuer.brassproof.com/issue'
   const scope = options.scope || 'generic'
 
   const mintAndSubmit = useCallback(
@@ -38,14 +52,44 @@ export function useBrass(options: UseBrassOptions = {}): UseBrassReturn {
       setError(null)
 
       try {
-        const response = await fetch(endpoint, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...fetchOptions.headers,
-          },
-          body: JSON.stringify(data),
+        const url = new URL(endpoint, window.location.href)
+        const method = (fetchOptions.method || 'POST').toUpperCase()
+        const body = JSON.stringify(data)
+
+        const epoch = currentEpochDays()
+        let token = passRef.current
+        if (!token || token.epoch !== epoch || token.origin !== url.origin || token.subPolicy !== scope) {
+          token = await mintEpochPass({
+            originCanonical: url.origin,
+            subPolicy: scope,
+            epoch,
+            issuerUrl,
+            issuerPublicKey: options.issuerPublicKey,
+            pow: options.pow,
+          })
+          passRef.current = token
+        }
+
+        // Bind the spend to the exact bytes we send. The token travels in a
+        // header because it cannot be part of the body it is bound to.
+        const spend = buildSpend({
+          token,
+          httpMethod: method,
+          normalizedPath: url.pathname,
+          bodyBytes: body,
+          config: { AADr: `v1|policy=${scope}` },
+        })
+
+        // Headers instances and [name, value] arrays do not spread; merge them properly
+        const headers = new Headers(fetchOptions.headers)
+        if (!headers.has('Content-Type')) headers.set('Content-Type', 'application/json')
+        headers.set('X-BRASS-Token', encodeSpend(spend))
+
+        const response = await fetch(url.toString(), {
           ...fetchOptions,
+          method,
+          headers,
+          body,
         })
 
         if (!response.ok) {
@@ -67,11 +111,11 @@ export function useBrass(options: UseBrassOptions = {}): UseBrassReturn {
       } catch (err) {
         const error = err instanceof Error ? err : new Error('Unknown error occurred')
         setError(error)
-        
+
         if (options.onError) {
           options.onError(error)
         }
-        
+
         throw error
       } finally {
         setIsLoading(false)
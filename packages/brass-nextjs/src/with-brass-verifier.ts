@@ -1,10 +1,32 @@
 import { NextRequest, NextResponse } from 'next/server'
-import { createBrassVerifier, type BrassVerifierConfig, type BrassSpendPayload } from '@brassproof/verifier'
+import {
+  createBrassVerifier,
+  parseIssuerKeys,
+  decodeBrassToken,
+  withHttpContext,
+  rateLimitHeaders,
+  failureStatus,
+  parseBodyLimit,
+  readRequestBody,
+  BRASS_TOKEN_HEADER,
+  type BrassVerifier,
+  type BrassVerifierConfig,
+  type BrassSpendPayload,
+  type ShadowDenial,
+  type VerificationResult,
+} from '@brassproof/verifier'
 
 export interface WithBrassVerifierOptions extends Omit<BrassVerifierConfig, 'secretKey' | 'issuerPublicKey'> {
   scope?: string
+  /**
+   * Largest body the wrapper reads to bind the spend, in bytes or as '100kb' / '1mb'
+   * (default: '100kb'). Larger requests get 413.
+   */
+  limit?: number | string
   onVerified?: (result: { remaining: number; resetAt: number }) => void | Promise<void>
   onRateLimited?: (result: { remaining: number; resetAt: number }) => NextResponse | Promise<NextResponse>
+  /** Shadow mode (`mode: 'shadow'` or BRASS_MODE=shadow): called for each request that would have been rejected */
+  onShadowDenied?: (denial: ShadowDenial) => void | Promise<void>
 }
 
 export type BrassProtectedHandler = (
@@ -12,52 +34,107 @@ export type BrassProtectedHandler = (
   context: { params: Record<string, string | string[]> }
 ) => Promise<NextResponse> | NextResponse
 
+// RateLimit-* (and Retry-After on enforced denials) from the verification,
+// unless the response already sets them
+function withRateLimitHeaders<T extends Response>(response: T, result?: VerificationResult): T {
+  if (!result) return response
+  for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+    if (!response.headers.has(name)) response.headers.set(name, value)
+  }
+  return response
+}
+
+/**
+ * Wrap a Next.js route handler so it only runs for verified BRASS requests
+ *
+ * The spend comes from the `X-BRASS-Token` header and is bound to the request
+ * the server received: method, path (without query string) and a SHA-256 of
+ * the exact body bytes. Client-supplied `http_*` fields are overwritten. The
+ * body is read from a clone, so the handler can still read it.
+ *
+ * Verified and rate-limited responses carry RateLimit-Limit, RateLimit-Remaining
+ * and RateLimit-Reset headers. Rate-limited requests get 429 with Retry-After,
+ * invalid tokens 401, bodies over `limit` 413.
+ *
+ * In shadow mode the handler runs for every request; rejections it would have
+ * sent (missing or invalid tokens included) go to `onShadowDenied` instead.
+ *
+ * @example
+ * ```typescript
+ * export const POST = withBrassVerifier(async (request) => {
+ *   const { comment } = await request.json()
+ *   return NextResponse.json({ ok: true })
+ * }, { scope: 'comment-submission' })
+ * ```
+ */
 export function withBrassVerifier(
   handler: BrassProtectedHandler,
   options: WithBrassVerifierOptions = {}
 ) {
+  // One verifier per wrapped handler, so its store (in-memory by default) and
+  // key cache outlive a single request
+  let verifier: BrassVerifier | undefined
+  const limit = parseBodyLimit(options.limit)
+
   return async (
     request: NextRequest,
     context: { params: Record<string, string | string[]> } = { params: {} }
   ): Promise<NextResponse> => {
+    const mode = options.mode || (process.env.BRASS_MODE as WithBrassVerifierOptions['mode'])
+
+    // Enforce mode sends the rejection; shadow mode reports it and runs the handler
+    const reject = async (status: number, body: { error: string; [key: string]: unknown }, result?: VerificationResult) => {
+      if (mode !== 'shadow') return withRateLimitHeaders(NextResponse.json(body, { status }), result)
+      if (options.onShadowDenied) await options.onShadowDenied({ status, error: body.error, result })
+      return withRateLimitHeaders(await handler(request, context), result)
+    }
+
     try {
       const secretKey = process.env.BRASS_SECRET_KEY
       const issuerPublicKey = process.env.BRASS_ISSUER_PUBKEY
+      const issuerKeysJson = process.env.BRASS_ISSUER_KEYS
+      const issuerUrl = options.issuerUrl || process.env.BRASS_ISSUER_URL
 
-      if (!secretKey || !issuerPublicKey) {
-        console.error('BRASS_SECRET_KEY or BRASS_ISSUER_PUBKEY not configured')
-        return NextResponse.json(
-          { error: 'Server configuration error' },
-          { status: 500 }
-        )
+      if (!secretKey || (!issuerPublicKey && !issuerKeysJson && !issuerUrl)) {
+        console.error('BRASS_SECRET_KEY or an issuer key (BRASS_ISSUER_PUBKEY, BRASS_ISSUER_KEYS or BRASS_ISSUER_URL) not configured')
+        return await reject(500, { error: 'Server configuration error' })
       }
 
-      const body = await request.json()
-      const brassToken = body.brassToken || request.headers.get('x-brass-token')
+      // The spend is bound to the body, so it travels in a header
+      const brassToken = request.headers.get(BRASS_TOKEN_HEADER)
 
       if (!brassToken) {
-        return NextResponse.json(
-          { error: 'Missing BRASS token' },
-          { status: 400 }
-        )
+        return await reject(400, { error: 'Missing BRASS token' })
       }
 
       let payload: BrassSpendPayload
       try {
-        payload = typeof brassToken === 'string' 
-          ? JSON.parse(Buffer.from(brassToken, 'base64').toString())
-          : brassToken
+        payload = decodeBrassToken(brassToken)
       } catch {
-        return NextResponse.json(
-          { error: 'Invalid BRASS token format' },
-          { status: 400 }
-        )
+        return await reject(400, { error: 'Invalid BRASS token format' })
+      }
+
+      // Bind to the request as received: the path the client requested (before
+      // basePath stripping) and the exact body bytes, read from a clone so the
+      // handler can still call request.json()
+      const body = await readRequestBody(request, limit)
+      if (!body) {
+        return NextResponse.json({ error: 'Request body too large' }, { status: 413 })
       }
+      payload = withHttpContext(payload, {
+        method: request.method,
+        path: new URL(request.url).pathname,
+        body,
+      })
 
-      const verifier = createBrassVerifier({
+      verifier = verifier || createBrassVerifier({
         secretKey,
         issuerPublicKey,
+        issuerPublicKeys: issuerKeysJson ? parseIssuerKeys(issuerKeysJson) : undefined,
+        issuerDirectoryKey: process.env.BRASS_ISSUER_DIRECTORY_KEY,
         ...options,
+        issuerUrl,
+        mode,
       })
 
       const origin = request.headers.get('origin') || ''
@@ -70,22 +147,30 @@ export function withBrassVerifier(
         userAgent: request.headers.get('user-agent') || '',
       })
 
+      if (result.shadow && !result.shadow.wouldSucceed) {
+        return await reject(failureStatus(result), {
+          error: result.shadow.error || 'Verification failed',
+          remaining: result.remaining || 0,
+          resetAt: result.resetAt,
+        }, result)
+      }
+
       if (!result.success) {
+        // A shadow-mode verifier only fails on errors (e.g. a store outage), never on denials
+        if (mode === 'shadow') throw new Error(result.error || 'Verification failed')
+
         if (options.onRateLimited && result.remaining !== undefined && result.resetAt) {
-          return await options.onRateLimited({
+          return withRateLimitHeaders(await options.onRateLimited({
             remaining: result.remaining,
             resetAt: result.resetAt,
-          })
+          }), result)
         }
 
-        return NextResponse.json(
-          { 
-            error: result.error || 'Verification failed',
-            remaining: result.remaining || 0,
-            resetAt: result.resetAt,
-          },
-          { status: 429 }
-        )
+        return await reject(failureStatus(result), {
+          error: result.error || 'Verification failed',
+          remaining: result.remaining || 0,
+          resetAt: result.resetAt,
+        }, result)
       }
 
       if (options.onVerified && result.remaining !== undefined && result.resetAt) {
@@ -95,7 +180,7 @@ export function withBrassVerifier(
         })
       }
 
-      return await handler(request, context)
+      return withRateLimitHeaders(await handler(request, context), result)
     } catch (error) {
       console.error('BRASS verification error:', error)
       return NextResponse.json(
@@ -0,0 +1,13 @@
+/**
+ * Protocol labels (Strict Privacy Mode v1.1, INTERMEDIATE).
+ * Clients, issuers and verifiers must agree on every one of these.
+ */
+export const DST_H1 = 'OPRF_METERING_H1_v1'
+export const LABEL_DLEQ = 'OPRF_METERING_DLEQ_v1'
+export const LABEL_Y = 'OPRF_METERING_Y_v1'
+export const LABEL_HTTP_CTX = 'HTTP_CTX_v1'
+export const LABEL_BIND = 'BIND_v1'
+export const LABEL_BATCH = 'OPRF_METERING_BATCH_v1'
+
+/** Largest batch an issuer evaluates under one πI */
+export const BATCH_MAX = 32
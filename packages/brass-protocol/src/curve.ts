@@ -0,0 +1,57 @@
+import { p256, hashToCurve as h2c } from '@noble/curves/p256'
+import { randomBytes } from '@noble/hashes/utils'
+import { b64u, b64ud, bytesToBig } from './encoding'
+
+export type Point = InstanceType<typeof p256.ProjectivePoint>
+
+export const G: Point = p256.ProjectivePoint.BASE
+export const n = p256.CURVE.n
+
+export function modN(x: bigint): bigint {
+  const r = x % n
+  return r < 0n ? r + n : r
+}
+
+// Modular inverse (extended Euclidean)
+export function modInv(a: bigint, m: bigint = n): bigint {
+  let [oldR, r] = [modN(a), m]
+  let [oldS, s] = [1n, 0n]
+  while (r !== 0n) {
+    const q = oldR / r
+    ;[oldR, r] = [r, oldR - q * r]
+    ;[oldS, s] = [s, oldS - q * s]
+  }
+  return modN(oldS)
+}
+
+export function randScalar(): bigint {
+  let r: bigint
+  do {
+    r = modN(bytesToBig(randomBytes(32)))
+  } while (r === 0n)
+  return r
+}
+
+export function hashToCurve(input: Uint8Array, dst: string): Point {
+  return p256.ProjectivePoint.fromAffine(h2c(input, { DST: dst }).toAffine())
+}
+
+/**
+ * Decode a compressed point (base64url), rejecting off-curve points,
+ * non-canonical encodings and the point at infinity
+ *
+ * @throws {Error} invalid_point_encoding or invalid_point_infinity
+ */
+export function decodePoint(b64: string): Point {
+  let P: Point
+  try {
+    P = p256.ProjectivePoint.fromHex(b64ud(b64))
+  } catch {
+    throw new Error('invalid_point_encoding')
+  }
+  if (P.equals(p256.ProjectivePoint.ZERO)) throw new Error('invalid_point_infinity')
+  P.assertValidity()
+  return P
+}
+
+export const encodePoint = (P: Point): string => b64u(P.toRawBytes(true))
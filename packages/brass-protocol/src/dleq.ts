@@ -0,0 +1,128 @@
+import { p256 } from '@noble/curves/p256'
+import { LABEL_BATCH, LABEL_DLEQ } from './constants'
+import { b64u, b64ud, bigToBytes32, bytesToBig, Hlabel } from './encoding'
+import { G, modN, randScalar, type Point } from './curve'
+
+export interface DleqProof {
+  c: string // base64url
+  r: string // base64url
+}
+
+/**
+ * Fiat-Shamir challenge: H('BRASS:<label>:', g1, h1, g2, h2, A1, A2[, bind]) mod n
+ */
+export function dleqChallenge(params: {
+  label: string
+  g1: Point
+  h1: Point
+  g2: Point
+  h2: Point
+  A1: Point
+  A2: Point
+  bind?: Uint8Array
+}): bigint {
+  const { label, g1, h1, g2, h2, A1, A2, bind } = params
+  const parts = [g1, h1, g2, h2, A1, A2].map((pt) => pt.toRawBytes(true))
+  return modN(bytesToBig(Hlabel(label, ...parts, ...(bind ? [bind] : []))))
+}
+
+const decodeProof = (proof: DleqProof) => ({ c: bytesToBig(b64ud(proof.c)), r: bytesToBig(b64ud(proof.r)) })
+
+const encodeProof = (c: bigint, r: bigint): DleqProof => ({ c: b64u(bigToBytes32(c)), r: b64u(bigToBytes32(r)) })
+
+/**
+ * Issuer proof πI: log_G(Y) == log_M(Z), for Z = k·M
+ *
+ * `alpha` is the proof nonce; only test vectors pass a fixed one.
+ */
+export function proveIssuer(
+  k: bigint,
+  Y: Point,
+  M: Point,
+  Z: Point,
+  label: string = LABEL_DLEQ,
+  alpha: bigint = randScalar()
+): DleqProof {
+  const A1 = G.multiply(alpha)
+  const A2 = M.multiply(alpha)
+  const c = dleqChallenge({ label, g1: G, h1: Y, g2: M, h2: Z, A1, A2 })
+  return encodeProof(c, modN(alpha - c * k))
+}
+
+/**
+ * Verify πI: A1 = r·G + c·Y, A2 = r·M + c·Z must reproduce c
+ */
+export function verifyIssuerProof(proof: DleqProof, Y: Point, M: Point, Z: Point, label: string = LABEL_DLEQ): boolean {
+  try {
+    const { c, r } = decodeProof(proof)
+    const A1 = G.multiply(r).add(Y.multiply(c))
+    const A2 = M.multiply(r).add(Z.multiply(c))
+    return dleqChallenge({ label, g1: G, h1: Y, g2: M, h2: Z, A1, A2 }) === c
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Composite points for a batch under one πI
+ *
+ * seed = H(LABEL_BATCH, Y, len, M_0, Z_0, …), e_i = H(LABEL_BATCH, seed, i) mod n,
+ * M̄ = Σ e_i·M_i, Z̄ = Σ e_i·Z_i
+ *
+ * @throws {Error} invalid_batch if the batch is empty or M/Z lengths differ
+ */
+export function batchComposite(Y: Point, Ms: Point[], Zs: Point[]): { M: Point; Z: Point } {
+  if (Ms.length === 0 || Ms.length !== Zs.length) throw new Error('invalid_batch')
+
+  const transcript = Ms.flatMap((Mi, i) => [Mi.toRawBytes(true), Zs[i].toRawBytes(true)])
+  const seed = Hlabel(LABEL_BATCH, Y.toRawBytes(true), String(Ms.length), ...transcript)
+
+  let M = p256.ProjectivePoint.ZERO
+  let Z = p256.ProjectivePoint.ZERO
+  for (let i = 0; i < Ms.length; i++) {
+    const e = modN(bytesToBig(Hlabel(LABEL_BATCH, seed, String(i)))) || 1n
+    M = M.add(Ms[i].multiply(e))
+    Z = Z.add(Zs[i].multiply(e))
+  }
+  return { M, Z }
+}
+
+/**
+ * Verify a batched πI over every (M_i, Z_i)
+ */
+export function verifyIssuerBatchProof(proof: DleqProof, Y: Point, Ms: Point[], Zs: Point[], label: string = LABEL_DLEQ): boolean {
+  const composite = batchComposite(Y, Ms, Zs)
+  return verifyIssuerProof(proof, Y, composite.M, composite.Z, label)
+}
+
+/**
+ * Client proof πC (Schnorr-style): knowledge of r with M = r·P, bound to `bind`.
+ * The second commitment is the bare generator.
+ *
+ * `w` is the proof nonce; only test vectors pass a fixed one.
+ */
+export function proveClient(
+  P: Point,
+  M: Point,
+  r: bigint,
+  bind: Uint8Array,
+  label: string = LABEL_DLEQ,
+  w: bigint = randScalar()
+): DleqProof {
+  const A1 = P.multiply(w)
+  const c = dleqChallenge({ label, g1: P, h1: M, g2: G, h2: G, A1, A2: G, bind })
+  return encodeProof(c, modN(w - c * r))
+}
+
+/**
+ * Verify πC: A1 = r·P + c·M must reproduce c under the same binder
+ */
+export function verifyClientProof(proof: DleqProof, P: Point, M: Point, bind: Uint8Array, label: string = LABEL_DLEQ): boolean {
+  try {
+    const { c, r } = decodeProof(proof)
+    const A1 = P.multiply(r).add(M.multiply(c))
+    return dleqChallenge({ label, g1: P, h1: M, g2: G, h2: G, A1, A2: G, bind }) === c
+  } catch {
+    return false
+  }
+}
@@ -0,0 +1,64 @@
+import { sha256 } from '@noble/hashes/sha256'
+import { bytesToHex, hexToBytes, utf8ToBytes } from '@noble/hashes/utils'
+
+export type Bytes = string | Uint8Array
+
+export const u8 = (s: Bytes): Uint8Array => (typeof s === 'string' ? utf8ToBytes(s) : s)
+
+// Works in browsers, workers and Node 16+ (btoa/atob are globals everywhere we run)
+export function b64u(bytes: Uint8Array): string {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i])
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '')
+}
+
+export function b64ud(s: string): Uint8Array {
+  let b64 = s.replace(/-/g, '+').replace(/_/g, '/')
+  while (b64.length % 4) b64 += '='
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0))
+}
+
+/**
+ * Length-prefixed concatenation: len(p_0) || p_0 || len(p_1) || p_1 || …
+ *
+ * Lengths are 4-byte big-endian. Unlike plain concatenation, ['a|b', 'c'] and
+ * ['a', 'b|c'] encode differently, so no two part lists share a transcript.
+ */
+export function lengthPrefixConcat(parts: Bytes[]): Uint8Array {
+  const bytes = parts.map(u8)
+  const out = new Uint8Array(bytes.reduce((sum, b) => sum + 4 + b.length, 0))
+  const view = new DataView(out.buffer)
+  let offset = 0
+  for (const b of bytes) {
+    view.setUint32(offset, b.length)
+    out.set(b, offset + 4)
+    offset += 4 + b.length
+  }
+  return out
+}
+
+/**
+ * Protocol hash: SHA-256 over the length-prefixed parts
+ */
+export const H = (...parts: Bytes[]): Uint8Array => sha256(lengthPrefixConcat(parts))
+
+/**
+ * Domain-separated protocol hash: H('BRASS:<label>:', ...parts)
+ */
+export const Hlabel = (label: string, ...parts: Bytes[]): Uint8Array => H(`BRASS:${label}:`, ...parts)
+
+export const bytesToBig = (b: Uint8Array): bigint => BigInt('0x' + (bytesToHex(b) || '0'))
+
+export function bigToBytes32(x: bigint): Uint8Array {
+  return hexToBytes(x.toString(16).padStart(64, '0'))
+}
+
+/**
+ * Constant-time byte comparison
+ */
+export function ctEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false
+  let v = 0
+  for (let i = 0; i < a.length; i++) v |= a[i] ^ b[i]
+  return v === 0
+}
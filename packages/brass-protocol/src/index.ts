@@ -0,0 +1,32 @@
+/**
+ * @brassproof/protocol
+ *
+ * The BRASS protocol core shared by the client, the issuers and every verifier:
+ * encodings, hashing, DLEQ proofs (single and batched) and spend verification.
+ */
+
+export * from './constants'
+export { u8, b64u, b64ud, lengthPrefixConcat, H, Hlabel, bytesToBig, bigToBytes32, ctEqual, type Bytes } from './encoding'
+export { G, n, modN, modInv, randScalar, hashToCurve, decodePoint, encodePoint, type Point } from './curve'
+export {
+  dleqChallenge,
+  proveIssuer,
+  verifyIssuerProof,
+  batchComposite,
+  verifyIssuerBatchProof,
+  proveClient,
+  verifyClientProof,
+  type DleqProof,
+} from './dleq'
+export {
+  requestBinding,
+  nullifier,
+  idempotencyKey,
+  spendBinder,
+  issuerProofPoints,
+  verifySpend,
+  SPEND_ERRORS,
+  type SpendProof,
+  type SpendError,
+  type SpendCheck,
+} from './spend'
@@ -0,0 +1,170 @@
+import { sha256 } from '@noble/hashes/sha256'
+import { BATCH_MAX, LABEL_BIND, LABEL_HTTP_CTX, LABEL_Y } from './constants'
+import { b64ud, ctEqual, H, Hlabel, u8, type Bytes } from './encoding'
+import { decodePoint, type Point } from './curve'
+import { batchComposite, verifyClientProof, verifyIssuerProof, type DleqProof } from './dleq'
+
+/**
+ * Proof fields of a spend, as built by the client and checked by every verifier
+ */
+export interface SpendProof {
+  KID: string
+  AADr: string
+  y: string // base64url
+  eta: string // base64url
+  c: string // base64url
+  P: string // base64url
+  M: string // base64url
+  Z: string // base64url
+  Zprime: string // base64url
+  piI: DleqProof
+  /** Batch-minted tokens: πI covers the composite of every (M, Z) in the batch */
+  piI_batch?: { M: string[]; Z: string[] }
+  piC: DleqProof
+  /** Client's view of d; compared with the verifier's when present */
+  d_client?: string
+}
+
+/**
+ * Error codes returned by verifySpend
+ */
+export const SPEND_ERRORS = {
+  INVALID_POINT: 'invalid_point_encoding',
+  INVALID_PI_I: 'invalid_piI',
+  INVALID_PI_I_BATCH: 'invalid_piI_batch',
+  D_MISMATCH: 'd_mismatch',
+  INVALID_PI_C: 'invalid_piC',
+  Y_MISMATCH: 'y_mismatch',
+} as const
+
+export type SpendError = (typeof SPEND_ERRORS)[keyof typeof SPEND_ERRORS]
+
+export type SpendCheck = { ok: true } | { ok: false; error: SpendError }
+
+/**
+ * Request binding d = H(HTTP_CTX_v1, METHOD, path, sha256(body))
+ */
+export function requestBinding(method: string, path: string, body: Bytes | { hash: Uint8Array }): Uint8Array {
+  const bodyHash = typeof body === 'object' && 'hash' in body ? body.hash : sha256(u8(body))
+  return Hlabel(LABEL_HTTP_CTX, method.toUpperCase(), path, bodyHash)
+}
+
+/**
+ * Nullifier y = H(LABEL_Y, Z′, KID, AADr, η)
+ */
+export function nullifier(Zprime: Point, KID: string, AADr: string, eta: Uint8Array): Uint8Array {
+  return Hlabel(LABEL_Y, Zprime.toRawBytes(true), KID, AADr, eta)
+}
+
+/**
+ * Idempotency key IK = H('IK', y, c): replay-cache key for one redemption
+ */
+export function idempotencyKey(y: Uint8Array, c: Uint8Array): Uint8Array {
+  return H('IK', y, c)
+}
+
+/**
+ * Binder πC is bound to: H(BIND_v1, y, c, d, AADr, KID, η)
+ */
+export function spendBinder(parts: {
+  y: Uint8Array
+  c: Uint8Array
+  d: Uint8Array
+  AADr: string
+  KID: string
+  eta: Uint8Array
+}): Uint8Array {
+  const { y, c, d, AADr, KID, eta } = parts
+  return Hlabel(LABEL_BIND, y, c, d, AADr, KID, eta)
+}
+
+/**
+ * Points the spend's πI must be checked against
+ *
+ * Tokens from a batch carry `piI_batch: { M: [...], Z: [...] }` (base64url). The
+ * token's own M/Z must appear at the same index; πI then proves the composite.
+ * Single-issuance tokens are checked against their own M/Z.
+ *
+ * @throws {Error} invalid_piI_batch if the batch is malformed or does not contain the token
+ */
+export function issuerProofPoints(
+  spend: Pick<SpendProof, 'M' | 'Z' | 'piI_batch'>,
+  Y: Point,
+  M: Point,
+  Z: Point
+): { M: Point; Z: Point } {
+  const batch = spend.piI_batch
+  if (!batch) return { M, Z }
+
+  const { M: Ms, Z: Zs } = batch
+  if (!Array.isArray(Ms) || !Array.isArray(Zs) || Ms.length !== Zs.length || Ms.length === 0 || Ms.length > BATCH_MAX) {
+    throw new Error(SPEND_ERRORS.INVALID_PI_I_BATCH)
+  }
+  const i = Ms.indexOf(spend.M)
+  if (i === -1 || Zs[i] !== spend.Z) throw new Error(SPEND_ERRORS.INVALID_PI_I_BATCH)
+
+  try {
+    return batchComposite(Y, Ms.map(decodePoint), Zs.map(decodePoint))
+  } catch {
+    throw new Error(SPEND_ERRORS.INVALID_PI_I_BATCH)
+  }
+}
+
+/**
+ * Verify the cryptographic part of a spend: πI (single or batched), the request
+ * binding d, πC over the binder, and the nullifier y
+ *
+ * Rate limiting, replay protection and key selection stay with the caller.
+ *
+ * @example
+ * ```typescript
+ * const d = requestBinding(request.method, url.pathname, bodyBytes)
+ * const check = verifySpend(spend, { Y: decodePoint(issuerKey.Y), d })
+ * if (!check.ok) return json({ error: check.error }, 401)
+ * ```
+ */
+export function verifySpend(spend: SpendProof, context: { Y: Point; d: Uint8Array }): SpendCheck {
+  const { Y, d } = context
+
+  let P: Point, M: Point, Z: Point, Zprime: Point
+  try {
+    P = decodePoint(spend.P)
+    M = decodePoint(spend.M)
+    Z = decodePoint(spend.Z)
+    Zprime = decodePoint(spend.Zprime)
+  } catch {
+    return { ok: false, error: SPEND_ERRORS.INVALID_POINT }
+  }
+
+  let proofPts: { M: Point; Z: Point }
+  try {
+    proofPts = issuerProofPoints(spend, Y, M, Z)
+  } catch {
+    return { ok: false, error: SPEND_ERRORS.INVALID_PI_I_BATCH }
+  }
+  if (!spend.piI || !verifyIssuerProof(spend.piI, Y, proofPts.M, proofPts.Z)) {
+    return { ok: false, error: SPEND_ERRORS.INVALID_PI_I }
+  }
+
+  if (spend.d_client && !ctEqual(d, b64ud(spend.d_client))) {
+    return { ok: false, error: SPEND_ERRORS.D_MISMATCH }
+  }
+
+  let y: Uint8Array, eta: Uint8Array, bind: Uint8Array
+  try {
+    y = b64ud(spend.y)
+    eta = b64ud(spend.eta)
+    bind = spendBinder({ y, c: b64ud(spend.c), d, AADr: spend.AADr, KID: spend.KID, eta })
+  } catch {
+    return { ok: false, error: SPEND_ERRORS.INVALID_PI_C }
+  }
+  if (!spend.piC || !verifyClientProof(spend.piC, P, M, bind)) {
+    return { ok: false, error: SPEND_ERRORS.INVALID_PI_C }
+  }
+
+  if (!ctEqual(y, nullifier(Zprime, spend.KID, spend.AADr, eta))) {
+    return { ok: false, error: SPEND_ERRORS.Y_MISMATCH }
+  }
+
+  return { ok: true }
+}
@@ -0,0 +1,162 @@
+/**
+ * Generates brass-v1.json from fixed inputs. Rerun only for an intentional
+ * protocol change, and bump the vector version when outputs change:
+ *
+ *   npx tsx packages/brass-protocol/test-vectors/generate.ts
+ */
+import { writeFileSync } from 'node:fs'
+import { sha256 } from '@noble/hashes/sha256'
+import { hexToBytes } from '@noble/hashes/utils'
+import {
+  G,
+  b64u,
+  bigToBytes32,
+  batchComposite,
+  encodePoint,
+  hashToCurve,
+  idempotencyKey,
+  modInv,
+  nullifier,
+  proveClient,
+  proveIssuer,
+  requestBinding,
+  spendBinder,
+  u8,
+  DST_H1,
+} from '../src'
+
+// Fixed inputs. Scalars are hex; byte strings are hex and published as base64url.
+const ISSUER = {
+  KID: 'kid-vectors-v1',
+  k: '6b2f3c1d8e4a5b7c9d0e1f2a3b4c5d6e7f8091a2b3c4d5e6f708192a3b4c5d6e',
+  alpha: '1a2b3c4d5e6f708192a3b4c5d6e7f8091a2b3c4d5e6f708192a3b4c5d6e7f80',
+}
+const ORIGIN = 'https://example.com'
+const EPOCH = 20500
+const AADr = 'v1|policy=comments'
+const HTTP = { method: 'POST', path: '/api/comments', body: '{"comment":"hello"}' }
+
+const PASSES = [
+  { subPolicy: 'comments', r: '0d1c2b3a4958677685a4b3c2d1e0f0e1d2c3b4a5968778695a4b3c2d1e0f0a1b' },
+  { subPolicy: 'comments', r: '2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90a1b' },
+  { subPolicy: 'signup', r: '4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d' },
+]
+const SPEND = {
+  c: '00112233445566778899aabbccddeeff',
+  eta: 'ffeeddccbbaa99887766554433221100',
+  w: '3f2e1d0c1b2a39485766758493a2b1c0d0e1f2031425364758697a8b9cadbecf',
+}
+
+const scalar = (hex: string) => BigInt('0x' + hex)
+const k = scalar(ISSUER.k)
+const Y = G.multiply(k)
+const c = hexToBytes(SPEND.c)
+const eta = hexToBytes(SPEND.eta)
+const d = requestBinding(HTTP.method, HTTP.path, HTTP.body)
+
+function evaluate(pass: (typeof PASSES)[number]) {
+  const P = hashToCurve(u8(`${ORIGIN}||${EPOCH}||${pass.subPolicy}`), DST_H1)
+  const r = scalar(pass.r)
+  const M = P.multiply(r)
+  const Z = M.multiply(k)
+  return { P, r, M, Z, Zprime: Z.multiply(modInv(r)) }
+}
+
+function token(pass: ReturnType<typeof evaluate>, subPolicy: string, piI: ReturnType<typeof proveIssuer>) {
+  return {
+    KID: ISSUER.KID,
+    origin: ORIGIN,
+    epoch: EPOCH,
+    subPolicy,
+    P: encodePoint(pass.P),
+    M: encodePoint(pass.M),
+    Z: encodePoint(pass.Z),
+    Zprime: encodePoint(pass.Zprime),
+    piI,
+    r: b64u(bigToBytes32(pass.r)),
+  }
+}
+
+// Spend for HTTP with the fixed nonces; `y` overrides the nullifier (negative vectors only)
+function spend(t: ReturnType<typeof token>, pass: ReturnType<typeof evaluate>, y: Uint8Array = nullifier(pass.Zprime, t.KID, AADr, eta)) {
+  const piC = proveClient(pass.P, pass.M, pass.r, spendBinder({ y, c, d, AADr, KID: t.KID, eta }), undefined, scalar(SPEND.w))
+  return {
+    KID: t.KID,
+    AADr,
+    origin: t.origin,
+    epoch: t.epoch,
+    y: b64u(y),
+    eta: b64u(eta),
+    c: b64u(c),
+    P: t.P,
+    M: t.M,
+    Z: t.Z,
+    Zprime: t.Zprime,
+    piI: t.piI,
+    piC,
+    d_client: b64u(d),
+    http_method: HTTP.method,
+    http_path: HTTP.path,
+    http_body_hash_b64: b64u(sha256(u8(HTTP.body))),
+  }
+}
+
+// Single issuance: pass 0
+const single = evaluate(PASSES[0])
+const singleToken = token(single, PASSES[0].subPolicy, proveIssuer(k, Y, single.M, single.Z, undefined, scalar(ISSUER.alpha)))
+const singleSpend = spend(singleToken, single)
+const y = nullifier(single.Zprime, ISSUER.KID, AADr, eta)
+
+// Batch issuance: all passes under one πI; the spend uses pass 1
+const batch = PASSES.map(evaluate)
+const composite = batchComposite(Y, batch.map((b) => b.M), batch.map((b) => b.Z))
+const batchPiI = proveIssuer(k, Y, composite.M, composite.Z, undefined, scalar(ISSUER.alpha))
+const piIBatch = { M: batch.map((b) => encodePoint(b.M)), Z: batch.map((b) => encodePoint(b.Z)) }
+const batchToken = { ...token(batch[1], PASSES[1].subPolicy, batchPiI), piIBatch }
+const batchSpend = { ...spend(batchToken, batch[1]), piI_batch: piIBatch }
+
+const [firstM, ...restM] = piIBatch.M
+
+const vectors = {
+  version: 'BRASS-v1',
+  suite: 'P256_SHA256',
+  description: 'Deterministic BRASS protocol vectors. Inputs (k, r, alpha, w, c, eta) are hex; points, proofs and hashes are base64url.',
+  issuer: { KID: ISSUER.KID, k: ISSUER.k, alpha: ISSUER.alpha, Y: encodePoint(Y) },
+  http: HTTP,
+  spendInputs: { AADr, ...SPEND },
+  single: {
+    pass: { origin: ORIGIN, epoch: EPOCH, subPolicy: PASSES[0].subPolicy, r: PASSES[0].r },
+    expected: {
+      P: singleToken.P,
+      M: singleToken.M,
+      Z: singleToken.Z,
+      piI: singleToken.piI,
+      Zprime: singleToken.Zprime,
+      d: b64u(d),
+      y: b64u(y),
+      piC: singleSpend.piC,
+      IK: b64u(idempotencyKey(y, c)),
+    },
+    token: singleToken,
+    spend: singleSpend,
+  },
+  batch: {
+    passes: PASSES.map((p) => ({ origin: ORIGIN, epoch: EPOCH, ...p })),
+    spendIndex: 1,
+    expected: { M: piIBatch.M, Z: piIBatch.Z, Zprime: batch.map((b) => encodePoint(b.Zprime)), piI: batchPiI, piC: batchSpend.piC },
+    token: batchToken,
+    spend: batchSpend,
+  },
+  // Every verifier must reject these with exactly `error`
+  invalid: [
+    { error: 'invalid_point_encoding', spend: { ...singleSpend, Zprime: 'AAAA' } },
+    { error: 'invalid_piI', spend: { ...singleSpend, piI: { ...singleSpend.piI, r: singleSpend.piI.c } } },
+    { error: 'invalid_piI_batch', spend: { ...batchSpend, piI_batch: { M: [...restM, firstM], Z: piIBatch.Z } } },
+    { error: 'd_mismatch', spend: { ...singleSpend, http_path: '/api/other' } },
+    { error: 'invalid_piC', spend: { ...singleSpend, c: b64u(hexToBytes('ff'.repeat(16))) } },
+    { error: 'y_mismatch', spend: spend(singleToken, single, sha256(u8('not the nullifier'))) },
+  ],
+}
+
+writeFileSync(new URL('./brass-v1.json', import.meta.url), JSON.stringify(vectors, null, 2) + '\n')
+console.log(`brass-v1.json: Y=${vectors.issuer.Y} y=${vectors.single.expected.y}`)
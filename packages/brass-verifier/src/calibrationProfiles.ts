@@ -7,11 +7,28 @@
  * 🚀 ROADMAP: Dynamic profile recommendations launch Q1 2026 with managed service
  */
 
+import { assertValidProfile, type CertificationLevel } from './profileSchema'
+
 export interface CalibrationProfile {
   name: string
+  /** Dotted numeric version ('1.0', '1.1'); pin one with 'name@version' */
   version: string
   description: string
-  certification?: 'brass-verified' | 'community' | 'experimental'
+  /** 'brass-verified' is reserved for built-in profiles; registered profiles default to 'community' */
+  certification?: CertificationLevel
+  
+  /** Set on versions that should no longer be used; createBrassVerifier warns when one is loaded */
+  deprecated?: {
+    /** Why, and what to do instead */
+    message: string
+    /** Date or package version the deprecation started */
+    since?: string
+    /** Profile to move to, e.g. 'comments@2.0' */
+    replacedBy?: string
+  }
+  
+  /** What changed from the previous version; shown to verifiers pinned to an older one */
+  migrationNote?: string
   
   /** Rate limiting configuration */
   rateLimit: {
@@ -23,12 +40,14 @@ export interface CalibrationProfile {
     burstAllowance?: number
   }
   
-  /** Token lifecycle settings */
+  /** Token lifecycle settings (see `TokenPolicy`) */
   tokens: {
-    /** Maximum token age in seconds before expiry */
+    /** Seconds a pass stays valid after its epoch day ends */
     maxAgeSeconds: number
-    /** Whether to allow token reuse (anti-replay) */
+    /** Accept the same spend more than once, up to `maxUses` times */
     allowReuse: boolean
+    /** Times one spend may be accepted when `allowReuse` is true (default: 3) */
+    maxUses?: number
   }
   
   /** Metadata for selection and display */
@@ -53,9 +72,13 @@ export interface ProfileOverrides {
 
 /**
  * Built-in calibration profiles (shipped with OSS package)
+ *
+ * Never change a shipped version in place: add the new version alongside it
+ * (with a `migrationNote`) and mark the old one `deprecated` when it should go
+ * away, so verifiers pinned to 'name@version' keep their limits across upgrades.
  */
-const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
-  'comments': {
+const BUILTIN_PROFILES: CalibrationProfile[] = [
+  {
     name: 'comments',
     version: '1.0',
     description: 'Blog comments, forum posts, user-generated content',
@@ -66,7 +89,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
       burstAllowance: 1
     },
     tokens: {
-      maxAgeSeconds: 300, // 5 minutes
+      maxAgeSeconds: 300, // 5 minutes past the end of the epoch day (00:05 UTC)
       allowReuse: false
     },
     metadata: {
@@ -78,7 +101,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
     }
   },
   
-  'signup': {
+  {
     name: 'signup',
     version: '1.0',
     description: 'User registration and account creation flows',
@@ -89,7 +112,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
       burstAllowance: 2
     },
     tokens: {
-      maxAgeSeconds: 600, // 10 minutes (user may need time to fill form)
+      maxAgeSeconds: 600, // 10 minutes past the end of the epoch day (user may need time to fill form)
       allowReuse: false
     },
     metadata: {
@@ -101,7 +124,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
     }
   },
   
-  'api': {
+  {
     name: 'api',
     version: '1.0',
     description: 'API endpoints and programmatic access',
@@ -112,7 +135,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
       burstAllowance: 20
     },
     tokens: {
-      maxAgeSeconds: 120, // 2 minutes
+      maxAgeSeconds: 120, // 2 minutes past the end of the epoch day (00:02 UTC)
       allowReuse: false
     },
     metadata: {
@@ -124,7 +147,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
     }
   },
   
-  'ecommerce': {
+  {
     name: 'ecommerce',
     version: '1.0',
     description: 'Checkout flows and high-value transactions',
@@ -135,7 +158,7 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
       burstAllowance: 5
     },
     tokens: {
-      maxAgeSeconds: 1800, // 30 minutes (cart abandonment recovery)
+      maxAgeSeconds: 1800, // 30 minutes past the end of the epoch day (cart abandonment recovery)
       allowReuse: false
     },
     metadata: {
@@ -146,27 +169,178 @@ const BUILTIN_PROFILES: Record<string, CalibrationProfile> = {
       warnings: ['Generous limits to avoid cart abandonment - may need tightening for high-fraud verticals']
     }
   }
+]
+
+// Profiles added at runtime (registerProfile, loadProfilesFromDirectory, loadProfilesFromUrl), keyed by name@version
+const registeredProfiles = new Map<string, CalibrationProfile>()
+
+const profileId = (profile: CalibrationProfile) => `${profile.name}@${profile.version}`
+
+const isBuiltinName = (name: string) => BUILTIN_PROFILES.some(p => p.name === name)
+
+// Dotted numeric versions: '1.2' < '1.10', '1' == '1.0'
+function compareVersions(a: string, b: string): number {
+  const pa = a.split('.').map(Number)
+  const pb = b.split('.').map(Number)
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+// Every version of a profile, oldest first
+function profileVersions(name: string): CalibrationProfile[] {
+  return [...BUILTIN_PROFILES, ...registeredProfiles.values()]
+    .filter(p => p.name === name)
+    .sort((a, b) => compareVersions(a.version, b.version))
+}
+
+// 'comments@1.0' → { name: 'comments', version: '1.0' }; profile names cannot contain '@'
+function parseProfileRef(ref: string): { name: string; version?: string } {
+  const at = ref.indexOf('@')
+  return at === -1 ? { name: ref } : { name: ref.slice(0, at), version: ref.slice(at + 1) }
+}
+
+// The pinned version, or else the latest version that is not deprecated (the latest if all are)
+function findProfile(ref: string): CalibrationProfile | undefined {
+  const { name, version } = parseProfileRef(ref)
+  const versions = profileVersions(name)
+  if (version !== undefined) return versions.find(p => p.version === version)
+
+  const current = versions.filter(p => !p.deprecated)
+  const candidates = current.length > 0 ? current : versions
+  return candidates[candidates.length - 1]
+}
+
+export interface RegisterProfileOptions {
+  /** Replace a registered profile with the same name (built-in profiles cannot be replaced) */
+  replace?: boolean
 }
 
 /**
- * Load a calibration profile by name with optional overrides
+ * Register a calibration profile at runtime, e.g. a team-internal profile
+ *
+ * The profile is validated against the profile schema. Without a
+ * `certification` it is registered as 'community'; 'brass-verified' is
+ * reserved for the profiles that ship with this package. Versions of the same
+ * name are kept side by side.
+ *
+ * @example
+ * ```typescript
+ * registerProfile({
+ *   name: 'internal-search',
+ *   version: '1.0',
+ *   description: 'Search API behind the staff SSO',
+ *   certification: 'internal',
+ *   rateLimit: { windowSeconds: 60, maxRequests: 120 },
+ *   tokens: { maxAgeSeconds: 120, allowReuse: false },
+ *   metadata: { author: 'Platform team', lastUpdated: '2026-10-01', recommendedFor: ['search'] },
+ * })
+ * const verifier = createBrassVerifier({ secretKey, calibrationProfile: 'internal-search' })
+ * ```
+ *
+ * @throws {Error} on schema violations, a reserved certification, or a name@version already in use
+ */
+export function registerProfile(profile: unknown, options: RegisterProfileOptions = {}): CalibrationProfile {
+  assertValidProfile(profile)
+
+  if (profile.certification === 'brass-verified') {
+    throw new Error(`Profile "${profile.name}": certification "brass-verified" is reserved for built-in profiles`)
+  }
+  if (isBuiltinName(profile.name)) {
+    throw new Error(`Profile "${profile.name}" is built in and cannot be replaced`)
+  }
+  const id = profileId(profile)
+  if (registeredProfiles.has(id) && !options.replace) {
+    throw new Error(`Profile "${id}" is already registered (pass { replace: true } to update it)`)
+  }
+
+  // Keep a copy, so later changes to the caller's object do not reach verifiers
+  const registered: CalibrationProfile = JSON.parse(JSON.stringify({ certification: 'community', ...profile }))
+  registeredProfiles.set(id, registered)
+  return registered
+}
+
+/**
+ * Remove a registered profile: one version ('name@1.0') or every version ('name').
+ * Returns false if nothing was registered under that reference.
+ */
+export function unregisterProfile(ref: string): boolean {
+  const { name, version } = parseProfileRef(ref)
+  if (version !== undefined) return registeredProfiles.delete(ref)
+
+  const ids = [...registeredProfiles.keys()].filter(id => parseProfileRef(id).name === name)
+  ids.forEach(id => registeredProfiles.delete(id))
+  return ids.length > 0
+}
+
+/**
+ * Deprecation warnings and migration notes for a profile reference
+ *
+ * `createBrassVerifier` logs these at startup. A pinned reference also gets a
+ * note for every newer, non-deprecated version (with its `migrationNote`), so
+ * an upgrade that adds a version is visible without changing any limits.
+ *
+ * @example
+ * ```typescript
+ * profileNotices('comments@1.0')
+ * // ['Calibration profile "comments@1.0" is pinned; "comments@1.1" is available: ...']
+ * ```
+ */
+export function profileNotices(ref: string): string[] {
+  const profile = findProfile(ref)
+  if (!profile) return []
+
+  const id = profileId(profile)
+  const notices: string[] = []
+  if (profile.deprecated) {
+    const { message, since, replacedBy } = profile.deprecated
+    notices.push(
+      `Calibration profile "${id}" is deprecated${since ? ` since ${since}` : ''}: ${message}` +
+      `${replacedBy ? ` Use "${replacedBy}" instead.` : ''}`
+    )
+  }
+  if (parseProfileRef(ref).version !== undefined) {
+    const newer = profileVersions(profile.name)
+      .filter(p => !p.deprecated && compareVersions(p.version, profile.version) > 0)
+    for (const next of newer) {
+      notices.push(
+        `Calibration profile "${id}" is pinned; "${profileId(next)}" is available` +
+        `${next.migrationNote ? `: ${next.migrationNote}` : ''}`
+      )
+    }
+  }
+  return notices
+}
+
+/**
+ * Load a calibration profile with optional overrides
+ *
+ * `name` selects the latest non-deprecated version; `name@version` pins one.
  * 
  * @example
  * ```typescript
  * const profile = loadProfile('comments', {
  *   rateLimit: { maxRequests: 5 } // Allow 5 comments/day instead of 3
  * })
+ *
+ * const pinned = loadProfile('comments@1.0') // unaffected by newer versions
  * ```
  */
 export function loadProfile(
   name: string, 
   overrides?: ProfileOverrides
 ): CalibrationProfile {
-  const baseProfile = BUILTIN_PROFILES[name]
+  const baseProfile = findProfile(name)
   
   if (!baseProfile) {
+    const { name: profileName, version } = parseProfileRef(name)
+    const versions = profileVersions(profileName)
     throw new Error(
-      `Unknown calibration profile: "${name}". Available profiles: ${Object.keys(BUILTIN_PROFILES).join(', ')}`
+      version !== undefined && versions.length > 0
+        ? `Unknown version "${version}" of calibration profile "${profileName}". Available versions: ${versions.map(p => p.version).join(', ')}`
+        : `Unknown calibration profile: "${name}". Available profiles: ${listProfiles().map(p => p.name).join(', ')}`
     )
   }
   
@@ -185,7 +359,10 @@ export function loadProfile(
 }
 
 /**
- * List all available calibration profiles with metadata
+ * List all available calibration profiles (built-in, then registered) with metadata
+ *
+ * One entry per profile (the version an unpinned name selects) unless
+ * `allVersions` is set.
  * 
  * @example
  * ```typescript
@@ -194,10 +371,22 @@ export function loadProfile(
  *   console.log(`${p.name}: ${p.description}`)
  *   console.log(`  Tested with: ${p.metadata.testedWith}`)
  * })
+ *
+ * const internal = listProfiles({ certification: 'internal' })
+ * const commentVersions = listProfiles({ allVersions: true }).filter(p => p.name === 'comments')
  * ```
  */
-export function listProfiles(): CalibrationProfile[] {
-  return Object.values(BUILTIN_PROFILES)
+export function listProfiles(
+  options: { certification?: CertificationLevel | CertificationLevel[]; allVersions?: boolean } = {}
+): CalibrationProfile[] {
+  const all = [...BUILTIN_PROFILES, ...registeredProfiles.values()]
+  const profiles = options.allVersions
+    ? all
+    : [...new Set(all.map(p => p.name))].map(name => findProfile(name) as CalibrationProfile)
+  if (!options.certification) return profiles
+
+  const levels = ([] as CertificationLevel[]).concat(options.certification)
+  return profiles.filter(p => levels.includes(p.certification || 'community'))
 }
 
 /**
@@ -0,0 +1,185 @@
+/**
+ * BRASS HTTP helpers
+ *
+ * Framework-neutral pieces shared by the server integrations (Express, Fastify,
+ * Hono, …): reading the spend from a request, binding it to the request the server
+ * actually received, and the rate-limit response headers. Edge-safe: no Node
+ * APIs beyond `process.env` when present.
+ */
+
+import { sha256 } from '@noble/hashes/sha256'
+import { b64u, b64ud } from '@brassproof/protocol'
+import { parseIssuerKeys } from './issuerKeys'
+import type { BrassSpendPayload, BrassVerifierConfig, VerificationResult } from './types'
+
+/** Request header carrying the spend (base64 JSON, see `encodeSpend` in @brassproof/client) */
+export const BRASS_TOKEN_HEADER = 'x-brass-token'
+
+/**
+ * Verifier config for a server integration: explicit options first, then the
+ * BRASS_* environment variables (BRASS_SECRET_KEY, BRASS_ISSUER_PUBKEY,
+ * BRASS_ISSUER_KEYS, BRASS_ISSUER_URL, BRASS_ISSUER_DIRECTORY_KEY,
+ * BRASS_STRICT=true for `strict`, and BRASS_MODE for `mode`)
+ *
+ * @throws {Error} if no secret key or no issuer key source is configured
+ */
+export function verifierConfigFromEnv(
+  options: Partial<BrassVerifierConfig>,
+  env: Record<string, unknown> = typeof process !== 'undefined' ? process.env : {}
+): BrassVerifierConfig {
+  const str = (name: string) => (typeof env[name] === 'string' ? (env[name] as string) : undefined)
+  const secretKey = options.secretKey || str('BRASS_SECRET_KEY')
+  const issuerPublicKey = options.issuerPublicKey || str('BRASS_ISSUER_PUBKEY')
+  const issuerKeysJson = str('BRASS_ISSUER_KEYS')
+  const issuerUrl = options.issuerUrl || str('BRASS_ISSUER_URL')
+
+  if (!secretKey || (!issuerPublicKey && !options.issuerPublicKeys && !issuerKeysJson && !issuerUrl)) {
+    throw new Error('BRASS_SECRET_KEY or an issuer key (BRASS_ISSUER_PUBKEY, BRASS_ISSUER_KEYS or BRASS_ISSUER_URL) not configured')
+  }
+
+  return {
+    issuerPublicKeys: issuerKeysJson ? parseIssuerKeys(issuerKeysJson) : undefined,
+    issuerDirectoryKey: str('BRASS_ISSUER_DIRECTORY_KEY'),
+    strict: str('BRASS_STRICT') === 'true' || undefined,
+    mode: str('BRASS_MODE') as BrassVerifierConfig['mode'],
+    ...options,
+    secretKey,
+    issuerPublicKey,
+    issuerUrl,
+  }
+}
+
+/**
+ * A request shadow mode let through: what enforce mode would have responded
+ */
+export interface ShadowDenial {
+  status: number
+  error: string
+  /** The verification result, when the spend got as far as verification */
+  result?: VerificationResult
+}
+
+/**
+ * Decode a spend sent as base64 JSON (header or body field); objects pass through
+ *
+ * @throws {Error} 'Invalid BRASS token format' if the token is not base64 JSON
+ */
+export function decodeBrassToken(token: unknown): BrassSpendPayload {
+  if (token && typeof token === 'object') return token as BrassSpendPayload
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(b64ud(String(token))))
+    if (payload && typeof payload === 'object') return payload
+  } catch {
+    // fall through
+  }
+  throw new Error('Invalid BRASS token format')
+}
+
+/**
+ * Attach the server-authoritative HTTP context the spend must be bound to
+ *
+ * The path excludes the query string; the body hash covers the exact raw bytes.
+ *
+ * @example
+ * ```typescript
+ * const payload = withHttpContext(decodeBrassToken(token), {
+ *   method: req.method,
+ *   path: req.originalUrl,
+ *   body: req.rawBody,
+ * })
+ * ```
+ */
+export function withHttpContext(
+  payload: BrassSpendPayload,
+  request: { method: string; path: string; body?: Uint8Array | string }
+): BrassSpendPayload {
+  const body = typeof request.body === 'string' ? new TextEncoder().encode(request.body) : request.body ?? new Uint8Array(0)
+  return {
+    ...payload,
+    http_method: request.method.toUpperCase(),
+    http_path: request.path.split('?')[0],
+    http_body_hash_b64: b64u(sha256(body)),
+  }
+}
+
+/** Largest body the Fetch API integrations read by default: 100kb, like express.json */
+export const DEFAULT_BODY_LIMIT = 100 * 1024
+
+const BYTE_UNITS: Record<string, number> = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+
+/**
+ * Body limit in bytes from a number or '512b' / '100kb' / '1mb' / '1gb'
+ *
+ * @throws {Error} 'Invalid body limit' for anything else
+ */
+export function parseBodyLimit(value: number | string = DEFAULT_BODY_LIMIT): number {
+  if (typeof value === 'number') return value
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(value.trim())
+  if (!match) throw new Error(`Invalid body limit: ${JSON.stringify(value)}`)
+  return Math.floor(parseFloat(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()])
+}
+
+/**
+ * Exact body bytes of a Fetch API request, read from a clone so the handler can
+ * still read the body. Resolves `null` (answer 413) when Content-Length exceeds
+ * `limit`, or as soon as the bytes read do, without reading the rest.
+ *
+ * @example
+ * ```typescript
+ * const body = await readRequestBody(request, parseBodyLimit('1mb'))
+ * if (!body) return Response.json({ error: 'Request body too large' }, { status: 413 })
+ * ```
+ */
+export async function readRequestBody(request: Request, limit: number): Promise<Uint8Array | null> {
+  if (Number(request.headers.get('content-length')) > limit) return null
+
+  const stream = request.clone().body
+  if (!stream) return new Uint8Array(0)
+
+  const reader = stream.getReader()
+  const chunks: Uint8Array[] = []
+  let size = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    size += value.byteLength
+    if (size > limit) {
+      // Not awaited: cancelling one branch of a cloned body settles only once
+      // the original is cancelled or read too
+      reader.cancel().catch(() => {})
+      return null
+    }
+    chunks.push(value)
+  }
+
+  const body = new Uint8Array(size)
+  let offset = 0
+  for (const chunk of chunks) {
+    body.set(chunk, offset)
+    offset += chunk.byteLength
+  }
+  return body
+}
+
+/**
+ * RateLimit-Limit/Remaining/Reset headers for a verification result, plus
+ * Retry-After when the request was rate limited. Reset values are in seconds.
+ */
+export function rateLimitHeaders(result: VerificationResult, now: number = Date.now()): Record<string, string> {
+  const headers: Record<string, string> = {}
+  if (result.limit !== undefined) headers['RateLimit-Limit'] = String(result.limit)
+  if (result.remaining !== undefined) headers['RateLimit-Remaining'] = String(result.remaining)
+  if (result.resetAt !== undefined) {
+    const reset = String(Math.max(0, Math.ceil((result.resetAt - now) / 1000)))
+    headers['RateLimit-Reset'] = reset
+    if (!result.success) headers['Retry-After'] = reset
+  }
+  return headers
+}
+
+/**
+ * HTTP status for a failed verification: 429 when rate limited, 401 otherwise
+ */
+export function failureStatus(result: VerificationResult): 401 | 429 {
+  return result.resetAt !== undefined ? 429 : 401
+}
@@ -1,8 +1,22 @@
-import { p256 } from '@noble/curves/p256'
 import { sha256 } from '@noble/hashes/sha256'
-import { lengthPrefixConcat } from '@shared/length-prefix'
-import { Telemetrist } from './telemetry'
-import { loadProfile } from './calibrationProfiles'
+import { bytesToHex, randomBytes } from '@noble/hashes/utils'
+import {
+  b64u,
+  b64ud,
+  DST_H1,
+  encodePoint,
+  hashToCurve,
+  idempotencyKey,
+  requestBinding,
+  u8,
+  verifySpend,
+  type SpendError,
+} from '@brassproof/protocol'
+import { Telemetrist, type ScopeTraffic } from './telemetry'
+import { loadProfile, profileNotices, type CalibrationProfile } from './calibrationProfiles'
+import { decodeIssuerKey, parseIssuerKeys, selectIssuerKey } from './issuerKeys'
+import { getKeyDirectory } from './keyDirectory'
+import { createKvStore, createMemoryStore } from './store'
 import type {
   BrassVerifierConfig,
   BrassSpendPayload,
@@ -10,6 +24,9 @@ import type {
   VerificationContext,
   BrassVerifier,
   RateLimit,
+  BrassCounterStore,
+  TokenPolicy,
+  ScopeConfig,
 } from './types'
 
 export * from './types'
@@ -22,10 +39,54 @@ export {
   type AlertSeverity,
   type WebhookConfig,
   type Alert,
-  type TelemetryEvent
+  type TelemetryEvent,
+  type ScopeTraffic
 } from './telemetry'
-export { loadProfile, listProfiles, recommendProfile } from './calibrationProfiles'
-export type { CalibrationProfile, ProfileOverrides } from './calibrationProfiles'
+export {
+  recommendFromTraffic,
+  type TrafficRecommendation,
+  type TrafficRecommendationOptions
+} from './profileRecommender'
+export {
+  loadProfile,
+  listProfiles,
+  recommendProfile,
+  registerProfile,
+  unregisterProfile,
+  profileNotices
+} from './calibrationProfiles'
+export type { CalibrationProfile, ProfileOverrides, RegisterProfileOptions } from './calibrationProfiles'
+export {
+  validateProfile,
+  CERTIFICATION_LEVELS,
+  PROFILE_VERSION_PATTERN,
+  type CertificationLevel,
+  type ProfileValidationResult
+} from './profileSchema'
+export { loadProfilesFromDirectory, loadProfilesFromUrl, type ProfileUrlOptions } from './profileLoader'
+export { parseIssuerKeys, decodeIssuerKey } from './issuerKeys'
+export { createKvStore, createMemoryStore, type MemoryStoreOptions } from './store'
+export { createRedisStore, type RedisEvalClient, type RedisScriptRunner, type RedisStoreOptions } from './redisStore'
+export {
+  BRASS_TOKEN_HEADER,
+  verifierConfigFromEnv,
+  decodeBrassToken,
+  withHttpContext,
+  rateLimitHeaders,
+  failureStatus,
+  parseBodyLimit,
+  readRequestBody,
+  DEFAULT_BODY_LIMIT,
+  type ShadowDenial
+} from './http'
+export {
+  createKeyDirectory,
+  verifyKeyDirectory,
+  KEY_DIRECTORY_PATH,
+  type KeyDirectory,
+  type KeyDirectoryOptions,
+  type SignedKeyDirectory
+} from './keyDirectory'
 
 // Badge is exported separately to avoid forcing React as a runtime dependency
 // Import from '@brassproof/verifier/badge' if using React
@@ -37,147 +98,131 @@ const DEFAULT_RATE_LIMITS: Record<string, RateLimit> = {
   'generic': { maxRequests: 10, windowSeconds: 86400 },
 }
 
-function bytesToHex(bytes: Uint8Array): string {
-  return Array.from(bytes)
-    .map(b => b.toString(16).padStart(2, '0'))
-    .join('')
+const DAY_SECONDS = 86400
+// Clients mint passes for their own UTC day; tolerate clocks this far ahead
+const CLOCK_SKEW_SECONDS = 300
+const DEFAULT_MAX_USES = 3
+
+// User-facing messages for the protocol core's error codes
+const SPEND_ERROR_MESSAGES: Record<SpendError, string> = {
+  invalid_point_encoding: 'Invalid curve point in spend payload',
+  invalid_piI: 'Issuer DLEQ proof verification failed',
+  invalid_piI_batch: 'Token is not part of its issuance batch',
+  d_mismatch: 'HTTP request binding mismatch: d_client forgery detected',
+  invalid_piC: 'Client DLEQ proof verification failed',
+  y_mismatch: 'Nullifier does not match the token',
 }
 
-function hexToBytes(hex: string): Uint8Array {
-  if (hex.length % 2 !== 0) throw new Error('Invalid hex string')
-  const bytes = new Uint8Array(hex.length / 2)
-  for (let i = 0; i < hex.length; i += 2) {
-    bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16)
-  }
-  return bytes
-}
+// Sub-policy the pass was minted for: the client sets AADr to 'v1|policy=<scope>'
+const passSubPolicy = (AADr: string, scope: string): string =>
+  /(?:^|\|)policy=([^|]+)/.exec(AADr)?.[1] ?? scope
 
-function b64urlDecode(s: string): Uint8Array {
-  // Matches client-side implementation (Node.js path)
-  return new Uint8Array(Buffer.from(s, 'base64url'))
+// Rate limit and token rules that apply to one scope
+interface ScopeSettings {
+  rateLimit: RateLimit
+  tokens: TokenPolicy
 }
 
-function Hlabel(label: string, ...parts: (string | Uint8Array)[]): Uint8Array {
-  // Matches client-side: sha256(lengthPrefixConcat(['BRASS:${label}:', ...parts]))
-  const prefix = `BRASS:${label}:`
-  return sha256(lengthPrefixConcat([prefix, ...parts]))
+// Deprecation warnings and migration notes for the profiles a verifier starts with
+const warnProfileNotices = (ref: string) => {
+  for (const notice of profileNotices(ref)) console.warn(`[BRASS] ${notice}`)
 }
 
-function verifyDLEQProof(
-  proof: { c: string; r?: string; s?: string },
-  g1: InstanceType<typeof p256.ProjectivePoint>,
-  h1: InstanceType<typeof p256.ProjectivePoint>,
-  g2: InstanceType<typeof p256.ProjectivePoint>,
-  h2: InstanceType<typeof p256.ProjectivePoint>,
-  label: string,
-  bind: Uint8Array,
-  useConstantA2: boolean = false
-): boolean {
-  try {
-    // Decode base64url-encoded proof fields
-    // Support both {c, r} (client proof) and {c, s} (issuer proof)
-    const c = BigInt('0x' + bytesToHex(b64urlDecode(proof.c)))
-    const responseField = proof.r || proof.s
-    if (!responseField) {
-      throw new Error('Proof must have either r or s field')
+const profileRateLimit = (profile: CalibrationProfile): RateLimit => ({
+  maxRequests: profile.rateLimit.maxRequests,
+  windowSeconds: profile.rateLimit.windowSeconds,
+  burstAllowance: profile.rateLimit.burstAllowance,
+})
+
+// Load every scope's profile up front, so a bad profile name fails at startup
+function resolveScopes(scopes: Record<string, ScopeConfig>): Record<string, ScopeSettings> {
+  const settings: Record<string, ScopeSettings> = {}
+  for (const [scope, entry] of Object.entries(scopes)) {
+    const { profile: name, overrides } = typeof entry === 'string' ? { profile: entry, overrides: undefined } : entry
+    try {
+      const profile = loadProfile(name, overrides)
+      settings[scope] = { rateLimit: profileRateLimit(profile), tokens: profile.tokens }
+      warnProfileNotices(name)
+    } catch (error) {
+      throw new Error(`scopes.${scope}: ${error instanceof Error ? error.message : String(error)}`)
     }
-    const r = BigInt('0x' + bytesToHex(b64urlDecode(responseField)))
-
-    // Reconstruct A1: A1 = g1^r * h1^c
-    const A1 = g1.multiply(r).add(h1.multiply(c))
-    
-    // Client proof: A2 = G (constant) - see brass-strict-client.js line 192
-    // Issuer proof: A2 = g2^r * h2^c (normal DLEQ)
-    const A2 = useConstantA2 ? g2 : g2.multiply(r).add(h2.multiply(c))
-
-    // Construct challenge using length-prefixed encoding (matches client)
-    // Format: length-prefixed concatenation of [BRASS:{label}:, g1, h1, g2, h2, A1, A2, bind]
-    // Client line 72-82: lengthPrefixConcat([`BRASS:${label}:`, g1, h1, g2, h2, A1, A2, bind])
-    const challengeData = lengthPrefixConcat([
-      `BRASS:${label}:`,
-      g1.toRawBytes(true),
-      h1.toRawBytes(true),
-      g2.toRawBytes(true),
-      h2.toRawBytes(true),
-      A1.toRawBytes(true),
-      A2.toRawBytes(true),
-      bind
-    ])
-    
-    const hash = sha256(challengeData)
-    const cPrime = BigInt('0x' + bytesToHex(hash)) % p256.CURVE.n
-
-    return c === cPrime
-  } catch (error) {
-    console.error('DLEQ verification error:', error)
-    return false
   }
+  return settings
 }
 
-async function checkRateLimit(
-  tokenHash: string,
-  scope: string,
+// Replay check, counter increment and limit check in one store call
+async function spendWithStore(
+  store: BrassCounterStore,
+  params: { IK: string; tokenHash: string; KID: string; epoch: number; origin: string; scope: string; limit: RateLimit; replayTtlSeconds: number },
   config: BrassVerifierConfig
-): Promise<{ allowed: boolean; remaining: number; resetAt: number }> {
-  const limits = config.rateLimits || DEFAULT_RATE_LIMITS
-  const limit = limits[scope] || limits['generic']
-
-  if (!config.kvNamespace) {
-    console.warn('No KV namespace provided - rate limiting disabled')
-    return { allowed: true, remaining: limit.maxRequests - 1, resetAt: Date.now() + limit.windowSeconds * 1000 }
-  }
+): Promise<{ replayed: boolean; allowed: boolean; softLimited: boolean; limit: number; remaining: number; used: number; resetAt: number }> {
+  const { limit } = params
 
-  const key = `rate:${tokenHash}:${scope}`
   const now = Math.floor(Date.now() / 1000)
   const windowStart = now - (now % limit.windowSeconds)
-  const windowKey = `${key}:${windowStart}`
-
-  try {
-    const currentCount = await config.kvNamespace.get(windowKey)
-    const count = currentCount ? parseInt(currentCount, 10) : 0
-
-    if (count >= limit.maxRequests) {
-      const resetAt = (windowStart + limit.windowSeconds) * 1000
-      return { allowed: false, remaining: 0, resetAt }
-    }
-
-    await config.kvNamespace.put(
-      windowKey,
-      String(count + 1),
-      { expirationTtl: limit.windowSeconds }
-    )
+  const resetAt = (windowStart + limit.windowSeconds) * 1000
+
+  // The store enforces the hard limit (limit + burst); the burst band is only flagged
+  const burst = limit.burstAllowance || 0
+
+  const outcome = await store.spend({
+    key: {
+      projectId: config.projectId || 'default',
+      issuerPk: params.KID,
+      origin: params.origin,
+      epoch: params.epoch,
+      policy: params.scope,
+      window: windowStart,
+      y: params.tokenHash,
+    },
+    IK: params.IK,
+    limit: limit.maxRequests + burst,
+    ttlSeconds: windowStart + limit.windowSeconds - now,
+    replayTtlSeconds: params.replayTtlSeconds,
+  })
 
-    const resetAt = (windowStart + limit.windowSeconds) * 1000
-    return { allowed: true, remaining: limit.maxRequests - count - 1, resetAt }
-  } catch (error) {
-    console.error('Rate limit check error:', error)
-    throw new Error('Failed to check rate limit')
+  return {
+    replayed: outcome.idempotent === true,
+    allowed: outcome.ok,
+    softLimited: outcome.ok && outcome.remaining < burst,
+    limit: limit.maxRequests,
+    remaining: outcome.ok ? Math.max(0, outcome.remaining - burst) : 0,
+    // This token's requests in the window so far, this one included
+    used: limit.maxRequests + burst - outcome.remaining,
+    resetAt,
   }
 }
 
-async function checkReplayProtection(
-  idempotencyKey: string,
+// Count one more use of an already accepted spend (allowReuse); null once maxUses is reached.
+// Uses are counted in the spend store, so the bound holds wherever its limits do.
+async function claimReuse(
+  store: BrassCounterStore,
+  params: { IK: string; KID: string; epoch: number; origin: string; scope: string; maxUses: number; ttlSeconds: number },
   config: BrassVerifierConfig
-): Promise<boolean> {
-  if (!config.kvNamespace) {
-    console.warn('No KV namespace provided - replay protection disabled')
-    return true
-  }
-
-  const key = `replay:${idempotencyKey}`
-  const replayWindow = config.replayWindowSeconds || 3600
-
-  try {
-    const existing = await config.kvNamespace.get(key)
-    if (existing) {
-      return false
-    }
+): Promise<number | null> {
+  const outcome = await store.spend({
+    key: {
+      projectId: config.projectId || 'default',
+      issuerPk: params.KID,
+      origin: params.origin,
+      epoch: params.epoch,
+      policy: `${params.scope}:reuse`,
+      window: 0,
+      y: params.IK,
+    },
+    IK: `reuse:${params.IK}:${b64u(randomBytes(16))}`,
+    limit: params.maxUses - 1,
+    ttlSeconds: params.ttlSeconds,
+  })
+  return outcome.ok ? params.maxUses - outcome.remaining : null
+}
 
-    await config.kvNamespace.put(key, '1', { expirationTtl: replayWindow })
-    return true
-  } catch (error) {
-    console.error('Replay protection error:', error)
-    throw new Error('Failed to check replay protection')
+// Result for a verification that threw rather than denied the spend
+function verificationError(error: unknown): VerificationResult {
+  console.error('Verification error:', error)
+  return {
+    success: false,
+    error: error instanceof Error ? error.message : 'Unknown verification error',
   }
 }
 
@@ -185,43 +230,63 @@ export function createBrassVerifier(config: BrassVerifierConfig): BrassVerifier
   if (!config.secretKey) {
     throw new Error('secretKey is required')
   }
+  if (config.mode !== undefined && config.mode !== 'enforce' && config.mode !== 'shadow') {
+    throw new Error(`mode must be 'enforce' or 'shadow' (got "${config.mode}")`)
+  }
 
   // Apply calibration profile if specified
   let effectiveRateLimits = config.rateLimits || DEFAULT_RATE_LIMITS
-  let effectiveReplayWindow = config.replayWindowSeconds
+  let tokenPolicy: TokenPolicy = config.tokens || {}
   
   if (config.calibrationProfile) {
     try {
       const profile = loadProfile(config.calibrationProfile, config.profileOverrides)
       
       // Convert profile rate limits to verifier format
-      effectiveRateLimits = {
-        'generic': {
-          maxRequests: profile.rateLimit.maxRequests,
-          windowSeconds: profile.rateLimit.windowSeconds,
-        }
-      }
+      effectiveRateLimits = { 'generic': profileRateLimit(profile) }
       
-      effectiveReplayWindow = profile.tokens.maxAgeSeconds
+      tokenPolicy = { ...profile.tokens, ...config.tokens }
       
       console.log(
         `[BRASS] Applied calibration profile: "${profile.name}" (${profile.version})\n` +
         `  Description: ${profile.description}\n` +
-        `  Rate Limit: ${profile.rateLimit.maxRequests} requests per ${profile.rateLimit.windowSeconds}s\n` +
-        `  Token Expiry: ${profile.tokens.maxAgeSeconds}s\n` +
+        `  Rate Limit: ${profile.rateLimit.maxRequests} requests per ${profile.rateLimit.windowSeconds}s` +
+        `${profile.rateLimit.burstAllowance ? ` (+${profile.rateLimit.burstAllowance} burst)` : ''}\n` +
+        `  Token Expiry: epoch day + ${profile.tokens.maxAgeSeconds}s${profile.tokens.allowReuse ? ` (reusable, ${profile.tokens.maxUses ?? DEFAULT_MAX_USES} uses)` : ''}\n` +
         `  Certification: ${profile.certification || 'community'}`
       )
+      warnProfileNotices(config.calibrationProfile)
     } catch (error) {
-      console.warn(`[BRASS] Failed to load calibration profile "${config.calibrationProfile}":`, error)
-      console.warn('[BRASS] Falling back to default rate limits')
+      // An unknown profile or pinned version must not fall back to other limits
+      throw new Error(`calibrationProfile: ${error instanceof Error ? error.message : String(error)}`)
     }
   }
   
+  // Per-scope profiles: the request's scope selects its rate limit and token rules
+  const scopeSettings = config.scopes ? resolveScopes(config.scopes) : null
+  if (scopeSettings) {
+    console.log(
+      '[BRASS] Applied scope profiles:\n' +
+      Object.entries(scopeSettings).map(([scope, { rateLimit }]) =>
+        `  ${scope}: ${rateLimit.maxRequests} requests per ${rateLimit.windowSeconds}s`
+      ).join('\n')
+    )
+  }
+
+  // With `scopes`, only listed scopes (or explicit rateLimits entries) resolve; otherwise unknown scopes use 'generic'
+  const settingsFor = (scope: string): ScopeSettings | null => {
+    if (scopeSettings) {
+      if (scopeSettings[scope]) return scopeSettings[scope]
+      const limit = config.rateLimits?.[scope]
+      return limit ? { rateLimit: limit, tokens: tokenPolicy } : null
+    }
+    return { rateLimit: effectiveRateLimits[scope] || effectiveRateLimits['generic'], tokens: tokenPolicy }
+  }
+
   // Create final config with profile-applied settings
   const finalConfig: BrassVerifierConfig = {
     ...config,
     rateLimits: effectiveRateLimits,
-    replayWindowSeconds: effectiveReplayWindow
   }
 
   // Initialize telemetry - OPT-IN by default for privacy-first approach
@@ -230,6 +295,34 @@ export function createBrassVerifier(config: BrassVerifierConfig): BrassVerifier
   const telemetryEnabled = telemetryConfig.enabled === true || 
     (typeof process !== 'undefined' && process.env?.BRASS_TELEMETRY_ENABLED === 'true')
   
+  // Replay protection and rate limits; kvNamespace is shorthand for a KV store
+  const configuredStore = config.store || (config.kvNamespace ? createKvStore(config.kvNamespace) : null)
+  if (!configuredStore) {
+    if (config.strict) {
+      throw new Error('strict mode: a store is required (store or kvNamespace)')
+    }
+    if (typeof process !== 'undefined' && process.env?.NODE_ENV === 'production') {
+      console.warn('[BRASS] No store configured - using the in-memory store (limits are per process and reset on restart)')
+    }
+  }
+  const store = configuredStore || createMemoryStore()
+
+  // Rotated issuer keys, selected per token by KID
+  const issuerKeys = config.issuerPublicKeys ? parseIssuerKeys(config.issuerPublicKeys) : []
+
+  // Without static keys, follow the issuer's signed key directory
+  const directoryUrl = !config.issuerPublicKey && issuerKeys.length === 0 ? config.issuerUrl : undefined
+  if (directoryUrl && config.strict && !config.issuerDirectoryKey) {
+    throw new Error('strict mode: issuerDirectoryKey is required with issuerUrl')
+  }
+  const keyDirectory = directoryUrl
+    ? getKeyDirectory({
+        issuerUrl: directoryUrl,
+        signerPublicKey: config.issuerDirectoryKey,
+        ttlSeconds: config.keyCacheTtlSeconds,
+      })
+    : null
+
   const telemetrist = telemetryEnabled ? new Telemetrist({
     ...telemetryConfig,
     enabled: true,
@@ -237,172 +330,188 @@ export function createBrassVerifier(config: BrassVerifierConfig): BrassVerifier
     tenantId: telemetryConfig.tenantId || (typeof process !== 'undefined' ? process.env?.BRASS_TENANT_ID : undefined),
   }) : null
 
-  return {
+  // Verification without the error boundary: exceptions (a store outage, for
+  // instance) propagate, so shadow mode can keep them as failures
+  async function checkSpend(payload: BrassSpendPayload, context: VerificationContext): Promise<VerificationResult> {
+    const { y, c, KID, AADr, P, origin, epoch, http_method, http_path, http_body_hash_b64 } = payload
+
+    // Recompute d server-side to prevent forgery
+    // Server must provide http_method, http_path, and http_body_hash_b64
+    if (!http_method || !http_path || !http_body_hash_b64) {
+      return { success: false, error: 'Server must provide HTTP context (http_method, http_path, http_body_hash_b64)' }
+    }
+    const d = requestBinding(http_method, http_path, { hash: b64ud(http_body_hash_b64) })
+
+    const scope = context.scope || 'generic'
+    const settings = settingsFor(scope)
+    if (!settings) {
+      return { success: false, error: `Scope "${scope}" is not configured` }
+    }
+    const { tokens } = settings
+
+    // P = H1(origin || epoch || subPolicy): the issuer only evaluates P for the
+    // claimed context, so a rewritten epoch (or origin) no longer matches it
+    if (!Number.isInteger(epoch)) {
+      return { success: false, error: 'Invalid token epoch' }
+    }
+    const expectedP = encodePoint(hashToCurve(u8(`${origin}||${epoch}||${passSubPolicy(AADr, scope)}`), DST_H1))
+    if (expectedP !== P) {
+      return { success: false, error: 'Token context mismatch' }
+    }
+
+    // Select Y by KID; fall back to the single configured key for unlisted KIDs
+    let issuerPublicKey = finalConfig.issuerPublicKey
+    if (issuerKeys.length > 0) {
+      const selected = selectIssuerKey(issuerKeys, KID)
+      if (selected.key) {
+        issuerPublicKey = selected.key.Y
+      } else if (!issuerPublicKey || issuerKeys.some(k => k.KID === KID)) {
+        return { success: false, error: selected.error }
+      }
+    } else if (keyDirectory) {
+      const selected = await keyDirectory.getKey(KID)
+      if (!selected.key) {
+        return { success: false, error: selected.error }
+      }
+      issuerPublicKey = selected.key.Y
+    }
+    if (!issuerPublicKey) {
+      return { success: false, error: 'Issuer public key not configured' }
+    }
+
+    const Y = decodeIssuerKey(issuerPublicKey)
+
+    // πI (single or batched), d, πC and y via the shared protocol core, so
+    // tokens verify here exactly as they do in the verifier workers
+    const check = verifySpend(payload, { Y, d })
+    if (!check.ok) {
+      return { success: false, error: SPEND_ERROR_MESSAGES[check.error], code: check.error }
+    }
+
+    // Token age: a pass is valid for its epoch day plus maxAgeSeconds
+    let replayTtlSeconds = finalConfig.replayWindowSeconds || 3600
+    if (tokens.maxAgeSeconds !== undefined) {
+      const now = Math.floor(Date.now() / 1000)
+      if (epoch * DAY_SECONDS > now + CLOCK_SKEW_SECONDS) {
+        return { success: false, error: 'Token epoch is in the future' }
+      }
+      const expiresAt = (epoch + 1) * DAY_SECONDS + tokens.maxAgeSeconds
+      if (now >= expiresAt) {
+        return { success: false, error: 'Token expired' }
+      }
+      // Remember spends for as long as the pass could present them
+      replayTtlSeconds = Math.max(replayTtlSeconds, expiresAt - now)
+    }
+
+    // Same IK = H('IK', y, c) as the verifier workers
+    const IK = b64u(idempotencyKey(b64ud(y), b64ud(c)))
+    const tokenHash = bytesToHex(sha256(b64ud(y)))
+
+    const rateLimit = await spendWithStore(
+      store,
+      { IK, tokenHash, KID, epoch, origin: context.origin, scope, limit: settings.rateLimit, replayTtlSeconds },
+      finalConfig
+    )
+    if (rateLimit.replayed) {
+      // Same spend again: rejected as a replay unless the scope allows reuse and the
+      // first use was accepted, in which case it succeeds up to maxUses times without
+      // counting against the rate limit
+      const uses = tokens.allowReuse && rateLimit.allowed
+        ? await claimReuse(
+            store,
+            { IK, KID, epoch, origin: context.origin, scope, maxUses: tokens.maxUses ?? DEFAULT_MAX_USES, ttlSeconds: replayTtlSeconds },
+            finalConfig
+          )
+        : null
+      if (uses === null) {
+        return { success: false, error: 'Token already used (replay detected)' }
+      }
+      return {
+        success: true,
+        limit: rateLimit.limit,
+        remaining: rateLimit.remaining,
+        resetAt: rateLimit.resetAt,
+        uses,
+        metadata: { scope: context.scope, epoch },
+      }
+    }
+
+    if (!rateLimit.allowed) {
+      if (telemetrist) {
+        await telemetrist.recordRateLimited(scope)
+      }
+      return {
+        success: false,
+        error: 'Rate limit exceeded',
+        limit: rateLimit.limit,
+        remaining: rateLimit.remaining,
+        resetAt: rateLimit.resetAt,
+      }
+    }
+
+    // Track successful verification in telemetry; burst-band requests are also counted on their own
+    if (telemetrist) {
+      await telemetrist.increment(scope, rateLimit.used)
+      if (rateLimit.softLimited) {
+        await telemetrist.recordSoftLimit(scope, rateLimit.limit)
+      }
+    }
+
+    return {
+      success: true,
+      limit: rateLimit.limit,
+      remaining: rateLimit.remaining,
+      resetAt: rateLimit.resetAt,
+      ...(rateLimit.softLimited && { softLimited: true }),
+      ...(tokens.allowReuse && { uses: 1 }),
+      metadata: {
+        scope: context.scope,
+        epoch,
+      },
+    }
+  }
+
+  const verifier: BrassVerifier = {
     async verify(
       payload: BrassSpendPayload,
       context: VerificationContext
     ): Promise<VerificationResult> {
       try {
-        const { y, c, d_client, piI, piC, eta, KID, AADr, P, M, Zprime, epoch, http_method, http_path, http_body_hash_b64 } = payload
-
-        // Decode base64url-encoded y field
-        // Note: y is a 32-byte hash (Hlabel result), NOT a curve point
-        // Client line 175: y = b64u(Hlabel(LABEL_Y, ...))
-        const yBytes = b64urlDecode(y)
-
-        // Recompute d_client server-side to prevent forgery
-        // Server must provide http_method, http_path, and http_body_hash_b64
-        if (!http_method || !http_path || !http_body_hash_b64) {
-          return { success: false, error: 'Server must provide HTTP context (http_method, http_path, http_body_hash_b64)' }
-        }
-
-        const bodyHashBytes = b64urlDecode(http_body_hash_b64)
-        const d_client_server = Hlabel('HTTP_CTX_v1', http_method, http_path, bodyHashBytes)
-        
-        // Verify client-provided d_client matches server-computed value
-        const d_client_bytes = b64urlDecode(d_client)
-        const d_client_server_hex = bytesToHex(d_client_server)
-        const d_client_payload_hex = bytesToHex(d_client_bytes)
-        
-        if (d_client_server_hex !== d_client_payload_hex) {
-          return { success: false, error: 'HTTP request binding mismatch: d_client forgery detected' }
-        }
-
-        const issuerPublicKey = finalConfig.issuerPublicKey
-        if (!issuerPublicKey) {
-          return { success: false, error: 'Issuer public key not configured' }
-        }
-
-        const Y = p256.ProjectivePoint.fromHex(hexToBytes(issuerPublicKey))
-
-        // Decode base64url curve points from payload (client sends these pre-computed)
-        const PBytes = b64urlDecode(P)
-        const PPoint = p256.ProjectivePoint.fromHex(PBytes)
-        if (!PPoint) {
-          return { success: false, error: 'Invalid P point' }
-        }
-
-        const MBytes = b64urlDecode(M)
-        const MPoint = p256.ProjectivePoint.fromHex(MBytes)
-        if (!MPoint) {
-          return { success: false, error: 'Invalid client commitment M' }
-        }
-
-        const ZprimeBytes = b64urlDecode(Zprime)
-        const ZprimePoint = p256.ProjectivePoint.fromHex(ZprimeBytes)
-        if (!ZprimePoint) {
-          return { success: false, error: 'Invalid issuer response Z\'' }
-        }
-
-        // Construct binder for client DLEQ proof using length-prefixed encoding
-        // Note: d_client_bytes already decoded above (line 266) for verification
-        // Must match client-side: H('BRASS_BIND_v1', b64ud(y), b64ud(c), d_client, utf8(AADr), utf8(KID), b64ud(eta))
-        // Use server-recomputed d_client (not client-provided) to prevent forgery
-        const yBytesForBind = b64urlDecode(y)
-        const cBytesForBind = b64urlDecode(c)
-        const aadrBytesForBind = new TextEncoder().encode(AADr)
-        const kidBytesForBind = new TextEncoder().encode(KID)
-        const etaBytesForBind = b64urlDecode(eta)
-        
-        // Extract and validate tlsHash from payload (required for TLS channel binding)
-        const tlsHashB64 = payload.tlsHash
-        if (!tlsHashB64) {
-          return { success: false, error: 'Missing tlsHash field (required for TLS channel binding)' }
-        }
-        const tlsHashBytes = b64urlDecode(tlsHashB64)
-        if (tlsHashBytes.length !== 32) {
-          return { success: false, error: 'Invalid tlsHash length (must be 32 bytes)' }
-        }
-
-        // Must match client-side: H('BRASS_BIND_v1', b64ud(y), b64ud(c), d_client, utf8(AADr), utf8(KID), b64ud(eta), tlsHash)
-        const clientBind = sha256(lengthPrefixConcat([
-          'BRASS_BIND_v1',
-          yBytesForBind,
-          cBytesForBind,
-          d_client_server,  // Use server-computed value, not d_client_bytes
-          aadrBytesForBind,
-          kidBytesForBind,
-          etaBytesForBind,
-          tlsHashBytes  // TLS exporter hash for channel binding
-        ]))
-
-        // Issuer proof doesn't use a binder (or uses empty binder)
-        // TODO: Verify if issuer proof should have a binder
-        const issuerBind = new Uint8Array(0)
-
-        // Issuer DLEQ proof: standard proof with computed A2
-        const issuerProofValid = verifyDLEQProof(
-          piI,
-          p256.ProjectivePoint.BASE,
-          Y,
-          PPoint,
-          ZprimePoint,
-          'issuer',
-          issuerBind,
-          false  // Compute A2 normally for issuer proof
-        )
-
-        if (!issuerProofValid) {
-          return { success: false, error: 'Issuer DLEQ proof verification failed' }
-        }
-
-        // Client DLEQ proof: g1=P, h1=M, g2=G (BASE), h2=G (BASE), A2=G (constant)
-        // Matches client line 192: dleqChallenge({ label, g1: P, h1: M, g2: G, h2: G, A1, A2: G, bind })
-        const G = p256.ProjectivePoint.BASE
-        const clientProofValid = verifyDLEQProof(
-          piC,
-          PPoint, // g1 = P
-          MPoint, // h1 = M
-          G,      // g2 = BASE
-          G,      // h2 = BASE
-          'OPRF_METERING_DLEQ_v1',  // Matches BRASS_CONFIG.LABEL_DLEQ
-          clientBind,
-          true    // Use constant A2=G for client proof (matches client line 192)
-        )
-
-        if (!clientProofValid) {
-          return { success: false, error: 'Client DLEQ proof verification failed' }
-        }
-
-        const idempotencyKey = `${y}:${c}`
-        const replayAllowed = await checkReplayProtection(idempotencyKey, finalConfig)
-        if (!replayAllowed) {
-          return { success: false, error: 'Token already used (replay detected)' }
-        }
-
-        const tokenHash = bytesToHex(sha256(yBytes))
-        const rateLimit = await checkRateLimit(tokenHash, context.scope || 'generic', finalConfig)
-
-        if (!rateLimit.allowed) {
-          return {
-            success: false,
-            error: 'Rate limit exceeded',
-            remaining: rateLimit.remaining,
-            resetAt: rateLimit.resetAt,
-          }
-        }
-
-        // Track successful verification in telemetry
-        if (telemetrist) {
-          await telemetrist.increment(context.scope || 'generic')
-        }
-
-        return {
-          success: true,
-          remaining: rateLimit.remaining,
-          resetAt: rateLimit.resetAt,
-          metadata: {
-            scope: context.scope,
-            epoch,
-          },
-        }
+        return await checkSpend(payload, context)
       } catch (error) {
-        console.error('Verification error:', error)
-        return {
-          success: false,
-          error: error instanceof Error ? error.message : 'Unknown verification error',
-        }
+        return verificationError(error)
+      }
+    },
+
+    getTraffic(): ScopeTraffic[] {
+      return telemetrist ? telemetrist.getTraffic() : []
+    },
+  }
+
+  if (config.mode !== 'shadow') return verifier
+
+  // Shadow mode: same verification and counting, but every request succeeds and
+  // the enforce-mode outcome is reported in `shadow` and telemetry
+  console.warn('[BRASS] Shadow mode: requests are verified and counted but never rejected')
+  return {
+    ...verifier,
+    async verify(payload: BrassSpendPayload, context: VerificationContext): Promise<VerificationResult> {
+      let result: VerificationResult
+      try {
+        result = await checkSpend(payload, context)
+      } catch (error) {
+        // Only denials are reported instead of enforced; errors still fail
+        return verificationError(error)
+      }
+      if (result.success) {
+        return { ...result, shadow: { wouldSucceed: true } }
+      }
+
+      if (telemetrist) {
+        await telemetrist.recordShadowDenial(context.scope || 'generic', result.error)
       }
+      const { error, code, ...rest } = result
+      return { ...rest, success: true, shadow: { wouldSucceed: false, error, ...(code && { code }) } }
     },
   }
 }
@@ -0,0 +1,65 @@
+/**
+ * BRASS Issuer Keys
+ *
+ * Issuers rotate signing keys: one current key plus retiring keys that stay
+ * valid until passes minted with them have expired. Verifiers select the
+ * issuer public key Y by the token's KID.
+ */
+
+import { p256 } from '@noble/curves/p256'
+import { b64ud } from '@brassproof/protocol'
+import type { IssuerKey } from './types'
+
+const HEX_POINT = /^(0[234][0-9a-fA-F]{64}|04[0-9a-fA-F]{128})$/
+
+/**
+ * Decode an issuer public key given as hex (SDK convention) or base64url (issuer /pub convention)
+ */
+export function decodeIssuerKey(key: string): InstanceType<typeof p256.ProjectivePoint> {
+  const bytes = HEX_POINT.test(key)
+    ? Uint8Array.from(key.match(/../g)!.map((h) => parseInt(h, 16)))
+    : b64ud(key)
+  const point = p256.ProjectivePoint.fromHex(bytes)
+  if (point.equals(p256.ProjectivePoint.ZERO)) {
+    throw new Error('Invalid issuer public key (point at infinity)')
+  }
+  return point
+}
+
+/**
+ * Parse a key list from JSON: the issuer's GET /pub response, an array of
+ * its `keys` entries, or a plain `{ "<KID>": "<Y>" }` map.
+ *
+ * @example
+ * ```typescript
+ * const issuerPublicKeys = parseIssuerKeys(process.env.BRASS_ISSUER_KEYS!)
+ * ```
+ */
+export function parseIssuerKeys(json: string | object): IssuerKey[] {
+  const parsed = typeof json === 'string' ? JSON.parse(json) : json
+  const list: IssuerKey[] = Array.isArray(parsed)
+    ? parsed
+    : Array.isArray(parsed.keys)
+      ? parsed.keys
+      : Object.entries(parsed as Record<string, string>).map(([KID, Y]) => ({ KID, Y }))
+
+  return list.filter((k) => k && k.KID && k.Y)
+}
+
+/**
+ * Find the key for a KID, honoring `notAfter`
+ */
+export function selectIssuerKey(
+  keys: IssuerKey[],
+  KID: string,
+  now: number = Date.now()
+): { key?: IssuerKey; error?: string } {
+  const key = keys.find((k) => k.KID === KID)
+  if (!key) {
+    return { error: `Unknown issuer key ID: ${KID}` }
+  }
+  if (key.notAfter && Date.parse(key.notAfter) <= now) {
+    return { error: `Issuer key ${KID} expired at ${key.notAfter}` }
+  }
+  return { key }
+}
@@ -0,0 +1,235 @@
+/**
+ * BRASS Issuer Key Directory
+ *
+ * Fetches the issuer's signed key directory (`/.well-known/brass-keys`), caches it
+ * for its TTL and resolves token KIDs against it. Lookups fail closed: a KID that is
+ * not in a valid, signed directory is rejected.
+ */
+
+import { p256 } from '@noble/curves/p256'
+import { sha256 } from '@noble/hashes/sha256'
+import { b64ud } from '@brassproof/protocol'
+import { selectIssuerKey } from './issuerKeys'
+import type { IssuerKey } from './types'
+
+export const KEY_DIRECTORY_PATH = '/.well-known/brass-keys'
+
+const DEFAULT_TTL_SECONDS = 300
+const DEFAULT_TIMEOUT_MS = 5_000
+// The issuer signs its directory per request, so an older one is being replayed
+const DEFAULT_MAX_DIRECTORY_AGE_SECONDS = 3_600
+
+// Minimum spacing between refreshes triggered by unknown KIDs, so forged KIDs
+// cannot turn every request into a fetch against the issuer
+const MIN_REFRESH_INTERVAL_MS = 30_000
+
+// After a failed fetch, wait 1s before the next one, doubling per failure up to 60s
+const RETRY_BASE_MS = 1_000
+const RETRY_MAX_MS = 60_000
+
+export interface SignedKeyDirectory {
+  issuer: string
+  version: number
+  issuedAt: string
+  maxAge?: number
+  keys: IssuerKey[]
+  /** Directory signing key (base64url compressed P-256 point) */
+  signer: string
+  /** ECDSA P-256 signature over SHA-256 of the canonical JSON without `sig` */
+  sig: string
+}
+
+export interface KeyDirectoryOptions {
+  /** Issuer base or endpoint URL; the directory path is resolved against its origin */
+  issuerUrl: string
+  /** Pinned directory signing key. Without it, the first signer seen is pinned */
+  signerPublicKey?: string
+  /** Cache TTL override (default: the directory's maxAge, else 300s) */
+  ttlSeconds?: number
+  /** Abort the directory fetch after this long (default: 5000ms) */
+  timeoutMs?: number
+  /** Reject a directory issued longer ago than this (default: 3600s) */
+  maxDirectoryAgeSeconds?: number
+  fetch?: typeof fetch
+}
+
+export interface KeyDirectory {
+  getKey(KID: string, now?: number): Promise<{ key?: IssuerKey; error?: string }>
+  refresh(): Promise<void>
+}
+
+// Canonical JSON (sorted object keys, no whitespace): must match the issuer worker
+function canonicalJson(value: unknown): string {
+  if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']'
+  if (value && typeof value === 'object') {
+    const obj = value as Record<string, unknown>
+    return '{' + Object.keys(obj).sort()
+      .filter((key) => obj[key] !== undefined)
+      .map((key) => JSON.stringify(key) + ':' + canonicalJson(obj[key]))
+      .join(',') + '}'
+  }
+  return JSON.stringify(value)
+}
+
+const originOf = (url: unknown): string | null => {
+  try {
+    return new URL(String(url)).origin
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check the directory signature against its signer
+ */
+export function verifyKeyDirectory(directory: SignedKeyDirectory): boolean {
+  const { sig, ...unsigned } = directory
+  if (!sig || !directory.signer) return false
+  try {
+    const digest = sha256(new TextEncoder().encode(canonicalJson(unsigned)))
+    return p256.verify(b64ud(sig), digest, b64ud(directory.signer))
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Create a cached view of the issuer's key directory
+ *
+ * Fetches time out after `timeoutMs`; after a failure the directory is not
+ * fetched again for 1s, doubling per consecutive failure up to 60s, and lookups
+ * that need it fail with the last error meanwhile. Without `signerPublicKey` the
+ * first signer seen is trusted (trust on first use) and a warning is logged.
+ * A directory for another issuer, or issued more than `maxDirectoryAgeSeconds`
+ * ago, is rejected even when validly signed: the version check alone only
+ * catches rollbacks against what this process has already cached.
+ *
+ * @example
+ * ```typescript
+ * const directory = createKeyDirectory({
+ *   issuerUrl: 'https://issuer.example.com',
+ *   signerPublicKey: process.env.BRASS_ISSUER_DIRECTORY_KEY,
+ * })
+ * const { key, error } = await directory.getKey(payload.KID)
+ * ```
+ */
+export function createKeyDirectory(options: KeyDirectoryOptions): KeyDirectory {
+  const url = new URL(KEY_DIRECTORY_PATH, options.issuerUrl).toString()
+  const fetchImpl = options.fetch || fetch
+  const issuerOrigin = new URL(options.issuerUrl).origin
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS
+  const maxAgeMs = (options.maxDirectoryAgeSeconds ?? DEFAULT_MAX_DIRECTORY_AGE_SECONDS) * 1000
+
+  if (!options.signerPublicKey) {
+    console.warn(`[BRASS] No issuer directory key pinned for ${url} - trusting the first signer seen. Set issuerDirectoryKey (BRASS_ISSUER_DIRECTORY_KEY) in production`)
+  }
+
+  let signer = options.signerPublicKey
+  let cache: { keys: IssuerKey[]; version: number; fetchedAt: number; expiresAt: number } | null = null
+  let inflight: Promise<void> | null = null
+  let failures = 0
+  let retryAt = 0
+  let lastError = ''
+
+  async function load(): Promise<void> {
+    const response = await fetchImpl(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(timeoutMs),
+    })
+    if (!response.ok) {
+      throw new Error(`Issuer key directory fetch failed: ${response.status}`)
+    }
+
+    const directory = (await response.json()) as SignedKeyDirectory
+    if (signer && directory.signer !== signer) {
+      throw new Error('Issuer key directory signed by an unexpected key')
+    }
+    if (!verifyKeyDirectory(directory)) {
+      throw new Error('Issuer key directory signature invalid')
+    }
+    if (originOf(directory.issuer) !== issuerOrigin) {
+      throw new Error(`Issuer key directory is for another issuer (${directory.issuer})`)
+    }
+    const now = Date.now()
+    const issuedAt = Date.parse(directory.issuedAt)
+    if (!(now - issuedAt <= maxAgeMs)) {
+      throw new Error(`Issuer key directory is stale (issued ${directory.issuedAt})`)
+    }
+    if (cache && directory.version < cache.version) {
+      throw new Error(`Issuer key directory rolled back (version ${directory.version} < ${cache.version})`)
+    }
+
+    signer = directory.signer
+    const ttl = options.ttlSeconds ?? directory.maxAge ?? DEFAULT_TTL_SECONDS
+    cache = {
+      keys: Array.isArray(directory.keys) ? directory.keys : [],
+      version: directory.version,
+      fetchedAt: now,
+      expiresAt: now + ttl * 1000,
+    }
+  }
+
+  function refresh(): Promise<void> {
+    if (!inflight) {
+      inflight = load()
+        .then(() => {
+          failures = 0
+          retryAt = 0
+        }, (error) => {
+          failures++
+          retryAt = Date.now() + Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (failures - 1))
+          lastError = error instanceof Error ? error.message : 'Issuer key directory unavailable'
+          throw error
+        })
+        .finally(() => {
+          inflight = null
+        })
+    }
+    return inflight
+  }
+
+  return {
+    refresh,
+
+    async getKey(KID: string, now: number = Date.now()) {
+      if (!cache || now >= cache.expiresAt) {
+        if (now < retryAt) return { error: lastError }
+        try {
+          await refresh()
+        } catch {
+          return { error: lastError }
+        }
+      }
+
+      const selected = selectIssuerKey(cache!.keys, KID, now)
+      const listed = cache!.keys.some((k) => k.KID === KID)
+      if (selected.key || listed || now - cache!.fetchedAt < MIN_REFRESH_INTERVAL_MS || now < retryAt) {
+        return selected
+      }
+
+      // Unknown KID: the issuer may have rotated since the last fetch. Refresh once.
+      try {
+        await refresh()
+      } catch {
+        return selected
+      }
+      return selectIssuerKey(cache!.keys, KID, now)
+    },
+  }
+}
+
+const directories = new Map<string, KeyDirectory>()
+
+/**
+ * Shared key directory per issuer URL and pinned signer, so verifiers created per
+ * request (Next.js routes, Workers) reuse one cache
+ */
+export function getKeyDirectory(options: KeyDirectoryOptions): KeyDirectory {
+  const id = `${new URL(KEY_DIRECTORY_PATH, options.issuerUrl)}|${options.signerPublicKey || ''}|${options.ttlSeconds ?? ''}|${options.maxDirectoryAgeSeconds ?? ''}`
+  let directory = directories.get(id)
+  if (!directory) {
+    directory = createKeyDirectory(options)
+    directories.set(id, directory)
+  }
+  return directory
+}
@@ -0,0 +1,108 @@
+/**
+ * BRASS Profile Loader
+ *
+ * Registers calibration profiles kept outside the package: a directory of JSON
+ * files (one profile per file, as in `profiles/`) or a profile registry URL.
+ * Every profile is schema-checked before it is registered. Node's `fs` is only
+ * imported when loading a directory, so URL loading stays edge-safe.
+ */
+
+import { registerProfile, type CalibrationProfile, type RegisterProfileOptions } from './calibrationProfiles'
+import { assertValidProfile } from './profileSchema'
+
+export interface ProfileUrlOptions extends RegisterProfileOptions {
+  /** fetch implementation (defaults to the global fetch) */
+  fetch?: typeof fetch
+  /** Extra request headers, e.g. Authorization for a private registry */
+  headers?: Record<string, string>
+}
+
+// Validate everything before registering anything, so a bad file leaves the registry untouched
+function registerAll(
+  entries: Array<{ source: string; profile: unknown }>,
+  options: RegisterProfileOptions
+): CalibrationProfile[] {
+  const seen = new Set<string>()
+  for (const { source, profile } of entries) {
+    assertValidProfile(profile, source)
+    const id = `${profile.name}@${profile.version}`
+    if (seen.has(id)) {
+      throw new Error(`Invalid ${source}: profile "${id}" is defined more than once`)
+    }
+    seen.add(id)
+  }
+  return entries.map(({ profile }) => registerProfile(profile, options))
+}
+
+/**
+ * Register every `*.json` profile in a directory (Node.js only)
+ *
+ * @example
+ * ```typescript
+ * await loadProfilesFromDirectory('./config/brass-profiles')
+ * const verifier = createBrassVerifier({ secretKey, calibrationProfile: 'internal-search' })
+ * ```
+ *
+ * @throws {Error} naming the file on unreadable JSON or schema violations
+ */
+export async function loadProfilesFromDirectory(
+  dir: string,
+  options: RegisterProfileOptions = {}
+): Promise<CalibrationProfile[]> {
+  const { readdir, readFile } = await import('node:fs/promises')
+  const { join } = await import('node:path')
+
+  const files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort()
+  const entries = await Promise.all(files.map(async file => {
+    const source = `profile file ${file}`
+    try {
+      return { source, profile: JSON.parse(await readFile(join(dir, file), 'utf8')) as unknown }
+    } catch (error) {
+      throw new Error(`Invalid ${source}: ${error instanceof Error ? error.message : String(error)}`)
+    }
+  }))
+
+  return registerAll(entries, options)
+}
+
+/**
+ * Register the profiles published at a registry URL
+ *
+ * The response may be a single profile, an array of profiles, or
+ * `{ profiles: [...] }`.
+ *
+ * @example
+ * ```typescript
+ * await loadProfilesFromUrl('https://profiles.example.com/brass.json', {
+ *   headers: { Authorization: `Bearer ${process.env.PROFILE_REGISTRY_TOKEN}` },
+ * })
+ * ```
+ *
+ * @throws {Error} on HTTP errors, non-JSON responses or schema violations
+ */
+export async function loadProfilesFromUrl(
+  url: string,
+  options: ProfileUrlOptions = {}
+): Promise<CalibrationProfile[]> {
+  const { fetch: fetchImpl = fetch, headers, ...registerOptions } = options
+
+  const response = await fetchImpl(url, { headers: { Accept: 'application/json', ...headers } })
+  if (!response.ok) {
+    throw new Error(`Profile registry ${url} returned HTTP ${response.status}`)
+  }
+
+  let body: unknown
+  try {
+    body = await response.json()
+  } catch {
+    throw new Error(`Profile registry ${url} did not return JSON`)
+  }
+
+  const profiles = Array.isArray(body)
+    ? body
+    : body && typeof body === 'object' && Array.isArray((body as { profiles?: unknown }).profiles)
+      ? (body as { profiles: unknown[] }).profiles
+      : [body]
+
+  return registerAll(profiles.map((profile, i) => ({ source: `profile ${i} from ${url}`, profile })), registerOptions)
+}
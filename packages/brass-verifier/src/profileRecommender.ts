@@ -0,0 +1,193 @@
+/**
+ * BRASS Traffic Recommender
+ *
+ * Suggests a calibration profile and overrides per scope from recorded
+ * verification outcomes (`verifier.getTraffic()` or `Telemetrist.getTraffic()`),
+ * with the reasoning behind each suggestion. Runs entirely offline: nothing is
+ * sent anywhere, so self-hosters can tune limits from their own traffic.
+ */
+
+import { loadProfile, recommendProfile, type ProfileOverrides } from './calibrationProfiles'
+import type { ScopeTraffic } from './telemetry'
+import type { ScopeConfig } from './types'
+
+export interface TrafficRecommendationOptions {
+  /** Profiles the traffic was recorded under, as in `BrassVerifierConfig.scopes` */
+  scopes?: Record<string, ScopeConfig>
+  /** Profile for scopes not in `scopes` (default: `recommendProfile(scope)`) */
+  profile?: ScopeConfig
+  /** Token windows needed before suggesting changes (default: 100) */
+  minTokenWindows?: number
+}
+
+export interface TrafficRecommendation {
+  scope: string
+  /** Pinned profile reference, e.g. 'comments@1.0' */
+  profile: string
+  /** The overrides the traffic was recorded with, plus the suggested changes */
+  overrides: ProfileOverrides
+  confidence: 'low' | 'medium' | 'high'
+  /** One sentence per observation or suggestion */
+  explanation: string[]
+  stats: {
+    days: number
+    /** Token rate-limit windows with at least one accepted request */
+    tokenWindows: number
+    verified: number
+    softLimited: number
+    rateLimited: number
+    /** rateLimited / (verified + rateLimited) */
+    denialRate: number
+    /** softLimited / verified */
+    burstRate: number
+    /** Requests per window that 95% / 99% of token windows stayed within */
+    p95: number
+    p99: number
+  }
+}
+
+const DEFAULT_MIN_TOKEN_WINDOWS = 100
+// Above this share of rejected requests, demand beyond the limit can't be read from the data
+const HIGH_DENIAL_RATE = 0.01
+const HIGH_CONFIDENCE_DAYS = 7
+const HIGH_CONFIDENCE_TOKEN_WINDOWS = 1000
+
+const percent = (share: number) => `${(share * 100).toFixed(1)}%`
+
+// Smallest k such that at most (1 - p) of token windows needed more than k requests
+function usagePercentile(usage: number[], p: number): number {
+  const windows = usage[0] || 0
+  for (let k = 1; k <= usage.length; k++) {
+    if ((usage[k] || 0) <= windows * (1 - p)) return k
+  }
+  return usage.length
+}
+
+// Sum one scope's daily records
+function aggregate(days: ScopeTraffic[]) {
+  const usage: number[] = []
+  for (const day of days) {
+    day.usage.forEach((count, i) => { usage[i] = (usage[i] || 0) + count })
+  }
+  const sum = (field: 'verified' | 'softLimited' | 'rateLimited') => days.reduce((total, day) => total + day[field], 0)
+  return {
+    days: new Set(days.map(day => day.epoch)).size,
+    verified: sum('verified'),
+    softLimited: sum('softLimited'),
+    rateLimited: sum('rateLimited'),
+    usage,
+  }
+}
+
+/**
+ * Suggest a profile and overrides for each scope in recorded traffic
+ *
+ * `maxRequests` is set to what 95% of token windows needed and the burst
+ * allowance covers up to 99%. When more than 1% of requests were rate limited,
+ * demand above the limit is not visible in the data, so limits are only ever
+ * lowered and the explanation says so. Pass the profiles the traffic was
+ * recorded under; `overrides` in the result keep yours and add the changes.
+ *
+ * @example
+ * ```typescript
+ * const verifier = createBrassVerifier({
+ *   secretKey,
+ *   scopes: { comments: 'comments@1.0' },
+ *   telemetry: { enabled: true, offline: true },
+ * })
+ * // ... after some traffic
+ * for (const r of recommendFromTraffic(verifier.getTraffic!(), { scopes: { comments: 'comments@1.0' } })) {
+ *   console.log(r.scope, r.profile, r.overrides, r.confidence)
+ *   console.log(r.explanation.join('\n'))
+ * }
+ * ```
+ *
+ * @throws {Error} if a configured profile is unknown
+ */
+export function recommendFromTraffic(
+  traffic: ScopeTraffic[],
+  options: TrafficRecommendationOptions = {}
+): TrafficRecommendation[] {
+  const minTokenWindows = options.minTokenWindows ?? DEFAULT_MIN_TOKEN_WINDOWS
+  const scopes = [...new Set(traffic.map(day => day.scope))].sort()
+
+  return scopes.map(scope => {
+    const entry = options.scopes?.[scope] ?? options.profile ?? recommendProfile(scope)
+    const { profile: ref, overrides = {} } = typeof entry === 'string' ? { profile: entry } : entry
+    const base = loadProfile(ref, overrides)
+    const { maxRequests, windowSeconds } = base.rateLimit
+    const burst = base.rateLimit.burstAllowance || 0
+
+    const totals = aggregate(traffic.filter(day => day.scope === scope))
+    const tokenWindows = totals.usage[0] || 0
+    const denialRate = totals.rateLimited / Math.max(1, totals.verified + totals.rateLimited)
+    const stats = {
+      days: totals.days,
+      tokenWindows,
+      verified: totals.verified,
+      softLimited: totals.softLimited,
+      rateLimited: totals.rateLimited,
+      denialRate,
+      burstRate: totals.softLimited / Math.max(1, totals.verified),
+      p95: usagePercentile(totals.usage, 0.95),
+      p99: usagePercentile(totals.usage, 0.99),
+    }
+
+    const explanation = [
+      `Observed ${tokenWindows} token windows over ${stats.days} day(s) with "${base.name}@${base.version}": ` +
+      `${maxRequests} requests per ${windowSeconds}s (+${burst} burst).`,
+    ]
+    const recommendation = {
+      scope,
+      profile: `${base.name}@${base.version}`,
+      overrides,
+      stats,
+      explanation,
+    }
+
+    if (tokenWindows < minTokenWindows) {
+      explanation.push(`Too little traffic to tune limits (need ${minTokenWindows} token windows); keep the profile as is.`)
+      return { ...recommendation, confidence: 'low' as const }
+    }
+
+    if (totals.softLimited > 0) {
+      explanation.push(`${percent(stats.burstRate)} of accepted requests used the burst allowance.`)
+    }
+
+    // Rejected demand is censored at the hard limit, so only suggest tightening
+    const censored = denialRate > HIGH_DENIAL_RATE
+    const suggestedMax = censored ? Math.min(Math.max(1, stats.p95), maxRequests) : Math.max(1, stats.p95)
+    let suggestedBurst = Math.max(0, stats.p99 - suggestedMax)
+    if (censored) {
+      suggestedBurst = Math.min(suggestedBurst, burst)
+      explanation.push(
+        `${percent(denialRate)} of requests were rate limited. Demand above the limit isn't visible in this data: ` +
+        'if these are legitimate users, raise maxRequests step by step and re-check; if not, the limit is doing its job.'
+      )
+    }
+
+    if (suggestedMax < maxRequests) {
+      explanation.push(`95% of token windows needed at most ${stats.p95} requests: lower maxRequests from ${maxRequests} to ${suggestedMax}.`)
+    } else if (suggestedMax > maxRequests) {
+      explanation.push(`More than 5% of token windows needed over ${maxRequests} requests: raise maxRequests to ${suggestedMax}.`)
+    } else {
+      explanation.push(`maxRequests ${maxRequests} covers 95% of token windows.`)
+    }
+    if (suggestedBurst !== burst) {
+      explanation.push(`The busiest 1% of token windows needed up to ${stats.p99} requests: set burstAllowance to ${suggestedBurst} (was ${burst}).`)
+    }
+
+    const changes: NonNullable<ProfileOverrides['rateLimit']> = {}
+    if (suggestedMax !== maxRequests) changes.maxRequests = suggestedMax
+    if (suggestedBurst !== burst) changes.burstAllowance = suggestedBurst
+
+    const confidence = !censored && stats.days >= HIGH_CONFIDENCE_DAYS && tokenWindows >= HIGH_CONFIDENCE_TOKEN_WINDOWS
+      ? 'high' as const
+      : 'medium' as const
+    return {
+      ...recommendation,
+      overrides: Object.keys(changes).length > 0 ? { ...overrides, rateLimit: { ...overrides.rateLimit, ...changes } } : overrides,
+      confidence,
+    }
+  })
+}
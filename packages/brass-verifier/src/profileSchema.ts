@@ -0,0 +1,142 @@
+/**
+ * BRASS Calibration Profile Schema
+ *
+ * Validates profiles that do not ship with the package (JSON files, a profile
+ * registry URL, `registerProfile`) before they can configure a verifier.
+ * Mirrors the `CalibrationProfile` interface; unknown fields are rejected so
+ * typos do not silently fall back to defaults.
+ */
+
+import type { CalibrationProfile } from './calibrationProfiles'
+
+export const CERTIFICATION_LEVELS = ['brass-verified', 'community', 'experimental', 'internal'] as const
+
+export type CertificationLevel = (typeof CERTIFICATION_LEVELS)[number]
+
+/** Profile names: lowercase letters, digits, '-', '_' and '.' */
+export const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/
+
+/** Profile versions: dotted numbers ('1.0', '2.1.3') so they can be ordered */
+export const PROFILE_VERSION_PATTERN = /^\d+(\.\d+)*$/
+
+export interface ProfileValidationResult {
+  valid: boolean
+  /** One message per problem, prefixed with the field path (e.g. 'rateLimit.maxRequests') */
+  errors: string[]
+}
+
+type FieldCheck = (value: unknown) => string | null
+
+const isObject = (value: unknown): value is Record<string, unknown> =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const string: FieldCheck = (v) => (typeof v === 'string' && v.length > 0 ? null : 'must be a non-empty string')
+const boolean: FieldCheck = (v) => (typeof v === 'boolean' ? null : 'must be a boolean')
+const integer = (min: number, max = Number.MAX_SAFE_INTEGER): FieldCheck => (v) =>
+  Number.isInteger(v) && (v as number) >= min && (v as number) <= max
+    ? null
+    : `must be an integer${max === Number.MAX_SAFE_INTEGER ? ` >= ${min}` : ` from ${min} to ${max}`}`
+const stringList: FieldCheck = (v) =>
+  Array.isArray(v) && v.every((item) => typeof item === 'string') ? null : 'must be an array of strings'
+const oneOf = (values: readonly string[]): FieldCheck => (v) =>
+  values.includes(v as string) ? null : `must be one of ${values.join(', ')}`
+const name: FieldCheck = (v) =>
+  typeof v === 'string' && PROFILE_NAME_PATTERN.test(v) ? null : `must match ${PROFILE_NAME_PATTERN}`
+const version: FieldCheck = (v) =>
+  typeof v === 'string' && PROFILE_VERSION_PATTERN.test(v) ? null : `must match ${PROFILE_VERSION_PATTERN}`
+
+// Field → [check, required]
+type Shape = Record<string, [FieldCheck, boolean]>
+
+const SECTIONS: Record<string, Shape> = {
+  rateLimit: {
+    windowSeconds: [integer(1), true],
+    maxRequests: [integer(1), true],
+    burstAllowance: [integer(0), false],
+  },
+  tokens: {
+    maxAgeSeconds: [integer(0), true],
+    allowReuse: [boolean, true],
+    maxUses: [integer(1), false],
+  },
+  deprecated: {
+    message: [string, true],
+    since: [string, false],
+    replacedBy: [string, false],
+  },
+  metadata: {
+    author: [string, true],
+    lastUpdated: [string, true],
+    testedWith: [string, false],
+    recommendedFor: [stringList, true],
+    warnings: [stringList, false],
+  },
+}
+
+const TOP_LEVEL: Shape = {
+  name: [name, true],
+  version: [version, true],
+  description: [string, true],
+  certification: [oneOf(CERTIFICATION_LEVELS), false],
+  migrationNote: [string, false],
+}
+
+const REQUIRED_SECTIONS = ['rateLimit', 'tokens', 'metadata']
+
+function checkShape(value: Record<string, unknown>, shape: Shape, path: string, errors: string[], extraKeys: string[] = []) {
+  for (const [field, [check, required]] of Object.entries(shape)) {
+    if (value[field] === undefined) {
+      if (required) errors.push(`${path}${field} is required`)
+      continue
+    }
+    const problem = check(value[field])
+    if (problem) errors.push(`${path}${field} ${problem}`)
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in shape) && !extraKeys.includes(key)) errors.push(`${path}${key} is not a profile field`)
+  }
+}
+
+/**
+ * Check a value against the calibration profile schema
+ *
+ * @example
+ * ```typescript
+ * const { valid, errors } = validateProfile(JSON.parse(json))
+ * if (!valid) console.error(errors.join('\n'))
+ * ```
+ */
+export function validateProfile(value: unknown): ProfileValidationResult {
+  if (!isObject(value)) {
+    return { valid: false, errors: ['profile must be a JSON object'] }
+  }
+
+  const errors: string[] = []
+  const sections = Object.keys(SECTIONS)
+  checkShape(value, TOP_LEVEL, '', errors, sections)
+
+  for (const section of sections) {
+    const content = value[section]
+    if (content === undefined) {
+      if (REQUIRED_SECTIONS.includes(section)) errors.push(`${section} is required`)
+    } else if (!isObject(content)) {
+      errors.push(`${section} must be an object`)
+    } else {
+      checkShape(content, SECTIONS[section], `${section}.`, errors)
+    }
+  }
+
+  return { valid: errors.length === 0, errors }
+}
+
+/**
+ * Narrowing form of `validateProfile`
+ *
+ * @throws {Error} listing every schema violation, prefixed with `source`
+ */
+export function assertValidProfile(value: unknown, source = 'calibration profile'): asserts value is CalibrationProfile {
+  const { valid, errors } = validateProfile(value)
+  if (!valid) {
+    throw new Error(`Invalid ${source}: ${errors.join('; ')}`)
+  }
+}
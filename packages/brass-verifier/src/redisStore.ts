@@ -0,0 +1,124 @@
+/**
+ * BRASS Redis Store
+ *
+ * Atomic spend store for Node deployments. One Lua script checks the idempotency
+ * key, checks the limit and increments the counter, so concurrent requests for
+ * the same token cannot overspend, across any number of server processes.
+ */
+
+import { counterKey, graceKeyFor, idempotencyKeyFor } from './store'
+import type { BrassCounterStore, GraceParams, SpendOutcome, SpendParams } from './types'
+
+/**
+ * Runs a Lua script: `(script, keys, args) => redis.eval(...)`
+ */
+export type RedisScriptRunner = (script: string, keys: string[], args: string[]) => Promise<unknown>
+
+/**
+ * ioredis-style client (`eval(script, numKeys, ...keys, ...args)`)
+ */
+export interface RedisEvalClient {
+  eval(script: string, numKeys: number, ...keysAndArgs: string[]): Promise<unknown>
+}
+
+export interface RedisStoreOptions {
+  /** Prefix for every key (default: 'brass:') */
+  keyPrefix?: string
+}
+
+// KEYS[1] idempotency record, KEYS[2] counter
+// ARGV[1] limit, ARGV[2] counter TTL (ms), ARGV[3] idempotency TTL (ms)
+// Returns {idempotent, ok, remaining}; the idempotency record stores "ok:remaining"
+const SPEND_SCRIPT = `
+local cached = redis.call('GET', KEYS[1])
+if cached then
+  local sep = string.find(cached, ':')
+  return {1, tonumber(string.sub(cached, 1, sep - 1)), tonumber(string.sub(cached, sep + 1))}
+end
+local limit = tonumber(ARGV[1])
+local count = tonumber(redis.call('GET', KEYS[2]) or '0')
+local ok = 0
+local remaining = 0
+if count < limit then
+  count = redis.call('INCR', KEYS[2])
+  if count == 1 then redis.call('PEXPIRE', KEYS[2], ARGV[2]) end
+  ok = 1
+  remaining = math.max(0, limit - count)
+end
+redis.call('SET', KEYS[1], ok .. ':' .. remaining, 'PX', ARGV[3])
+return {0, ok, remaining}
+`
+
+// KEYS[1] grace key; ARGV[1] response, ARGV[2] TTL (ms). First response wins
+const GRACE_SCRIPT = `redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2])`
+
+function toRunner(client: RedisEvalClient | RedisScriptRunner): RedisScriptRunner {
+  if (typeof client === 'function') return client
+  return (script, keys, args) => client.eval(script, keys.length, ...keys, ...args)
+}
+
+/**
+ * Create an atomic spend store backed by Redis
+ *
+ * Takes an ioredis client directly, or a script runner for other clients.
+ *
+ * @example
+ * ```typescript
+ * import Redis from 'ioredis'
+ * import { createBrassVerifier, createRedisStore } from '@brassproof/verifier'
+ *
+ * const verifier = createBrassVerifier({
+ *   secretKey: process.env.BRASS_SECRET_KEY!,
+ *   issuerPublicKey: process.env.BRASS_ISSUER_PUBKEY,
+ *   store: createRedisStore(new Redis(process.env.REDIS_URL!)),
+ * })
+ *
+ * // node-redis
+ * const store = createRedisStore((script, keys, args) => client.eval(script, { keys, arguments: args }))
+ * ```
+ */
+export function createRedisStore(
+  client: RedisEvalClient | RedisScriptRunner,
+  options: RedisStoreOptions = {}
+): BrassCounterStore {
+  const run = toRunner(client)
+  const prefix = options.keyPrefix ?? 'brass:'
+
+  return {
+    async spend({ key, IK, limit, ttlSeconds, replayTtlSeconds }: SpendParams): Promise<SpendOutcome> {
+      const ttlMs = Math.max(1, Math.ceil(ttlSeconds * 1000))
+      const replayTtlMs = Math.max(1, Math.ceil((replayTtlSeconds ?? ttlSeconds) * 1000))
+
+      const reply = await run(
+        SPEND_SCRIPT,
+        [prefix + idempotencyKeyFor(key.projectId, IK), prefix + counterKey(key)],
+        [String(limit), String(ttlMs), String(replayTtlMs)]
+      )
+      if (!Array.isArray(reply) || reply.length !== 3) {
+        throw new Error('Unexpected reply from Redis spend script')
+      }
+
+      const [idempotent, ok, remaining] = reply.map(Number)
+      return {
+        ok: ok === 1,
+        remaining,
+        ...(ok === 1 ? {} : { error: 'limit_exceeded' }),
+        ...(idempotent === 1 ? { idempotent: true } : {}),
+      }
+    },
+
+    async guardGrace({ projectId, graceKey }: GraceParams) {
+      // GET through the script runner too, so any client works
+      const cached = await run(`return redis.call('GET', KEYS[1])`, [prefix + graceKeyFor(projectId, graceKey)], [])
+      return typeof cached === 'string' ? { hit: true, response: JSON.parse(cached) } : { hit: false }
+    },
+
+    async cacheGraceResponse({ projectId, graceKey, ttlSeconds, response }: GraceParams & { response: SpendOutcome }) {
+      await run(
+        GRACE_SCRIPT,
+        [prefix + graceKeyFor(projectId, graceKey)],
+        [JSON.stringify(response), String(Math.max(1, Math.ceil(ttlSeconds * 1000)))]
+      )
+    },
+  }
+}
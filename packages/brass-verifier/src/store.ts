@@ -0,0 +1,174 @@
+/**
+ * BRASS Spend Stores
+ *
+ * Key layout shared by the SDK stores, the in-memory default store and the
+ * best-effort KV store behind the `kvNamespace` option. The Redis store lives
+ * in redisStore.
+ */
+
+import type { BrassCounterStore, CounterKey, GraceParams, KVNamespace, SpendOutcome, SpendParams } from './types'
+
+// Same namespacing as the worker stores: tenant first, then every key field
+export function counterKey(key: CounterKey): string {
+  return `count:project:${key.projectId}:${key.issuerPk}:${key.origin}:${key.epoch}:${key.policy}:${key.window}:${key.y}`
+}
+
+// SECURITY: idempotency and grace keys are namespaced by projectId to prevent cross-tenant collisions
+export const idempotencyKeyFor = (projectId: string, IK: string) => `ik:project:${projectId}:${IK}`
+export const graceKeyFor = (projectId: string, graceKey: string) => `grace:project:${projectId}:${graceKey}`
+
+// Cloudflare KV rejects expirationTtl below 60 seconds. Longer-lived counters are
+// harmless (the window is part of the key); grace entries carry their own expiry.
+const KV_MIN_TTL_SECONDS = 60
+const kvTtl = (seconds: number) => Math.max(KV_MIN_TTL_SECONDS, Math.ceil(seconds))
+
+/**
+ * Spend store on a Cloudflare-style KV namespace
+ *
+ * Best effort: the counter is read and written back, so concurrent requests can
+ * overspend. Use an atomic store (`createRedisStore`, the worker's
+ * DurableObjectStore or SqlStore) where limits must hold exactly.
+ *
+ * @example
+ * ```typescript
+ * const verifier = createBrassVerifier({ secretKey, issuerPublicKey, store: createKvStore(env.BRASS_KV) })
+ * ```
+ */
+export function createKvStore(kv: KVNamespace): BrassCounterStore {
+  return {
+    async spend({ key, IK, limit, ttlSeconds, replayTtlSeconds }: SpendParams): Promise<SpendOutcome> {
+      const ikKey = idempotencyKeyFor(key.projectId, IK)
+      const cached = await kv.get(ikKey)
+      if (cached) {
+        return { ...JSON.parse(cached), idempotent: true }
+      }
+
+      const countKey = counterKey(key)
+      const count = parseInt((await kv.get(countKey)) || '0', 10)
+
+      // Cache failures too, so retrying a denied IK cannot consume capacity later
+      const response: SpendOutcome = count >= limit
+        ? { ok: false, error: 'limit_exceeded', remaining: 0 }
+        : { ok: true, remaining: Math.max(0, limit - count - 1) }
+
+      await Promise.all([
+        response.ok ? kv.put(countKey, String(count + 1), { expirationTtl: kvTtl(ttlSeconds) }) : undefined,
+        kv.put(ikKey, JSON.stringify(response), { expirationTtl: kvTtl(replayTtlSeconds ?? ttlSeconds) }),
+      ])
+
+      return response
+    },
+
+    async guardGrace({ projectId, graceKey }: GraceParams) {
+      const cached = await kv.get(graceKeyFor(projectId, graceKey))
+      const entry = cached ? JSON.parse(cached) as { response: SpendOutcome; expiresAt: number } : undefined
+      return entry && entry.expiresAt > Date.now() ? { hit: true, response: entry.response } : { hit: false }
+    },
+
+    async cacheGraceResponse({ projectId, graceKey, ttlSeconds, response }: GraceParams & { response: SpendOutcome }) {
+      const key = graceKeyFor(projectId, graceKey)
+      const cached = await kv.get(key)
+      if (!cached || !(JSON.parse(cached).expiresAt > Date.now())) {
+        const entry = { response, expiresAt: Date.now() + ttlSeconds * 1000 }
+        await kv.put(key, JSON.stringify(entry), { expirationTtl: kvTtl(ttlSeconds) })
+      }
+    },
+  }
+}
+
+export interface MemoryStoreOptions {
+  /** Most entries kept; least recently used go first (default: 100000, ~2 per token per window) */
+  maxEntries?: number
+  /** Clock (epoch ms), for tests */
+  now?: () => number
+}
+
+// Sweep expired entries once per this many writes
+const SWEEP_EVERY = 1000
+
+/**
+ * In-process spend store: an LRU map with per-entry TTLs
+ *
+ * The default when no `store` or `kvNamespace` is configured. `spend` runs
+ * synchronously, so it is atomic within the process, and memory stays bounded
+ * by `maxEntries`. Limits are per process and reset on restart; use a shared
+ * store (`createRedisStore`, SqlStore) once there is more than one process.
+ * Under memory pressure the least recently used counters and replay records
+ * are evicted first, so size `maxEntries` above your peak tokens per window.
+ *
+ * @example
+ * ```typescript
+ * const verifier = createBrassVerifier({ secretKey, issuerPublicKey, store: createMemoryStore({ maxEntries: 10_000 }) })
+ * ```
+ */
+export function createMemoryStore(options: MemoryStoreOptions = {}): BrassCounterStore & { size(): number; clear(): void } {
+  const maxEntries = options.maxEntries ?? 100_000
+  const now = options.now || Date.now
+  const entries = new Map<string, { value: string; expiresAt: number }>()
+  let writes = 0
+
+  const get = (key: string): string | null => {
+    const entry = entries.get(key)
+    if (!entry) return null
+    entries.delete(key)
+    if (entry.expiresAt <= now()) return null
+    entries.set(key, entry) // most recently used
+    return entry.value
+  }
+
+  const set = (key: string, value: string, ttlSeconds: number): void => {
+    entries.delete(key)
+    entries.set(key, { value, expiresAt: now() + ttlSeconds * 1000 })
+
+    if (++writes % SWEEP_EVERY === 0) {
+      const time = now()
+      for (const [k, entry] of entries) {
+        if (entry.expiresAt <= time) entries.delete(k)
+      }
+    }
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value as string)
+    }
+  }
+
+  return {
+    async spend({ key, IK, limit, ttlSeconds, replayTtlSeconds }: SpendParams): Promise<SpendOutcome> {
+      // No await before the writes: check and increment cannot interleave
+      const ikKey = idempotencyKeyFor(key.projectId, IK)
+      const cached = get(ikKey)
+      if (cached) {
+        return { ...JSON.parse(cached), idempotent: true }
+      }
+
+      const countKey = counterKey(key)
+      const count = parseInt(get(countKey) || '0', 10)
+
+      const response: SpendOutcome = count >= limit
+        ? { ok: false, error: 'limit_exceeded', remaining: 0 }
+        : { ok: true, remaining: Math.max(0, limit - count - 1) }
+
+      if (response.ok) {
+        // Keep the window's expiry when the counter already exists
+        const existing = entries.get(countKey)
+        const ttl = existing ? (existing.expiresAt - now()) / 1000 : ttlSeconds
+        set(countKey, String(count + 1), ttl)
+      }
+      set(ikKey, JSON.stringify(response), replayTtlSeconds ?? ttlSeconds)
+
+      return response
+    },
+
+    async guardGrace({ projectId, graceKey }: GraceParams) {
+      const cached = get(graceKeyFor(projectId, graceKey))
+      return cached ? { hit: true, response: JSON.parse(cached) } : { hit: false }
+    },
+
+    async cacheGraceResponse({ projectId, graceKey, ttlSeconds, response }: GraceParams & { response: SpendOutcome }) {
+      const key = graceKeyFor(projectId, graceKey)
+      if (!get(key)) set(key, JSON.stringify(response), ttlSeconds)
+    },
+
+    size: () => entries.size,
+    clear: () => entries.clear(),
+  }
+}
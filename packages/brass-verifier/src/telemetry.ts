@@ -37,15 +37,19 @@ export interface AlertConfig {
 
 export interface TelemetryConfig {
   enabled: boolean
+  /** Keep counts in memory only (for `getTraffic` / `recommendFromTraffic`); no events are sent to `endpoint` */
+  offline?: boolean
   endpoint?: string
   tenantId?: string
   onThreshold?: (threshold: number, count: number) => void
+  /** Called for each request allowed within a burst allowance, with today's count for the scope */
+  onSoftLimit?: (scope: string, count: number) => void
   thresholds?: number[]
   alerts?: AlertConfig
 }
 
 export interface TelemetryEvent {
-  type: 'verification' | 'threshold_reached' | 'alert'
+  type: 'verification' | 'threshold_reached' | 'alert' | 'soft_limit' | 'shadow_denial'
   tenantId?: string
   count?: number
   threshold?: number
@@ -54,6 +58,27 @@ export interface TelemetryEvent {
   severity?: AlertSeverity
 }
 
+/**
+ * Verification outcomes for one scope on one UTC day (aggregate counts only)
+ */
+export interface ScopeTraffic {
+  scope: string
+  /** Days since the Unix epoch */
+  epoch: number
+  /** Accepted verifications */
+  verified: number
+  /** Accepted within the burst allowance (over `maxRequests`) */
+  softLimited: number
+  /** Rejected by the rate limit */
+  rateLimited: number
+  /**
+   * `usage[k - 1]`: accepted requests that were a token's k-th in its rate-limit
+   * window, so `usage[0]` counts token windows and `usage[k - 1] / usage[0]` is
+   * the share of them that needed k requests or more
+   */
+  usage: number[]
+}
+
 export interface Alert {
   severity: AlertSeverity
   title: string
@@ -68,6 +93,10 @@ const DEFAULT_ENDPOINT = 'https://telemetry.brassproof.com/ingest'
 export class Telemetrist {
   private config: Required<TelemetryConfig>
   private counts: Map<string, number> = new Map()
+  private softLimitCounts: Map<string, number> = new Map()
+  private rateLimitedCounts: Map<string, number> = new Map()
+  private shadowDenialCounts: Map<string, number> = new Map()
+  private usageCounts: Map<string, number[]> = new Map()
   private notifiedThresholds: Set<number> = new Set()
   private retryQueue: TelemetryEvent[] = []
   private retryDelay = 1000
@@ -81,9 +110,11 @@ export class Telemetrist {
     // OPT-IN by default: telemetry disabled unless explicitly enabled
     this.config = {
       enabled: config.enabled ?? false,
+      offline: config.offline ?? false,
       endpoint: config.endpoint || DEFAULT_ENDPOINT,
       tenantId: config.tenantId || 'anonymous',
       onThreshold: config.onThreshold || this.defaultThresholdHandler.bind(this),
+      onSoftLimit: config.onSoftLimit || (() => {}),
       thresholds: config.thresholds || DEFAULT_THRESHOLDS,
       alerts: {
         severities: config.alerts?.severities || ['critical'], // Critical-only by default
@@ -106,8 +137,10 @@ export class Telemetrist {
 
   /**
    * Increment verification count for a given epoch/scope
+   *
+   * @param used - How many requests the token has made in its rate-limit window, this one included
    */
-  async increment(scope: string = 'default'): Promise<void> {
+  async increment(scope: string = 'default', used?: number): Promise<void> {
     if (!this.config.enabled) return
 
     const epoch = this.getCurrentEpoch()
@@ -115,6 +148,13 @@ export class Telemetrist {
     const current = (this.counts.get(key) || 0) + 1
     this.counts.set(key, current)
 
+    if (used !== undefined && used >= 1) {
+      const usage = this.usageCounts.get(key) || []
+      for (let i = usage.length; i < used; i++) usage.push(0)
+      usage[used - 1]++
+      this.usageCounts.set(key, usage)
+    }
+
     // Check if we've crossed any thresholds
     await this.checkThresholds(current)
 
@@ -137,6 +177,103 @@ export class Telemetrist {
     return this.counts.get(key) || 0
   }
 
+  /**
+   * Record a request allowed within a scope's burst allowance (over its limit)
+   *
+   * Counted apart from verifications and emitted as a `soft_limit` warning
+   * event, so sustained bursting shows up before it turns into rejections.
+   */
+  async recordSoftLimit(scope: string = 'default', limit?: number): Promise<void> {
+    if (!this.config.enabled) return
+
+    const epoch = this.getCurrentEpoch()
+    const key = `${epoch}:${scope}`
+    const current = (this.softLimitCounts.get(key) || 0) + 1
+    this.softLimitCounts.set(key, current)
+    this.config.onSoftLimit(scope, current)
+
+    this.emit({
+      type: 'soft_limit',
+      tenantId: this.config.tenantId,
+      severity: 'warning',
+      count: current,
+      timestamp: Date.now(),
+      metadata: { scope, epoch, limit },
+    })
+  }
+
+  /**
+   * Get today's soft-limited (burst) request count for a scope
+   */
+  getSoftLimitCount(scope: string = 'default'): number {
+    const epoch = this.getCurrentEpoch()
+    return this.softLimitCounts.get(`${epoch}:${scope}`) || 0
+  }
+
+  /**
+   * Record a request rejected by a scope's rate limit (counted locally, not emitted)
+   */
+  async recordRateLimited(scope: string = 'default'): Promise<void> {
+    if (!this.config.enabled) return
+
+    const key = `${this.getCurrentEpoch()}:${scope}`
+    this.rateLimitedCounts.set(key, (this.rateLimitedCounts.get(key) || 0) + 1)
+  }
+
+  /**
+   * Record a request shadow mode let through that enforce mode would have rejected
+   *
+   * Emitted as a `shadow_denial` info event with the rejection reason.
+   */
+  async recordShadowDenial(scope: string = 'default', error?: string): Promise<void> {
+    if (!this.config.enabled) return
+
+    const epoch = this.getCurrentEpoch()
+    const key = `${epoch}:${scope}`
+    const current = (this.shadowDenialCounts.get(key) || 0) + 1
+    this.shadowDenialCounts.set(key, current)
+
+    this.emit({
+      type: 'shadow_denial',
+      tenantId: this.config.tenantId,
+      severity: 'info',
+      count: current,
+      timestamp: Date.now(),
+      metadata: { scope, epoch, error },
+    })
+  }
+
+  /**
+   * Get today's shadow-mode denial count for a scope
+   */
+  getShadowDenialCount(scope: string = 'default'): number {
+    const epoch = this.getCurrentEpoch()
+    return this.shadowDenialCounts.get(`${epoch}:${scope}`) || 0
+  }
+
+  /**
+   * Recorded outcomes per scope and day, oldest first
+   *
+   * Input for `recommendFromTraffic`. Counts live in memory, so they cover this
+   * process since it started (or since `reset()`).
+   */
+  getTraffic(): ScopeTraffic[] {
+    const keys = new Set([...this.counts.keys(), ...this.rateLimitedCounts.keys()])
+    return [...keys]
+      .map(key => {
+        const separator = key.indexOf(':')
+        return {
+          scope: key.slice(separator + 1),
+          epoch: Number(key.slice(0, separator)),
+          verified: this.counts.get(key) || 0,
+          softLimited: this.softLimitCounts.get(key) || 0,
+          rateLimited: this.rateLimitedCounts.get(key) || 0,
+          usage: [...(this.usageCounts.get(key) || [])],
+        }
+      })
+      .sort((a, b) => a.epoch - b.epoch || a.scope.localeCompare(b.scope))
+  }
+
   /**
    * Check if any thresholds have been crossed
    */
@@ -354,7 +491,7 @@ export class Telemetrist {
    * Emit telemetry event with exponential backoff retry
    */
   private async emit(event: TelemetryEvent, retryCount = 0): Promise<void> {
-    if (!this.config.enabled) return
+    if (!this.config.enabled || this.config.offline) return
 
     try {
       // Use fetch if available (Node 18+, Workers, browsers)
@@ -404,6 +541,10 @@ export class Telemetrist {
    */
   reset(): void {
     this.counts.clear()
+    this.softLimitCounts.clear()
+    this.rateLimitedCounts.clear()
+    this.shadowDenialCounts.clear()
+    this.usageCounts.clear()
     this.notifiedThresholds.clear()
   }
 }
@@ -1,29 +1,16 @@
-export interface BrassSpendPayload {
-  // Matches client buildSpend return (line 197-209) + server additions
-  KID: string       // token.KID (string)
-  AADr: string      // token.AADr (string)
+import type { SpendError, SpendProof } from '@brassproof/protocol'
+
+/**
+ * Spend payload: the client's `buildSpend` output (proof fields from
+ * @brassproof/protocol) plus the HTTP context added by the server
+ */
+export interface BrassSpendPayload extends SpendProof {
   origin: string    // token.origin (string)
   epoch: number     // token.epoch (number)
-  y: string         // base64url
-  eta: string       // base64url
-  c: string         // base64url
-  Z: string         // base64url (token.Z)
-  Zprime: string    // base64url (token.Zprime)
-  P: string         // base64url (token.P)
-  M: string         // base64url (token.M)
-  piI: {
-    c: string       // base64url
-    s: string       // base64url
-  }
-  piC: {
-    c: string       // base64url
-    r: string       // base64url
-  }
   d_client: string           // base64url from client
   http_method?: string       // Added by server (e.g., 'POST')
   http_path?: string         // Added by server (e.g., '/api/submit-pro')
   http_body_hash_b64?: string // Added by server (base64url body hash)
-  tlsHash?: string           // TLS channel binding (base64url-encoded hash)
 }
 
 // Re-export telemetry types from telemetry.ts to avoid duplication
@@ -37,34 +24,118 @@ export interface BadgeConfig {
   theme?: 'light' | 'dark' | 'auto'
 }
 
+export interface IssuerKey {
+  KID: string
+  /** Issuer public key Y (hex or base64url compressed P-256 point) */
+  Y: string
+  /** ISO-8601 start of validity */
+  notBefore?: string | null
+  /** ISO-8601 end of validity; tokens for this KID are rejected afterwards */
+  notAfter?: string | null
+  status?: 'current' | 'retiring' | 'next'
+}
+
 export interface BrassVerifierConfig {
   secretKey: string
   issuerPublicKey?: string
+  /** Rotated issuer keys selected by token KID (issuer /pub response, key list, or KID → Y map) */
+  issuerPublicKeys?: IssuerKey[] | { keys: IssuerKey[] } | Record<string, string>
+  /** Issuer URL; when no static issuer key is configured, keys are fetched from its `/.well-known/brass-keys` directory */
   issuerUrl?: string
+  /** Pinned signing key of the issuer key directory (base64url). Recommended with `issuerUrl` */
+  issuerDirectoryKey?: string
+  /** Key directory cache TTL in seconds (default: the directory's maxAge, else 300) */
+  keyCacheTtlSeconds?: number
+  /** Shorthand for `store: createKvStore(kvNamespace)` (best effort, not atomic) */
   kvNamespace?: KVNamespace
+  /** Spend store for replay protection and rate limits (e.g. `createRedisStore`); takes precedence over `kvNamespace`. Default: in-memory */
+  store?: BrassCounterStore
+  /** Refuse to start without `store` or `kvNamespace` instead of using the in-memory store, or with `issuerUrl` but no `issuerDirectoryKey` */
+  strict?: boolean
+  /**
+   * 'shadow': verify and count every request as usual but always succeed, with
+   * what enforcement would have done in `result.shadow`. For rolling BRASS out
+   * on live endpoints (default: 'enforce')
+   */
+  mode?: 'enforce' | 'shadow'
+  /** Tenant namespace for store keys, when several projects share one store (default: 'default') */
+  projectId?: string
   rateLimits?: Record<string, RateLimit>
   replayWindowSeconds?: number
   telemetry?: Partial<import('./telemetry').TelemetryConfig>
   badge?: Partial<BadgeConfig>
-  /** Calibration profile name (e.g., 'comments', 'signup', 'api', 'ecommerce') */
+  /** Calibration profile name (e.g., 'comments', 'signup', 'api', 'ecommerce'); pin a version with 'comments@1.0' */
   calibrationProfile?: string
+  /**
+   * Calibration profile per scope; `VerificationContext.scope` selects one. With
+   * `scopes` set, only scopes listed here or in `rateLimits` can be verified
+   */
+  scopes?: Record<string, ScopeConfig>
+  /** Token age and reuse rules; takes precedence over the calibration profile's `tokens` */
+  tokens?: TokenPolicy
   /** Override specific profile settings */
   profileOverrides?: {
     rateLimit?: Partial<{ windowSeconds: number; maxRequests: number; burstAllowance?: number }>
-    tokens?: Partial<{ maxAgeSeconds: number; allowReuse: boolean }>
+    tokens?: Partial<TokenPolicy>
   }
 }
 
+/**
+ * Token lifecycle rules
+ *
+ * Passes carry only their epoch (UTC day), so age is measured from the end of
+ * that day: with `maxAgeSeconds: 300`, a pass for today is accepted until
+ * 00:05 UTC tomorrow. Passes for a future epoch are rejected.
+ *
+ * The epoch is the one the issuer signed: every spend's P must equal
+ * H1(origin || epoch || subPolicy), with subPolicy taken from AADr
+ * ('v1|policy=<scope>') or the request scope, so an old pass cannot claim a
+ * newer day.
+ */
+export interface TokenPolicy {
+  /** Seconds a pass stays valid after its epoch day ends (unset: no age check) */
+  maxAgeSeconds?: number
+  /** Accept the same spend (same nullifier and nonce) again instead of rejecting it as a replay */
+  allowReuse?: boolean
+  /** Times one spend may be accepted when `allowReuse` is true (default: 3) */
+  maxUses?: number
+}
+
+/**
+ * Profile for one scope: a profile name (optionally pinned, 'comments@1.0'), or a name with overrides
+ */
+export type ScopeConfig = string | {
+  profile: string
+  overrides?: import('./calibrationProfiles').ProfileOverrides
+}
+
 export interface RateLimit {
   maxRequests: number
   windowSeconds: number
+  /** Requests allowed above maxRequests per window; they succeed with `softLimited: true` */
+  burstAllowance?: number
 }
 
 export interface VerificationResult {
   success: boolean
   error?: string
+  /** Protocol error code when the spend proof fails (same codes as the verifier workers, e.g. 'invalid_piC') */
+  code?: SpendError
+  /** Requests allowed per window for the scope */
+  limit?: number
   remaining?: number
   resetAt?: number
+  /** Over `limit` but within the scope's burst allowance: allowed, flagged for monitoring */
+  softLimited?: boolean
+  /** Times this spend has been accepted, counting this one (only with `tokens.allowReuse`) */
+  uses?: number
+  /** Shadow mode only: the enforce-mode outcome; `success` is always true */
+  shadow?: {
+    wouldSucceed: boolean
+    /** The error enforce mode would have returned */
+    error?: string
+    code?: SpendError
+  }
   metadata?: Record<string, unknown>
 }
 
@@ -74,8 +145,66 @@ export interface KVNamespace {
   delete(key: string): Promise<void>
 }
 
+/**
+ * Counter key for one token's usage in one rate-limit window (same fields as
+ * the worker's BrassCounterStore keys)
+ */
+export interface CounterKey {
+  /** Tenant namespace; idempotency keys are scoped to it */
+  projectId: string
+  issuerPk: string
+  origin: string
+  epoch: number | string
+  policy: string
+  window: number | string
+  /** Nullifier (or a hash of it) */
+  y: string
+}
+
+export interface SpendParams {
+  key: CounterKey
+  /** Idempotency key, IK = H('IK', y, c) */
+  IK: string
+  limit: number
+  /** Counter lifetime: seconds until the window ends */
+  ttlSeconds: number
+  /** Idempotency record lifetime (default: ttlSeconds) */
+  replayTtlSeconds?: number
+}
+
+export interface SpendOutcome {
+  ok: boolean
+  remaining: number
+  error?: 'limit_exceeded' | string
+  /** The IK was seen before; this is the original outcome */
+  idempotent?: boolean
+}
+
+export interface GraceParams {
+  projectId: string
+  graceKey: string
+  ttlSeconds: number
+}
+
+/**
+ * Spend store: the verifier's only storage dependency. `spend` checks the
+ * idempotency key, checks the limit and increments the counter; atomic stores
+ * (Redis, SQL, Durable Objects) do this as one operation, so concurrent
+ * requests cannot overspend. Same contract as the worker's BrassCounterStore,
+ * so its adapters (KVStore, DurableObjectStore, SqlStore) plug in directly.
+ */
+export interface BrassCounterStore {
+  spend(params: SpendParams): Promise<SpendOutcome>
+  /** Cached response for a boundary-grace key (used by the deterministic worker) */
+  guardGrace?(params: GraceParams): Promise<{ hit: boolean; response?: SpendOutcome }>
+  /** Cache a response under a grace key unless one is already cached */
+  cacheGraceResponse?(params: GraceParams & { response: SpendOutcome }): Promise<void>
+}
+
 export interface BrassVerifier {
   verify(payload: BrassSpendPayload, context: VerificationContext): Promise<VerificationResult>
+  /** Outcomes recorded by telemetry, per scope and day (empty when telemetry is disabled) */
+  getTraffic?(): import('./telemetry').ScopeTraffic[]
 }
 
 export interface VerificationContext {
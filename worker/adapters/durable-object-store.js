@@ -17,7 +17,7 @@ export class DurableObjectStore extends BrassCounterStore {
   }
 
   async spend(params) {
-    const { key, IK, limit, ttlSeconds } = params;
+    const { key, IK, limit, ttlSeconds, replayTtlSeconds = ttlSeconds } = params;
     const counterKey = buildCounterKey(key);
     
     // Route to Durable Object keyed by counter key
@@ -32,7 +32,8 @@ export class DurableObjectStore extends BrassCounterStore {
         projectId: key.projectId,  // SECURITY: Pass projectId for idempotency key namespacing
         IK, 
         limit, 
-        ttlSeconds 
+        ttlSeconds,
+        replayTtlSeconds  // Idempotency record lifetime, longer than the counter window
       })
     });
 
@@ -43,6 +44,20 @@ export class DurableObjectStore extends BrassCounterStore {
 
     return await response.json();
   }
+
+  /**
+   * Current count of a counter (0 when missing); sliding windows read the previous window with it
+   */
+  async count(key) {
+    const id = this.counterBinding.idFromName(buildCounterKey(key));
+    const response = await this.counterBinding.get(id).fetch('https://do/count', { method: 'POST' });
+
+    if (!response.ok) {
+      throw new Error((await response.json()).error || 'unknown_error');
+    }
+
+    return (await response.json()).count;
+  }
   
   /**
    * Check grace guard (prevents double-spend at UTC midnight boundary)
@@ -110,6 +125,15 @@ export class BrassCounterDO {
       return await this.handleSpend(request);
     }
     
+    // Route: Counter read (sliding windows)
+    if (url.pathname === '/count') {
+      const count = await this.state.storage.get('count') || 0;
+      return new Response(JSON.stringify({ count }), {
+        status: 200,
+        headers: { 'content-type': 'application/json' }
+      });
+    }
+    
     return new Response('Not Found', { status: 404 });
   }
   
@@ -117,7 +141,7 @@ export class BrassCounterDO {
 
     try {
       // Parse request body once
-      const { projectId, IK, limit, ttlSeconds } = await request.json();
+      const { projectId, IK, limit, ttlSeconds, replayTtlSeconds = ttlSeconds } = await request.json();
 
       // Check idempotency first (atomic read)
       // SECURITY: Namespace by projectId to prevent cross-tenant collisions
@@ -162,7 +186,7 @@ export class BrassCounterDO {
         };
         
         await this.state.storage.put(ikKey, JSON.stringify(failureResponse), { 
-          expirationTtl: ttlSeconds 
+          expirationTtl: replayTtlSeconds 
         });
         
         return new Response(JSON.stringify(failureResponse), { 
@@ -186,7 +210,7 @@ export class BrassCounterDO {
           expirationTtl: ttlSeconds 
         }),
         this.state.storage.put(ikKey, JSON.stringify(successResponse), { 
-          expirationTtl: ttlSeconds 
+          expirationTtl: replayTtlSeconds 
         })
       ]);
       
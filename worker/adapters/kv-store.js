@@ -3,6 +3,22 @@
 
 import { BrassCounterStore, buildCounterKey, buildLegacyCounterKey } from '../shared/storage-interface.js';
 
+// Cloudflare KV rejects expirationTtl below 60 seconds
+export const KV_MIN_TTL_SECONDS = 60;
+
+/**
+ * A KV expirationTtl for a lifetime in seconds: whole seconds, at least 60
+ *
+ * Entries may therefore outlive short windows. Counters stay correct because
+ * the window is part of the counter key; grace entries carry their own expiry.
+ *
+ * @param {number} seconds
+ * @returns {number}
+ */
+export function kvTtl(seconds) {
+  return Math.max(KV_MIN_TTL_SECONDS, Math.ceil(seconds));
+}
+
 /**
  * KV Storage Adapter
  * 
@@ -17,7 +33,9 @@ export class KVStore extends BrassCounterStore {
   }
 
   async spend(params) {
-    const { key, IK, limit, ttlSeconds } = params;
+    // The idempotency record outlives the counter window (replayTtlSeconds), so
+    // a spend cannot be replayed once its window has rolled over
+    const { key, IK, limit, ttlSeconds, replayTtlSeconds = ttlSeconds } = params;
     const counterKey = buildCounterKey(key);
     
     // SECURITY: Namespace idempotency keys by projectId to prevent cross-tenant collisions
@@ -47,7 +65,7 @@ export class KVStore extends BrassCounterStore {
       if (legacyCount > 0) {
         // Migrate: copy legacy count to new namespaced key
         currentCount = legacyCount;
-        await this.kv.put(countKey, String(legacyCount), { expirationTtl: ttlSeconds });
+        await this.kv.put(countKey, String(legacyCount), { expirationTtl: kvTtl(ttlSeconds) });
       }
     }
     
@@ -60,7 +78,7 @@ export class KVStore extends BrassCounterStore {
       };
       
       await this.kv.put(ikKey, JSON.stringify(failureResponse), { 
-        expirationTtl: ttlSeconds 
+        expirationTtl: kvTtl(replayTtlSeconds) 
       });
       
       return failureResponse;
@@ -77,12 +95,19 @@ export class KVStore extends BrassCounterStore {
     };
     
     await Promise.all([
-      this.kv.put(countKey, String(newCount), { expirationTtl: ttlSeconds }),
-      this.kv.put(ikKey, JSON.stringify(successResponse), { expirationTtl: ttlSeconds })
+      this.kv.put(countKey, String(newCount), { expirationTtl: kvTtl(ttlSeconds) }),
+      this.kv.put(ikKey, JSON.stringify(successResponse), { expirationTtl: kvTtl(replayTtlSeconds) })
     ]);
 
     return successResponse;
   }
+
+  /**
+   * Current count of a counter (0 when missing or expired); sliding windows read the previous window with it
+   */
+  async count(key) {
+    return parseInt(await this.kv.get(`count:${buildCounterKey(key)}`) || '0', 10);
+  }
   
   /**
    * Check grace guard (prevents double-spend at UTC midnight boundary)
@@ -93,11 +118,14 @@ export class KVStore extends BrassCounterStore {
     const cached = await this.kv.get(key);
     
     if (cached) {
-      // Cache hit - return cached response
-      return { 
-        hit: true, 
-        response: JSON.parse(cached)
-      };
+      // KV keeps entries for at least 60s, longer than short grace periods: honour the stored expiry
+      const { response, expiresAt } = JSON.parse(cached);
+      if (expiresAt > Date.now()) {
+        return { 
+          hit: true, 
+          response
+        };
+      }
     }
     
     return { hit: false };
@@ -113,9 +141,9 @@ export class KVStore extends BrassCounterStore {
     // Best-effort SETNX: check if exists before putting
     // Note: KV doesn't have true atomic SETNX, so race conditions possible (acceptable for Community tier)
     const existing = await this.kv.get(key);
-    if (!existing) {
-      await this.kv.put(key, JSON.stringify(response), { 
-        expirationTtl: ttlSeconds 
+    if (!existing || !(JSON.parse(existing).expiresAt > Date.now())) {
+      await this.kv.put(key, JSON.stringify({ response, expiresAt: Date.now() + ttlSeconds * 1000 }), { 
+        expirationTtl: kvTtl(ttlSeconds) 
       });
     }
   }
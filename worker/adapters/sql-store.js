@@ -0,0 +1,277 @@
+// worker/adapters/sql-store.js
+// SQL storage adapter (PostgreSQL / SQLite - transactional counters)
+
+import { BrassCounterStore, buildCounterKey } from '../shared/storage-interface.js';
+
+/**
+ * @typedef {Object} SqlClient
+ * @property {'sqlite' | 'postgres'} dialect
+ * @property {(sql: string, params?: unknown[]) => Promise<Object[]>} query - Run one statement, resolve to its rows
+ * @property {<T>(fn: (tx: SqlClient) => Promise<T>) => Promise<T>} transaction - Run fn in a transaction
+ */
+
+/**
+ * Tables used by SqlStore (run once, or call store.ensureSchema())
+ *
+ * Timestamps are epoch milliseconds. Every row carries expires_at; expired rows
+ * are ignored immediately and deleted by cleanup().
+ *
+ * @param {string} [prefix='brass_'] - Table name prefix
+ * @returns {string[]} CREATE statements, valid for both SQLite and PostgreSQL
+ */
+export function sqlSchema(prefix = 'brass_') {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${prefix}counters (
+      counter_key TEXT PRIMARY KEY,
+      count INTEGER NOT NULL,
+      expires_at BIGINT NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${prefix}idempotency (
+      project_id TEXT NOT NULL,
+      ik TEXT NOT NULL,
+      response TEXT,
+      expires_at BIGINT NOT NULL,
+      PRIMARY KEY (project_id, ik)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${prefix}grace (
+      project_id TEXT NOT NULL,
+      grace_key TEXT NOT NULL,
+      response TEXT NOT NULL,
+      expires_at BIGINT NOT NULL,
+      PRIMARY KEY (project_id, grace_key)
+    )`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}counters_expires ON ${prefix}counters (expires_at)`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}idempotency_expires ON ${prefix}idempotency (expires_at)`,
+    `CREATE INDEX IF NOT EXISTS ${prefix}grace_expires ON ${prefix}grace (expires_at)`,
+  ];
+}
+
+/**
+ * SqlClient for a better-sqlite3 database
+ *
+ * Transactions are serialized in-process and use BEGIN IMMEDIATE, so other
+ * processes sharing the file wait on SQLite's write lock.
+ *
+ * @param {Object} db - better-sqlite3 Database
+ * @returns {SqlClient}
+ */
+export function sqliteClient(db) {
+  const query = async (sql, params = []) => {
+    const statement = db.prepare(sql);
+    if (statement.reader) return statement.all(...params);
+    statement.run(...params);
+    return [];
+  };
+  const client = { dialect: 'sqlite', query };
+
+  let queue = Promise.resolve();
+  client.transaction = (fn) => {
+    const run = queue.then(async () => {
+      db.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(client);
+        db.exec('COMMIT');
+        return result;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return client;
+}
+
+/**
+ * SqlClient for a node-postgres (pg) Pool
+ *
+ * @param {Object} pool - pg Pool
+ * @returns {SqlClient}
+ */
+export function postgresClient(pool) {
+  // Statements are written with ? placeholders; pg wants $1, $2, ...
+  const toPg = (sql) => {
+    let n = 0;
+    return sql.replace(/\?/g, () => `$${++n}`);
+  };
+  const clientFor = (conn) => ({
+    dialect: 'postgres',
+    query: async (sql, params = []) => (await conn.query(toPg(sql), params)).rows,
+  });
+
+  return {
+    ...clientFor(pool),
+    async transaction(fn) {
+      const conn = await pool.connect();
+      try {
+        await conn.query('BEGIN');
+        const result = await fn(clientFor(conn));
+        await conn.query('COMMIT');
+        return result;
+      } catch (error) {
+        await conn.query('ROLLBACK');
+        throw error;
+      } finally {
+        conn.release();
+      }
+    },
+  };
+}
+
+/**
+ * SQL Storage Adapter
+ *
+ * Atomic enforcement on PostgreSQL or SQLite. Each spend is one transaction:
+ * claim the idempotency key, increment the counter only while it is below the
+ * limit, store the response. Concurrent spends cannot overspend, and a
+ * concurrent replay of the same IK waits for the first one and returns its
+ * response. Same projectId namespacing as the KV and Durable Object stores.
+ */
+export class SqlStore extends BrassCounterStore {
+  /**
+   * @param {SqlClient} client - sqliteClient(db) or postgresClient(pool)
+   * @param {Object} [options]
+   * @param {string} [options.tablePrefix='brass_']
+   * @param {number} [options.cleanupIntervalSeconds=300] - Delete expired rows at most this often (0 disables)
+   * @param {() => number} [options.now] - Clock (epoch ms), for tests
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.prefix = options.tablePrefix || 'brass_';
+    this.cleanupIntervalMs = (options.cleanupIntervalSeconds ?? 300) * 1000;
+    this.now = options.now || Date.now;
+    this.lastCleanup = this.now();
+  }
+
+  /**
+   * Create the tables if they do not exist
+   */
+  async ensureSchema() {
+    for (const statement of sqlSchema(this.prefix)) {
+      await this.client.query(statement);
+    }
+  }
+
+  async spend(params) {
+    const { key, IK, limit, ttlSeconds, replayTtlSeconds = ttlSeconds } = params;
+    const counterKey = buildCounterKey(key);
+    const now = this.now();
+    const expiresAt = now + ttlSeconds * 1000;
+    // The idempotency record outlives the counter window, so a spend cannot be replayed after it rolls over
+    const replayExpiresAt = now + replayTtlSeconds * 1000;
+    const t = this.prefix;
+
+    const result = await this.client.transaction(async (tx) => {
+      // Claim the IK (or reclaim an expired one). A live row means replay.
+      // SECURITY: Namespace idempotency keys by projectId to prevent cross-tenant collisions
+      const claimed = await tx.query(
+        `INSERT INTO ${t}idempotency (project_id, ik, response, expires_at) VALUES (?, ?, NULL, ?)
+         ON CONFLICT (project_id, ik) DO UPDATE SET response = NULL, expires_at = excluded.expires_at
+         WHERE ${t}idempotency.expires_at <= ?
+         RETURNING ik`,
+        [key.projectId, IK, replayExpiresAt, now]
+      );
+
+      if (claimed.length === 0) {
+        const [existing] = await tx.query(
+          `SELECT response FROM ${t}idempotency WHERE project_id = ? AND ik = ?`,
+          [key.projectId, IK]
+        );
+        if (existing?.response) {
+          // Idempotent replay - return EXACT cached response
+          return { ...JSON.parse(existing.response), idempotent: true };
+        }
+        throw new Error('Idempotency record has no response');
+      }
+
+      // Increment only while below the limit; an expired counter restarts at 1
+      const counted = await tx.query(
+        `INSERT INTO ${t}counters (counter_key, count, expires_at) VALUES (?, 1, ?)
+         ON CONFLICT (counter_key) DO UPDATE SET
+           count = CASE WHEN ${t}counters.expires_at <= ? THEN 1 ELSE ${t}counters.count + 1 END,
+           expires_at = CASE WHEN ${t}counters.expires_at <= ? THEN excluded.expires_at ELSE ${t}counters.expires_at END
+         WHERE ${t}counters.expires_at <= ? OR ${t}counters.count < ?
+         RETURNING count`,
+        [counterKey, expiresAt, now, now, now, limit]
+      );
+
+      const response = counted.length > 0
+        ? { ok: true, remaining: Math.max(0, limit - Number(counted[0].count)) }
+        : { ok: false, error: 'limit_exceeded', remaining: 0 };
+
+      // Cache failures too, so retrying a denied IK cannot consume capacity later
+      await tx.query(
+        `UPDATE ${t}idempotency SET response = ? WHERE project_id = ? AND ik = ?`,
+        [JSON.stringify(response), key.projectId, IK]
+      );
+
+      return response;
+    });
+
+    if (this.cleanupIntervalMs > 0 && now - this.lastCleanup >= this.cleanupIntervalMs) {
+      this.lastCleanup = now;
+      await this.cleanup().catch((error) => console.error('SqlStore cleanup error:', error));
+    }
+
+    return result;
+  }
+
+  /**
+   * Current count of a counter (0 when missing or expired); sliding windows read the previous window with it
+   */
+  async count(key) {
+    const [row] = await this.client.query(
+      `SELECT count FROM ${this.prefix}counters WHERE counter_key = ? AND expires_at > ?`,
+      [buildCounterKey(key), this.now()]
+    );
+    return row ? Number(row.count) : 0;
+  }
+
+  /**
+   * Check grace guard (prevents double-spend at UTC midnight boundary)
+   */
+  async guardGrace({ projectId, graceKey }) {
+    // SECURITY: Namespace by projectId
+    const [row] = await this.client.query(
+      `SELECT response FROM ${this.prefix}grace WHERE project_id = ? AND grace_key = ? AND expires_at > ?`,
+      [projectId, graceKey, this.now()]
+    );
+
+    if (row) {
+      return { hit: true, response: JSON.parse(row.response) };
+    }
+
+    return { hit: false };
+  }
+
+  /**
+   * Cache response for grace guard (first response wins until it expires)
+   */
+  async cacheGraceResponse({ projectId, graceKey, ttlSeconds, response }) {
+    const t = this.prefix;
+    const now = this.now();
+
+    await this.client.query(
+      `INSERT INTO ${t}grace (project_id, grace_key, response, expires_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (project_id, grace_key) DO UPDATE SET response = excluded.response, expires_at = excluded.expires_at
+       WHERE ${t}grace.expires_at <= ?`,
+      [projectId, graceKey, JSON.stringify(response), now + ttlSeconds * 1000, now]
+    );
+  }
+
+  /**
+   * Delete expired counters, idempotency records and grace entries
+   *
+   * Runs automatically every cleanupIntervalSeconds during spend(); call it from
+   * a scheduled job instead when that interval is 0.
+   */
+  async cleanup() {
+    const now = this.now();
+    for (const table of ['counters', 'idempotency', 'grace']) {
+      await this.client.query(`DELETE FROM ${this.prefix}${table} WHERE expires_at <= ?`, [now]);
+    }
+  }
+}
@@ -4,112 +4,50 @@
 // Server derives y from (enc(Z'), KID, AADr, η)
 // Pluggable storage backends: KV (Community) or Durable Objects (Enterprise)
 
-import { p256 } from '@noble/curves/p256';
-import { sha256 } from '@noble/hashes/sha256';
-import { utf8ToBytes } from '@noble/hashes/utils';
+import { decodePoint, requestBinding, verifySpend } from '@brassproof/protocol';
 import {
   canonicalOrigin,
-  currentEpochDays,
-  windowId,
   validWindowsWithSkew,
   deriveEta,
   deriveNullifierY,
   deriveIdempotencyKey,
   deriveGraceNullifier,
-  isInGracePeriod,
-  deriveTlsBinding,
   parsePolicyId,
-  secondsUntilWindowEnd,
   bytesToB64url,
   b64urlToBytes,
-  secretToBytes,
-  H2,
-  H3
+  secretToBytes
 } from './shared/crypto.js';
 import { KVStore } from './adapters/kv-store.js';
 import { DurableObjectStore } from './adapters/durable-object-store.js';
 import { emitTelemetryEventAsync, createVerificationEvent } from './shared/telemetryEmitter.js';
 import { lookupApiKey } from './shared/api-key-lookup.js';
-
-const u8 = (s) => (typeof s === 'string' ? utf8ToBytes(s) : s);
-const n = p256.CURVE.n;
-const G = p256.ProjectivePoint.BASE;
+import { resolveIssuerKey } from './issuer-keyset.js';
+import { rateLimitHeaders, resolvePolicyWindow, windowState } from './rate-window.js';
 
 const CONFIG = {
-  LABEL_DLEQ: 'OPRF_METERING_DLEQ_v1',
-  LABEL_HTTP_CTX: 'HTTP_CTX_v1',
-  LABEL_TLS_EXPORTER: 'EXPORTER-Channel-Binding',  // RFC 5705
   PROTOCOL_VERSION: 'BRASS_v2.0',
   CIPHER_SUITE: 'P256_SHA256',
   STRICT_ENFORCEMENT: true,  // Can be configured via env
   DEFAULT_RATE_LIMIT: 10,    // Default requests per window
 };
 
-function modN(x) { let r = x % n; return r < 0n ? r + n : r; }
-function bytesToBig(b) { 
-  let hex = '';
-  for (let i = 0; i < b.length; i++) {
-    hex += b[i].toString(16).padStart(2, '0');
-  }
-  return BigInt('0x' + hex);
-}
-
-// Constant-time equality check
-function ctEqual(a, b) {
-  if (a.length !== b.length) return false;
-  let v = 0;
-  for (let i = 0; i < a.length; i++) v |= a[i] ^ b[i];
-  return v === 0;
-}
-
-function dleqVerify({ label, g1, h1, g2, h2, A1, A2, c, r, bind }) {
-  const challenge = H3(
-    `BRASS:${label}:`,
-    g1.toRawBytes(true), 
-    h1.toRawBytes(true),
-    g2.toRawBytes(true), 
-    h2.toRawBytes(true),
-    A1.toRawBytes(true), 
-    A2.toRawBytes(true), 
-    bind
-  );
-  const chal = modN(bytesToBig(challenge));
-  return chal === c;
-}
+const MODES = ['enforce', 'shadow'];
 
 /**
- * Decode and validate elliptic curve point with security checks
- * 
- * SECURITY CHECKS:
- * 1. Point on curve - fromHex() validates point is on P-256 curve
- * 2. Point at infinity - Explicitly reject ZERO point
- * 3. Non-canonical encoding - fromHex() rejects invalid encodings
- * 4. Low-order points - N/A for P-256 (prime-order curve, no low-order subgroup)
- * 
- * @noble/curves library performs cryptographic validation during fromHex()
- * and has been audited (6 security audits as of 2025)
+ * Enforcement mode: the API key's `mode`, else BRASS_MODE, else 'enforce'
+ *
+ * In shadow mode spends are verified and counted as usual, but rejections of
+ * the spend come back as 200 `{ ok: true, shadow: true, wouldDeny }` so the
+ * caller lets the request through. API key failures are still rejected.
+ *
+ * @throws {Error} 'invalid_mode' for anything but 'enforce' or 'shadow'
  */
-function decodePoint(b64) {
-  const bytes = b64urlToBytes(b64);
-  
-  // Parse point and validate it's on the curve
-  // This rejects: invalid encodings, off-curve points
-  let P;
-  try {
-    P = p256.ProjectivePoint.fromHex(bytes);
-  } catch (e) {
-    throw new Error('invalid_point_encoding');
-  }
-  
-  // Explicitly validate point properties
-  P.assertValidity();
-  
-  // Reject point at infinity (ZERO)
-  if (P.equals(p256.ProjectivePoint.ZERO)) {
-    throw new Error('invalid_point_infinity');
+function resolveMode(env, keyData) {
+  const mode = keyData?.mode || env.BRASS_MODE || 'enforce';
+  if (!MODES.includes(mode)) {
+    throw new Error(`invalid_mode: ${mode}`);
   }
-  
-  return P;
+  return mode;
 }
 
 // Removed computeDFromOverrideOrRequest - inline to avoid double body consumption
@@ -118,6 +56,19 @@ export default {
   async fetch(request, env, ctx) {
     const startTime = Date.now();
     let origin = 'unknown';
+    let shadow = false;
+
+    // Telemetry for the spend, flagged when shadow mode let it through
+    const report = (result, metadata = {}) =>
+      emitTelemetry(env, ctx, origin, result, startTime, shadow ? { ...metadata, shadow: true } : metadata);
+
+    // Rejection of the spend; shadow mode reports what would have happened and lets it through
+    const deny = (status, error, extra = {}, headers = {}) => new Response(JSON.stringify(
+      shadow ? { ok: true, shadow: true, ...extra, wouldDeny: { status, error } } : { error, ...extra }
+    ), {
+      status: shadow ? 200 : status,
+      headers: { 'content-type': 'application/json', ...headers }
+    });
     
     try {
       // Health endpoint
@@ -129,7 +80,8 @@ export default {
             ts: Date.now(),
             build: 'deterministic-verifier-v2.0',
             mode: env.STORAGE_BACKEND || 'kv',
-            strictEnforcement: CONFIG.STRICT_ENFORCEMENT
+            strictEnforcement: CONFIG.STRICT_ENFORCEMENT,
+            enforcement: env.BRASS_MODE || 'enforce'
           }), { headers: { 'content-type': 'application/json' } });
         }
       }
@@ -150,7 +102,7 @@ export default {
       
       // SECURITY: Multi-tenant isolation via KV-based API key lookup
       // This maps API keys to projectId to prevent cross-tenant collisions
-      let projectId, limit;
+      let projectId, limit, policies;
       
       if (env.BRASS_KV && !env.BRASS_USE_ENV_AUTH) {
         // Production: KV-based lookup (multi-tenant)
@@ -165,6 +117,8 @@ export default {
         
         projectId = keyData.projectId;
         limit = keyData.limit || CONFIG.DEFAULT_RATE_LIMIT;
+        policies = keyData.policies;
+        shadow = resolveMode(env, keyData) === 'shadow';
         
       } else {
         // Fallback: Simple env var auth (single-tenant/dev only)
@@ -177,6 +131,7 @@ export default {
         }
         projectId = env.BRASS_PROJECT_ID || 'default';
         limit = env.BRASS_RATE_LIMIT ? parseInt(env.BRASS_RATE_LIMIT, 10) : CONFIG.DEFAULT_RATE_LIMIT;
+        shadow = resolveMode(env) === 'shadow';
       }
 
       // Read body text once, then parse and hash separately
@@ -187,16 +142,8 @@ export default {
         KID,
         AADr,
         origin: originRaw,
-        epoch,
-        c,
-        Z,
         Zprime,
-        P,
-        M,
-        piI,
-        piC,
-        d_client,
-        tls_exporter_b64, // Optional: TLS exporter bytes for channel binding (RFC 5705/8446)
+        c,
       } = payload;
       
       origin = originRaw; // Track for telemetry
@@ -205,78 +152,43 @@ export default {
       // Use pre-parsed payload and body text (avoid double consumption)
       const url = new URL(request.url);
       const d = payload.http_method && payload.http_path && payload.http_body_hash_b64
-        ? H3(
-            `BRASS:${CONFIG.LABEL_HTTP_CTX}:`,
-            payload.http_method.toUpperCase(),
-            payload.http_path,
-            b64urlToBytes(payload.http_body_hash_b64)
-          )
-        : H3(
-            `BRASS:${CONFIG.LABEL_HTTP_CTX}:`,
-            request.method.toUpperCase(),
-            url.pathname,
-            sha256(utf8ToBytes(bodyText))
-          );
+        ? requestBinding(payload.http_method, payload.http_path, { hash: b64urlToBytes(payload.http_body_hash_b64) })
+        : requestBinding(request.method, url.pathname, bodyText);
 
-      // Decode elliptic curve points
-      const Ppt = decodePoint(P);
-      const Mpt = decodePoint(M);
-      const Zpt = decodePoint(Z);
-      const Zppt = decodePoint(Zprime);
-
-      // Verify issuer proof πI (DLEQ: Y is consistent)
-      const Y = decodePoint(env.BRASS_ISSUER_PUBKEY);
-      const cI = bytesToBig(b64urlToBytes(piI.c));
-      const rI = bytesToBig(b64urlToBytes(piI.r));
-      const A1 = G.multiply(rI).add(Y.multiply(cI));
-      const A2 = Mpt.multiply(rI).add(Zpt.multiply(cI));
-      const bindI = new Uint8Array(0);
-      const okI = dleqVerify({ 
-        label: CONFIG.LABEL_DLEQ, 
-        g1: G, 
-        h1: Y, 
-        g2: Mpt, 
-        h2: Zpt, 
-        A1, 
-        A2, 
-        c: cI, 
-        r: rI, 
-        bind: bindI 
-      });
-      
-      if (!okI) {
-        emitTelemetry(env, ctx, origin, 'invalid_piI', startTime);
-        return new Response(JSON.stringify({ error: 'invalid_piI' }), { 
-          status: 401,
-          headers: { 'content-type': 'application/json' }
-        });
+      // Select issuer key by KID (supports rotation with retiring keys)
+      const issuerKey = resolveIssuerKey(env, KID);
+      if (!issuerKey.valid) {
+        report(issuerKey.error);
+        return deny(401, issuerKey.error);
       }
+      const issuerPk = issuerKey.Y;
 
-      // Verify d if client provided it
-      if (d_client) {
-        const dMatch = ctEqual(d, b64urlToBytes(d_client));
-        if (!dMatch) {
-          emitTelemetry(env, ctx, origin, 'd_mismatch', startTime);
-          return new Response(JSON.stringify({ error: 'd_mismatch' }), { 
-            status: 401,
-            headers: { 'content-type': 'application/json' }
-          });
-        }
+      // Verify the spend exactly as every other BRASS verifier does:
+      // πI (single or batched), d, πC over the client binder, and the client's y
+      const check = verifySpend(payload, { Y: decodePoint(issuerPk), d });
+      if (!check.ok) {
+        report(check.error);
+        return deny(401, check.error);
       }
 
       // SERVER-SIDE DETERMINISTIC DERIVATION
+      // Counters are keyed by a server-derived nullifier, so the client's choice
+      // of η (bound into its own y above) cannot move it to a fresh counter
+      // Window length, mode and limit are per policy (see rate-window.js)
       const originCanonical = canonicalOrigin(origin);
-      const epochDays = currentEpochDays();
       const policyId = parsePolicyId(AADr);
-      const window = windowId(epochDays);
+      const policyWindow = resolvePolicyWindow(policyId, { env, limit, policies });
+      const now = Date.now();
+      const windowInfo = windowState(policyWindow, now);
+      const { epochDays, etaWindow, counterWindow: window } = windowInfo;
       
       // Derive η deterministically
       const eta = deriveEta(
-        env.BRASS_ISSUER_PUBKEY,
+        issuerPk,
         originCanonical,
         epochDays,
         policyId,
-        window
+        etaWindow
       );
       
       // Derive y deterministically
@@ -287,56 +199,6 @@ export default {
         eta
       );
 
-      // Verify client proof πC (DLEQ: client knows blinding factor)
-      const cC = bytesToBig(b64urlToBytes(piC.c));
-      const rC = bytesToBig(b64urlToBytes(piC.r));
-      
-      // CRITICAL: Bind ALL enforcement inputs to prevent downgrade/manipulation attacks
-      // TLS channel binding: Use exporter bytes when available (RFC 5705/8446), else fallback
-      const tlsExporterBytes = tls_exporter_b64 ? b64urlToBytes(tls_exporter_b64) : null;
-      const tlsBinding = deriveTlsBinding(tlsExporterBytes);
-      const serverWindow = u8(window);  // Server-derived, not from client AADr
-      const suite = u8(CONFIG.CIPHER_SUITE);
-      const version = u8(CONFIG.PROTOCOL_VERSION);
-      
-      const bindC = H3(
-        'BIND',
-        y,                    // Nullifier
-        b64urlToBytes(c),     // Client nonce
-        d,                    // Request context (method/path/body hash)
-        tlsBinding,           // TLS channel binding (exporter bytes or fallback)
-        serverWindow,         // Server-derived window (UTC day)
-        suite,                // Cryptographic suite identifier
-        version,              // Protocol version
-        u8(policyId),         // Server-derived policy ID
-        u8(AADr),             // Additional client-supplied data (non-security-critical)
-        u8(KID),              // Key identifier
-        eta                   // Server-derived salt
-      );
-      
-      const A1c = Ppt.multiply(rC).add(Mpt.multiply(cC));
-      const A2c = G;
-      const okC = dleqVerify({ 
-        label: CONFIG.LABEL_DLEQ, 
-        g1: Ppt, 
-        h1: Mpt, 
-        g2: G, 
-        h2: G, 
-        A1: A1c, 
-        A2: A2c, 
-        c: cC, 
-        r: rC, 
-        bind: bindC 
-      });
-      
-      if (!okC) {
-        emitTelemetry(env, ctx, origin, 'invalid_piC', startTime);
-        return new Response(JSON.stringify({ error: 'invalid_piC' }), { 
-          status: 401,
-          headers: { 'content-type': 'application/json' }
-        });
-      }
-
       // Derive idempotency key
       const kvSecret = secretToBytes(env.BRASS_KV_SECRET);
       const IK = deriveIdempotencyKey(kvSecret, y, c);
@@ -351,13 +213,11 @@ export default {
         store = new KVStore(env.BRASS_KV);
       }
 
-      // Get boundary grace configuration (default 60 seconds)
-      // Note: limit is a number (rate limit), boundaryGraceSeconds comes from env or API key lookup
-      const boundaryGraceSeconds = parseInt(env.BOUNDARY_GRACE_SECONDS || '60', 10);
+      // Boundary grace (BOUNDARY_GRACE_SECONDS, default 60) is capped to fit the window
+      const boundaryGraceSeconds = windowInfo.graceSeconds;
       
-      // GRACE-BRIDGE: Check if we're in grace period around UTC midnight
-      const now = Date.now();
-      const inGracePeriod = isInGracePeriod(now, boundaryGraceSeconds);
+      // GRACE-BRIDGE: Check if we're in grace period around the point where η rotates
+      const inGracePeriod = windowInfo.inGracePeriod;
       let graceHit = false;
       
       if (inGracePeriod) {
@@ -366,7 +226,7 @@ export default {
         const yGrace = deriveGraceNullifier(
           Zprime,  // Already base64url-encoded from JSON payload
           KID,
-          env.BRASS_ISSUER_PUBKEY,
+          issuerPk,
           originCanonical,
           policyId,
           CONFIG.CIPHER_SUITE,     // e.g., 'P256_SHA256'
@@ -391,7 +251,7 @@ export default {
           // Denials (rate limits) should be re-checked in the current window.
           if (cachedResponse.ok) {
             // SUCCESS: Replay cached success response
-            emitTelemetry(env, ctx, origin, 'boundary_grace_replay_success', startTime, {
+            report('boundary_grace_replay_success', {
               graceHit: true,
               cached: true,
               wasSuccess: true
@@ -401,10 +261,14 @@ export default {
             return new Response(JSON.stringify({
               ...cachedResponse,
               grace: true,
-              windowUsed: 'grace_cached'  // Indicates response from grace cache
+              windowUsed: 'grace_cached',  // Indicates response from grace cache
+              ...(shadow && { shadow: true })
             }), { 
               status: 200,
-              headers: { 'content-type': 'application/json' }
+              headers: {
+                'content-type': 'application/json',
+                ...rateLimitHeaders({ limit: policyWindow.limit, remaining: cachedResponse.remaining || 0, resetSeconds: windowInfo.resetSeconds })
+              }
             });
           } else {
             // DENIAL: Re-evaluate in current window (don't replay cached denial)
@@ -413,7 +277,7 @@ export default {
             // to the normal verification flow below which will re-check limits.
             // We MUST set graceHit=false so the fresh result gets cached,
             // otherwise every request during grace hits the stale denial.
-            emitTelemetry(env, ctx, origin, 'boundary_grace_reevaluate_denial', startTime, {
+            report('boundary_grace_reevaluate_denial', {
               graceHit: true,
               cached: true,
               wasSuccess: false,
@@ -426,24 +290,34 @@ export default {
       }
 
       // Normal verification path (also handles denial re-evaluation from grace)
-      // Attempt to spend token (limit already set from API key lookup)
-      const ttlSeconds = secondsUntilWindowEnd(epochDays);
-      
       // CRITICAL: Include projectId in key namespace to prevent cross-tenant collisions
       // Without this, two tenants sharing issuer material could collide in KV/DO counters
+      const counterKey = {
+        projectId,            // SECURITY: Tenant isolation - prevent cross-customer collisions
+        issuerPk,
+        origin: originCanonical,
+        epoch: epochDays,
+        policy: policyId,
+        window,
+        y: bytesToB64url(y)
+      };
+
+      // SLIDING: the previous window's count, weighted by its remaining overlap,
+      // comes off the limit. That window is closed, so a plain read is enough.
+      let spendLimit = policyWindow.limit;
+      if (windowInfo.previous) {
+        if (typeof store.count !== 'function') {
+          throw new Error('sliding_window_unsupported_store');
+        }
+        const previousCount = await store.count({ ...counterKey, window: windowInfo.previous.window });
+        spendLimit -= Math.floor(previousCount * windowInfo.previous.weight);
+      }
+
       const result = await store.spend({
-        key: {
-          projectId,            // SECURITY: Tenant isolation - prevent cross-customer collisions
-          issuerPk: env.BRASS_ISSUER_PUBKEY,
-          origin: originCanonical,
-          epoch: epochDays,
-          policy: policyId,
-          window,
-          y: bytesToB64url(y)
-        },
+        key: counterKey,
         IK,
-        limit,
-        ttlSeconds
+        limit: spendLimit,
+        ttlSeconds: windowInfo.ttlSeconds
       });
 
       // Cache response in grace guard if in grace period
@@ -453,7 +327,7 @@ export default {
         const yGrace = deriveGraceNullifier(
           Zprime,  // Already base64url-encoded from JSON payload
           KID,
-          env.BRASS_ISSUER_PUBKEY,
+          issuerPk,
           originCanonical,
           policyId,
           CONFIG.CIPHER_SUITE,     // e.g., 'P256_SHA256'
@@ -472,27 +346,29 @@ export default {
         }));
       }
       
+      // RateLimit-* headers on success and denial; Retry-After only when enforced
+      const limitHeaders = rateLimitHeaders(
+        { limit: policyWindow.limit, remaining: result.remaining || 0, resetSeconds: windowInfo.resetSeconds },
+        { rejected: !result.ok && !shadow }
+      );
+
       if (!result.ok) {
         // BOUNDARY METRIC: Emit metric if denied during grace period
         const eventType = inGracePeriod ? 'boundary_denied' : (result.error || 'rate_limited');
-        emitTelemetry(env, ctx, origin, eventType, startTime, {
+        report(eventType, {
           inGracePeriod
         });
         
         // W1.3: Add windowUsed to all responses
-        return new Response(JSON.stringify({ 
-          error: result.error,
+        return deny(429, result.error, {
           remaining: result.remaining || 0,
-          windowUsed: window  // Current window (epoch days)
-        }), { 
-          status: 429,
-          headers: { 'content-type': 'application/json' }
-        });
+          windowUsed: window  // Current counter window (epoch days for daily windows)
+        }, limitHeaders);
       }
 
       // Success - emit telemetry
       // BOUNDARY METRIC: Track if this was a grace-protected success
-      emitTelemetry(env, ctx, origin, 'success', startTime, {
+      report('success', {
         idempotent: result.idempotent || false,
         remaining: result.remaining,
         inGracePeriod,
@@ -504,18 +380,18 @@ export default {
         ok: true, 
         remaining: result.remaining,      // Already normalized to current window by store
         idempotent: result.idempotent || false,
-        windowUsed: window                // Current window (epoch days)
+        windowUsed: window,               // Current counter window (epoch days for daily windows)
+        ...(shadow && { shadow: true })
       }), { 
         status: 200,
-        headers: { 'content-type': 'application/json' }
+        headers: { 'content-type': 'application/json', ...limitHeaders }
       });
 
     } catch (e) {
       console.error('Verifier error:', e);
-      emitTelemetry(env, ctx, origin, e.message || 'server_error', startTime);
-      return new Response(JSON.stringify({ 
-        error: e.message || 'server_error' 
-      }), { 
+      report(e.message || 'server_error');
+      // Errors are not denials: shadow mode still answers 500
+      return new Response(JSON.stringify({ error: e.message || 'server_error' }), {
         status: 500,
         headers: { 'content-type': 'application/json' }
       });
@@ -0,0 +1,215 @@
+// worker/issuance-policy.js
+// Issuance policies for the issuer workers: attestation hooks and per-origin/per-epoch quotas.
+// Runs before any blinded point is evaluated; a refused request never reaches the signing key.
+
+import { sha256 } from '@noble/hashes/sha256';
+import { utf8ToBytes, bytesToHex } from '@noble/hashes/utils';
+import { DST_H1, hashToCurve, encodePoint } from '@brassproof/protocol';
+
+export { DST_H1 };
+
+/**
+ * Error codes returned as `{ error }` when issuance is refused
+ */
+export const ISSUANCE_ERRORS = {
+  CONTEXT_REQUIRED: 'issuance_context_required',   // 400: origin/epoch/subPolicy missing
+  CONTEXT_MISMATCH: 'issuance_context_mismatch',   // 400: P ≠ H1(origin || epoch || subPolicy)
+  EPOCH_NOT_CURRENT: 'epoch_not_current',          // 400: pass requested for a past/far-future epoch
+  ORIGIN_NOT_ALLOWED: 'origin_not_allowed',        // 403
+  ATTESTATION_REQUIRED: 'attestation_required',    // 401: every attester abstained
+  ATTESTATION_FAILED: 'attestation_failed',        // 403
+  QUOTA_EXCEEDED: 'issuance_quota_exceeded',       // 429 with Retry-After
+};
+
+const DAY_SECONDS = 86400;
+
+const currentEpoch = (now) => Math.floor(now / (DAY_SECONDS * 1000));
+
+function refuse(status, error, extra = {}) {
+  return { ok: false, status, error, ...extra };
+}
+
+// Quotas come from env so they can be changed without redeploying code
+function quotasFromEnv(env) {
+  const int = (v) => (v === undefined || v === '' ? null : parseInt(v, 10));
+  return {
+    perClient: int(env.ISSUANCE_QUOTA_PER_CLIENT),
+    perOrigin: int(env.ISSUANCE_QUOTA_PER_ORIGIN),
+    allowedOrigins: env.ISSUANCE_ALLOWED_ORIGINS
+      ? env.ISSUANCE_ALLOWED_ORIGINS.split(',').map((o) => o.trim()).filter(Boolean)
+      : null,
+  };
+}
+
+/**
+ * Requested passes with their claimed context: [{ P, M, origin, epoch, subPolicy }]
+ */
+export function requestedPasses(body) {
+  return Array.isArray(body.batch) ? body.batch : [body];
+}
+
+// The issuer sees P in INTERMEDIATE mode, so it can check the claimed context
+function checkContext(pass) {
+  const { origin, epoch, subPolicy, P } = pass;
+  if (typeof origin !== 'string' || !Number.isInteger(epoch) || typeof subPolicy !== 'string') {
+    return false;
+  }
+  return encodePoint(hashToCurve(utf8ToBytes(`${origin}||${epoch}||${subPolicy}`), DST_H1)) === P;
+}
+
+/**
+ * Best-effort KV counter read (same guarantees as the Community tier KVStore)
+ */
+async function readCounter(kv, key) {
+  return parseInt((await kv.get(key)) || '0', 10);
+}
+
+/**
+ * Create an issuance policy
+ *
+ * Attesters are called in order with `{ request, env, body, passes }` and return
+ * `{ ok: true, subject? }`, `{ ok: false, error? }`, or `null` to abstain. The first
+ * `ok: true` admits the request; its `subject` (e.g. a session or account id) keys the
+ * per-client quota instead of the client IP. When attesters are configured and all
+ * abstain, issuance is refused with `attestation_required`.
+ *
+ * An attester may also carry `enabled(env)` (skipped when it returns false) and
+ * `routes`, a `{ [pathname]: (request, env) => Response }` map of GET endpoints the
+ * issuer serves for it (e.g. proof-of-work challenges).
+ *
+ * Quotas (per epoch, counted in passes, stored in the ISSUANCE_KV binding):
+ * - ISSUANCE_QUOTA_PER_CLIENT - passes per origin per client
+ * - ISSUANCE_QUOTA_PER_ORIGIN - passes per origin across all clients
+ * - ISSUANCE_ALLOWED_ORIGINS  - comma-separated origin allowlist
+ *
+ * Quotas are approximate: KV has no atomic increment, so concurrent requests that
+ * read the same count can each be admitted and overshoot a quota by a few passes.
+ * A refused request counts against no quota.
+ *
+ * Any of these requires clients to send `origin`, `epoch` and `subPolicy` with each
+ * pass; the issuer checks them against P before counting.
+ *
+ * @example
+ * import { createIssuer } from './issuer-intermediate.js';
+ * import { createIssuancePolicy } from './issuance-policy.js';
+ *
+ * export default createIssuer({
+ *   policy: createIssuancePolicy({
+ *     attesters: [async ({ request, env }) => {
+ *       const session = await env.SESSIONS.get(request.headers.get('x-session') || '');
+ *       return session ? { ok: true, subject: session } : null;
+ *     }],
+ *   }),
+ * });
+ *
+ * @param {Object} [options]
+ * @param {Function[]} [options.attesters] - Attestation hooks
+ * @param {Object} [options.quotas] - Overrides for the env quotas ({ perClient, perOrigin, allowedOrigins })
+ * @returns {{ check: Function }}
+ */
+export function createIssuancePolicy(options = {}) {
+  const attesters = options.attesters || [];
+  const activeAttesters = (env) => attesters.filter((a) => !a.enabled || a.enabled(env));
+
+  return {
+    /**
+     * Serve a GET endpoint contributed by an active attester
+     *
+     * @returns {Promise<Response>|null} null if no attester handles the path
+     */
+    route(request, env) {
+      const { pathname } = new URL(request.url);
+      for (const attester of activeAttesters(env)) {
+        const handler = attester.routes && attester.routes[pathname];
+        if (handler) return handler(request, env);
+      }
+      return null;
+    },
+
+    /**
+     * Decide whether a parsed issuance request may be evaluated
+     *
+     * @returns {Promise<{ ok: true, subject: string|null } | { ok: false, status: number, error: string, retryAfter?: number }>}
+     */
+    async check({ request, env, body, now = Date.now() }) {
+      const quotas = { ...quotasFromEnv(env), ...options.quotas };
+      const passes = requestedPasses(body);
+      const active = activeAttesters(env);
+      // Attesters may rely on the pass context (e.g. proof-of-work bound to an origin), so it is checked for them too
+      const enforcing = quotas.perClient !== null || quotas.perOrigin !== null || quotas.allowedOrigins !== null ||
+        active.length > 0;
+
+      if (enforcing) {
+        for (const pass of passes) {
+          if (pass.origin === undefined || pass.epoch === undefined || pass.subPolicy === undefined) {
+            return refuse(400, ISSUANCE_ERRORS.CONTEXT_REQUIRED);
+          }
+          if (!checkContext(pass)) return refuse(400, ISSUANCE_ERRORS.CONTEXT_MISMATCH);
+          // Passes are only minted for the current epoch (or the next, across UTC midnight)
+          const epoch = currentEpoch(now);
+          if (pass.epoch !== epoch && pass.epoch !== epoch + 1) {
+            return refuse(400, ISSUANCE_ERRORS.EPOCH_NOT_CURRENT);
+          }
+          if (quotas.allowedOrigins && !quotas.allowedOrigins.includes(pass.origin)) {
+            return refuse(403, ISSUANCE_ERRORS.ORIGIN_NOT_ALLOWED);
+          }
+        }
+      }
+
+      let subject = null;
+      if (active.length > 0) {
+        let admitted = false;
+        for (const attester of active) {
+          const result = await attester({ request, env, body, passes });
+          if (!result) continue;
+          if (!result.ok) return refuse(403, result.error || ISSUANCE_ERRORS.ATTESTATION_FAILED);
+          admitted = true;
+          subject = result.subject || null;
+          break;
+        }
+        if (!admitted) return refuse(401, ISSUANCE_ERRORS.ATTESTATION_REQUIRED);
+      }
+
+      if (quotas.perClient === null && quotas.perOrigin === null) return { ok: true, subject };
+
+      const kv = env.ISSUANCE_KV;
+      if (!kv) throw new Error('ISSUANCE_KV binding required for issuance quotas');
+
+      // Never store raw client identifiers
+      const client = subject || request.headers.get('cf-connecting-ip') || 'anonymous';
+      const clientId = bytesToHex(sha256(utf8ToBytes(`client:${client}`))).slice(0, 32);
+
+      const counts = new Map();
+      for (const pass of passes) {
+        const key = `${pass.origin}|${pass.epoch}`;
+        const entry = counts.get(key) || { passEpoch: pass.epoch, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }
+
+      const nowSec = Math.floor(now / 1000);
+      const ttlSeconds = 2 * DAY_SECONDS;
+
+      // Check every quota before counting, so a refused request uses up none of them
+      const updates = [];
+      for (const [key, { passEpoch, count }] of counts) {
+        const counters = [];
+        if (quotas.perClient !== null) counters.push([`issuance:client:${clientId}:${key}`, quotas.perClient]);
+        if (quotas.perOrigin !== null) counters.push([`issuance:origin:${key}`, quotas.perOrigin]);
+
+        for (const [counterKey, limit] of counters) {
+          const used = await readCounter(kv, counterKey);
+          if (used + count > limit) {
+            // A counter frees up when its epoch ends: tomorrow's passes wait a day longer
+            return refuse(429, ISSUANCE_ERRORS.QUOTA_EXCEEDED, { retryAfter: (passEpoch + 1) * DAY_SECONDS - nowSec });
+          }
+          updates.push([counterKey, used + count]);
+        }
+      }
+      await Promise.all(updates.map(([counterKey, value]) =>
+        kv.put(counterKey, String(value), { expirationTtl: ttlSeconds })));
+
+      return { ok: true, subject };
+    },
+  };
+}
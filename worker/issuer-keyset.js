@@ -0,0 +1,219 @@
+// worker/issuer-keyset.js
+// Issuer key rotation: one current signing key plus retiring keys, selected by KID.
+// Issuers load private keys from ISSUER_KEYS; verifiers load public keys from BRASS_ISSUER_KEYS.
+// Both fall back to the single-key variables (ISSUER_K_HEX / BRASS_ISSUER_PUBKEY).
+
+import { p256 } from '@noble/curves/p256';
+import { sha256 } from '@noble/hashes/sha256';
+import { utf8ToBytes } from '@noble/hashes/utils';
+
+const G = p256.ProjectivePoint.BASE;
+
+export const DEFAULT_KID = 'kid-rotate-2025-10';
+
+// Cloudflare Workers compatible base64url encode (no Buffer)
+const b64u = (u) => {
+  const binary = Array.from(u, b => String.fromCharCode(b)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+};
+
+// Accept ISO-8601 strings or epoch milliseconds; null/undefined = unbounded
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(ms)) throw new Error('invalid_key_validity');
+  return ms;
+}
+
+const isoOrNull = (ms) => (ms === null ? null : new Date(ms).toISOString());
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+export const KEY_DIRECTORY_PATH = '/.well-known/brass-keys';
+export const KEY_DIRECTORY_MAX_AGE = 300;
+
+// Canonical JSON (sorted object keys, no whitespace): the bytes the directory signature covers
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonicalJson).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Load the issuer's signing keyset
+ *
+ * ISSUER_KEYS (secret) is a JSON array:
+ *   [{ "kid": "kid-2026-01", "k_hex": "<64 hex>", "notBefore": "2026-01-01T00:00:00Z", "notAfter": "2026-04-08T00:00:00Z" }]
+ *
+ * The current signing key is ISSUER_CURRENT_KID if set, otherwise the valid key
+ * with the latest notBefore. Other valid keys are "retiring": no longer used for
+ * signing, still published so verifiers accept passes minted with them.
+ * Keys whose notBefore is in the future are published as "next".
+ *
+ * @param {Object} env - Worker env
+ * @param {number} [now] - Current time in ms
+ * @returns {{ current: Object|null, keys: Object[] }|null} null if no key is configured
+ */
+export function loadIssuerKeyset(env, now = Date.now()) {
+  let entries;
+
+  if (env.ISSUER_KEYS) {
+    entries = parseJson(env.ISSUER_KEYS).map((e) => ({
+      kid: e.kid,
+      kHex: e.k_hex,
+      notBefore: parseTime(e.notBefore),
+      notAfter: parseTime(e.notAfter),
+    }));
+  } else if (env.ISSUER_K_HEX) {
+    // Legacy single-key configuration
+    entries = [{ kid: env.ISSUER_KID || DEFAULT_KID, kHex: env.ISSUER_K_HEX, notBefore: null, notAfter: null }];
+  } else {
+    return null;
+  }
+
+  const keys = entries
+    .filter((e) => e.kid && e.kHex && (e.notAfter === null || e.notAfter > now))
+    .map((e) => {
+      const k = BigInt('0x' + e.kHex);
+      return { ...e, k, Y: G.multiply(k) };
+    });
+
+  const valid = keys.filter((e) => e.notBefore === null || e.notBefore <= now);
+  let current = null;
+
+  if (env.ISSUER_CURRENT_KID) {
+    current = valid.find((e) => e.kid === env.ISSUER_CURRENT_KID) || null;
+  } else {
+    for (const e of valid) {
+      if (!current || (e.notBefore ?? -Infinity) > (current.notBefore ?? -Infinity)) current = e;
+    }
+  }
+
+  for (const e of keys) {
+    e.status = e === current ? 'current' : (e.notBefore !== null && e.notBefore > now ? 'next' : 'retiring');
+  }
+
+  return { current, keys };
+}
+
+/**
+ * Public view of the keyset served from GET /pub
+ *
+ * Top-level KID/Y describe the current signing key (backwards compatible with
+ * single-key clients); `keys` lists every published key with its validity period.
+ */
+export function publicKeyset(keyset) {
+  const { current, keys } = keyset;
+  return {
+    KID: current ? current.kid : null,
+    Y: current ? b64u(current.Y.toRawBytes(true)) : null,
+    keys: keys.map((e) => ({
+      KID: e.kid,
+      Y: b64u(e.Y.toRawBytes(true)),
+      notBefore: isoOrNull(e.notBefore),
+      notAfter: isoOrNull(e.notAfter),
+      status: e.status,
+    })),
+  };
+}
+
+/**
+ * Signed key directory served from GET /.well-known/brass-keys
+ *
+ * The directory is signed (ECDSA P-256 over SHA-256 of its canonical JSON) with a
+ * long-lived directory key, ISSUER_DIRECTORY_K_HEX, that is separate from the
+ * rotating token keys. Verifiers pin its public key (`signer`) once and follow
+ * rotations from then on. `version` (ISSUER_KEYS_VERSION) must increase with every
+ * keyset change so verifiers can refuse rolled-back directories.
+ *
+ * @param {Object} keyset - Result of loadIssuerKeyset()
+ * @param {Object} env - Worker env
+ * @param {string} issuer - Issuer origin
+ * @param {number} [now] - Current time in ms
+ * @returns {Object|null} null if no directory key is configured
+ */
+export function signedKeyDirectory(keyset, env, issuer, now = Date.now()) {
+  if (!env.ISSUER_DIRECTORY_K_HEX) return null;
+
+  const directoryKey = BigInt('0x' + env.ISSUER_DIRECTORY_K_HEX);
+  const directory = {
+    issuer,
+    version: Number(env.ISSUER_KEYS_VERSION) || 1,
+    issuedAt: new Date(now).toISOString(),
+    maxAge: KEY_DIRECTORY_MAX_AGE,
+    keys: publicKeyset(keyset).keys,
+    signer: b64u(G.multiply(directoryKey).toRawBytes(true)),
+  };
+
+  const digest = sha256(utf8ToBytes(canonicalJson(directory)));
+  const sig = p256.sign(digest, directoryKey).toCompactRawBytes();
+
+  return { ...directory, sig: b64u(sig) };
+}
+
+let verifierKeysCache = { raw: undefined, pubkey: undefined, kid: undefined, keys: [] };
+
+/**
+ * Load the public keys a verifier accepts
+ *
+ * BRASS_ISSUER_KEYS may be the issuer's GET /pub response, an array of its
+ * `keys` entries, or a plain { "<KID>": "<Y base64url>" } map.
+ * BRASS_ISSUER_PUBKEY is kept as a legacy key: bound to BRASS_ISSUER_KID when set,
+ * otherwise accepted for any KID that is not listed in BRASS_ISSUER_KEYS.
+ */
+export function loadVerifierKeys(env) {
+  const cache = verifierKeysCache;
+  if (cache.raw === env.BRASS_ISSUER_KEYS && cache.pubkey === env.BRASS_ISSUER_PUBKEY && cache.kid === env.BRASS_ISSUER_KID) {
+    return cache.keys;
+  }
+
+  const keys = [];
+
+  if (env.BRASS_ISSUER_KEYS) {
+    const parsed = parseJson(env.BRASS_ISSUER_KEYS);
+    const list = Array.isArray(parsed)
+      ? parsed
+      : Array.isArray(parsed.keys)
+        ? parsed.keys
+        : Object.entries(parsed).map(([KID, Y]) => ({ KID, Y }));
+
+    for (const e of list) {
+      if (!e.KID || !e.Y) continue;
+      keys.push({ KID: e.KID, Y: e.Y, notBefore: parseTime(e.notBefore), notAfter: parseTime(e.notAfter) });
+    }
+  }
+
+  if (env.BRASS_ISSUER_PUBKEY) {
+    keys.push({ KID: env.BRASS_ISSUER_KID || null, Y: env.BRASS_ISSUER_PUBKEY, notBefore: null, notAfter: null });
+  }
+
+  verifierKeysCache = { raw: env.BRASS_ISSUER_KEYS, pubkey: env.BRASS_ISSUER_PUBKEY, kid: env.BRASS_ISSUER_KID, keys };
+  return keys;
+}
+
+/**
+ * Select the issuer public key Y for a token's KID
+ *
+ * @param {Object} env - Worker env
+ * @param {string} KID - Key identifier from the spend payload
+ * @param {number} [now] - Current time in ms
+ * @returns {{ valid: boolean, KID?: string, Y?: string, error?: string }}
+ */
+export function resolveIssuerKey(env, KID, now = Date.now()) {
+  const keys = loadVerifierKeys(env);
+  if (keys.length === 0) return { valid: false, error: 'issuer_key_unconfigured' };
+
+  const entry = keys.find((e) => e.KID === KID) || keys.find((e) => e.KID === null);
+  if (!entry) return { valid: false, error: 'unknown_kid' };
+
+  if (entry.notAfter !== null && entry.notAfter <= now) {
+    return { valid: false, error: 'expired_kid' };
+  }
+
+  return { valid: true, KID, Y: entry.Y };
+}
@@ -0,0 +1,206 @@
+// worker/pow-attester.js
+// Proof-of-work issuance attester for anonymous sites (no logins to attest).
+// The issuer hands out a stateless challenge bound to origin/epoch (HMAC with ISSUANCE_POW_SECRET);
+// the client finds a solution whose hash has `difficulty` leading zero bits and sends it as
+// `attestation.pow` with the issuance request.
+
+import { sha256 } from '@noble/hashes/sha256';
+import { hmac } from '@noble/hashes/hmac';
+import { utf8ToBytes } from '@noble/hashes/utils';
+
+export const POW_CHALLENGE_PATH = '/pow/challenge';
+export const POW_CHALLENGE_TTL_SEC = 120;
+
+// Default difficulty per policy in leading zero bits, for the built-in calibration
+// profile names. ISSUANCE_POW_DIFFICULTY overrides entries (and `default`).
+export const POW_DIFFICULTY = {
+  comments: 18,
+  signup: 20,
+  api: 12,
+  ecommerce: 16,
+};
+export const DEFAULT_POW_DIFFICULTY = 16;
+
+export const POW_ERRORS = {
+  INVALID: 'pow_invalid',               // malformed, forged or wrong-origin challenge
+  EXPIRED: 'pow_expired',
+  INSUFFICIENT: 'pow_insufficient',     // challenge easier than the requested passes need
+  UNSOLVED: 'pow_unsolved',
+  REPLAYED: 'pow_replayed',
+};
+
+const b64u = (u) => {
+  const binary = Array.from(u, b => String.fromCharCode(b)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+};
+
+const b64ud = (s) => {
+  s = s.replace(/-/g, '+').replace(/_/g, '/');
+  while (s.length % 4) s += '=';
+  return Uint8Array.from(atob(s), (c) => c.charCodeAt(0));
+};
+
+function ctEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let v = 0;
+  for (let i = 0; i < a.length; i++) v |= a[i] ^ b[i];
+  return v === 0;
+}
+
+const currentEpoch = (now) => Math.floor(now / 86400000);
+
+/**
+ * Leading zero bits of sha256("BRASS:POW_v1:" || challenge || ":" || solution)
+ */
+export function powWork(challenge, solution) {
+  const digest = sha256(utf8ToBytes(`BRASS:POW_v1:${challenge}:${solution}`));
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+let difficultyCache = { raw: undefined, table: POW_DIFFICULTY };
+
+/**
+ * Difficulty table: POW_DIFFICULTY with the ISSUANCE_POW_DIFFICULTY overrides,
+ * parsed once per value
+ *
+ * @throws {Error} 'invalid_pow_difficulty' unless it is a JSON object of
+ *   non-negative integer bit counts
+ */
+function difficultyTable(env) {
+  const raw = env.ISSUANCE_POW_DIFFICULTY;
+  if (difficultyCache.raw === raw) return difficultyCache.table;
+
+  let overrides = {};
+  if (raw) {
+    try {
+      overrides = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch {
+      overrides = null;
+    }
+    const valid = overrides && typeof overrides === 'object' && !Array.isArray(overrides) &&
+      Object.values(overrides).every((bits) => Number.isInteger(bits) && bits >= 0);
+    if (!valid) {
+      throw new Error(`invalid_pow_difficulty: ISSUANCE_POW_DIFFICULTY must map policies to non-negative integers of bits (got ${JSON.stringify(raw)})`);
+    }
+  }
+
+  difficultyCache = { raw, table: { ...POW_DIFFICULTY, ...overrides } };
+  return difficultyCache.table;
+}
+
+/**
+ * Difficulty for a set of passes: the hardest profile among them, plus one bit
+ * per doubling of the batch size so batches are not a discount
+ *
+ * @throws {Error} 'invalid_pow_difficulty' on a malformed ISSUANCE_POW_DIFFICULTY
+ */
+export function requiredDifficulty(env, subPolicies, count = subPolicies.length) {
+  const table = difficultyTable(env);
+  const base = Math.max(...subPolicies.map((p) => table[p] ?? table.default ?? DEFAULT_POW_DIFFICULTY));
+  return base + Math.ceil(Math.log2(Math.max(1, count)));
+}
+
+const sign = (env, payload) => b64u(hmac(sha256, utf8ToBytes(env.ISSUANCE_POW_SECRET), utf8ToBytes(payload)));
+
+/**
+ * Issue a challenge: "<payload b64url>.<hmac b64url>"
+ */
+export function issuePowChallenge(env, { origin, epoch, subPolicies, count }, now = Date.now()) {
+  const nonce = b64u(crypto.getRandomValues(new Uint8Array(16)));
+  const difficulty = requiredDifficulty(env, subPolicies, count);
+  const expiresAt = now + POW_CHALLENGE_TTL_SEC * 1000;
+  const payload = b64u(utf8ToBytes(JSON.stringify({ v: 1, origin, epoch, difficulty, nonce, exp: expiresAt })));
+  return { challenge: `${payload}.${sign(env, payload)}`, difficulty, expiresAt };
+}
+
+function openChallenge(env, challenge) {
+  if (typeof challenge !== 'string') return null;
+  const [payload, mac] = challenge.split('.');
+  if (!payload || !mac) return null;
+  try {
+    // b64ud throws on malformed input (e.g. a one-character part)
+    if (!ctEqual(b64ud(mac), b64ud(sign(env, payload)))) return null;
+    return JSON.parse(new TextDecoder().decode(b64ud(payload)));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create the proof-of-work attester
+ *
+ * Enabled when ISSUANCE_POW_SECRET is set. Serves GET /pow/challenge
+ * (?origin=&epoch=&subPolicy=[&subPolicy=…][&count=]) through the issuer. Solved
+ * challenges are single-use when the ISSUANCE_KV binding is present, on a best-effort
+ * basis: KV has no atomic check-and-set, so concurrent requests carrying the same
+ * solution can both get through before either marks it used (as with the issuance
+ * quotas). Without ISSUANCE_KV they can be replayed until they expire (120s).
+ *
+ * @returns {Function} Attester for createIssuancePolicy({ attesters })
+ */
+export function createPowAttester() {
+  async function attester({ env, body, passes }) {
+    const pow = body.attestation && body.attestation.pow;
+    if (!pow) return null;
+
+    const challenge = openChallenge(env, pow.challenge);
+    if (!challenge || challenge.v !== 1) return { ok: false, error: POW_ERRORS.INVALID };
+    if (Date.now() > challenge.exp) return { ok: false, error: POW_ERRORS.EXPIRED };
+
+    // Every requested pass must be for the challenge's origin and epoch
+    if (passes.some((p) => p.origin !== challenge.origin || p.epoch !== challenge.epoch)) {
+      return { ok: false, error: POW_ERRORS.INVALID };
+    }
+    if (challenge.difficulty < requiredDifficulty(env, passes.map((p) => p.subPolicy))) {
+      return { ok: false, error: POW_ERRORS.INSUFFICIENT };
+    }
+    if (powWork(pow.challenge, String(pow.solution)) < challenge.difficulty) {
+      return { ok: false, error: POW_ERRORS.UNSOLVED };
+    }
+
+    // Best effort: a get-then-put, not atomic (see createPowAttester)
+    if (env.ISSUANCE_KV) {
+      const usedKey = `pow:used:${challenge.nonce}`;
+      if (await env.ISSUANCE_KV.get(usedKey)) return { ok: false, error: POW_ERRORS.REPLAYED };
+      await env.ISSUANCE_KV.put(usedKey, '1', { expirationTtl: POW_CHALLENGE_TTL_SEC * 2 });
+    }
+
+    // No subject: per-client quotas stay keyed by client IP
+    return { ok: true };
+  }
+
+  attester.enabled = (env) => !!env.ISSUANCE_POW_SECRET;
+
+  attester.routes = {
+    [POW_CHALLENGE_PATH]: async (request, env) => {
+      const url = new URL(request.url);
+      const origin = url.searchParams.get('origin');
+      const epoch = parseInt(url.searchParams.get('epoch') || '', 10);
+      const subPolicies = url.searchParams.getAll('subPolicy');
+      const count = Math.min(parseInt(url.searchParams.get('count') || '1', 10) || 1, 32);
+
+      const today = currentEpoch(Date.now());
+      if (!origin || subPolicies.length === 0 || (epoch !== today && epoch !== today + 1)) {
+        return new Response(JSON.stringify({ error: POW_ERRORS.INVALID }), {
+          status: 400,
+          headers: { 'content-type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify(issuePowChallenge(env, { origin, epoch, subPolicies, count })), {
+        headers: { 'content-type': 'application/json', 'cache-control': 'no-store' }
+      });
+    },
+  };
+
+  return attester;
+}
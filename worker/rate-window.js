@@ -0,0 +1,167 @@
+// worker/rate-window.js
+// Per-policy rate-limit windows for the deterministic verifier: window length
+// (seconds to days), fixed or sliding counting, and the η window, counter TTL,
+// boundary grace and RateLimit-* headers that follow from them.
+
+import { windowId } from './shared/crypto.js';
+
+const DAY_SECONDS = 86400;
+const DAY_MS = DAY_SECONDS * 1000;
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600, d: DAY_SECONDS };
+const MODES = ['fixed', 'sliding'];
+
+/**
+ * Window length in seconds from a number of seconds or '30s', '15m', '1h', '7d'
+ *
+ * Sub-day windows must divide a day and longer ones must be whole days, so
+ * windows stay aligned to UTC midnight (where the epoch in η changes).
+ *
+ * @param {number|string} value
+ * @returns {number}
+ * @throws {Error} 'invalid_window' for anything else
+ */
+export function parseWindowSeconds(value) {
+  const match = typeof value === 'string' ? /^(\d+)\s*([smhd])$/.exec(value.trim()) : null;
+  const seconds = match ? parseInt(match[1], 10) * UNIT_SECONDS[match[2]] : value;
+
+  const aligned = seconds < DAY_SECONDS ? DAY_SECONDS % seconds === 0 : seconds % DAY_SECONDS === 0;
+  if (!Number.isInteger(seconds) || seconds <= 0 || !aligned) {
+    throw new Error(`invalid_window: ${JSON.stringify(value)}`);
+  }
+  return seconds;
+}
+
+// BRASS_POLICY_WINDOWS: JSON map of policy → { window, limit?, mode?, graceSeconds? }
+function policyWindowsFromEnv(env) {
+  if (!env.BRASS_POLICY_WINDOWS) return {};
+  return typeof env.BRASS_POLICY_WINDOWS === 'string'
+    ? JSON.parse(env.BRASS_POLICY_WINDOWS)
+    : env.BRASS_POLICY_WINDOWS;
+}
+
+/**
+ * Window settings for a policy
+ *
+ * Looked up in the API key's `policies` map first, then BRASS_POLICY_WINDOWS.
+ * Policies without an entry keep the original behaviour: one fixed UTC day at
+ * the key's limit, with BOUNDARY_GRACE_SECONDS of grace.
+ *
+ * @param {string} policyId - Policy from AADr
+ * @param {Object} options
+ * @param {Object} options.env - Worker env
+ * @param {number} options.limit - Limit from the API key (or BRASS_RATE_LIMIT)
+ * @param {Object} [options.policies] - Per-policy settings from the API key lookup
+ * @returns {{ windowSeconds: number, mode: 'fixed'|'sliding', limit: number, graceSeconds: number }}
+ * @throws {Error} 'invalid_window' / 'invalid_window_mode' on bad configuration
+ */
+export function resolvePolicyWindow(policyId, { env, limit, policies }) {
+  const config = policies?.[policyId] || policyWindowsFromEnv(env)[policyId] || {};
+  const windowSeconds = config.window === undefined ? DAY_SECONDS : parseWindowSeconds(config.window);
+  const mode = config.mode || 'fixed';
+
+  // Sliding counts carry over between windows of the same UTC day only (see windowState)
+  if (!MODES.includes(mode) || (mode === 'sliding' && windowSeconds >= DAY_SECONDS)) {
+    throw new Error(`invalid_window_mode: ${mode} for ${windowSeconds}s windows`);
+  }
+
+  return {
+    windowSeconds,
+    mode,
+    limit: config.limit ?? limit,
+    graceSeconds: config.graceSeconds ?? parseInt(env.BOUNDARY_GRACE_SECONDS || '60', 10),
+  };
+}
+
+/**
+ * Where `now` falls for a policy window
+ *
+ * Fixed windows: η rotates every window, so each window gets fresh nullifiers
+ * and counters. A daily window keeps the original windowId(epochDays).
+ *
+ * Sliding windows: η rotates per UTC day, so consecutive windows share a
+ * nullifier and the previous window's count can be weighted in: a spend is
+ * allowed while count + floor(previousCount × weight) < limit, where weight is
+ * the share of the previous window still inside the sliding window.
+ *
+ * Boundary grace sits around the point where η rotates (each window end, or
+ * midnight for sliding windows) and is capped at a tenth of that period, so a
+ * one-minute window gets at most 6 seconds.
+ *
+ * @param {ReturnType<typeof resolvePolicyWindow>} policy
+ * @param {number} [now=Date.now()] - Epoch ms
+ * @returns {{
+ *   epochDays: number,
+ *   etaWindow: string|number,
+ *   counterWindow: string|number,
+ *   previous: { window: string, weight: number } | null,
+ *   ttlSeconds: number,
+ *   resetSeconds: number,
+ *   graceSeconds: number,
+ *   inGracePeriod: boolean
+ * }}
+ */
+export function windowState(policy, now = Date.now()) {
+  const { windowSeconds, mode } = policy;
+  const windowMs = windowSeconds * 1000;
+  const index = Math.floor(now / windowMs);
+  const start = index * windowMs;
+  const epochDays = Math.floor(start / DAY_MS);
+  const secondsLeft = Math.max(1, Math.ceil((start + windowMs - now) / 1000));
+
+  const sliding = mode === 'sliding';
+  const slot = (i) => `${windowSeconds}s:${i}`;
+  const etaWindow = sliding || windowSeconds >= DAY_SECONDS
+    ? windowId(epochDays)
+    : `${windowId(epochDays)}:${slot(index)}`;
+
+  // The rotation point grace protects: end of window, or midnight when sliding
+  const periodMs = sliding ? DAY_MS : windowMs;
+  const graceSeconds = Math.min(policy.graceSeconds, Math.floor(periodMs / 10000));
+  const position = now % periodMs;
+  const inGracePeriod = position < graceSeconds * 1000 || position > periodMs - graceSeconds * 1000;
+
+  if (!sliding) {
+    return {
+      epochDays,
+      etaWindow,
+      counterWindow: etaWindow,
+      previous: null,
+      ttlSeconds: secondsLeft,
+      resetSeconds: secondsLeft,
+      graceSeconds,
+      inGracePeriod,
+    };
+  }
+
+  return {
+    epochDays,
+    etaWindow,
+    counterWindow: slot(index),
+    // The day's first window has no previous one under the same nullifier
+    previous: start % DAY_MS === 0 ? null : { window: slot(index - 1), weight: 1 - (now - start) / windowMs },
+    // Counters stay readable through the next window, where they are the previous one
+    ttlSeconds: secondsLeft + windowSeconds,
+    resetSeconds: secondsLeft,
+    graceSeconds,
+    inGracePeriod,
+  };
+}
+
+/**
+ * RateLimit-Limit/Remaining/Reset headers (IETF draft) for a spend, plus
+ * Retry-After when it was rejected. Reset is seconds until the current window
+ * ends; with sliding windows part of the count carries into the next one.
+ *
+ * @param {{ limit: number, remaining: number, resetSeconds: number }} state
+ * @param {{ rejected?: boolean }} [options]
+ * @returns {Object<string, string>}
+ */
+export function rateLimitHeaders({ limit, remaining, resetSeconds }, { rejected = false } = {}) {
+  const headers = {
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, remaining)),
+    'RateLimit-Reset': String(resetSeconds),
+  };
+  if (rejected) headers['Retry-After'] = String(resetSeconds);
+  return headers;
+}
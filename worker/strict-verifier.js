@@ -3,76 +3,34 @@
 // Verifies issuer πI (cacheable) and client πC bound to (c, d, η).
 // Recomputes d from request; performs on-curve & encoding checks; constant-time compares.
 
-import { p256 } from '@noble/curves/p256';
-import { sha256 } from '@noble/hashes/sha256';
-import { utf8ToBytes } from '@noble/hashes/utils';
-
-const u8 = (s) => (typeof s === 'string' ? utf8ToBytes(s) : s);
-const b64ud = (s) => new Uint8Array(Buffer.from(s, 'base64url'));
-const n = p256.CURVE.n;
-const G = p256.ProjectivePoint.BASE;
+import { b64u, b64ud, decodePoint, idempotencyKey, requestBinding, verifySpend } from '@brassproof/protocol';
+import { loadVerifierKeys, resolveIssuerKey } from './issuer-keyset.js';
+import { rateLimitHeaders } from './rate-window.js';
 
 const CONFIG = {
-  LABEL_DLEQ: 'OPRF_METERING_DLEQ_v1',
-  LABEL_Y: 'OPRF_METERING_Y_v1',
-  LABEL_HTTP_CTX: 'HTTP_CTX_v1',
-  EXPORTER_LABEL: 'EXPORTER-OPRF-METERING-v1',
   REPLAY_TTL_SEC: 120,
   WINDOW_SEC: 60,
+  DEFAULT_RATE_LIMIT: 10,
   STRICT: true,
 };
 
-const H = (...parts) => sha256(parts.reduce((acc, p) => new Uint8Array([...acc, ...u8(p)]), new Uint8Array()));
-const Hlabel = (label, ...parts) => sha256(parts.reduce((acc, p) => new Uint8Array([...acc, ...u8(p)]), u8(`BRASS:${label}:`)));
-
-function modN(x) { let r = x % n; return r < 0n ? r + n : r; }
-function bytesToBig(b) { return BigInt('0x' + Buffer.from(b).toString('hex')); }
-
-// Constant-time equality check to prevent timing attacks
-function ctEqual(a, b) {
-  if (a.length !== b.length) return false;
-  let v = 0;
-  for (let i = 0; i < a.length; i++) v |= a[i] ^ b[i];
-  return v === 0;
-}
-
-function fromB64url(b) { return new Uint8Array(Buffer.from(b, 'base64url')); }
-
-function dleqVerify({ label, g1, h1, g2, h2, A1, A2, c, r, bind }) {
-  const chal = modN(bytesToBig(H(u8(`BRASS:${label}:`),
-    g1.toRawBytes(true), h1.toRawBytes(true),
-    g2.toRawBytes(true), h2.toRawBytes(true),
-    A1.toRawBytes(true), A2.toRawBytes(true), bind
-  )));
-  return chal === c;
-}
-
-function decodePoint(b64) {
-  const bytes = b64ud(b64);
-  const P = p256.ProjectivePoint.fromHex(bytes);
-  if (P.equals(p256.ProjectivePoint.ZERO)) throw new Error('invalid_point_infinity');
-  return P;
+// Requests per window and policy: BRASS_RATE_LIMIT, else CONFIG.DEFAULT_RATE_LIMIT
+function configuredLimit(env) {
+  const limit = parseInt(env?.BRASS_RATE_LIMIT, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : CONFIG.DEFAULT_RATE_LIMIT;
 }
 
 async function computeDFromOverrideOrRequest(payload, request) {
-  const LABEL_HTTP_CTX = CONFIG.LABEL_HTTP_CTX;
-  
   // If server-supplied http context is provided, use it (server-authoritative)
   if (payload?.http_method && payload?.http_path && payload?.http_body_hash_b64) {
-    return Hlabel(LABEL_HTTP_CTX,
-      payload.http_method.toUpperCase(),
-      payload.http_path,
-      fromB64url(payload.http_body_hash_b64)
-    );
+    return requestBinding(payload.http_method, payload.http_path, { hash: b64ud(payload.http_body_hash_b64) });
   }
   
   // Fallback: compute from this request (only valid when verifier is inline)
   const url = new URL(request.url);
   const method = request.method.toUpperCase();
-  const path = url.pathname;
   const body = method === 'GET' ? new Uint8Array(0) : new Uint8Array(await request.arrayBuffer());
-  const bodyHash = sha256(body);
-  return Hlabel(LABEL_HTTP_CTX, method, path, bodyHash);
+  return requestBinding(method, url.pathname, body);
 }
 
 export default {
@@ -86,7 +44,7 @@ export default {
             ok: true,
             ts: Date.now(),
             build: 'strict-verifier-v1.1',
-            kid: 'kid-rotate-2025-10'
+            kids: loadVerifierKeys(env).map((k) => k.KID || '*')
           }), { headers: { 'content-type': 'application/json' } });
         }
       }
@@ -99,46 +57,18 @@ export default {
 
       const requestClone = request.clone();
       const payload = await request.json();
-      const {
-        KID, AADr, origin, epoch,
-        y, eta, c, Z, Zprime, P, M, piI, piC, d_client,
-      } = payload;
+      const { KID, AADr, origin, y, c } = payload;
 
       const d = await computeDFromOverrideOrRequest(payload, requestClone);
 
-      const Ppt = decodePoint(P);
-      const Mpt = decodePoint(M);
-      const Zpt = decodePoint(Z);
-      const Zppt = decodePoint(Zprime);
-
-      const Y = decodePoint(env.BRASS_ISSUER_PUBKEY);
-      const cI = bytesToBig(b64ud(piI.c));
-      const rI = bytesToBig(b64ud(piI.r));
-      const A1 = G.multiply(rI).add(Y.multiply(cI));
-      const A2 = Mpt.multiply(rI).add(Zpt.multiply(cI));
-      const bindI = new Uint8Array(0);
-      const okI = dleqVerify({ label: CONFIG.LABEL_DLEQ, g1: G, h1: Y, g2: Mpt, h2: Zpt, A1, A2, c: cI, r: rI, bind: bindI });
-      if (!okI) return new Response(JSON.stringify({ error: 'invalid_piI' }), { status: 401 });
-
-      if (d_client) {
-        const dMatch = ctEqual(d, b64ud(d_client));
-        if (!dMatch) return new Response(JSON.stringify({ error: 'd_mismatch' }), { status: 401 });
-      }
-
-      const cC = bytesToBig(b64ud(piC.c));
-      const rC = bytesToBig(b64ud(piC.r));
-      const bindC = H('BIND', b64ud(y), b64ud(c), d, u8(AADr), u8(KID), b64ud(eta));
-
-      const A1c = Ppt.multiply(rC).add(Mpt.multiply(cC));
-      const A2c = G;
-      const okC = dleqVerify({ label: CONFIG.LABEL_DLEQ, g1: Ppt, h1: Mpt, g2: G, h2: G, A1: A1c, A2: A2c, c: cC, r: rC, bind: bindC });
-      if (!okC) return new Response(JSON.stringify({ error: 'invalid_piC' }), { status: 401 });
+      const issuerKey = resolveIssuerKey(env, KID);
+      if (!issuerKey.valid) return new Response(JSON.stringify({ error: issuerKey.error }), { status: 401 });
 
-      const ySrv = Hlabel(CONFIG.LABEL_Y, b64ud(Zprime), KID, AADr, b64ud(eta));
-      const yEq = ctEqual(b64ud(y), ySrv);
-      if (!yEq) return new Response(JSON.stringify({ error: 'y_mismatch' }), { status: 401 });
+      // πI (single or batched), d, πC and y, exactly as every other BRASS verifier checks them
+      const check = verifySpend(payload, { Y: decodePoint(issuerKey.Y), d });
+      if (!check.ok) return new Response(JSON.stringify({ error: check.error }), { status: 401 });
 
-      const idempotencyIK = Buffer.from(H('IK', b64ud(y), b64ud(c))).toString('base64url');
+      const idempotencyIK = b64u(idempotencyKey(b64ud(y), b64ud(c)));
       const windowSec = CONFIG.WINDOW_SEC;
       const now = Math.floor(Date.now() / 1000);
       const windowKey = Math.floor(now / windowSec) * windowSec;
@@ -149,6 +79,7 @@ export default {
 
       let accept = false;
       let remaining = 0;
+      let limit = configuredLimit(env);
 
       if (env.COUNTER.binding) {
         const id = env.COUNTER.idFromName(counterId);
@@ -157,26 +88,30 @@ export default {
           method: 'POST',
           body: JSON.stringify({ ik: idempotencyIK, y }),
         });
-        const { ok, count, limit } = await resp.json();
-        accept = ok;
-        remaining = Math.max(0, (limit ?? 10) - count);
+        const counter = await resp.json();
+        accept = counter.ok;
+        limit = counter.limit ?? limit;
+        remaining = Math.max(0, limit - counter.count);
       } else {
         const replayKey = `replay:${counterId}:${idempotencyIK}`;
-        const exists = await env.KV.get(replayKey);
-        if (exists) return new Response(JSON.stringify({ error: 'replay_detected' }), { status: 429 });
-        await env.KV.put(replayKey, '1', { expirationTtl: CONFIG.REPLAY_TTL_SEC });
-
         const countKey = `count:${counterId}`;
         const cur = parseInt((await env.KV.get(countKey)) || '0', 10);
-        const limit = 10;
-        if (cur + 1 > limit) return new Response(JSON.stringify({ error: 'limit_exceeded', remaining: 0 }), { status: 429 });
-        await env.KV.put(countKey, String(cur + 1), { expirationTtl: windowSec + 5 });
-        accept = true;
-        remaining = limit - (cur + 1);
+        if (await env.KV.get(replayKey)) {
+          const headers = rateLimitHeaders({ limit, remaining: limit - cur, resetSeconds: windowKey + windowSec - now }, { rejected: true });
+          return new Response(JSON.stringify({ error: 'replay_detected' }), { status: 429, headers });
+        }
+        await env.KV.put(replayKey, '1', { expirationTtl: CONFIG.REPLAY_TTL_SEC });
+
+        if (cur + 1 <= limit) {
+          await env.KV.put(countKey, String(cur + 1), { expirationTtl: windowSec + 5 });
+          accept = true;
+          remaining = limit - (cur + 1);
+        }
       }
+      const headers = rateLimitHeaders({ limit, remaining, resetSeconds: windowKey + windowSec - now }, { rejected: !accept });
 
-      if (!accept) return new Response(JSON.stringify({ error: 'limit_exceeded', remaining: 0 }), { status: 429 });
-      return new Response(JSON.stringify({ ok: true, remaining }), { status: 200 });
+      if (!accept) return new Response(JSON.stringify({ error: 'limit_exceeded', remaining: 0 }), { status: 429, headers });
+      return new Response(JSON.stringify({ ok: true, remaining }), { status: 200, headers });
     } catch (e) {
       return new Response(JSON.stringify({ error: e.message || 'server_error' }), { status: 500 });
     }
@@ -187,7 +122,7 @@ export class COUNTER {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this.limit = 10;
+    this.limit = configuredLimit(env);
   }
   async fetch(req) {
     const { pathname } = new URL(req.url);
@@ -0,0 +1,70 @@
+// worker/tests/batch-dleq.test.js
+// Tests for batched issuance (composite points, batch membership checks)
+
+import { describe, it, expect } from 'vitest';
+import { p256 } from '@noble/curves/p256';
+import { batchComposite, issuerProofPoints, BATCH_MAX } from '@brassproof/protocol';
+
+const G = p256.ProjectivePoint.BASE;
+const k = 0x1f1f1f1fn;
+const Y = G.multiply(k);
+
+const b64u = (P) => Buffer.from(P.toRawBytes(true)).toString('base64url');
+
+const Ms = [3n, 5n, 7n].map((s) => G.multiply(s));
+const Zs = Ms.map((M) => M.multiply(k));
+const piI_batch = { M: Ms.map(b64u), Z: Zs.map(b64u) };
+
+describe('Batch composite', () => {
+  it('preserves the DLEQ relation Z̄ = k·M̄', () => {
+    const { M, Z } = batchComposite(Y, Ms, Zs);
+    expect(Z.equals(M.multiply(k))).toBe(true);
+  });
+
+  it('breaks the relation if any evaluation uses another key', () => {
+    const forged = [...Zs];
+    forged[1] = Ms[1].multiply(k + 1n);
+    const { M, Z } = batchComposite(Y, Ms, forged);
+    expect(Z.equals(M.multiply(k))).toBe(false);
+  });
+
+  it('depends on the order of the batch', () => {
+    const a = batchComposite(Y, Ms, Zs);
+    const b = batchComposite(Y, [...Ms].reverse(), [...Zs].reverse());
+    expect(a.M.equals(b.M)).toBe(false);
+  });
+
+  it('rejects empty and mismatched batches', () => {
+    expect(() => batchComposite(Y, [], [])).toThrow('invalid_batch');
+    expect(() => batchComposite(Y, Ms, Zs.slice(1))).toThrow('invalid_batch');
+  });
+});
+
+describe('Issuer proof points for a spend', () => {
+  it('uses the token points for single issuance', () => {
+    const pts = issuerProofPoints({ M: b64u(Ms[0]), Z: b64u(Zs[0]) }, Y, Ms[0], Zs[0]);
+    expect(pts.M.equals(Ms[0])).toBe(true);
+    expect(pts.Z.equals(Zs[0])).toBe(true);
+  });
+
+  it('uses the composite for batch members', () => {
+    const pts = issuerProofPoints({ M: b64u(Ms[2]), Z: b64u(Zs[2]), piI_batch }, Y, Ms[2], Zs[2]);
+    expect(pts.M.equals(batchComposite(Y, Ms, Zs).M)).toBe(true);
+  });
+
+  it('rejects tokens that are not in the batch', () => {
+    const M = G.multiply(11n);
+    const Z = M.multiply(k);
+    expect(() => issuerProofPoints({ M: b64u(M), Z: b64u(Z), piI_batch }, Y, M, Z)).toThrow('invalid_piI_batch');
+  });
+
+  it('rejects a token whose Z sits at another index', () => {
+    const payload = { M: b64u(Ms[0]), Z: b64u(Zs[1]), piI_batch };
+    expect(() => issuerProofPoints(payload, Y, Ms[0], Zs[1])).toThrow('invalid_piI_batch');
+  });
+
+  it('rejects oversized batches', () => {
+    const big = { M: new Array(BATCH_MAX + 1).fill(piI_batch.M[0]), Z: new Array(BATCH_MAX + 1).fill(piI_batch.Z[0]) };
+    expect(() => issuerProofPoints({ M: big.M[0], Z: big.Z[0], piI_batch: big }, Y, Ms[0], Zs[0])).toThrow('invalid_piI_batch');
+  });
+});
@@ -0,0 +1,70 @@
+// worker/tests/burst-allowance.test.js
+// Tests for burst allowances: requests over the limit but within the burst
+// band succeed with softLimited and are reported to telemetry
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createSpendFixture as spend, createTestVerifier, silenceConsole, usePassDay } from './fixtures/proof-fixture.js';
+
+const context = { origin: 'https://example.com', scope: 'api' };
+
+async function spendTimes(verifier, n) {
+  const results = [];
+  for (let i = 0; i < n; i++) results.push(await verifier.verify(spend(), context));
+  return results;
+}
+
+describe('burstAllowance', () => {
+  beforeEach(() => {
+    silenceConsole(['log', 'debug']);
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true })));
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('flags requests within the burst band and rejects beyond it', async () => {
+    const verifier = createTestVerifier({
+      rateLimits: { api: { maxRequests: 2, windowSeconds: 60, burstAllowance: 1 } },
+    });
+
+    const results = await spendTimes(verifier, 4);
+
+    expect(results.map((r) => [r.success, r.softLimited, r.remaining])).toEqual([
+      [true, undefined, 1],
+      [true, undefined, 0],
+      [true, true, 0],
+      [false, undefined, 0],
+    ]);
+    expect(results[3]).toMatchObject({ error: 'Rate limit exceeded', limit: 2 });
+  });
+
+  it('keeps the burst allowance of a calibration profile', async () => {
+    usePassDay();
+    const verifier = createTestVerifier({ calibrationProfile: 'comments' });
+
+    const results = await spendTimes(verifier, 5);
+
+    expect(results.map((r) => r.success)).toEqual([true, true, true, true, false]);
+    expect(results[3].softLimited).toBe(true);
+  });
+
+  it('counts soft-limited requests separately and emits a warning event', async () => {
+    const onSoftLimit = vi.fn();
+    const verifier = createTestVerifier({
+      rateLimits: { api: { maxRequests: 1, windowSeconds: 60, burstAllowance: 2 } },
+      telemetry: { enabled: true, endpoint: 'https://telemetry.example.com/ingest', onSoftLimit },
+    });
+
+    await spendTimes(verifier, 3);
+
+    expect(onSoftLimit.mock.calls).toEqual([['api', 1], ['api', 2]]);
+    const events = fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+    expect(events.filter((e) => e.type === 'verification')).toHaveLength(3);
+    expect(events.filter((e) => e.type === 'soft_limit')).toEqual([
+      expect.objectContaining({ severity: 'warning', count: 1, metadata: expect.objectContaining({ scope: 'api', limit: 1 }) }),
+      expect.objectContaining({ severity: 'warning', count: 2 }),
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+// worker/tests/cloudflare.test.js
+// Tests for @brassproof/cloudflare createBrassWorker: request binding,
+// rejection statuses and RateLimit-* headers, per-route scope and CORS
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createBrassWorker } from '@brassproof/cloudflare';
+import { VECTOR_REQUEST, createBrassToken, createIssuerPublicKey, silenceConsole } from './fixtures/proof-fixture.js';
+
+// The handler reads the body again after the wrapper hashed it
+const ok = async (request) => Response.json({ body: await request.json() });
+
+const request = ({ path = VECTOR_REQUEST.path, body = VECTOR_REQUEST.body, token = createBrassToken() } = {}) =>
+  new Request(`https://worker.example.com${path}`, {
+    method: VECTOR_REQUEST.method,
+    headers: {
+      'Content-Type': 'application/json',
+      Origin: VECTOR_REQUEST.origin,
+      ...(token ? { 'X-BRASS-Token': token } : {}),
+    },
+    body,
+  });
+
+describe('createBrassWorker', () => {
+  const rateLimits = {
+    comments: { maxRequests: 1, windowSeconds: 60 },
+    generic: { maxRequests: 5, windowSeconds: 60 },
+  };
+  let env;
+
+  beforeEach(() => {
+    silenceConsole(['log', 'warn', 'debug', 'error']);
+    env = { BRASS_SECRET_KEY: 'test-secret', BRASS_ISSUER_PUBKEY: createIssuerPublicKey() };
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  it('binds the spend to method, path without query and exact body, and leaves the body readable', async () => {
+    const handler = vi.fn(ok);
+    const response = await createBrassWorker(handler, { scope: 'comments', rateLimits })(
+      request({ path: `${VECTOR_REQUEST.path}?page=2` }),
+      env
+    );
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ body: { comment: 'hello' } });
+    expect(response.headers.get('RateLimit-Limit')).toBe('1');
+    expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(handler).toHaveBeenCalledWith(expect.any(Request), env);
+  });
+
+  it('rejects a spend replayed against another body or path with 401', async () => {
+    const handler = vi.fn(ok);
+    const worker = createBrassWorker(handler, { rateLimits });
+
+    const body = await worker(request({ body: '{"comment":"bye"}' }), env);
+    const path = await worker(request({ path: '/api/reviews' }), env);
+
+    expect(body.status).toBe(401);
+    expect((await body.json()).error).toContain('HTTP request binding mismatch');
+    expect(body.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(path.status).toBe(401);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('answers 413 for a body over the limit, declared or streamed', async () => {
+    const handler = vi.fn(ok);
+    const worker = createBrassWorker(handler, { rateLimits, limit: '16b' });
+    const declared = new Request(request(), { headers: { 'Content-Length': '19', 'X-BRASS-Token': createBrassToken() } });
+
+    const tooLarge = await worker(declared, env);
+
+    expect(tooLarge.status).toBe(413);
+    expect(await tooLarge.json()).toEqual({ error: 'Request body too large' });
+    expect(tooLarge.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect((await worker(request(), env)).status).toBe(413);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('answers 400 for a missing or malformed token and 500 without keys', async () => {
+    const worker = createBrassWorker(ok, { rateLimits });
+
+    expect(await (await worker(request({ token: null }), env)).json()).toEqual({ error: 'Missing BRASS token' });
+    expect(await (await worker(request({ token: '%%%' }), env)).json()).toEqual({ error: 'Invalid BRASS token format' });
+    expect((await worker(request(), { BRASS_SECRET_KEY: 'test-secret' })).status).toBe(500);
+  });
+
+  it('answers 429 with Retry-After once the route scope is exhausted', async () => {
+    const comments = createBrassWorker(ok, { scope: 'comments', rateLimits });
+    const generic = createBrassWorker(ok, { rateLimits });
+
+    await comments(request(), env);
+    const limited = await comments(request(), env);
+    const other = await generic(request(), env);
+
+    expect(limited.status).toBe(429);
+    expect(await limited.json()).toMatchObject({ error: 'Rate limit exceeded', remaining: 0 });
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(limited.headers.get('Retry-After')).toBe(limited.headers.get('RateLimit-Reset'));
+    expect(other.status).toBe(200);
+    expect(other.headers.get('RateLimit-Limit')).toBe('5');
+  });
+
+  it('answers 500 in shadow mode when the KV store fails', async () => {
+    const handler = vi.fn(ok);
+    const failing = async () => { throw new Error('kv unavailable'); };
+    env = { ...env, BRASS_MODE: 'shadow', BRASS_KV: { get: failing, put: failing, delete: failing } };
+
+    const response = await createBrassWorker(handler)(request(), env);
+
+    expect(response.status).toBe(500);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('adds the RateLimit-* headers to an onRateLimited response', async () => {
+    const onRateLimited = vi.fn(() => new Response('slow down', { status: 503 }));
+    const worker = createBrassWorker(ok, { scope: 'comments', rateLimits, onRateLimited });
+
+    await worker(request(), env);
+    const limited = await worker(request(), env);
+
+    expect(limited.status).toBe(503);
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(limited.headers.get('Retry-After')).not.toBeNull();
+  });
+
+  it('answers preflight and non-POST requests without verifying', async () => {
+    const handler = vi.fn(ok);
+    const worker = createBrassWorker(handler);
+
+    const preflight = await worker(new Request('https://worker.example.com/api/comments', { method: 'OPTIONS' }), env);
+    const get = await worker(new Request('https://worker.example.com/api/comments'), env);
+
+    expect(preflight.status).toBe(200);
+    expect(preflight.headers.get('Access-Control-Allow-Headers')).toContain('X-BRASS-Token');
+    expect(preflight.headers.get('Access-Control-Expose-Headers')).toContain('Retry-After');
+    expect(get.status).toBe(405);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+// worker/tests/express.test.js
+// Tests for @brassproof/express: request binding, rejection statuses and
+// RateLimit-* headers, per-route scope, onRejected and the body limit
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import { brassMiddleware, captureRawBody } from '@brassproof/express';
+import { VECTOR_REQUEST, createBrassToken, createTestVerifier, silenceConsole } from './fixtures/proof-fixture.js';
+
+const ok = (req, res) => res.json({ body: req.body, remaining: req.brass.remaining });
+
+// Serve `app` on an ephemeral port for one request
+async function request(app, { path = VECTOR_REQUEST.path, body = VECTOR_REQUEST.body, token = createBrassToken() } = {}) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: VECTOR_REQUEST.method,
+      headers: {
+        'Content-Type': 'application/json',
+        Origin: VECTOR_REQUEST.origin,
+        ...(token ? { 'X-BRASS-Token': token } : {}),
+      },
+      body,
+      duplex: 'half',
+    });
+    return { status: response.status, headers: response.headers, json: await response.json() };
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+describe('brassMiddleware', () => {
+  let verifier;
+
+  beforeEach(() => {
+    silenceConsole();
+    verifier = createTestVerifier({
+      rateLimits: {
+        comments: { maxRequests: 1, windowSeconds: 60 },
+        generic: { maxRequests: 5, windowSeconds: 60 },
+      },
+    });
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  const appWith = (options = {}, ...parsers) => {
+    const app = express();
+    for (const parser of parsers) app.use(parser);
+    app.post(VECTOR_REQUEST.path, brassMiddleware({ verifier, scope: 'comments', ...options }), ok);
+    return app;
+  };
+
+  it('binds the spend to method, path without query and exact body, and parses the body', async () => {
+    const response = await request(appWith(), { path: `${VECTOR_REQUEST.path}?page=2` });
+
+    expect(response.status).toBe(200);
+    expect(response.json).toEqual({ body: { comment: 'hello' }, remaining: 0 });
+    expect(response.headers.get('RateLimit-Limit')).toBe('1');
+    expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+  });
+
+  it('uses the raw body captured by express.json', async () => {
+    const response = await request(appWith({}, express.json({ verify: captureRawBody })));
+
+    expect(response.status).toBe(200);
+    expect(response.json.body).toEqual({ comment: 'hello' });
+  });
+
+  it('rejects a spend replayed against another body or path with 401', async () => {
+    const app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.post('/api/*', brassMiddleware({ verifier }), ok);
+
+    const body = await request(app, { body: '{"comment":"bye"}' });
+    const path = await request(app, { path: '/api/reviews' });
+
+    expect(body.status).toBe(401);
+    expect(body.json.error).toContain('HTTP request binding mismatch');
+    expect(path.status).toBe(401);
+  });
+
+  it('answers 400 for a missing or malformed token or JSON body', async () => {
+    expect((await request(appWith(), { token: null })).json).toEqual({ error: 'Missing BRASS token' });
+    expect((await request(appWith(), { token: '%%%' })).json).toEqual({ error: 'Invalid BRASS token format' });
+
+    const badJson = await request(appWith(), { body: '{"comment":' });
+    expect(badJson.status).toBe(400);
+    expect(badJson.json).toEqual({ error: 'Invalid JSON body' });
+  });
+
+  it('answers 429 with Retry-After once the scope is exhausted', async () => {
+    const app = appWith();
+    await request(app);
+    const limited = await request(app);
+
+    expect(limited.status).toBe(429);
+    expect(limited.json).toMatchObject({ error: 'Rate limit exceeded', remaining: 0 });
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(limited.headers.get('Retry-After')).toBe(limited.headers.get('RateLimit-Reset'));
+  });
+
+  it('picks the scope per request', async () => {
+    const app = appWith({ scope: (req) => req.query.scope || 'generic' });
+
+    await request(app, { path: `${VECTOR_REQUEST.path}?scope=comments` });
+    const comments = await request(app, { path: `${VECTOR_REQUEST.path}?scope=comments` });
+    const generic = await request(app);
+
+    expect(comments.status).toBe(429);
+    expect(generic.status).toBe(200);
+    expect(generic.headers.get('RateLimit-Limit')).toBe('5');
+  });
+
+  it('hands rejections to onRejected with the headers already set', async () => {
+    const onRejected = vi.fn((req, res, result) => {
+      res.status(403).json({ denied: result.error });
+    });
+    const app = appWith({ onRejected });
+
+    await request(app);
+    const rejected = await request(app);
+
+    expect(rejected.status).toBe(403);
+    expect(rejected.json).toEqual({ denied: 'Rate limit exceeded' });
+    expect(rejected.headers.get('Retry-After')).not.toBeNull();
+    expect(onRejected).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers 413 for bodies over the limit without reading them', async () => {
+    const response = await request(appWith({ limit: '16b' }));
+
+    expect(response.status).toBe(413);
+    expect(response.json).toEqual({ error: 'Request body too large' });
+    expect(response.headers.get('Connection')).toBe('close');
+  });
+
+  it('stops reading a chunked body once it passes the limit', async () => {
+    const chunks = [VECTOR_REQUEST.body, ' '.repeat(64)];
+    const body = new ReadableStream({
+      pull(controller) {
+        if (chunks.length) controller.enqueue(new TextEncoder().encode(chunks.shift()));
+        else controller.close();
+      },
+    });
+
+    const response = await request(appWith({ limit: 32 }), { body });
+
+    expect(response.status).toBe(413);
+  });
+
+  it('rejects an unparseable limit up front', () => {
+    expect(() => brassMiddleware({ verifier, limit: 'lots' })).toThrow('Invalid body limit: "lots"');
+  });
+});
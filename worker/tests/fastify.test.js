@@ -0,0 +1,120 @@
+// worker/tests/fastify.test.js
+// Tests for @brassproof/fastify: request binding, rejection statuses and
+// RateLimit-* headers, per-route scope, onRejected and JSON parsing elsewhere
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import Fastify from 'fastify';
+import brassPlugin from '@brassproof/fastify';
+import { VECTOR_REQUEST, createBrassToken, createTestVerifier, silenceConsole } from './fixtures/proof-fixture.js';
+
+const ok = async (request) => ({ body: request.body, remaining: request.brass.remaining });
+
+const request = (app, { url = VECTOR_REQUEST.path, payload = VECTOR_REQUEST.body, token = createBrassToken() } = {}) =>
+  app.inject({
+    method: VECTOR_REQUEST.method,
+    url,
+    payload,
+    headers: {
+      'content-type': 'application/json',
+      origin: VECTOR_REQUEST.origin,
+      ...(token ? { 'x-brass-token': token } : {}),
+    },
+  });
+
+describe('brassPlugin', () => {
+  let verifier;
+
+  beforeEach(() => {
+    silenceConsole();
+    verifier = createTestVerifier({
+      rateLimits: {
+        comments: { maxRequests: 1, windowSeconds: 60 },
+        generic: { maxRequests: 5, windowSeconds: 60 },
+      },
+    });
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  // Vector route protected with `config.brass`, plus whatever `routes` adds
+  const appWith = async (options = {}, routes = () => {}) => {
+    const app = Fastify();
+    await app.register(brassPlugin, { verifier, ...options });
+    app.post(VECTOR_REQUEST.path, { config: { brass: { scope: 'comments' } } }, ok);
+    routes(app);
+    return app;
+  };
+
+  it('binds the spend to method, path without query and exact body, and parses the body', async () => {
+    const app = await appWith();
+    const response = await request(app, { url: `${VECTOR_REQUEST.path}?page=2` });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.json()).toEqual({ body: { comment: 'hello' }, remaining: 0 });
+    expect(response.headers['ratelimit-limit']).toBe('1');
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  it('rejects a spend replayed against another body or path with 401', async () => {
+    const app = await appWith({}, (app) => app.post('/api/reviews', { config: { brass: true } }, ok));
+
+    const body = await request(app, { payload: '{"comment":"bye"}' });
+    const path = await request(app, { url: '/api/reviews' });
+
+    expect(body.statusCode).toBe(401);
+    expect(body.json().error).toContain('HTTP request binding mismatch');
+    expect(path.statusCode).toBe(401);
+  });
+
+  it('answers 400 for a missing or malformed token', async () => {
+    const app = await appWith();
+
+    expect((await request(app, { token: null })).json()).toEqual({ error: 'Missing BRASS token' });
+    expect((await request(app, { token: '%%%' })).json()).toEqual({ error: 'Invalid BRASS token format' });
+  });
+
+  it('answers 429 with Retry-After once the scope is exhausted', async () => {
+    const app = await appWith();
+    await request(app);
+    const limited = await request(app);
+
+    expect(limited.statusCode).toBe(429);
+    expect(limited.json()).toMatchObject({ error: 'Rate limit exceeded', remaining: 0 });
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.headers['retry-after']).toBe(limited.headers['ratelimit-reset']);
+  });
+
+  it('uses the plugin scope for routes with `brass: true`', async () => {
+    const app = Fastify();
+    await app.register(brassPlugin, { verifier, scope: 'comments' });
+    app.post(VECTOR_REQUEST.path, { config: { brass: true } }, ok);
+
+    await request(app);
+    expect((await request(app)).statusCode).toBe(429);
+  });
+
+  it('hands rejections to onRejected with the headers already set', async () => {
+    const onRejected = vi.fn((request, reply, result) => reply.code(403).send({ denied: result.error }));
+    const app = await appWith({ onRejected });
+
+    await request(app);
+    const rejected = await request(app);
+
+    expect(rejected.statusCode).toBe(403);
+    expect(rejected.json()).toEqual({ denied: 'Rate limit exceeded' });
+    expect(rejected.headers['retry-after']).toBeDefined();
+    expect(onRejected).toHaveBeenCalledTimes(1);
+  });
+
+  it('still parses JSON on routes without BRASS', async () => {
+    const app = await appWith({}, (app) => app.post('/api/open', async (request) => ({ body: request.body, brass: request.brass })));
+
+    const parsed = await request(app, { url: '/api/open', token: null });
+    const invalid = await request(app, { url: '/api/open', payload: '{"comment":', token: null });
+    const poisoned = await request(app, { url: '/api/open', payload: '{"__proto__":{"admin":true}}', token: null });
+
+    expect(parsed.statusCode).toBe(200);
+    expect(parsed.json()).toEqual({ body: { comment: 'hello' }, brass: null });
+    expect(invalid.statusCode).toBe(400);
+    expect(poisoned.statusCode).toBe(400);
+  });
+});
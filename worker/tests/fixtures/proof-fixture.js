@@ -1,85 +1,113 @@
 // worker/tests/fixtures/proof-fixture.js
-// Realistic BRASS proof fixture for testing
+// BRASS proof fixtures backed by the published BRASS-v1 test vectors
 //
-// FIXTURE GENERATION APPROACH:
-// Since worker/tests/crypto.test.js only contains simple placeholder strings,
-// we use pre-generated deterministic proof fixtures with realistic structure.
-//
-// These fixtures were generated using @noble/curves/p256 with deterministic
-// scalars, then encoded as base64url. They match production format expectations:
-// - Compressed P-256 point encodings (33 bytes)
-// - Base64url encoding (same as bytesToB64url())
-// - Realistic challenge/response lengths (32 bytes)
-//
-// LIMITATIONS:
-// - These are NOT cryptographically valid DLEQ proofs
-// - The c/r values are fabricated (not from real Fiat-Shamir)
-// - Useful for testing origin binding logic, not proof verification
-//
-// REGENERATION:
-// Generated using:
-//   import { p256 } from '@noble/curves/p256';
-//   import { bytesToB64url } from '../../shared/crypto.js';
-//   const G = p256.ProjectivePoint.BASE;
-//   const P = G.multiply(0x1234567890abcdefn);
-//   const P_b64 = bytesToB64url(P.toRawBytes(true));
+// These are real proofs: they verify under createIssuerPublicKey() in every
+// verifier (see tests/test-vectors.test.js). Regenerate the vectors with
+// packages/brass-protocol/test-vectors/generate.ts, never by hand.
 
-// Pre-generated P-256 points (compressed, base64url encoded)
-const FIXED_POINTS = {
-  // G * 0x1234567890abcdefn
-  P: 'AiVk9nVF_J9Y0jlQ8ZN3_BIXVT7-cOQN1H2WfKqHkqTb',
-  // G * 0xfedcba0987654321n
-  M: 'AzWJ8kYvN2pKjL1mZ3vQ_r4tU5wX7yA0bC6eD8fG9hH1',
-  // G * 0x1111111111111111n
-  Z: 'AgABAgMEBQYHCAkKCwwNDg8QERITFBUWFxgZGhscHR4f',
-  // G * 0x2222222222222222n
-  Zprime: 'Ax4dHBsaGRgXFhUUExIREA8ODQwLCgkIBwYFBAMCAQA'
-};
+import { vi } from 'vitest';
+import { hexToBytes, randomBytes } from '@noble/hashes/utils';
+import { buildSpend, encodeSpend } from '@brassproof/client';
+import { createBrassVerifier, withHttpContext } from '@brassproof/verifier';
+import vectors from '../../../packages/brass-protocol/test-vectors/brass-v1.json';
 
-// Fixed challenge and response values (32 bytes each)
-const FIXED_C = 'QkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkJCQkI'; // 0x42 repeated
-const FIXED_R = 'hISEhISEhISEhISEhISEhISEhISEhISEhISEhISEhISE'; // 0x84 repeated
+/**
+ * Epoch day the vector pass was minted in
+ */
+export const PASS_EPOCH = vectors.single.pass.epoch;
 
 /**
- * Generate realistic BRASS proof fixture
- * 
- * @param {string} origin - Origin to embed in proof (e.g., 'https://example.com')
- * @returns {Object} Proof payload matching deterministic-verifier expectations
+ * Start of the vector pass's epoch day (epoch ms)
  */
-export function createProofFixture(origin = 'https://example.com') {
-  // Create complete proof payload
-  return {
-    KID: 'kid-2025-11',
-    AADr: 'policy=default|window=current',
-    origin,
-    epoch: Math.floor(Date.now() / 86400000), // Current epoch days
-    c: 'mZmZmZmZmZmZmZmZmZmZmZmZmZmZmZmZmZmZmZmZmZk', // Client blinding factor (0x99 repeated)
-    Z: FIXED_POINTS.Z,
-    Zprime: FIXED_POINTS.Zprime,
-    P: FIXED_POINTS.P,
-    M: FIXED_POINTS.M,
-    piI: {
-      c: FIXED_C,
-      r: FIXED_R
-    },
-    piC: {
-      c: FIXED_C,
-      r: FIXED_R
-    }
-  };
+export const PASS_DAY_START = PASS_EPOCH * 86400 * 1000;
+
+/**
+ * HTTP request the vector spend is bound to, and the origin it was issued for
+ */
+export const VECTOR_REQUEST = { ...vectors.http, origin: vectors.single.pass.origin };
+
+/**
+ * Valid BRASS spend payload, including the server-supplied HTTP context
+ *
+ * @param {string} origin - Origin to report in the payload (e.g., 'https://example.com').
+ *   P stays bound to the vector origin; only the payload field changes.
+ * @returns {Object} Proof payload matching verifier expectations
+ */
+export function createProofFixture(origin = vectors.single.pass.origin) {
+  return { ...vectors.single.spend, origin };
 }
 
 /**
- * Generate issuer public key fixture
- * 
- * Pre-generated using:
- *   const G = p256.ProjectivePoint.BASE;
- *   const Y = G.multiply(0xdeadbeefcafebabefeeddead0000001n);
- *   const Y_b64 = bytesToB64url(Y.toRawBytes(true));
- * 
- * Note: This is a test key, not a real issuer key.
+ * Issuer public key Y the fixture proofs verify under (base64url)
  */
 export function createIssuerPublicKey() {
-  // G * 0xdeadbeefcafebabefeeddead0000001n (compressed, base64url)
-  return 'A_deadbeef_cafe_babe_feed_dead_00001';  // Placeholder - will be replaced with real encoding
+  return vectors.issuer.Y;
+}
+
+/**
+ * Fresh spend of the vector token, HTTP context included
+ *
+ * Each call picks a new nonce c: same token and nullifier y (so the same
+ * rate-limit counter), different idempotency key.
+ *
+ * @returns {Object} Spend payload for @brassproof/verifier
+ */
+export function createSpendFixture() {
+  const { http } = vectors;
+  return withHttpContext(buildVectorSpend(), { method: http.method, path: http.path, body: http.body });
+}
+
+/**
+ * Fresh `X-BRASS-Token` header value for VECTOR_REQUEST
+ *
+ * @returns {string} Encoded client spend, without HTTP context
+ */
+export function createBrassToken() {
+  return encodeSpend(buildVectorSpend());
+}
+
+// Client-side spend of the vector token with a fresh nonce c
+function buildVectorSpend() {
+  const { http, single, spendInputs } = vectors;
+  return buildSpend({
+    token: single.token,
+    httpMethod: http.method,
+    normalizedPath: http.path,
+    bodyBytes: http.body,
+    config: { AADr: spendInputs.AADr },
+    nonces: { c: randomBytes(16), eta: hexToBytes(spendInputs.eta) },
+  });
+}
+
+/**
+ * createBrassVerifier trusting the vector issuer key
+ *
+ * @param {Object} [config] - Further BrassVerifierConfig fields
+ */
+export function createTestVerifier(config = {}) {
+  return createBrassVerifier({
+    secretKey: 'test-secret',
+    issuerPublicKey: createIssuerPublicKey(),
+    ...config,
+  });
+}
+
+/**
+ * Freeze Date `offsetMs` into the vector pass's day, where calibration
+ * profiles (which bound token age) still accept it. Undo with vi.useRealTimers().
+ *
+ * @param {number} [offsetMs=3600000]
+ */
+export function usePassDay(offsetMs = 3600 * 1000) {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(PASS_DAY_START + offsetMs);
+}
+
+/**
+ * Silence the verifier's startup and debug logging. Undo with vi.restoreAllMocks().
+ *
+ * @param {string[]} [methods]
+ */
+export function silenceConsole(methods = ['log', 'warn', 'debug']) {
+  for (const method of methods) vi.spyOn(console, method).mockImplementation(() => {});
 }
@@ -0,0 +1,135 @@
+// worker/tests/hono.test.js
+// Tests for @brassproof/hono: request binding, rejection statuses and
+// RateLimit-* headers, per-route scope and onRejected
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Hono } from 'hono';
+import { brassMiddleware } from '@brassproof/hono';
+import { VECTOR_REQUEST, createBrassToken, createTestVerifier, silenceConsole } from './fixtures/proof-fixture.js';
+
+// The handler reads the body again after the middleware hashed it
+const ok = async (c) => c.json({ body: await c.req.json(), remaining: c.get('brass').remaining });
+
+const request = (app, { path = VECTOR_REQUEST.path, body = VECTOR_REQUEST.body, token = createBrassToken() } = {}) =>
+  app.request(path, {
+    method: VECTOR_REQUEST.method,
+    headers: {
+      'Content-Type': 'application/json',
+      Origin: VECTOR_REQUEST.origin,
+      ...(token ? { 'X-BRASS-Token': token } : {}),
+    },
+    body,
+  });
+
+describe('brassMiddleware (Hono)', () => {
+  let verifier;
+
+  beforeEach(() => {
+    silenceConsole();
+    verifier = createTestVerifier({
+      rateLimits: {
+        comments: { maxRequests: 1, windowSeconds: 60 },
+        generic: { maxRequests: 5, windowSeconds: 60 },
+      },
+    });
+  });
+  afterEach(() => vi.restoreAllMocks());
+
+  const appWith = (options = {}) => {
+    const app = new Hono();
+    app.post('/api/*', brassMiddleware({ verifier, scope: 'comments', ...options }), ok);
+    return app;
+  };
+
+  it('binds the spend to method, path without query and exact body, and leaves the body readable', async () => {
+    const response = await request(appWith(), { path: `${VECTOR_REQUEST.path}?page=2` });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ body: { comment: 'hello' }, remaining: 0 });
+    expect(response.headers.get('RateLimit-Limit')).toBe('1');
+    expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+  });
+
+  it('rejects a spend replayed against another body or path with 401', async () => {
+    const app = appWith();
+
+    const body = await request(app, { body: '{"comment":"bye"}' });
+    const path = await request(app, { path: '/api/reviews' });
+
+    expect(body.status).toBe(401);
+    expect((await body.json()).error).toContain('HTTP request binding mismatch');
+    expect(path.status).toBe(401);
+  });
+
+  it('answers 400 for a missing or malformed token', async () => {
+    expect(await (await request(appWith(), { token: null })).json()).toEqual({ error: 'Missing BRASS token' });
+    expect(await (await request(appWith(), { token: '%%%' })).json()).toEqual({ error: 'Invalid BRASS token format' });
+  });
+
+  it('answers 413 for a body over the limit', async () => {
+    const response = await request(appWith({ limit: 16 }));
+
+    expect(response.status).toBe(413);
+    expect(await response.json()).toEqual({ error: 'Request body too large' });
+  });
+
+  it('checks the limit against a body an earlier middleware already read', async () => {
+    const app = new Hono();
+    const read = async (c, next) => {
+      await c.req.json();
+      await next();
+    };
+    app.post('/api/big', read, brassMiddleware({ verifier, limit: 16 }), ok);
+    app.post('/api/*', read, brassMiddleware({ verifier, scope: 'comments' }), ok);
+
+    expect((await request(app, { path: '/api/big' })).status).toBe(413);
+    expect((await request(app)).status).toBe(200);
+  });
+
+  it('answers 429 with Retry-After once the scope is exhausted', async () => {
+    const app = appWith();
+    await request(app);
+    const limited = await request(app);
+
+    expect(limited.status).toBe(429);
+    expect(await limited.json()).toMatchObject({ error: 'Rate limit exceeded', remaining: 0 });
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(limited.headers.get('Retry-After')).toBe(limited.headers.get('RateLimit-Reset'));
+  });
+
+  it('picks the scope per request', async () => {
+    const app = appWith({ scope: (c) => c.req.query('scope') || 'generic' });
+
+    await request(app, { path: `${VECTOR_REQUEST.path}?scope=comments` });
+    const comments = await request(app, { path: `${VECTOR_REQUEST.path}?scope=comments` });
+    const generic = await request(app);
+
+    expect(comments.status).toBe(429);
+    expect(generic.status).toBe(200);
+    expect(generic.headers.get('RateLimit-Limit')).toBe('5');
+  });
+
+  it('keeps the RateLimit-* headers on a raw Response from onRejected', async () => {
+    const app = appWith({ onRejected: (c, result) => new Response(result.error, { status: 403 }) });
+
+    await request(app);
+    const rejected = await request(app);
+
+    expect(rejected.status).toBe(403);
+    expect(await rejected.text()).toBe('Rate limit exceeded');
+    expect(rejected.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(rejected.headers.get('Retry-After')).not.toBeNull();
+  });
+
+  it('lets onRejected override a header', async () => {
+    const app = appWith({
+      onRejected: (c) => new Response(null, { status: 503, headers: { 'Retry-After': '3600' } }),
+    });
+
+    await request(app);
+    const rejected = await request(app);
+
+    expect(rejected.headers.get('Retry-After')).toBe('3600');
+    expect(rejected.headers.get('RateLimit-Limit')).toBe('1');
+  });
+});
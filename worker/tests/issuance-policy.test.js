@@ -0,0 +1,158 @@
+// worker/tests/issuance-policy.test.js
+// Tests for issuer-side issuance policies (context checks, attesters, quotas)
+
+import { describe, it, expect } from 'vitest';
+import { p256, hashToCurve } from '@noble/curves/p256';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { createIssuancePolicy, ISSUANCE_ERRORS, DST_H1 } from '../issuance-policy.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const EPOCH = Math.floor(NOW / 86400000);
+
+class MockKV {
+  constructor() {
+    this.store = new Map();
+  }
+  async get(key) {
+    return this.store.get(key) ?? null;
+  }
+  async put(key, value) {
+    this.store.set(key, value);
+  }
+}
+
+const pointFor = (origin, epoch, subPolicy) => {
+  const h = hashToCurve(utf8ToBytes(`${origin}||${epoch}||${subPolicy}`), { DST: DST_H1 });
+  return Buffer.from(p256.ProjectivePoint.fromAffine(h.toAffine()).toRawBytes(true)).toString('base64url');
+};
+
+const pass = (origin = 'https://example.com', epoch = EPOCH, subPolicy = 'comments') => ({
+  P: pointFor(origin, epoch, subPolicy),
+  M: 'unused',
+  origin,
+  epoch,
+  subPolicy,
+});
+
+const request = (ip = '203.0.113.7') => new Request('https://issuer.test/issue', {
+  method: 'POST',
+  headers: { 'cf-connecting-ip': ip },
+});
+
+describe('Issuance policy', () => {
+  it('admits everything when nothing is configured', async () => {
+    const policy = createIssuancePolicy();
+    const decision = await policy.check({ request: request(), env: {}, body: { P: 'x', M: 'y' }, now: NOW });
+    expect(decision).toEqual({ ok: true, subject: null });
+  });
+
+  it('requires and checks the pass context when a quota is set', async () => {
+    const policy = createIssuancePolicy();
+    const env = { ISSUANCE_QUOTA_PER_CLIENT: '5', ISSUANCE_KV: new MockKV() };
+
+    const missing = await policy.check({ request: request(), env, body: { P: 'x', M: 'y' }, now: NOW });
+    expect(missing).toMatchObject({ ok: false, status: 400, error: ISSUANCE_ERRORS.CONTEXT_REQUIRED });
+
+    const lying = { ...pass(), origin: 'https://other.example' };
+    const mismatch = await policy.check({ request: request(), env, body: lying, now: NOW });
+    expect(mismatch).toMatchObject({ ok: false, status: 400, error: ISSUANCE_ERRORS.CONTEXT_MISMATCH });
+
+    const stale = await policy.check({ request: request(), env, body: pass(undefined, EPOCH - 1), now: NOW });
+    expect(stale).toMatchObject({ ok: false, status: 400, error: ISSUANCE_ERRORS.EPOCH_NOT_CURRENT });
+  });
+
+  it('enforces the origin allowlist', async () => {
+    const policy = createIssuancePolicy();
+    const env = { ISSUANCE_ALLOWED_ORIGINS: 'https://example.com, https://www.example.com' };
+
+    expect((await policy.check({ request: request(), env, body: pass(), now: NOW })).ok).toBe(true);
+    const refused = await policy.check({ request: request(), env, body: pass('https://evil.example'), now: NOW });
+    expect(refused).toMatchObject({ ok: false, status: 403, error: ISSUANCE_ERRORS.ORIGIN_NOT_ALLOWED });
+  });
+
+  it('counts passes per client and origin per epoch', async () => {
+    const policy = createIssuancePolicy();
+    const env = { ISSUANCE_QUOTA_PER_CLIENT: '2', ISSUANCE_KV: new MockKV() };
+
+    expect((await policy.check({ request: request(), env, body: pass(), now: NOW })).ok).toBe(true);
+    expect((await policy.check({ request: request(), env, body: pass(), now: NOW })).ok).toBe(true);
+
+    const third = await policy.check({ request: request(), env, body: pass(), now: NOW });
+    expect(third).toMatchObject({ ok: false, status: 429, error: ISSUANCE_ERRORS.QUOTA_EXCEEDED, retryAfter: 43200 });
+
+    // Other clients and other origins have their own budget
+    expect((await policy.check({ request: request('198.51.100.1'), env, body: pass(), now: NOW })).ok).toBe(true);
+    expect((await policy.check({ request: request(), env, body: pass('https://b.example'), now: NOW })).ok).toBe(true);
+  });
+
+  it('sets retryAfter from the epoch of the refused counter', async () => {
+    const policy = createIssuancePolicy();
+    const env = { ISSUANCE_QUOTA_PER_CLIENT: '1', ISSUANCE_KV: new MockKV() };
+
+    await policy.check({ request: request(), env, body: pass(undefined, EPOCH + 1), now: NOW });
+    const tomorrow = await policy.check({ request: request(), env, body: pass(undefined, EPOCH + 1), now: NOW });
+
+    expect(tomorrow).toMatchObject({ ok: false, status: 429, retryAfter: 43200 + 86400 });
+  });
+
+  it('uses no client quota when the origin quota refuses', async () => {
+    const policy = createIssuancePolicy();
+    const env = { ISSUANCE_QUOTA_PER_CLIENT: '2', ISSUANCE_QUOTA_PER_ORIGIN: '1', ISSUANCE_KV: new MockKV() };
+
+    expect((await policy.check({ request: request('198.51.100.1'), env, body: pass(), now: NOW })).ok).toBe(true);
+    expect((await policy.check({ request: request(), env, body: pass(), now: NOW })).ok).toBe(false);
+    expect((await policy.check({ request: request(), env, body: pass(), now: NOW })).ok).toBe(false);
+
+    // Only the admitted pass was counted against its client
+    const clientCounts = [...env.ISSUANCE_KV.store].filter(([key]) => key.startsWith('issuance:client:'));
+    expect(clientCounts.map(([, value]) => value)).toEqual(['1']);
+  });
+
+  it('counts every pass of a batch', async () => {
+    const policy = createIssuancePolicy();
+    const env = { ISSUANCE_QUOTA_PER_ORIGIN: '3', ISSUANCE_KV: new MockKV() };
+
+    const batch = { batch: [pass(), pass(), pass(undefined, undefined, 'signup')] };
+    expect((await policy.check({ request: request(), env, body: batch, now: NOW })).ok).toBe(true);
+
+    const more = await policy.check({ request: request('198.51.100.1'), env, body: pass(), now: NOW });
+    expect(more).toMatchObject({ ok: false, error: ISSUANCE_ERRORS.QUOTA_EXCEEDED });
+  });
+
+  it('stores hashed client identifiers only', async () => {
+    const kv = new MockKV();
+    const policy = createIssuancePolicy();
+    await policy.check({ request: request(), env: { ISSUANCE_QUOTA_PER_CLIENT: '2', ISSUANCE_KV: kv }, body: pass(), now: NOW });
+
+    expect([...kv.store.keys()].some((key) => key.includes('203.0.113.7'))).toBe(false);
+  });
+});
+
+describe('Attesters', () => {
+  const session = async ({ body }) => (body.attestation === 'valid-session' ? { ok: true, subject: 'user-1' } : null);
+  const banned = async ({ body }) => (body.attestation === 'banned' ? { ok: false, error: 'account_banned' } : null);
+
+  it('refuses when every attester abstains', async () => {
+    const policy = createIssuancePolicy({ attesters: [banned, session] });
+    const decision = await policy.check({ request: request(), env: {}, body: pass(), now: NOW });
+    expect(decision).toMatchObject({ ok: false, status: 401, error: ISSUANCE_ERRORS.ATTESTATION_REQUIRED });
+  });
+
+  it('passes through the attester error code', async () => {
+    const policy = createIssuancePolicy({ attesters: [banned, session] });
+    const decision = await policy.check({ request: request(), env: {}, body: { ...pass(), attestation: 'banned' }, now: NOW });
+    expect(decision).toMatchObject({ ok: false, status: 403, error: 'account_banned' });
+  });
+
+  it('keys the per-client quota by the attested subject', async () => {
+    const policy = createIssuancePolicy({ attesters: [session], quotas: { perClient: 1 } });
+    const env = { ISSUANCE_KV: new MockKV() };
+    const body = { ...pass(), attestation: 'valid-session' };
+
+    expect(await policy.check({ request: request('198.51.100.1'), env, body, now: NOW })).toEqual({ ok: true, subject: 'user-1' });
+
+    // Same subject from another IP shares the budget
+    const second = await policy.check({ request: request('198.51.100.2'), env, body, now: NOW });
+    expect(second).toMatchObject({ ok: false, error: ISSUANCE_ERRORS.QUOTA_EXCEEDED });
+  });
+});
@@ -0,0 +1,145 @@
+// worker/tests/issuer-keyset.test.js
+// Tests for issuer key rotation (keyset loading, /pub output, KID selection)
+
+import { describe, it, expect } from 'vitest';
+import { p256 } from '@noble/curves/p256';
+import { sha256 } from '@noble/hashes/sha256';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import {
+  loadIssuerKeyset,
+  publicKeyset,
+  resolveIssuerKey,
+  signedKeyDirectory,
+  canonicalJson,
+  DEFAULT_KID,
+} from '../issuer-keyset.js';
+
+const K_OLD = '1'.repeat(64);
+const K_NEW = '2'.repeat(64);
+const K_NEXT = '3'.repeat(64);
+
+const NOW = Date.parse('2026-01-02T00:00:00Z');
+
+const b64u = (u) => Buffer.from(u).toString('base64url');
+const pubOf = (kHex) => b64u(p256.ProjectivePoint.BASE.multiply(BigInt('0x' + kHex)).toRawBytes(true));
+
+const ISSUER_KEYS = JSON.stringify([
+  { kid: 'kid-old', k_hex: K_OLD, notBefore: '2025-10-01T00:00:00Z', notAfter: '2026-01-03T00:00:00Z' },
+  { kid: 'kid-new', k_hex: K_NEW, notBefore: '2026-01-01T00:00:00Z', notAfter: null },
+  { kid: 'kid-next', k_hex: K_NEXT, notBefore: '2026-04-01T00:00:00Z', notAfter: null },
+  { kid: 'kid-dead', k_hex: K_OLD, notBefore: '2025-01-01T00:00:00Z', notAfter: '2025-06-01T00:00:00Z' },
+]);
+
+describe('Issuer keyset', () => {
+  it('signs with the valid key with the latest notBefore', () => {
+    const keyset = loadIssuerKeyset({ ISSUER_KEYS }, NOW);
+    expect(keyset.current.kid).toBe('kid-new');
+  });
+
+  it('honors ISSUER_CURRENT_KID', () => {
+    const keyset = loadIssuerKeyset({ ISSUER_KEYS, ISSUER_CURRENT_KID: 'kid-old' }, NOW);
+    expect(keyset.current.kid).toBe('kid-old');
+  });
+
+  it('never signs with a key that is not yet valid', () => {
+    const keyset = loadIssuerKeyset({ ISSUER_KEYS, ISSUER_CURRENT_KID: 'kid-next' }, NOW);
+    expect(keyset.current).toBeNull();
+  });
+
+  it('publishes current, retiring and next keys and drops expired ones', () => {
+    const pub = publicKeyset(loadIssuerKeyset({ ISSUER_KEYS }, NOW));
+
+    expect(pub.KID).toBe('kid-new');
+    expect(pub.Y).toBe(pubOf(K_NEW));
+    expect(pub.keys.map((k) => [k.KID, k.status])).toEqual([
+      ['kid-old', 'retiring'],
+      ['kid-new', 'current'],
+      ['kid-next', 'next'],
+    ]);
+    expect(pub.keys[0].notAfter).toBe('2026-01-03T00:00:00.000Z');
+  });
+
+  it('falls back to the legacy single-key configuration', () => {
+    const keyset = loadIssuerKeyset({ ISSUER_K_HEX: K_OLD }, NOW);
+    expect(keyset.current.kid).toBe(DEFAULT_KID);
+    expect(loadIssuerKeyset({}, NOW)).toBeNull();
+  });
+
+  it('rejects keys that are already past notAfter at publication time', () => {
+    const pub = publicKeyset(loadIssuerKeyset({ ISSUER_KEYS }, Date.parse('2026-01-04T00:00:00Z')));
+    expect(pub.keys.map((k) => k.KID)).not.toContain('kid-old');
+  });
+});
+
+describe('Signed key directory', () => {
+  const keyset = loadIssuerKeyset({ ISSUER_KEYS }, NOW);
+  const env = { ISSUER_DIRECTORY_K_HEX: '5a'.repeat(32), ISSUER_KEYS_VERSION: '7' };
+
+  const verify = (directory) => {
+    const { sig, ...unsigned } = directory;
+    const digest = sha256(utf8ToBytes(canonicalJson(unsigned)));
+    return p256.verify(Buffer.from(sig, 'base64url'), digest, Buffer.from(directory.signer, 'base64url'));
+  };
+
+  it('signs the published keys with the directory key', () => {
+    const directory = signedKeyDirectory(keyset, env, 'https://issuer.test', NOW);
+
+    expect(directory.version).toBe(7);
+    expect(directory.signer).toBe(pubOf('5a'.repeat(32)));
+    expect(directory.keys).toEqual(publicKeyset(keyset).keys);
+    expect(verify(directory)).toBe(true);
+  });
+
+  it('detects tampering', () => {
+    const directory = signedKeyDirectory(keyset, env, 'https://issuer.test', NOW);
+    const forged = { ...directory, keys: [{ ...directory.keys[0], Y: pubOf(K_NEXT) }] };
+    expect(verify(forged)).toBe(false);
+  });
+
+  it('is not served without a directory key', () => {
+    expect(signedKeyDirectory(keyset, {}, 'https://issuer.test', NOW)).toBeNull();
+  });
+
+  it('canonicalizes key order', () => {
+    expect(canonicalJson({ b: 1, a: [{ d: null, c: 'x' }] })).toBe('{"a":[{"c":"x","d":null}],"b":1}');
+  });
+});
+
+describe('Verifier key selection', () => {
+  const pub = publicKeyset(loadIssuerKeyset({ ISSUER_KEYS }, NOW));
+
+  it('selects Y by KID from the /pub response', () => {
+    const env = { BRASS_ISSUER_KEYS: JSON.stringify(pub) };
+
+    expect(resolveIssuerKey(env, 'kid-new', NOW)).toEqual({ valid: true, KID: 'kid-new', Y: pubOf(K_NEW) });
+    expect(resolveIssuerKey(env, 'kid-old', NOW)).toEqual({ valid: true, KID: 'kid-old', Y: pubOf(K_OLD) });
+  });
+
+  it('rejects unknown and expired KIDs', () => {
+    const env = { BRASS_ISSUER_KEYS: JSON.stringify(pub) };
+
+    expect(resolveIssuerKey(env, 'kid-forged', NOW)).toEqual({ valid: false, error: 'unknown_kid' });
+    expect(resolveIssuerKey(env, 'kid-old', Date.parse('2026-01-03T00:00:00Z'))).toEqual({ valid: false, error: 'expired_kid' });
+  });
+
+  it('accepts a plain KID → Y map', () => {
+    const env = { BRASS_ISSUER_KEYS: JSON.stringify({ 'kid-a': pubOf(K_OLD) }) };
+    expect(resolveIssuerKey(env, 'kid-a', NOW).Y).toBe(pubOf(K_OLD));
+  });
+
+  it('binds BRASS_ISSUER_PUBKEY to BRASS_ISSUER_KID when set', () => {
+    const env = { BRASS_ISSUER_PUBKEY: pubOf(K_OLD), BRASS_ISSUER_KID: 'kid-old' };
+
+    expect(resolveIssuerKey(env, 'kid-old', NOW).valid).toBe(true);
+    expect(resolveIssuerKey(env, 'kid-other', NOW)).toEqual({ valid: false, error: 'unknown_kid' });
+  });
+
+  it('accepts any KID for an unbound BRASS_ISSUER_PUBKEY', () => {
+    const env = { BRASS_ISSUER_PUBKEY: pubOf(K_OLD) };
+    expect(resolveIssuerKey(env, 'anything', NOW).Y).toBe(pubOf(K_OLD));
+  });
+
+  it('reports a missing configuration', () => {
+    expect(resolveIssuerKey({}, 'kid-new', NOW)).toEqual({ valid: false, error: 'issuer_key_unconfigured' });
+  });
+});
@@ -0,0 +1,170 @@
+// worker/tests/key-directory.test.js
+// Tests for the verifier's view of the issuer key directory (createKeyDirectory)
+// against directories signed by the issuer worker
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createKeyDirectory, createBrassVerifier } from '@brassproof/verifier';
+import { loadIssuerKeyset, signedKeyDirectory } from '../issuer-keyset.js';
+
+const NOW = Date.parse('2026-01-02T00:00:00Z');
+const ISSUER = 'https://issuer.test';
+const DIRECTORY_K_HEX = '5a'.repeat(32);
+
+const keysetWith = (...kids) => loadIssuerKeyset({
+  ISSUER_KEYS: JSON.stringify(kids.map((kid, i) => ({
+    kid,
+    k_hex: String(i + 1).repeat(64),
+    notBefore: '2025-10-01T00:00:00Z',
+    notAfter: null,
+  }))),
+}, NOW);
+
+// Signed directory for `kids`, as served by the issuer's /.well-known/brass-keys
+const directoryOf = (kids, { version = 1, directoryKey = DIRECTORY_K_HEX, issuer = ISSUER, issuedAt = NOW } = {}) =>
+  signedKeyDirectory(keysetWith(...kids), { ISSUER_DIRECTORY_K_HEX: directoryKey, ISSUER_KEYS_VERSION: String(version) }, issuer, issuedAt);
+
+// fetch serving each directory in turn (the last one repeats)
+const serving = (...directories) => {
+  let served = 0;
+  return vi.fn(async () => Response.json(directories[Math.min(served++, directories.length - 1)]));
+};
+
+describe('createKeyDirectory', () => {
+  const pinned = directoryOf(['kid-a']).signer;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(NOW);
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('serves keys from the cache for its TTL', async () => {
+    const fetch = serving(directoryOf(['kid-a']));
+    const directory = createKeyDirectory({ issuerUrl: `${ISSUER}/issue`, signerPublicKey: pinned, ttlSeconds: 60, fetch });
+
+    expect((await directory.getKey('kid-a')).key.KID).toBe('kid-a');
+    vi.setSystemTime(NOW + 59_000);
+    expect((await directory.getKey('kid-a')).key).toBeDefined();
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][0]).toBe(`${ISSUER}/.well-known/brass-keys`);
+
+    vi.setSystemTime(NOW + 60_000);
+    await directory.getKey('kid-a');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('refreshes once for an unknown KID, at most every 30 seconds', async () => {
+    const fetch = serving(directoryOf(['kid-a']), directoryOf(['kid-a', 'kid-b'], { version: 2 }));
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, fetch });
+
+    await directory.getKey('kid-a');
+    expect((await directory.getKey('kid-b')).key).toBeUndefined();
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(NOW + 30_000);
+    expect((await directory.getKey('kid-b')).key.KID).toBe('kid-b');
+    expect((await directory.getKey('kid-forged')).error).toBeDefined();
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects a rolled-back directory', async () => {
+    const fetch = serving(directoryOf(['kid-a'], { version: 3 }), directoryOf(['kid-a'], { version: 2 }));
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, ttlSeconds: 60, fetch });
+
+    await directory.getKey('kid-a');
+    vi.setSystemTime(NOW + 60_000);
+
+    expect(await directory.getKey('kid-a')).toEqual({ error: 'Issuer key directory rolled back (version 2 < 3)' });
+  });
+
+  it('rejects a directory signed for another issuer', async () => {
+    const fetch = serving(directoryOf(['kid-a'], { issuer: 'https://other-issuer.test' }));
+    const directory = createKeyDirectory({ issuerUrl: `${ISSUER}/issue`, signerPublicKey: pinned, fetch });
+
+    expect(await directory.getKey('kid-a')).toEqual({ error: 'Issuer key directory is for another issuer (https://other-issuer.test)' });
+  });
+
+  it('rejects a directory issued longer ago than maxDirectoryAgeSeconds', async () => {
+    const stale = directoryOf(['kid-a'], { issuedAt: NOW - 3_601_000 });
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, fetch: serving(stale) });
+
+    expect(await directory.getKey('kid-a')).toEqual({ error: `Issuer key directory is stale (issued ${stale.issuedAt})` });
+
+    const relaxed = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, maxDirectoryAgeSeconds: 7200, fetch: serving(stale) });
+    expect((await relaxed.getKey('kid-a')).key).toBeDefined();
+  });
+
+  it('rejects a directory signed by another key than the pinned one', async () => {
+    const fetch = serving(directoryOf(['kid-a'], { directoryKey: '6b'.repeat(32) }));
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, fetch });
+
+    expect(await directory.getKey('kid-a')).toEqual({ error: 'Issuer key directory signed by an unexpected key' });
+  });
+
+  it('rejects a tampered directory', async () => {
+    const signed = directoryOf(['kid-a']);
+    const fetch = serving({ ...signed, keys: directoryOf(['kid-b']).keys });
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, fetch });
+
+    expect(await directory.getKey('kid-b')).toEqual({ error: 'Issuer key directory signature invalid' });
+  });
+
+  it('pins the first signer without a configured key, and warns', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetch = serving(directoryOf(['kid-a']), directoryOf(['kid-a'], { version: 2, directoryKey: '6b'.repeat(32) }));
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, ttlSeconds: 60, fetch });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('trusting the first signer seen'));
+    expect((await directory.getKey('kid-a')).key).toBeDefined();
+
+    vi.setSystemTime(NOW + 60_000);
+    expect(await directory.getKey('kid-a')).toEqual({ error: 'Issuer key directory signed by an unexpected key' });
+  });
+
+  it('backs off after a failed fetch', async () => {
+    const fetch = vi.fn(async () => new Response('unavailable', { status: 503 }));
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, fetch });
+
+    expect(await directory.getKey('kid-a')).toEqual({ error: 'Issuer key directory fetch failed: 503' });
+    expect(await directory.getKey('kid-a')).toEqual({ error: 'Issuer key directory fetch failed: 503' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(NOW + 1_000);
+    await directory.getKey('kid-a');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    // Second failure: 2s
+    vi.setSystemTime(NOW + 2_500);
+    await directory.getKey('kid-a');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.mockImplementation(async () => Response.json(directoryOf(['kid-a'])));
+    vi.setSystemTime(NOW + 3_000);
+    expect((await directory.getKey('kid-a')).key).toBeDefined();
+  });
+
+  it('gives up on a fetch that does not answer', async () => {
+    vi.useRealTimers();
+    const fetch = vi.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    }));
+    const directory = createKeyDirectory({ issuerUrl: ISSUER, signerPublicKey: pinned, timeoutMs: 20, fetch });
+
+    const result = await directory.getKey('kid-a');
+
+    expect(result.key).toBeUndefined();
+    expect(result.error).toMatch(/timeout|aborted/i);
+  });
+});
+
+describe('createBrassVerifier with an issuer URL', () => {
+  it('requires a pinned directory key in strict mode', () => {
+    const config = { secretKey: 'test-secret', issuerUrl: ISSUER, strict: true, store: { spend: async () => ({}) } };
+
+    expect(() => createBrassVerifier(config)).toThrow('strict mode: issuerDirectoryKey is required with issuerUrl');
+    expect(() => createBrassVerifier({ ...config, issuerDirectoryKey: directoryOf(['kid-a']).signer })).not.toThrow();
+  });
+});
@@ -0,0 +1,72 @@
+// worker/tests/kv-verifiers.test.js
+// Tests for the RateLimit-* and Retry-After headers of strict-verifier.js and
+// verifier-cloudflare.js on their KV path (no Durable Object bound)
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import strictVerifier from '../strict-verifier.js';
+import cloudflareVerifier from '../verifier-cloudflare.js';
+import { MockKV, mockContext, buildSpendRequest, responseJson } from './utils/mock-worker-env.js';
+import { createIssuerPublicKey, createSpendFixture as spend } from './fixtures/proof-fixture.js';
+
+const API_KEY = 'test_api_key';
+
+// strict-verifier takes the Durable Object path when COUNTER.binding is set,
+// verifier-cloudflare when COUNTER is
+describe.each([
+  ['strict-verifier', strictVerifier, { COUNTER: {} }],
+  ['verifier-cloudflare', cloudflareVerifier, {}],
+])('%s', (_, worker, bindings) => {
+  let env;
+  const verify = (payload) => worker.fetch(buildSpendRequest(payload, { apiKey: API_KEY }), env, mockContext());
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.parse('2026-01-02T00:00:10Z'));
+    env = { BRASS_SECRET_KEY: API_KEY, BRASS_ISSUER_PUBKEY: createIssuerPublicKey(), KV: new MockKV(), ...bindings };
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it('reports BRASS_RATE_LIMIT in the RateLimit-* headers', async () => {
+    env.BRASS_RATE_LIMIT = '3';
+
+    const response = await verify(spend());
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('RateLimit-Limit')).toBe('3');
+    expect(response.headers.get('RateLimit-Remaining')).toBe('2');
+    expect(response.headers.get('RateLimit-Reset')).toBe('50');
+    expect(response.headers.get('Retry-After')).toBeNull();
+  });
+
+  it('defaults to 10 requests per window', async () => {
+    const response = await verify(spend());
+
+    expect(response.headers.get('RateLimit-Limit')).toBe('10');
+  });
+
+  it('sends the rate-limit headers and Retry-After with a replay denial', async () => {
+    env.BRASS_RATE_LIMIT = '3';
+    const payload = spend();
+
+    await verify(payload);
+    const replayed = await verify(payload);
+
+    expect(replayed.status).toBe(429);
+    expect(await responseJson(replayed)).toEqual({ error: 'replay_detected' });
+    expect(replayed.headers.get('RateLimit-Limit')).toBe('3');
+    expect(replayed.headers.get('RateLimit-Remaining')).toBe('2');
+    expect(replayed.headers.get('Retry-After')).toBe('50');
+  });
+
+  it('sends Retry-After once the limit is reached', async () => {
+    env.BRASS_RATE_LIMIT = '1';
+
+    await verify(spend());
+    const limited = await verify(spend());
+
+    expect(limited.status).toBe(429);
+    expect(await responseJson(limited)).toEqual({ error: 'limit_exceeded', remaining: 0 });
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(limited.headers.get('Retry-After')).toBe('50');
+  });
+});
@@ -0,0 +1,135 @@
+// worker/tests/memory-store.test.js
+// Tests for the SDK's in-memory store (LRU + TTL) and the verifier's default
+// and strict store modes
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createMemoryStore, verifierConfigFromEnv } from '@brassproof/verifier';
+import { createIssuerPublicKey, createSpendFixture as spend, createTestVerifier } from './fixtures/proof-fixture.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+const keyFor = (y) => ({
+  projectId: 'project-a',
+  issuerPk: 'kid-1',
+  origin: 'https://example.com',
+  epoch: 20522,
+  policy: 'comments',
+  window: 0,
+  y,
+});
+
+describe('createMemoryStore', () => {
+  let clock;
+  let store;
+
+  beforeEach(() => {
+    clock = { now: NOW };
+    store = createMemoryStore({ now: () => clock.now });
+  });
+
+  it('counts spends, rejects over the limit and replays outcomes', async () => {
+    const key = keyFor('y1');
+
+    expect(await store.spend({ key, IK: 'ik-1', limit: 2, ttlSeconds: 60 })).toEqual({ ok: true, remaining: 1 });
+    expect(await store.spend({ key, IK: 'ik-2', limit: 2, ttlSeconds: 60 })).toEqual({ ok: true, remaining: 0 });
+    expect(await store.spend({ key, IK: 'ik-3', limit: 2, ttlSeconds: 60 })).toEqual({ ok: false, error: 'limit_exceeded', remaining: 0 });
+    expect(await store.spend({ key, IK: 'ik-1', limit: 2, ttlSeconds: 60 })).toEqual({ ok: true, remaining: 1, idempotent: true });
+  });
+
+  it('never overspends under concurrent spends', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => store.spend({ key: keyFor('y1'), IK: `ik-${i}`, limit: 5, ttlSeconds: 60 }))
+    );
+
+    expect(results.filter((r) => r.ok)).toHaveLength(5);
+  });
+
+  it('expires counters with their window, not with each spend', async () => {
+    const key = keyFor('y1');
+    await store.spend({ key, IK: 'ik-1', limit: 2, ttlSeconds: 60 });
+
+    clock.now += 30 * 1000;
+    await store.spend({ key, IK: 'ik-2', limit: 2, ttlSeconds: 60 });
+    clock.now += 30 * 1000;
+
+    expect(await store.spend({ key, IK: 'ik-3', limit: 2, ttlSeconds: 60 })).toEqual({ ok: true, remaining: 1 });
+  });
+
+  it('keeps idempotency records for replayTtlSeconds', async () => {
+    const key = keyFor('y1');
+    await store.spend({ key, IK: 'ik-1', limit: 5, ttlSeconds: 60, replayTtlSeconds: 3600 });
+
+    clock.now += 120 * 1000;
+    expect((await store.spend({ key, IK: 'ik-1', limit: 5, ttlSeconds: 60 })).idempotent).toBe(true);
+  });
+
+  it('stays within maxEntries, evicting the least recently used first', async () => {
+    store = createMemoryStore({ maxEntries: 4, now: () => clock.now });
+
+    await store.spend({ key: keyFor('y1'), IK: 'ik-1', limit: 5, ttlSeconds: 60 });
+    await store.spend({ key: keyFor('y2'), IK: 'ik-2', limit: 5, ttlSeconds: 60 });
+    // Replaying ik-1 touches its record; both counters are now the oldest entries
+    await store.spend({ key: keyFor('y1'), IK: 'ik-1', limit: 5, ttlSeconds: 60 });
+    await store.spend({ key: keyFor('y3'), IK: 'ik-3', limit: 5, ttlSeconds: 60 });
+
+    expect(store.size()).toBe(4);
+    expect((await store.spend({ key: keyFor('y1'), IK: 'ik-1', limit: 5, ttlSeconds: 60 })).idempotent).toBe(true);
+    // y2's counter was evicted, so it starts over
+    expect(await store.spend({ key: keyFor('y2'), IK: 'ik-new', limit: 5, ttlSeconds: 60 })).toEqual({ ok: true, remaining: 4 });
+  });
+
+  it('sweeps expired entries as it writes', async () => {
+    // Two writes per spend; the sweep runs every 1000 writes
+    for (let i = 0; i < 250; i++) {
+      await store.spend({ key: keyFor(`old${i}`), IK: `ik-old${i}`, limit: 5, ttlSeconds: 1 });
+    }
+    clock.now += 2000;
+    for (let i = 0; i < 250; i++) {
+      await store.spend({ key: keyFor(`new${i}`), IK: `ik-new${i}`, limit: 5, ttlSeconds: 60 });
+    }
+
+    expect(store.size()).toBe(500);
+  });
+
+  it('caches the first grace response until it expires', async () => {
+    const grace = { projectId: 'project-a', graceKey: 'g1', ttlSeconds: 60 };
+    await store.cacheGraceResponse({ ...grace, response: { ok: true, remaining: 1 } });
+    await store.cacheGraceResponse({ ...grace, response: { ok: false, remaining: 0 } });
+
+    expect(await store.guardGrace(grace)).toEqual({ hit: true, response: { ok: true, remaining: 1 } });
+    clock.now += 60 * 1000;
+    expect(await store.guardGrace(grace)).toEqual({ hit: false });
+  });
+});
+
+describe('createBrassVerifier store defaults', () => {
+  const context = { origin: 'https://example.com', scope: 'comments' };
+  const base = {
+    rateLimits: { comments: { maxRequests: 2, windowSeconds: 60 } },
+  };
+
+  it('enforces replay protection and limits in memory without a store', async () => {
+    const warn = vi.spyOn(console, 'warn');
+    const verifier = createTestVerifier(base);
+    const payload = spend();
+
+    expect((await verifier.verify(payload, context)).success).toBe(true);
+    expect((await verifier.verify(payload, context)).error).toBe('Token already used (replay detected)');
+    expect((await verifier.verify(spend(), context)).success).toBe(true);
+    expect((await verifier.verify(spend(), context)).error).toBe('Rate limit exceeded');
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('refuses to start without a store in strict mode', () => {
+    expect(() => createTestVerifier({ ...base, strict: true })).toThrow('strict mode: a store is required');
+    expect(() => createTestVerifier({ ...base, strict: true, store: createMemoryStore() })).not.toThrow();
+  });
+
+  it('reads strict mode from BRASS_STRICT', () => {
+    const env = { BRASS_SECRET_KEY: 'sk', BRASS_ISSUER_PUBKEY: createIssuerPublicKey(), BRASS_STRICT: 'true' };
+
+    expect(verifierConfigFromEnv({}, env).strict).toBe(true);
+    expect(verifierConfigFromEnv({}, { ...env, BRASS_STRICT: undefined }).strict).toBeUndefined();
+  });
+});
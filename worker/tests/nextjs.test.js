@@ -0,0 +1,141 @@
+// worker/tests/nextjs.test.js
+// Tests for @brassproof/nextjs withBrassVerifier: request binding, rejection
+// statuses and RateLimit-* headers, per-route scope and onRateLimited
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { NextRequest, NextResponse } from 'next/server';
+import { withBrassVerifier } from '@brassproof/nextjs';
+import { VECTOR_REQUEST, createBrassToken, createIssuerPublicKey, silenceConsole } from './fixtures/proof-fixture.js';
+
+// The handler reads the body again after the wrapper hashed it
+const ok = async (request) => NextResponse.json({ body: await request.json() });
+
+const request = ({ path = VECTOR_REQUEST.path, body = VECTOR_REQUEST.body, token = createBrassToken() } = {}) =>
+  new NextRequest(`https://app.example.com${path}`, {
+    method: VECTOR_REQUEST.method,
+    headers: {
+      'Content-Type': 'application/json',
+      Origin: VECTOR_REQUEST.origin,
+      ...(token ? { 'X-BRASS-Token': token } : {}),
+    },
+    body,
+  });
+
+describe('withBrassVerifier', () => {
+  const rateLimits = {
+    comments: { maxRequests: 1, windowSeconds: 60 },
+    generic: { maxRequests: 5, windowSeconds: 60 },
+  };
+
+  beforeEach(() => {
+    silenceConsole(['log', 'warn', 'debug', 'error']);
+    vi.stubEnv('BRASS_SECRET_KEY', 'test-secret');
+    vi.stubEnv('BRASS_ISSUER_PUBKEY', createIssuerPublicKey());
+  });
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('binds the spend to method, path without query and exact body, and leaves the body readable', async () => {
+    const handler = vi.fn(ok);
+    const response = await withBrassVerifier(handler, { scope: 'comments', rateLimits })(request({ path: `${VECTOR_REQUEST.path}?page=2` }));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ body: { comment: 'hello' } });
+    expect(response.headers.get('RateLimit-Limit')).toBe('1');
+    expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects a spend replayed against another body or path with 401', async () => {
+    const handler = vi.fn(ok);
+    const route = withBrassVerifier(handler, { rateLimits });
+
+    const body = await route(request({ body: '{"comment":"bye"}' }));
+    const path = await route(request({ path: '/api/reviews' }));
+
+    expect(body.status).toBe(401);
+    expect((await body.json()).error).toContain('HTTP request binding mismatch');
+    expect(path.status).toBe(401);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('answers 400 for a missing or malformed token', async () => {
+    const route = withBrassVerifier(ok, { rateLimits });
+
+    expect(await (await route(request({ token: null }))).json()).toEqual({ error: 'Missing BRASS token' });
+    expect(await (await route(request({ token: '%%%' }))).json()).toEqual({ error: 'Invalid BRASS token format' });
+  });
+
+  it('answers 413 for a body over the limit, declared or streamed', async () => {
+    const handler = vi.fn(ok);
+    const route = withBrassVerifier(handler, { rateLimits, limit: 16 });
+    const chunks = [new TextEncoder().encode('{"comment":"'), new TextEncoder().encode(`${'x'.repeat(64)}"}`)];
+    const streamed = new NextRequest(`https://app.example.com${VECTOR_REQUEST.path}`, {
+      method: 'POST',
+      headers: { 'X-BRASS-Token': createBrassToken() },
+      body: new ReadableStream({ pull: (controller) => (chunks.length ? controller.enqueue(chunks.shift()) : controller.close()) }),
+      duplex: 'half',
+    });
+
+    const declared = await route(request());
+
+    expect(declared.status).toBe(413);
+    expect(await declared.json()).toEqual({ error: 'Request body too large' });
+    expect((await route(streamed)).status).toBe(413);
+    expect(handler).not.toHaveBeenCalled();
+    expect(() => withBrassVerifier(ok, { limit: 'lots' })).toThrow('Invalid body limit: "lots"');
+  });
+
+  it('answers 500 without a secret or issuer key', async () => {
+    vi.stubEnv('BRASS_ISSUER_PUBKEY', '');
+
+    const response = await withBrassVerifier(ok, { rateLimits })(request());
+
+    expect(response.status).toBe(500);
+    expect(await response.json()).toEqual({ error: 'Server configuration error' });
+  });
+
+  it('answers 429 with Retry-After once the route scope is exhausted', async () => {
+    const comments = withBrassVerifier(ok, { scope: 'comments', rateLimits });
+    const generic = withBrassVerifier(ok, { rateLimits });
+
+    await comments(request());
+    const limited = await comments(request());
+    const other = await generic(request());
+
+    expect(limited.status).toBe(429);
+    expect(await limited.json()).toMatchObject({ error: 'Rate limit exceeded', remaining: 0 });
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(limited.headers.get('Retry-After')).toBe(limited.headers.get('RateLimit-Reset'));
+    expect(other.status).toBe(200);
+    expect(other.headers.get('RateLimit-Limit')).toBe('5');
+  });
+
+  it('answers 500 in shadow mode when verification fails with an error', async () => {
+    const handler = vi.fn(ok);
+    const store = { spend: async () => { throw new Error('store unavailable'); } };
+    const onShadowDenied = vi.fn();
+
+    const response = await withBrassVerifier(handler, { mode: 'shadow', store, onShadowDenied })(request());
+
+    expect(response.status).toBe(500);
+    expect(handler).not.toHaveBeenCalled();
+    expect(onShadowDenied).not.toHaveBeenCalled();
+  });
+
+  it('adds the RateLimit-* headers to an onRateLimited response', async () => {
+    const onRateLimited = vi.fn(() => NextResponse.json({ slowDown: true }, { status: 503 }));
+    const route = withBrassVerifier(ok, { scope: 'comments', rateLimits, onRateLimited });
+
+    await route(request());
+    const limited = await route(request());
+
+    expect(limited.status).toBe(503);
+    expect(await limited.json()).toEqual({ slowDown: true });
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(limited.headers.get('Retry-After')).not.toBeNull();
+    expect(onRateLimited).toHaveBeenCalledWith({ remaining: 0, resetAt: expect.any(Number) });
+  });
+});
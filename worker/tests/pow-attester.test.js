@@ -0,0 +1,200 @@
+// worker/tests/pow-attester.test.js
+// Tests for the proof-of-work issuance attester
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { p256, hashToCurve } from '@noble/curves/p256';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { solvePowChallenge } from '@brassproof/client';
+import { createIssuancePolicy, ISSUANCE_ERRORS, DST_H1 } from '../issuance-policy.js';
+import {
+  createPowAttester,
+  issuePowChallenge,
+  powWork,
+  requiredDifficulty,
+  POW_CHALLENGE_PATH,
+  POW_ERRORS,
+} from '../pow-attester.js';
+
+const EPOCH = Math.floor(Date.now() / 86400000);
+const ORIGIN = 'https://example.com';
+
+class MockKV {
+  constructor() {
+    this.store = new Map();
+  }
+  async get(key) {
+    return this.store.get(key) ?? null;
+  }
+  async put(key, value) {
+    this.store.set(key, value);
+  }
+}
+
+// Low difficulty keeps the tests fast
+const powEnv = (extra = {}) => ({
+  ISSUANCE_POW_SECRET: 'test-secret',
+  ISSUANCE_POW_DIFFICULTY: JSON.stringify({ comments: 4, signup: 6 }),
+  ...extra,
+});
+
+const pointFor = (origin, epoch, subPolicy) => {
+  const h = hashToCurve(utf8ToBytes(`${origin}||${epoch}||${subPolicy}`), { DST: DST_H1 });
+  return Buffer.from(p256.ProjectivePoint.fromAffine(h.toAffine()).toRawBytes(true)).toString('base64url');
+};
+
+const pass = (origin = ORIGIN, epoch = EPOCH, subPolicy = 'comments') => ({
+  P: pointFor(origin, epoch, subPolicy),
+  M: 'unused',
+  origin,
+  epoch,
+  subPolicy,
+});
+
+const request = () => new Request('https://issuer.test/issue', {
+  method: 'POST',
+  headers: { 'cf-connecting-ip': '203.0.113.7' },
+});
+
+function solve({ challenge, difficulty }) {
+  for (let i = 0; ; i++) {
+    if (powWork(challenge, String(i)) >= difficulty) return { challenge, solution: String(i) };
+  }
+}
+
+function unsolved({ challenge, difficulty }) {
+  for (let i = 0; ; i++) {
+    if (powWork(challenge, String(i)) < difficulty) return { challenge, solution: String(i) };
+  }
+}
+
+describe('Proof-of-work attester', () => {
+  const policy = createIssuancePolicy({ attesters: [createPowAttester()] });
+
+  it('is inactive without ISSUANCE_POW_SECRET', async () => {
+    const decision = await policy.check({ request: request(), env: {}, body: pass() });
+    expect(decision).toEqual({ ok: true, subject: null });
+    expect(policy.route(new Request(`https://issuer.test${POW_CHALLENGE_PATH}`), {})).toBeNull();
+  });
+
+  it('requires a solved challenge once enabled', async () => {
+    const decision = await policy.check({ request: request(), env: powEnv(), body: pass() });
+    expect(decision).toMatchObject({ ok: false, status: 401, error: ISSUANCE_ERRORS.ATTESTATION_REQUIRED });
+  });
+
+  it('serves challenges and admits solved ones', async () => {
+    const env = powEnv();
+    const url = `https://issuer.test${POW_CHALLENGE_PATH}?origin=${encodeURIComponent(ORIGIN)}&epoch=${EPOCH}&subPolicy=comments`;
+    const response = await policy.route(new Request(url), env);
+    expect(response.status).toBe(200);
+
+    const challenge = await response.json();
+    expect(challenge.difficulty).toBe(4);
+
+    const body = { ...pass(), attestation: { pow: solve(challenge) } };
+    expect(await policy.check({ request: request(), env, body })).toEqual({ ok: true, subject: null });
+  });
+
+  it('rejects unsolved, forged and foreign challenges', async () => {
+    const env = powEnv();
+    const challenge = issuePowChallenge(env, { origin: ORIGIN, epoch: EPOCH, subPolicies: ['comments'] });
+
+    const bad = await policy.check({ request: request(), env, body: { ...pass(), attestation: { pow: unsolved(challenge) } } });
+    expect(bad).toMatchObject({ ok: false, status: 403, error: POW_ERRORS.UNSOLVED });
+
+    const forged = issuePowChallenge({ ...env, ISSUANCE_POW_SECRET: 'other' }, { origin: ORIGIN, epoch: EPOCH, subPolicies: ['comments'] });
+    const forgedDecision = await policy.check({ request: request(), env, body: { ...pass(), attestation: { pow: solve(forged) } } });
+    expect(forgedDecision).toMatchObject({ ok: false, error: POW_ERRORS.INVALID });
+
+    const foreign = await policy.check({
+      request: request(),
+      env,
+      body: { ...pass('https://other.example'), attestation: { pow: solve(challenge) } },
+    });
+    expect(foreign).toMatchObject({ ok: false, error: POW_ERRORS.INVALID });
+  });
+
+  it('rejects malformed challenges as invalid', async () => {
+    const env = powEnv();
+
+    for (const challenge of ['x.a', 'a.x', '!!.??', 'no-dot', 42]) {
+      const decision = await policy.check({ request: request(), env, body: { ...pass(), attestation: { pow: { challenge, solution: '0' } } } });
+      expect(decision).toMatchObject({ ok: false, status: 403, error: POW_ERRORS.INVALID });
+    }
+  });
+
+  it('rejects challenges easier than the requested passes need', async () => {
+    const env = powEnv();
+    const challenge = issuePowChallenge(env, { origin: ORIGIN, epoch: EPOCH, subPolicies: ['comments'] });
+    const body = {
+      batch: [pass(), pass(undefined, undefined, 'signup')],
+      attestation: { pow: solve(challenge) },
+    };
+
+    const decision = await policy.check({ request: request(), env, body });
+    expect(decision).toMatchObject({ ok: false, error: POW_ERRORS.INSUFFICIENT });
+  });
+
+  it('scales difficulty with the policy and batch size', () => {
+    expect(requiredDifficulty({}, ['comments'])).toBe(18);
+    expect(requiredDifficulty({}, ['api', 'signup'])).toBe(21);
+    expect(requiredDifficulty({}, ['unknown'])).toBe(16);
+    expect(requiredDifficulty({}, ['api'], 8)).toBe(15);
+  });
+
+  it('rejects an ISSUANCE_POW_DIFFICULTY that is not a map of non-negative integers', () => {
+    for (const bad of ['{"comments":', '{"comments":-1}', '{"comments":"20"}', '{"comments":1.5}', '[20]']) {
+      expect(() => requiredDifficulty({ ISSUANCE_POW_DIFFICULTY: bad }, ['comments'])).toThrow('invalid_pow_difficulty');
+    }
+    expect(requiredDifficulty({ ISSUANCE_POW_DIFFICULTY: '{"comments":0}' }, ['comments'])).toBe(0);
+  });
+
+  it('makes challenges single-use with ISSUANCE_KV', async () => {
+    const env = powEnv({ ISSUANCE_KV: new MockKV() });
+    const challenge = issuePowChallenge(env, { origin: ORIGIN, epoch: EPOCH, subPolicies: ['comments'] });
+    const body = { ...pass(), attestation: { pow: solve(challenge) } };
+
+    expect((await policy.check({ request: request(), env, body })).ok).toBe(true);
+    expect(await policy.check({ request: request(), env, body })).toMatchObject({ ok: false, error: POW_ERRORS.REPLAYED });
+  });
+});
+
+describe('solvePowChallenge', () => {
+  // Stands in for the browser Web Worker; never answers
+  class FakeWorker {
+    static instances = [];
+    constructor() {
+      this.terminated = false;
+      FakeWorker.instances.push(this);
+    }
+    postMessage() {}
+    terminate() {
+      this.terminated = true;
+    }
+  }
+  const challenge = { challenge: 'abc.def', difficulty: 30 };
+
+  afterEach(() => {
+    FakeWorker.instances = [];
+    vi.unstubAllGlobals();
+  });
+
+  it('rejects with the reason of an already aborted signal, without starting a worker', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const reason = new Error('navigated away');
+
+    await expect(solvePowChallenge(challenge, { signal: AbortSignal.abort(reason) })).rejects.toBe(reason);
+    await expect(solvePowChallenge(challenge, { signal: AbortSignal.abort(reason), useWorker: false })).rejects.toBe(reason);
+    expect(FakeWorker.instances).toHaveLength(0);
+  });
+
+  it('terminates the worker when aborted while solving', async () => {
+    vi.stubGlobal('Worker', FakeWorker);
+    const controller = new AbortController();
+
+    const solving = solvePowChallenge(challenge, { signal: controller.signal });
+    controller.abort();
+
+    await expect(solving).rejects.toMatchObject({ name: 'AbortError' });
+    expect(FakeWorker.instances[0].terminated).toBe(true);
+  });
+});
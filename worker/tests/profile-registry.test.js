@@ -0,0 +1,175 @@
+// worker/tests/profile-registry.test.js
+// Tests for custom calibration profiles: schema validation, registerProfile and
+// loading from a directory or registry URL
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  listProfiles,
+  loadProfile,
+  loadProfilesFromDirectory,
+  loadProfilesFromUrl,
+  registerProfile,
+  unregisterProfile,
+  validateProfile,
+} from '@brassproof/verifier';
+import { createSpendFixture as spend, createTestVerifier, silenceConsole, usePassDay } from './fixtures/proof-fixture.js';
+
+const profile = (overrides = {}) => ({
+  name: 'internal-search',
+  version: '1.0',
+  description: 'Search API behind the staff SSO',
+  certification: 'internal',
+  rateLimit: { windowSeconds: 60, maxRequests: 2 },
+  tokens: { maxAgeSeconds: 120, allowReuse: false },
+  metadata: { author: 'Platform team', lastUpdated: '2026-10-01', recommendedFor: ['search'] },
+  ...overrides,
+});
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+describe('validateProfile', () => {
+  it('accepts a complete profile', () => {
+    expect(validateProfile(profile())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports every problem with its field path', () => {
+    const { valid, errors } = validateProfile(profile({
+      name: 'Internal Search',
+      certification: 'gold',
+      rateLimit: { windowSeconds: 0, maxRequest: 2 },
+      tokens: undefined,
+    }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^name must match/),
+      expect.stringMatching(/^certification must be one of/),
+      'rateLimit.windowSeconds must be an integer >= 1',
+      'rateLimit.maxRequests is required',
+      'rateLimit.maxRequest is not a profile field',
+      'tokens is required',
+    ]));
+  });
+
+  it('rejects non-objects', () => {
+    expect(validateProfile([]).errors).toEqual(['profile must be a JSON object']);
+  });
+});
+
+describe('registerProfile', () => {
+  afterEach(() => {
+    unregisterProfile('internal-search');
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('makes the profile available by name, keeping its certification', async () => {
+    registerProfile(profile());
+
+    expect(loadProfile('internal-search').certification).toBe('internal');
+    expect(listProfiles({ certification: 'internal' }).map((p) => p.name)).toEqual(['internal-search']);
+
+    usePassDay();
+    silenceConsole(['log']);
+    const verifier = createTestVerifier({
+      scopes: { search: 'internal-search' },
+    });
+
+    expect(await verifier.verify(spend(), { origin: 'https://example.com', scope: 'search' }))
+      .toMatchObject({ success: true, limit: 2, remaining: 1 });
+  });
+
+  it('defaults to community certification', () => {
+    const { certification, ...rest } = profile();
+
+    expect(registerProfile(rest).certification).toBe('community');
+  });
+
+  it('reserves brass-verified and built-in names', () => {
+    expect(() => registerProfile(profile({ certification: 'brass-verified' }))).toThrow('reserved for built-in profiles');
+    expect(() => registerProfile(profile({ name: 'comments' }))).toThrow('"comments" is built in');
+  });
+
+  it('refuses duplicates unless replace is set', () => {
+    registerProfile(profile());
+
+    expect(() => registerProfile(profile())).toThrow('already registered');
+    registerProfile(profile({ rateLimit: { windowSeconds: 60, maxRequests: 5 } }), { replace: true });
+    expect(loadProfile('internal-search').rateLimit.maxRequests).toBe(5);
+  });
+
+  it('throws schema errors instead of registering', () => {
+    expect(() => registerProfile(profile({ tokens: { maxAgeSeconds: -1, allowReuse: false } })))
+      .toThrow('Invalid calibration profile: tokens.maxAgeSeconds must be an integer >= 0');
+    expect(() => loadProfile('internal-search')).toThrow('Unknown calibration profile');
+  });
+});
+
+describe('loadProfilesFromDirectory', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'brass-profiles-'));
+  });
+  afterEach(async () => {
+    unregisterProfile('internal-search');
+    unregisterProfile('internal-admin');
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('registers every JSON file', async () => {
+    await writeFile(join(dir, 'search.json'), JSON.stringify(profile()));
+    await writeFile(join(dir, 'admin.json'), JSON.stringify(profile({ name: 'internal-admin' })));
+    await writeFile(join(dir, 'search-1.1.json'), JSON.stringify(profile({ version: '1.1' })));
+    await writeFile(join(dir, 'notes.txt'), 'not a profile');
+
+    const loaded = await loadProfilesFromDirectory(dir);
+
+    expect(loaded.map((p) => `${p.name}@${p.version}`)).toEqual(['internal-admin@1.0', 'internal-search@1.1', 'internal-search@1.0']);
+    expect(loadProfile('internal-admin').rateLimit.maxRequests).toBe(2);
+    expect(loadProfile('internal-search').version).toBe('1.1');
+  });
+
+  it('names the bad file and registers nothing', async () => {
+    await writeFile(join(dir, 'search.json'), JSON.stringify(profile()));
+    await writeFile(join(dir, 'broken.json'), JSON.stringify(profile({ name: 'internal-admin', rateLimit: {} })));
+
+    await expect(loadProfilesFromDirectory(dir)).rejects.toThrow('Invalid profile file broken.json: rateLimit.windowSeconds is required');
+    expect(() => loadProfile('internal-search')).toThrow('Unknown calibration profile');
+  });
+});
+
+describe('loadProfilesFromUrl', () => {
+  const URL = 'https://profiles.example.com/brass.json';
+
+  afterEach(() => {
+    unregisterProfile('internal-search');
+    unregisterProfile('internal-admin');
+  });
+
+  it('accepts a { profiles } document and sends the configured headers', async () => {
+    const fetch = vi.fn(async () => jsonResponse({ profiles: [profile(), profile({ name: 'internal-admin' })] }));
+
+    const loaded = await loadProfilesFromUrl(URL, { fetch, headers: { Authorization: 'Bearer t' } });
+
+    expect(loaded).toHaveLength(2);
+    expect(fetch.mock.calls[0][1].headers).toMatchObject({ Authorization: 'Bearer t' });
+    expect(loadProfile('internal-admin').certification).toBe('internal');
+  });
+
+  it('accepts a single profile', async () => {
+    await loadProfilesFromUrl(URL, { fetch: async () => jsonResponse(profile()) });
+
+    expect(loadProfile('internal-search').name).toBe('internal-search');
+  });
+
+  it('surfaces HTTP and schema errors', async () => {
+    await expect(loadProfilesFromUrl(URL, { fetch: async () => jsonResponse({}, 404) }))
+      .rejects.toThrow('returned HTTP 404');
+    await expect(loadProfilesFromUrl(URL, { fetch: async () => jsonResponse([profile(), profile()]) }))
+      .rejects.toThrow('defined more than once');
+  });
+});
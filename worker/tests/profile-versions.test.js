@@ -0,0 +1,108 @@
+// worker/tests/profile-versions.test.js
+// Tests for calibration profile versions: pinning, side-by-side versions,
+// deprecation warnings and migration notes
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  listProfiles,
+  loadProfile,
+  profileNotices,
+  registerProfile,
+  unregisterProfile,
+  validateProfile,
+} from '@brassproof/verifier';
+import { createSpendFixture as spend, createTestVerifier, silenceConsole, usePassDay } from './fixtures/proof-fixture.js';
+
+const version = (v, overrides = {}) => ({
+  name: 'team-comments',
+  version: v,
+  description: 'Comments on the team wiki',
+  rateLimit: { windowSeconds: 86400, maxRequests: 3 },
+  tokens: { maxAgeSeconds: 300, allowReuse: false },
+  metadata: { author: 'Wiki team', lastUpdated: '2026-10-01', recommendedFor: ['wiki comments'] },
+  ...overrides,
+});
+
+describe('profile versions', () => {
+  beforeEach(() => {
+    registerProfile(version('1.0'));
+    registerProfile(version('1.10', { rateLimit: { windowSeconds: 86400, maxRequests: 10 }, migrationNote: 'Allows 10 comments a day (was 3).' }));
+    registerProfile(version('1.2', { rateLimit: { windowSeconds: 86400, maxRequests: 5 } }));
+  });
+  afterEach(() => {
+    unregisterProfile('team-comments');
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('selects the latest version unless one is pinned', () => {
+    expect(loadProfile('team-comments').version).toBe('1.10');
+    expect(loadProfile('team-comments@1.0').rateLimit.maxRequests).toBe(3);
+    expect(loadProfile('comments@1.0').name).toBe('comments');
+  });
+
+  it('lists unknown versions of a known profile', () => {
+    expect(() => loadProfile('team-comments@2.0'))
+      .toThrow('Unknown version "2.0" of calibration profile "team-comments". Available versions: 1.0, 1.2, 1.10');
+    expect(() => loadProfile('comments@9.9')).toThrow('Available versions: 1.0');
+  });
+
+  it('skips deprecated versions for unpinned names', () => {
+    registerProfile(version('2.0', { deprecated: { message: 'Too strict for launch week.', replacedBy: 'team-comments@1.10' } }));
+
+    expect(loadProfile('team-comments').version).toBe('1.10');
+    expect(profileNotices('team-comments@2.0')).toEqual([
+      'Calibration profile "team-comments@2.0" is deprecated: Too strict for launch week. Use "team-comments@1.10" instead.',
+    ]);
+  });
+
+  it('notes every newer version for a pinned reference', () => {
+    expect(profileNotices('team-comments@1.0')).toEqual([
+      'Calibration profile "team-comments@1.0" is pinned; "team-comments@1.2" is available',
+      'Calibration profile "team-comments@1.0" is pinned; "team-comments@1.10" is available: Allows 10 comments a day (was 3).',
+    ]);
+    expect(profileNotices('team-comments')).toEqual([]);
+  });
+
+  it('lists one entry per profile unless allVersions is set', () => {
+    const byName = (profiles) => profiles.filter((p) => p.name === 'team-comments').map((p) => p.version);
+
+    expect(byName(listProfiles())).toEqual(['1.10']);
+    expect(byName(listProfiles({ allVersions: true })).sort()).toEqual(['1.0', '1.10', '1.2']);
+  });
+
+  it('unregisters a single version', () => {
+    expect(unregisterProfile('team-comments@1.10')).toBe(true);
+    expect(loadProfile('team-comments').version).toBe('1.2');
+    expect(unregisterProfile('team-comments@1.10')).toBe(false);
+  });
+
+  it('rejects versions that cannot be ordered', () => {
+    expect(validateProfile(version('v2-beta')).errors).toEqual([expect.stringMatching(/^version must match/)]);
+  });
+
+  it('keeps pinned limits and warns at startup', async () => {
+    usePassDay();
+    silenceConsole(['log']);
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    registerProfile(version('1.1', { deprecated: { message: 'Superseded.', since: '2026-09-01' } }));
+
+    const verifier = createTestVerifier({
+      scopes: { wiki: 'team-comments@1.0', old: 'team-comments@1.1' },
+    });
+
+    const warnings = warn.mock.calls.map(([message]) => message);
+    expect(warnings).toContain('[BRASS] Calibration profile "team-comments@1.1" is deprecated since 2026-09-01: Superseded.');
+    expect(warnings.filter((m) => m.startsWith('[BRASS] Calibration profile "team-comments@1.0" is pinned'))).toHaveLength(2);
+    expect(await verifier.verify(spend(), { origin: 'https://example.com', scope: 'wiki' }))
+      .toMatchObject({ success: true, limit: 3 });
+  });
+
+  it('refuses to start with an unknown pinned version', () => {
+    silenceConsole(['log']);
+
+    expect(() => createTestVerifier({ calibrationProfile: 'team-comments@9.9' }))
+      .toThrow('calibrationProfile: Unknown version "9.9"');
+    expect(() => createTestVerifier({ scopes: { wiki: 'team-comments@9.9' } })).toThrow('scopes.wiki:');
+  });
+});
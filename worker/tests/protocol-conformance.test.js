@@ -0,0 +1,97 @@
+// worker/tests/protocol-conformance.test.js
+// Conformance: passes minted by @brassproof/client from either issuer must be
+// accepted, and tampered spends rejected with the same error code, by every verifier
+
+import { describe, it, expect } from 'vitest';
+import { p256 } from '@noble/curves/p256';
+import { sha256 } from '@noble/hashes/sha256';
+import { randomBytes } from '@noble/hashes/utils';
+import { mintEpochPass, mintEpochPasses, buildSpend } from '@brassproof/client';
+import { b64u, b64ud, bytesToBig, decodePoint, proveClient, requestBinding, spendBinder } from '@brassproof/protocol';
+import { issuers, issuerFetch, createVerifiers } from './utils/implementations.js';
+
+const K_HEX = '4b'.repeat(32);
+const ISSUER_PUBKEY = b64u(p256.ProjectivePoint.BASE.multiply(BigInt('0x' + K_HEX)).toRawBytes(true));
+
+const ORIGIN = 'https://example.com';
+const METHOD = 'POST';
+const PATH = '/api/comments';
+const BODY = JSON.stringify({ comment: 'hello' });
+
+const verifiers = createVerifiers(ISSUER_PUBKEY);
+
+// The server forwards the request context it actually saw
+function withHttpContext(spend, path = PATH) {
+  return {
+    ...spend,
+    http_method: METHOD,
+    http_path: path,
+    http_body_hash_b64: b64u(sha256(new TextEncoder().encode(BODY))),
+  };
+}
+
+async function mint(issuer, { batch = false } = {}) {
+  const options = { issuerUrl: 'https://issuer.example.com/issue', fetch: issuerFetch(issuer, K_HEX), issuerPublicKey: ISSUER_PUBKEY };
+  if (!batch) return mintEpochPass({ ...options, originCanonical: ORIGIN, subPolicy: 'comments' });
+  const tokens = await mintEpochPasses({
+    ...options,
+    passes: [1, 2, 3].map(() => ({ originCanonical: ORIGIN, subPolicy: 'comments' })),
+  });
+  return tokens[1];
+}
+
+const spendFor = (token) => buildSpend({ token, httpMethod: METHOD, normalizedPath: PATH, bodyBytes: BODY });
+
+// A spend whose πC is valid for a y that is not the token's nullifier
+function spendWithForeignY(token) {
+  const spend = spendFor(token);
+  const y = randomBytes(32);
+  const bind = spendBinder({
+    y,
+    c: b64ud(spend.c),
+    d: requestBinding(METHOD, PATH, BODY),
+    AADr: spend.AADr,
+    KID: spend.KID,
+    eta: b64ud(spend.eta),
+  });
+  const piC = proveClient(decodePoint(token.P), decodePoint(token.M), bytesToBig(b64ud(token.r)), bind);
+  return { ...spend, y: b64u(y), piC };
+}
+
+const tampered = {
+  invalid_point_encoding: (token) => withHttpContext({ ...spendFor(token), Zprime: 'AAAA' }),
+  invalid_piI: (token) => {
+    const spend = spendFor(token);
+    return withHttpContext({ ...spend, piI: { ...spend.piI, r: spend.piI.c } });
+  },
+  d_mismatch: (token) => withHttpContext(spendFor(token), '/api/other'),
+  invalid_piC: (token) => withHttpContext({ ...spendFor(token), c: b64u(randomBytes(16)) }),
+  y_mismatch: (token) => withHttpContext(spendWithForeignY(token)),
+};
+
+describe.each(Object.entries(issuers))('Passes from %s', (_, issuer) => {
+  describe.each(Object.entries(verifiers))('verified by %s', (_, verify) => {
+    it('accepts a single-issuance pass', async () => {
+      const token = await mint(issuer);
+      expect(await verify(withHttpContext(spendFor(token)))).toBe('ok');
+    });
+
+    it('accepts a batch-issued pass', async () => {
+      const token = await mint(issuer, { batch: true });
+      expect(await verify(withHttpContext(spendFor(token)))).toBe('ok');
+    });
+
+    it.each(Object.keys(tampered))('rejects a spend with %s', async (code) => {
+      const token = await mint(issuer);
+      expect(await verify(tampered[code](token))).toBe(code);
+    });
+
+    it('rejects a spend that is not in its claimed batch', async () => {
+      const token = await mint(issuer, { batch: true });
+      const spend = spendFor(token);
+      const [first, ...rest] = spend.piI_batch.M;
+      const piI_batch = { M: [...rest, first], Z: spend.piI_batch.Z };
+      expect(await verify(withHttpContext({ ...spend, piI_batch }))).toBe('invalid_piI_batch');
+    });
+  });
+});
@@ -0,0 +1,217 @@
+// worker/tests/rate-window.test.js
+// Tests for per-policy rate-limit windows (fixed and sliding) in the deterministic verifier
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { parseWindowSeconds, resolvePolicyWindow, windowState } from '../rate-window.js';
+import { windowId } from '../shared/crypto.js';
+import deterministicVerifier from '../deterministic-verifier.js';
+import { MockKV, mockEnvFactory, mockContext, buildSpendRequest, responseJson } from './utils/mock-worker-env.js';
+import { createIssuerPublicKey, createSpendFixture } from './fixtures/proof-fixture.js';
+
+const DAY = Date.parse('2026-03-10T00:00:00Z');
+const EPOCH_DAYS = DAY / 86400000;
+
+describe('parseWindowSeconds', () => {
+  it('should accept seconds and s/m/h/d durations', () => {
+    expect(parseWindowSeconds(60)).toBe(60);
+    expect(parseWindowSeconds('30s')).toBe(30);
+    expect(parseWindowSeconds('15m')).toBe(900);
+    expect(parseWindowSeconds('1h')).toBe(3600);
+    expect(parseWindowSeconds('7d')).toBe(604800);
+  });
+
+  it('should reject windows that do not align to UTC days', () => {
+    for (const value of [0, -60, 1.5, '7m', '25h', 90000, '1w', 'soon']) {
+      expect(() => parseWindowSeconds(value)).toThrow('invalid_window');
+    }
+  });
+});
+
+describe('resolvePolicyWindow', () => {
+  const env = { BRASS_POLICY_WINDOWS: JSON.stringify({ api: { window: '1m', limit: 60, mode: 'sliding' } }) };
+
+  it('should keep one fixed UTC day at the key limit for unconfigured policies', () => {
+    expect(resolvePolicyWindow('comments', { env: {}, limit: 3 })).toEqual({
+      windowSeconds: 86400,
+      mode: 'fixed',
+      limit: 3,
+      graceSeconds: 60,
+    });
+  });
+
+  it('should read BRASS_POLICY_WINDOWS', () => {
+    expect(resolvePolicyWindow('api', { env, limit: 3 })).toMatchObject({ windowSeconds: 60, mode: 'sliding', limit: 60 });
+  });
+
+  it('should prefer the API key policies over env', () => {
+    const policies = { api: { window: '1h', graceSeconds: 30 } };
+
+    expect(resolvePolicyWindow('api', { env, limit: 5, policies })).toEqual({
+      windowSeconds: 3600,
+      mode: 'fixed',
+      limit: 5,
+      graceSeconds: 30,
+    });
+  });
+
+  it('should reject unknown modes and sliding windows of a day or more', () => {
+    expect(() => resolvePolicyWindow('api', { env: {}, limit: 1, policies: { api: { mode: 'bucket' } } }))
+      .toThrow('invalid_window_mode');
+    expect(() => resolvePolicyWindow('api', { env: {}, limit: 1, policies: { api: { window: '1d', mode: 'sliding' } } }))
+      .toThrow('invalid_window_mode');
+  });
+});
+
+describe('windowState', () => {
+  const policy = (overrides) => ({ windowSeconds: 86400, mode: 'fixed', limit: 3, graceSeconds: 60, ...overrides });
+
+  it('should match the original daily window for the default policy', () => {
+    const state = windowState(policy(), DAY + 3600 * 1000);
+
+    expect(state).toMatchObject({
+      epochDays: EPOCH_DAYS,
+      etaWindow: windowId(EPOCH_DAYS),
+      counterWindow: windowId(EPOCH_DAYS),
+      previous: null,
+      ttlSeconds: 23 * 3600,
+      graceSeconds: 60,
+      inGracePeriod: false,
+    });
+  });
+
+  it('should rotate η and the counter every fixed sub-day window', () => {
+    const first = windowState(policy({ windowSeconds: 60 }), DAY + 10_000);
+    const second = windowState(policy({ windowSeconds: 60 }), DAY + 70_000);
+
+    expect(first.etaWindow).not.toBe(second.etaWindow);
+    expect(first.counterWindow).toBe(first.etaWindow);
+    expect(first.epochDays).toBe(second.epochDays);
+    expect(first.ttlSeconds).toBe(50);
+  });
+
+  it('should scale boundary grace to the window', () => {
+    const minute = policy({ windowSeconds: 60 });
+
+    expect(windowState(minute, DAY + 10_000).graceSeconds).toBe(6);
+    expect(windowState(minute, DAY + 10_000).inGracePeriod).toBe(false);
+    expect(windowState(minute, DAY + 55_000).inGracePeriod).toBe(true);
+    expect(windowState(minute, DAY + 63_000).inGracePeriod).toBe(true);
+    expect(windowState(policy({ windowSeconds: 3600 }), DAY).graceSeconds).toBe(60);
+  });
+
+  it('should start multi-day windows on their first day', () => {
+    const week = policy({ windowSeconds: 7 * 86400 });
+    const start = Math.floor(DAY / (7 * 86400000)) * 7 * 86400000;
+
+    expect(windowState(week, DAY).epochDays).toBe(start / 86400000);
+    expect(windowState(week, DAY).etaWindow).toBe(windowId(start / 86400000));
+  });
+
+  it('should weight the previous window in sliding mode and keep η for the day', () => {
+    const sliding = policy({ windowSeconds: 60, mode: 'sliding' });
+    const state = windowState(sliding, DAY + 75_000);
+
+    expect(state.etaWindow).toBe(windowId(EPOCH_DAYS));
+    expect(state.counterWindow).not.toBe(windowState(sliding, DAY + 15_000).counterWindow);
+    expect(state.previous).toEqual({ window: windowState(sliding, DAY + 15_000).counterWindow, weight: 0.75 });
+    expect(state.ttlSeconds).toBe(45 + 60);
+  });
+
+  it('should only apply grace around midnight in sliding mode', () => {
+    const sliding = policy({ windowSeconds: 60, mode: 'sliding' });
+
+    expect(windowState(sliding, DAY + 10_000).previous).toBeNull();
+    expect(windowState(sliding, DAY + 10_000).inGracePeriod).toBe(true);
+    expect(windowState(sliding, DAY + 3600_000 - 2_000).inGracePeriod).toBe(false);
+  });
+});
+
+describe('deterministic verifier with per-policy windows', () => {
+  let env;
+
+  const spend = async (ctx = mockContext()) => {
+    const response = await deterministicVerifier.fetch(buildSpendRequest(createSpendFixture()), env, ctx);
+    return { status: response.status, headers: Object.fromEntries(response.headers), ...(await responseJson(response)) };
+  };
+  const at = (ms) => vi.setSystemTime(DAY + ms);
+
+  // The vector spends use policy=comments
+  const configure = (comments) => {
+    env = {
+      ...mockEnvFactory({ issuerPubKey: createIssuerPublicKey(), kvStore: new MockKV() }),
+      BRASS_KV_SECRET: 'test_kv_secret',
+      BRASS_POLICY_WINDOWS: JSON.stringify({ comments }),
+    };
+  };
+
+  beforeEach(() => vi.useFakeTimers({ toFake: ['Date'] }));
+  afterEach(() => vi.useRealTimers());
+
+  it('should enforce a per-minute limit and reset it in the next minute', async () => {
+    configure({ window: '1m', limit: 2 });
+    at(3600_000 + 10_000);
+
+    expect((await spend()).remaining).toBe(1);
+    expect((await spend()).remaining).toBe(0);
+    const denied = await spend();
+    expect(denied).toMatchObject({ status: 429, error: 'limit_exceeded' });
+
+    at(3600_000 + 70_000);
+    const next = await spend();
+    expect(next).toMatchObject({ ok: true, remaining: 1 });
+    expect(next.windowUsed).not.toBe(denied.windowUsed);
+  });
+
+  it('should send RateLimit headers, with Retry-After once the limit is hit', async () => {
+    configure({ window: '1m', limit: 2 });
+    at(3600_000 + 10_000);
+
+    expect((await spend()).headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '50',
+    });
+    expect((await spend()).headers['retry-after']).toBeUndefined();
+    expect((await spend()).headers).toMatchObject({
+      'ratelimit-remaining': '0',
+      'ratelimit-reset': '50',
+      'retry-after': '50',
+    });
+  });
+
+  it('should keep boundary grace to its capped length on KV', async () => {
+    configure({ window: '1m', limit: 2 });
+    const ctx = mockContext();
+
+    // 6 seconds of grace either side of each minute; KV keeps entries for at least 60s
+    at(3600_000 + 57_000);
+    expect((await spend(ctx)).ok).toBe(true);
+    await expect(Promise.all(ctx.promises)).resolves.toBeDefined();
+
+    at(3600_000 + 62_000);
+    expect(await spend()).toMatchObject({ ok: true, grace: true });
+
+    at(3600_000 + 116_000);
+    expect((await spend()).grace).toBeUndefined();
+  });
+
+  it('should carry the weighted previous window in sliding mode', async () => {
+    configure({ window: '1m', limit: 4, mode: 'sliding' });
+    at(3600_000 + 10_000);
+    for (let i = 0; i < 4; i++) expect((await spend()).ok).toBe(true);
+    expect((await spend()).status).toBe(429);
+
+    // Halfway into the next minute, half of the previous 4 still count
+    at(3600_000 + 90_000);
+    expect(await spend()).toMatchObject({ ok: true, remaining: 1 });
+    expect((await spend()).ok).toBe(true);
+    expect((await spend()).status).toBe(429);
+  });
+
+  it('should reject an invalid window configuration', async () => {
+    configure({ window: '7m' });
+    at(3600_000);
+
+    expect(await spend()).toMatchObject({ status: 500, error: 'invalid_window: "7m"' });
+  });
+});
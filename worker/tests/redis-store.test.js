@@ -0,0 +1,148 @@
+// worker/tests/redis-store.test.js
+// Tests for the SDK's atomic Redis store (Lua spend script) against an
+// in-process Redis that runs the real script
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import RedisMock from 'ioredis-mock';
+import { createRedisStore } from '@brassproof/verifier';
+import { createSpendFixture as spend, createTestVerifier } from './fixtures/proof-fixture.js';
+
+const KEY = {
+  projectId: 'project-a',
+  issuerPk: 'kid-1',
+  origin: 'https://example.com',
+  epoch: 20500,
+  policy: 'comments',
+  window: 1771200000,
+  y: 'nullifier_y',
+};
+
+describe('createRedisStore', () => {
+  let redis;
+  let store;
+
+  beforeEach(async () => {
+    redis = new RedisMock();
+    await redis.flushall();
+    store = createRedisStore(redis);
+  });
+
+  it('allows spends within the limit and counts down', async () => {
+    const first = await store.spend({ key: KEY, IK: 'ik-1', limit: 3, ttlSeconds: 60 });
+    const second = await store.spend({ key: KEY, IK: 'ik-2', limit: 3, ttlSeconds: 60 });
+
+    expect(first).toEqual({ ok: true, remaining: 2 });
+    expect(second).toEqual({ ok: true, remaining: 1 });
+  });
+
+  it('rejects spends over the limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      await store.spend({ key: KEY, IK: `ik-${i}`, limit: 3, ttlSeconds: 60 });
+    }
+
+    const result = await store.spend({ key: KEY, IK: 'ik-over', limit: 3, ttlSeconds: 60 });
+    expect(result).toEqual({ ok: false, remaining: 0, error: 'limit_exceeded' });
+  });
+
+  it('returns the original outcome for a repeated IK without counting it', async () => {
+    await store.spend({ key: KEY, IK: 'ik-1', limit: 3, ttlSeconds: 60 });
+    const replay = await store.spend({ key: KEY, IK: 'ik-1', limit: 3, ttlSeconds: 60 });
+    const next = await store.spend({ key: KEY, IK: 'ik-2', limit: 3, ttlSeconds: 60 });
+
+    expect(replay).toEqual({ ok: true, remaining: 2, idempotent: true });
+    expect(next.remaining).toBe(1);
+  });
+
+  it('replays a denial as a denial', async () => {
+    await store.spend({ key: KEY, IK: 'ik-1', limit: 1, ttlSeconds: 60 });
+    await store.spend({ key: KEY, IK: 'ik-2', limit: 1, ttlSeconds: 60 });
+
+    const replay = await store.spend({ key: KEY, IK: 'ik-2', limit: 1, ttlSeconds: 60 });
+    expect(replay).toEqual({ ok: false, remaining: 0, error: 'limit_exceeded', idempotent: true });
+  });
+
+  it('never overspends under concurrent requests', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => store.spend({ key: KEY, IK: `ik-${i}`, limit: 5, ttlSeconds: 60 }))
+    );
+
+    expect(results.filter((r) => r.ok)).toHaveLength(5);
+    expect(results.filter((r) => r.ok).map((r) => r.remaining).sort()).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('expires the counter with the window and the IK with the replay TTL', async () => {
+    await store.spend({ key: KEY, IK: 'ik-1', limit: 3, ttlSeconds: 60, replayTtlSeconds: 3600 });
+
+    const counterKey = (await redis.keys('brass:count:*'))[0];
+    const ikKey = (await redis.keys('brass:ik:*'))[0];
+    expect(await redis.pttl(counterKey)).toBeGreaterThan(59000);
+    expect(await redis.pttl(counterKey)).toBeLessThanOrEqual(60000);
+    expect(await redis.pttl(ikKey)).toBeGreaterThan(3599000);
+  });
+
+  it('namespaces counters and idempotency keys by projectId', async () => {
+    const other = { ...KEY, projectId: 'project-b' };
+
+    await store.spend({ key: KEY, IK: 'shared-ik', limit: 1, ttlSeconds: 60 });
+    const result = await store.spend({ key: other, IK: 'shared-ik', limit: 1, ttlSeconds: 60 });
+
+    expect(result).toEqual({ ok: true, remaining: 0 });
+  });
+
+  it('caches the first grace response per projectId', async () => {
+    const grace = { projectId: 'project-a', graceKey: 'g1', ttlSeconds: 60 };
+
+    expect(await store.guardGrace(grace)).toEqual({ hit: false });
+    await store.cacheGraceResponse({ ...grace, response: { ok: true, remaining: 2 } });
+    await store.cacheGraceResponse({ ...grace, response: { ok: false, remaining: 0 } });
+
+    expect(await store.guardGrace(grace)).toEqual({ hit: true, response: { ok: true, remaining: 2 } });
+    expect(await store.guardGrace({ ...grace, projectId: 'project-b' })).toEqual({ hit: false });
+  });
+
+  it('accepts a script runner for other clients', async () => {
+    const calls = [];
+    const runner = (script, keys, args) => {
+      calls.push(keys);
+      return redis.eval(script, keys.length, ...keys, ...args);
+    };
+
+    const result = await createRedisStore(runner, { keyPrefix: 'app:' }).spend({ key: KEY, IK: 'ik-1', limit: 2, ttlSeconds: 60 });
+
+    expect(result).toEqual({ ok: true, remaining: 1 });
+    expect(calls[0].every((key) => key.startsWith('app:'))).toBe(true);
+  });
+});
+
+describe('createBrassVerifier with a Redis store', () => {
+  const context = { origin: 'https://example.com', scope: 'comments' };
+  let verifier;
+
+  beforeEach(async () => {
+    const redis = new RedisMock();
+    await redis.flushall();
+    verifier = createTestVerifier({
+      store: createRedisStore(redis),
+      rateLimits: { comments: { maxRequests: 2, windowSeconds: 60 } },
+    });
+  });
+
+  it('enforces the per-token limit', async () => {
+    const results = await Promise.all([spend(), spend(), spend()].map((s) => verifier.verify(s, context)));
+
+    expect(results.map((r) => r.success).sort()).toEqual([false, true, true]);
+    const denied = results.find((r) => !r.success);
+    expect(denied).toMatchObject({ error: 'Rate limit exceeded', limit: 2, remaining: 0 });
+    expect(denied.resetAt).toBeGreaterThan(Date.now());
+  });
+
+  it('rejects a replayed spend', async () => {
+    const payload = spend();
+
+    expect((await verifier.verify(payload, context)).success).toBe(true);
+    expect(await verifier.verify(payload, context)).toEqual({
+      success: false,
+      error: 'Token already used (replay detected)',
+    });
+  });
+});
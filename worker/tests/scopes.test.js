@@ -0,0 +1,62 @@
+// worker/tests/scopes.test.js
+// Tests for per-scope calibration profiles (`scopes`) in one verifier
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createSpendFixture as spend,
+  createTestVerifier as verifierWith,
+  silenceConsole,
+  usePassDay,
+} from './fixtures/proof-fixture.js';
+
+const ORIGIN = 'https://example.com';
+
+describe('scopes', () => {
+  beforeEach(() => {
+    usePassDay();
+    silenceConsole(['log']);
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('applies each scope its own profile', async () => {
+    const verifier = verifierWith({ scopes: { comments: 'comments', signup: 'signup' } });
+
+    const comment = await verifier.verify(spend(), { origin: ORIGIN, scope: 'comments' });
+    const signup = await verifier.verify(spend(), { origin: ORIGIN, scope: 'signup' });
+
+    expect(comment).toMatchObject({ success: true, limit: 3, remaining: 2 });
+    expect(signup).toMatchObject({ success: true, limit: 5, remaining: 4 });
+  });
+
+  it('applies per-scope overrides', async () => {
+    const verifier = verifierWith({
+      scopes: { comments: { profile: 'comments', overrides: { rateLimit: { maxRequests: 1, burstAllowance: 0 } } } },
+    });
+    const context = { origin: ORIGIN, scope: 'comments' };
+
+    expect((await verifier.verify(spend(), context)).limit).toBe(1);
+    expect((await verifier.verify(spend(), context)).error).toBe('Rate limit exceeded');
+  });
+
+  it('rejects scopes that are not configured instead of falling back', async () => {
+    const verifier = verifierWith({
+      scopes: { comments: 'comments' },
+      rateLimits: { search: { maxRequests: 20, windowSeconds: 60 } },
+    });
+
+    expect(await verifier.verify(spend(), { origin: ORIGIN, scope: 'api' })).toEqual({
+      success: false,
+      error: 'Scope "api" is not configured',
+    });
+    expect((await verifier.verify(spend(), { origin: ORIGIN, scope: 'generic' })).success).toBe(false);
+    expect(await verifier.verify(spend(), { origin: ORIGIN, scope: 'search' })).toMatchObject({ success: true, limit: 20 });
+  });
+
+  it('fails at startup on an unknown profile', () => {
+    expect(() => verifierWith({ scopes: { comments: 'comments', checkout: 'checkout' } }))
+      .toThrow('scopes.checkout: Unknown calibration profile: "checkout"');
+  });
+});
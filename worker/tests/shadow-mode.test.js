@@ -0,0 +1,145 @@
+// worker/tests/shadow-mode.test.js
+// Tests for shadow mode: spends are verified and counted, rejections are
+// reported but never enforced (SDK verifier and deterministic worker)
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import deterministicVerifier from '../deterministic-verifier.js';
+import { MockKV, mockEnvFactory, mockContext, buildSpendRequest, responseJson } from './utils/mock-worker-env.js';
+import { createIssuerPublicKey, createSpendFixture, createTestVerifier, silenceConsole } from './fixtures/proof-fixture.js';
+
+const context = { origin: 'https://example.com', scope: 'comments' };
+
+// Same spend, bound to a different request than the one it was made for
+const forged = () => ({ ...createSpendFixture(), http_path: '/elsewhere' });
+
+describe('createBrassVerifier in shadow mode', () => {
+  const verifierWith = (config) => createTestVerifier({
+    rateLimits: { comments: { maxRequests: 1, windowSeconds: 60 } },
+    mode: 'shadow',
+    ...config,
+  });
+
+  beforeEach(() => silenceConsole());
+  afterEach(() => vi.restoreAllMocks());
+
+  it('lets rate-limited requests through and reports the denial', async () => {
+    const verifier = verifierWith();
+
+    const allowed = await verifier.verify(createSpendFixture(), context);
+    const over = await verifier.verify(createSpendFixture(), context);
+
+    expect(allowed).toMatchObject({ success: true, remaining: 0, shadow: { wouldSucceed: true } });
+    expect(over).toMatchObject({
+      success: true,
+      limit: 1,
+      remaining: 0,
+      shadow: { wouldSucceed: false, error: 'Rate limit exceeded' },
+    });
+    expect(over.error).toBeUndefined();
+    expect(over.resetAt).toBeGreaterThan(Date.now());
+  });
+
+  it('lets invalid proofs through with their error code', async () => {
+    const result = await verifierWith().verify(forged(), context);
+
+    expect(result).toEqual({
+      success: true,
+      shadow: { wouldSucceed: false, error: 'HTTP request binding mismatch: d_client forgery detected', code: 'd_mismatch' },
+    });
+  });
+
+  it('reports would-be denials to telemetry', async () => {
+    const fetch = vi.fn(async () => ({ ok: true }));
+    vi.stubGlobal('fetch', fetch);
+    const verifier = verifierWith({ telemetry: { enabled: true } });
+
+    await verifier.verify(createSpendFixture(), context);
+    await verifier.verify(createSpendFixture(), context);
+    await verifier.verify(forged(), context);
+    vi.unstubAllGlobals();
+
+    const events = fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+    expect(events.filter((e) => e.type === 'shadow_denial').map((e) => e.metadata.error)).toEqual([
+      'Rate limit exceeded',
+      'HTTP request binding mismatch: d_client forgery detected',
+    ]);
+    expect(verifier.getTraffic()).toMatchObject([{ scope: 'comments', verified: 1, rateLimited: 1 }]);
+  });
+
+  it('keeps errors such as a store outage as failures', async () => {
+    silenceConsole(['error']);
+    const store = { spend: async () => { throw new Error('store unavailable'); } };
+    const fetch = vi.fn(async () => ({ ok: true }));
+    vi.stubGlobal('fetch', fetch);
+
+    const result = await verifierWith({ store, telemetry: { enabled: true } }).verify(createSpendFixture(), context);
+    vi.unstubAllGlobals();
+
+    expect(result).toEqual({ success: false, error: 'store unavailable' });
+    expect(fetch.mock.calls.map(([, init]) => JSON.parse(init.body)).filter((e) => e.type === 'shadow_denial')).toEqual([]);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => verifierWith({ mode: 'audit' })).toThrow("mode must be 'enforce' or 'shadow'");
+  });
+});
+
+describe('deterministic verifier in shadow mode', () => {
+  let env;
+
+  const spend = async (payload = createSpendFixture(), apiKey) => {
+    const response = await deterministicVerifier.fetch(buildSpendRequest(payload, { apiKey }), env, mockContext());
+    return { status: response.status, headers: Object.fromEntries(response.headers), ...(await responseJson(response)) };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.parse('2026-03-10T01:00:00Z'));
+    env = {
+      ...mockEnvFactory({ issuerPubKey: createIssuerPublicKey(), kvStore: new MockKV(), limit: 1 }),
+      BRASS_KV_SECRET: 'test_kv_secret',
+      BRASS_MODE: 'shadow',
+    };
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it('answers 200 with what enforcement would have done', async () => {
+    expect(await spend()).toMatchObject({ status: 200, ok: true, shadow: true, remaining: 0 });
+
+    const over = await spend();
+    expect(over).toMatchObject({
+      status: 200,
+      ok: true,
+      shadow: true,
+      remaining: 0,
+      wouldDeny: { status: 429, error: 'limit_exceeded' },
+    });
+    expect(over.windowUsed).toBeDefined();
+    expect(over.headers).toMatchObject({ 'ratelimit-limit': '1', 'ratelimit-remaining': '0', 'ratelimit-reset': String(23 * 3600) });
+    expect(over.headers['retry-after']).toBeUndefined();
+  });
+
+  it('lets invalid proofs through', async () => {
+    expect(await spend(forged())).toMatchObject({ status: 200, ok: true, wouldDeny: { status: 401, error: 'd_mismatch' } });
+  });
+
+  it('still rejects bad API keys', async () => {
+    expect(await spend(createSpendFixture(), 'wrong_key')).toMatchObject({ status: 401, error: 'invalid_api_key' });
+  });
+
+  it('still answers 500 when the store fails', async () => {
+    env.BRASS_KV.put = async () => { throw new Error('kv unavailable'); };
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const failed = await spend();
+    expect(failed).toMatchObject({ status: 500, error: 'kv unavailable' });
+    expect(failed.wouldDeny).toBeUndefined();
+    error.mockRestore();
+  });
+
+  it('rejects an unknown BRASS_MODE', async () => {
+    env.BRASS_MODE = 'audit';
+
+    expect(await spend()).toMatchObject({ status: 500, error: 'invalid_mode: audit' });
+  });
+});
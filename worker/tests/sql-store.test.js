@@ -0,0 +1,201 @@
+// worker/tests/sql-store.test.js
+// Tests for the SQL storage adapter, against in-memory SQLite
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import Database from 'better-sqlite3';
+import { SqlStore, sqliteClient, postgresClient } from '../adapters/sql-store.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+describe('SqlStore', () => {
+  let db;
+  let clock;
+  let store;
+  let testKey;
+
+  beforeEach(async () => {
+    db = new Database(':memory:');
+    clock = { now: NOW };
+    store = new SqlStore(sqliteClient(db), { now: () => clock.now, cleanupIntervalSeconds: 0 });
+    await store.ensureSchema();
+
+    testKey = {
+      projectId: 'test-project-123',
+      issuerPk: 'A7xG...',
+      origin: 'https://example.com',
+      epoch: '19700',
+      policy: 'strict',
+      window: '19700',
+      y: 'nullifier_y_b64'
+    };
+  });
+
+  const spend = (IK, overrides = {}) => store.spend({ key: testKey, IK, limit: 3, ttlSeconds: 3600, ...overrides });
+
+  describe('Spend', () => {
+    it('should allow spends within limit and count down', async () => {
+      expect(await spend('ik_1')).toEqual({ ok: true, remaining: 2 });
+      expect(await spend('ik_2')).toEqual({ ok: true, remaining: 1 });
+      expect(await spend('ik_3')).toEqual({ ok: true, remaining: 0 });
+    });
+
+    it('should reject spend when limit exceeded', async () => {
+      for (let i = 0; i < 3; i++) await spend(`ik_${i}`);
+
+      expect(await spend('ik_over')).toEqual({ ok: false, error: 'limit_exceeded', remaining: 0 });
+    });
+
+    it('should never overspend under concurrent spends', async () => {
+      const results = await Promise.all(Array.from({ length: 10 }, (_, i) => spend(`ik_${i}`)));
+
+      expect(results.filter((r) => r.ok)).toHaveLength(3);
+    });
+
+    it('should read the live count without spending', async () => {
+      expect(await store.count(testKey)).toBe(0);
+      await spend('ik_1');
+      await spend('ik_2');
+
+      expect(await store.count(testKey)).toBe(2);
+      clock.now += 3600 * 1000;
+      expect(await store.count(testKey)).toBe(0);
+    });
+
+    it('should start a new count once the counter expires', async () => {
+      for (let i = 0; i < 3; i++) await spend(`ik_${i}`);
+      clock.now += 3600 * 1000;
+
+      expect(await spend('ik_next_window')).toEqual({ ok: true, remaining: 2 });
+    });
+  });
+
+  describe('Idempotent Replay', () => {
+    it('should return cached success response without counting', async () => {
+      await spend('ik_1');
+
+      expect(await spend('ik_1')).toEqual({ ok: true, remaining: 2, idempotent: true });
+      expect((await spend('ik_2')).remaining).toBe(1);
+    });
+
+    it('should return cached failure response (no bypass by retrying)', async () => {
+      for (let i = 0; i < 3; i++) await spend(`ik_${i}`);
+      await spend('ik_denied');
+
+      // Raising the limit must not turn a cached denial into a success
+      const replay = await spend('ik_denied', { limit: 10 });
+      expect(replay).toEqual({ ok: false, error: 'limit_exceeded', remaining: 0, idempotent: true });
+    });
+
+    it('should accept an IK again once its record expired', async () => {
+      await spend('ik_1', { ttlSeconds: 60 });
+      clock.now += 60 * 1000;
+
+      const result = await spend('ik_1', { ttlSeconds: 60 });
+      expect(result.idempotent).toBeFalsy();
+      expect(result.ok).toBe(true);
+    });
+
+    it('should roll back the IK claim when the transaction fails', async () => {
+      db.exec('DROP TABLE brass_counters');
+      await expect(spend('ik_1')).rejects.toThrow();
+
+      db.exec('CREATE TABLE brass_counters (counter_key TEXT PRIMARY KEY, count INTEGER NOT NULL, expires_at BIGINT NOT NULL)');
+      expect(await spend('ik_1')).toEqual({ ok: true, remaining: 2 });
+    });
+  });
+
+  describe('Namespacing', () => {
+    it('should isolate idempotency keys by projectId', async () => {
+      await spend('shared_ik');
+      const other = await store.spend({
+        key: { ...testKey, projectId: 'other-project' },
+        IK: 'shared_ik',
+        limit: 3,
+        ttlSeconds: 3600
+      });
+
+      expect(other).toEqual({ ok: true, remaining: 2 });
+    });
+
+    it('should isolate counters by nullifier, origin and window', async () => {
+      for (let i = 0; i < 3; i++) await spend(`ik_${i}`);
+
+      for (const change of [{ y: 'other_y' }, { origin: 'https://other.com' }, { window: '19701' }]) {
+        const result = await store.spend({ key: { ...testKey, ...change }, IK: `ik_${JSON.stringify(change)}`, limit: 3, ttlSeconds: 3600 });
+        expect(result.ok).toBe(true);
+      }
+    });
+  });
+
+  describe('Grace Guard', () => {
+    const grace = { projectId: 'test-project-123', graceKey: 'grace_1', ttlSeconds: 60 };
+
+    it('should miss until a response is cached, then hit', async () => {
+      expect(await store.guardGrace(grace)).toEqual({ hit: false });
+
+      await store.cacheGraceResponse({ ...grace, response: { ok: true, remaining: 4 } });
+      expect(await store.guardGrace(grace)).toEqual({ hit: true, response: { ok: true, remaining: 4 } });
+    });
+
+    it('should keep the first cached response (SETNX)', async () => {
+      await store.cacheGraceResponse({ ...grace, response: { ok: true, remaining: 4 } });
+      await store.cacheGraceResponse({ ...grace, response: { ok: false, error: 'limit_exceeded' } });
+
+      expect((await store.guardGrace(grace)).response).toEqual({ ok: true, remaining: 4 });
+    });
+
+    it('should expire after ttlSeconds and namespace by projectId', async () => {
+      await store.cacheGraceResponse({ ...grace, response: { ok: true } });
+
+      expect(await store.guardGrace({ ...grace, projectId: 'other-project' })).toEqual({ hit: false });
+      clock.now += 60 * 1000;
+      expect(await store.guardGrace(grace)).toEqual({ hit: false });
+    });
+  });
+
+  describe('TTL Cleanup', () => {
+    const count = (table) => db.prepare(`SELECT COUNT(*) AS n FROM brass_${table}`).get().n;
+
+    it('should delete expired rows and keep live ones', async () => {
+      await spend('ik_short', { ttlSeconds: 60 });
+      await store.spend({ key: { ...testKey, y: 'other_y' }, IK: 'ik_long', limit: 3, ttlSeconds: 3600 });
+      await store.cacheGraceResponse({ projectId: 'p', graceKey: 'g', ttlSeconds: 60, response: { ok: true } });
+
+      clock.now += 60 * 1000;
+      await store.cleanup();
+
+      expect(count('counters')).toBe(1);
+      expect(count('idempotency')).toBe(1);
+      expect(count('grace')).toBe(0);
+    });
+
+    it('should clean up during spend every cleanupIntervalSeconds', async () => {
+      store = new SqlStore(sqliteClient(db), { now: () => clock.now, cleanupIntervalSeconds: 300 });
+      await spend('ik_1', { ttlSeconds: 60 });
+
+      clock.now += 300 * 1000;
+      await store.spend({ key: { ...testKey, y: 'other_y' }, IK: 'ik_2', limit: 3, ttlSeconds: 3600 });
+
+      expect(count('idempotency')).toBe(1);
+    });
+  });
+
+  describe('postgresClient', () => {
+    it('should number placeholders and run transactions on one connection', async () => {
+      const log = [];
+      const conn = {
+        query: async (sql, params) => {
+          log.push(sql);
+          return { rows: sql.startsWith('SELECT') ? [{ n: params[0] }] : [] };
+        },
+        release: () => log.push('release')
+      };
+      const client = postgresClient({ query: conn.query, connect: async () => conn });
+
+      const rows = await client.transaction((tx) => tx.query('SELECT ? AS n WHERE ? = ?', [1, 2, 2]));
+
+      expect(rows).toEqual([{ n: 1 }]);
+      expect(log).toEqual(['BEGIN', 'SELECT $1 AS n WHERE $2 = $3', 'COMMIT', 'release']);
+    });
+  });
+});
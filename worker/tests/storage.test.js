@@ -332,6 +332,16 @@ describe('KVStore (Community Tier)', () => {
       });
       expect(result2.remaining).toBe(9); // Separate counter
     });
+
+    it('should read a counter without spending', async () => {
+      expect(await kvStore.count(testKey)).toBe(0);
+
+      await kvStore.spend({ key: testKey, IK: 'ik_1', limit: 10, ttlSeconds: 3600 });
+      await kvStore.spend({ key: testKey, IK: 'ik_2', limit: 10, ttlSeconds: 3600 });
+
+      expect(await kvStore.count(testKey)).toBe(2);
+      expect(await kvStore.count({ ...testKey, window: '19701' })).toBe(0);
+    });
   });
 
   describe('TTL Handling', () => {
@@ -0,0 +1,145 @@
+// worker/tests/test-vectors.test.js
+// Runs the published BRASS-v1 test vectors against the protocol core, the
+// client, both issuers and every verifier
+
+import { describe, it, expect } from 'vitest';
+import { hexToBytes } from '@noble/hashes/utils';
+import { mintEpochPass, mintEpochPasses, buildSpend } from '@brassproof/client';
+import {
+  G,
+  b64u,
+  batchComposite,
+  decodePoint,
+  encodePoint,
+  hashToCurve,
+  idempotencyKey,
+  modInv,
+  nullifier,
+  proveClient,
+  proveIssuer,
+  requestBinding,
+  spendBinder,
+  u8,
+  verifyIssuerProof,
+  DST_H1,
+} from '@brassproof/protocol';
+import vectors from '../../packages/brass-protocol/test-vectors/brass-v1.json';
+import { issuers, issuerFetch, createVerifiers } from './utils/implementations.js';
+
+const { issuer, http, spendInputs, single, batch } = vectors;
+const scalar = (hex) => BigInt('0x' + hex);
+const k = scalar(issuer.k);
+const Y = G.multiply(k);
+const c = hexToBytes(spendInputs.c);
+const eta = hexToBytes(spendInputs.eta);
+const nonces = { c, eta, w: scalar(spendInputs.w) };
+
+const spendOf = (token) =>
+  buildSpend({ token, httpMethod: http.method, normalizedPath: http.path, bodyBytes: http.body, config: { AADr: spendInputs.AADr }, nonces });
+
+// The spend as the client sends it, before the server adds its HTTP context
+const clientPart = ({ http_method, http_path, http_body_hash_b64, ...spend }) => spend;
+
+// Issuer stand-in holding the vector key. The client blinds with its own r, so
+// only P and Z′ are deterministic here
+function vectorIssuerFetch() {
+  return async (url, init) => {
+    const body = JSON.parse(init.body);
+    if (body.batch) {
+      const Ms = body.batch.map((t) => decodePoint(t.M));
+      const Zs = Ms.map((M) => M.multiply(k));
+      const composite = batchComposite(Y, Ms, Zs);
+      return Response.json({ KID: issuer.KID, Z: Zs.map(encodePoint), piI: proveIssuer(k, Y, composite.M, composite.Z) });
+    }
+    const M = decodePoint(body.M);
+    const Z = M.multiply(k);
+    return Response.json({ KID: issuer.KID, Z: encodePoint(Z), piI: proveIssuer(k, Y, M, Z) });
+  };
+}
+
+describe('BRASS-v1 vectors: protocol core', () => {
+  it('derives Y, P, M, Z and Z′', () => {
+    const r = scalar(single.pass.r);
+    const P = hashToCurve(u8(`${single.pass.origin}||${single.pass.epoch}||${single.pass.subPolicy}`), DST_H1);
+    const M = P.multiply(r);
+    const Z = M.multiply(k);
+    expect(encodePoint(Y)).toBe(issuer.Y);
+    expect(encodePoint(P)).toBe(single.expected.P);
+    expect(encodePoint(M)).toBe(single.expected.M);
+    expect(encodePoint(Z)).toBe(single.expected.Z);
+    expect(encodePoint(Z.multiply(modInv(r)))).toBe(single.expected.Zprime);
+  });
+
+  it('reproduces πI, d, y, πC and IK', () => {
+    const { expected } = single;
+    const P = decodePoint(expected.P);
+    const M = decodePoint(expected.M);
+    const d = requestBinding(http.method, http.path, http.body);
+    const y = nullifier(decodePoint(expected.Zprime), issuer.KID, spendInputs.AADr, eta);
+    const bind = spendBinder({ y, c, d, AADr: spendInputs.AADr, KID: issuer.KID, eta });
+
+    expect(proveIssuer(k, Y, M, decodePoint(expected.Z), undefined, scalar(issuer.alpha))).toEqual(expected.piI);
+    expect(b64u(d)).toBe(expected.d);
+    expect(b64u(y)).toBe(expected.y);
+    expect(proveClient(P, M, scalar(single.pass.r), bind, undefined, nonces.w)).toEqual(expected.piC);
+    expect(b64u(idempotencyKey(y, c))).toBe(expected.IK);
+  });
+
+  it('reproduces the batched πI', () => {
+    const Ms = batch.expected.M.map(decodePoint);
+    const Zs = batch.expected.Z.map(decodePoint);
+    const composite = batchComposite(Y, Ms, Zs);
+    expect(proveIssuer(k, Y, composite.M, composite.Z, undefined, scalar(issuer.alpha))).toEqual(batch.expected.piI);
+  });
+});
+
+describe('BRASS-v1 vectors: @brassproof/client', () => {
+  it('unblinds to the vector Z′ for a single pass', async () => {
+    const { origin, epoch, subPolicy } = single.pass;
+    const token = await mintEpochPass({ originCanonical: origin, epoch, subPolicy, fetch: vectorIssuerFetch(), issuerPublicKey: issuer.Y });
+    expect(token.P).toBe(single.expected.P);
+    expect(token.Zprime).toBe(single.expected.Zprime);
+  });
+
+  it('unblinds to the vector Z′ for a batch', async () => {
+    const passes = batch.passes.map(({ origin, epoch, subPolicy }) => ({ originCanonical: origin, epoch, subPolicy }));
+    const tokens = await mintEpochPasses({ passes, fetch: vectorIssuerFetch(), issuerPublicKey: issuer.Y });
+    expect(tokens.map((t) => t.Zprime)).toEqual(batch.expected.Zprime);
+  });
+
+  it('builds the vector spends', () => {
+    expect(spendOf(single.token)).toEqual(clientPart(single.spend));
+    expect(spendOf(batch.token)).toEqual(clientPart(batch.spend));
+  });
+});
+
+describe.each(Object.entries(issuers))('BRASS-v1 vectors: %s', (_, worker) => {
+  const post = (body) => issuerFetch(worker, issuer.k)('https://issuer.example.com/issue', { method: 'POST', body: JSON.stringify(body) });
+
+  it('evaluates the vector M to the vector Z with a valid πI', async () => {
+    const { P, M, Z } = single.expected;
+    const res = await (await post({ mode: 'INTERMEDIATE', AADi: 'v1', P, M })).json();
+    expect(res.Z).toBe(Z);
+    expect(verifyIssuerProof(res.piI, decodePoint(issuer.Y), decodePoint(M), decodePoint(Z))).toBe(true);
+  });
+
+  it('evaluates the vector batch', async () => {
+    const passes = batch.expected.M.map((M) => ({ P: single.expected.P, M }));
+    const res = await (await post({ mode: 'INTERMEDIATE', AADi: 'v1', batch: passes })).json();
+    expect(res.Z).toEqual(batch.expected.Z);
+  });
+});
+
+describe.each(Object.entries(createVerifiers(issuer.Y)))('BRASS-v1 vectors: %s', (_, verify) => {
+  it('accepts the single-issuance spend', async () => {
+    expect(await verify(single.spend)).toBe('ok');
+  });
+
+  it('accepts the batch spend', async () => {
+    expect(await verify(batch.spend)).toBe('ok');
+  });
+
+  it.each(vectors.invalid.map((v) => [v.error, v.spend]))('rejects the %s vector', async (error, spend) => {
+    expect(await verify(spend)).toBe(error);
+  });
+});
@@ -0,0 +1,117 @@
+// worker/tests/token-policy.test.js
+// Tests for token age (maxAgeSeconds from the pass epoch) and bounded reuse
+// (allowReuse / maxUses) in @brassproof/verifier
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  PASS_DAY_START as EPOCH_START,
+  createSpendFixture as spend,
+  createTestVerifier,
+  silenceConsole,
+  usePassDay,
+} from './fixtures/proof-fixture.js';
+
+const DAY = 86400 * 1000;
+const context = { origin: 'https://example.com', scope: 'comments' };
+
+const verifierWith = (config) => createTestVerifier({
+  rateLimits: { comments: { maxRequests: 5, windowSeconds: 86400 } },
+  ...config,
+});
+
+describe('token policy', () => {
+  beforeEach(() => {
+    usePassDay(12 * 3600 * 1000);
+    silenceConsole(['log']);
+  });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('maxAgeSeconds', () => {
+    const verifier = () => verifierWith({ tokens: { maxAgeSeconds: 300 } });
+
+    it('accepts a pass during its epoch day and for maxAgeSeconds after it', async () => {
+      expect((await verifier().verify(spend(), context)).success).toBe(true);
+
+      vi.setSystemTime(EPOCH_START + DAY + 299 * 1000);
+      expect((await verifier().verify(spend(), context)).success).toBe(true);
+    });
+
+    it('rejects a pass once it is older than that', async () => {
+      vi.setSystemTime(EPOCH_START + DAY + 300 * 1000);
+
+      expect(await verifier().verify(spend(), context)).toEqual({ success: false, error: 'Token expired' });
+    });
+
+    it('rejects a pass for a future epoch beyond the clock skew', async () => {
+      vi.setSystemTime(EPOCH_START - 60 * 1000);
+      expect((await verifier().verify(spend(), context)).success).toBe(true);
+
+      vi.setSystemTime(EPOCH_START - 3600 * 1000);
+      expect(await verifier().verify(spend(), context)).toEqual({ success: false, error: 'Token epoch is in the future' });
+    });
+
+    it('applies the calibration profile token age', async () => {
+      vi.setSystemTime(EPOCH_START + DAY + 301 * 1000);
+
+      const result = await verifierWith({ calibrationProfile: 'comments' }).verify(spend(), context);
+      expect(result.error).toBe('Token expired');
+    });
+
+    it('rejects an old pass whose epoch was rewritten to a recent day', async () => {
+      vi.setSystemTime(EPOCH_START + 10 * DAY);
+      const rewritten = { ...spend(), epoch: Math.floor(Date.now() / DAY) };
+
+      expect(await verifier().verify(rewritten, context)).toEqual({ success: false, error: 'Token context mismatch' });
+    });
+
+    it('rejects a pass presented for another origin', async () => {
+      const moved = { ...spend(), origin: 'https://attacker.example' };
+
+      expect(await verifier().verify(moved, context)).toEqual({ success: false, error: 'Token context mismatch' });
+    });
+  });
+
+  describe('allowReuse', () => {
+    it('rejects a repeated spend by default', async () => {
+      const verifier = verifierWith({ calibrationProfile: 'comments' });
+      const payload = spend();
+
+      expect((await verifier.verify(payload, context)).success).toBe(true);
+      expect((await verifier.verify(payload, context)).error).toBe('Token already used (replay detected)');
+    });
+
+    it('accepts the same spend up to maxUses times', async () => {
+      const verifier = verifierWith({ tokens: { allowReuse: true, maxUses: 3 } });
+      const payload = spend();
+
+      const results = [];
+      for (let i = 0; i < 4; i++) results.push(await verifier.verify(payload, context));
+
+      expect(results.map((r) => r.uses)).toEqual([1, 2, 3, undefined]);
+      expect(results[3]).toEqual({ success: false, error: 'Token already used (replay detected)' });
+    });
+
+    it('does not count reuses against the rate limit', async () => {
+      const verifier = verifierWith({
+        rateLimits: { comments: { maxRequests: 1, windowSeconds: 86400 } },
+        tokens: { allowReuse: true },
+      });
+      const payload = spend();
+
+      expect((await verifier.verify(payload, context)).remaining).toBe(0);
+      expect(await verifier.verify(payload, context)).toMatchObject({ success: true, uses: 2, remaining: 0 });
+      expect((await verifier.verify(spend(), context)).error).toBe('Rate limit exceeded');
+    });
+
+    it('takes the tokens option over the calibration profile', async () => {
+      const verifier = verifierWith({ calibrationProfile: 'comments', tokens: { allowReuse: true, maxUses: 2 } });
+      const payload = spend();
+
+      await verifier.verify(payload, context);
+      expect((await verifier.verify(payload, context)).uses).toBe(2);
+    });
+  });
+});
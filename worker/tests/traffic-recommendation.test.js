@@ -0,0 +1,102 @@
+// worker/tests/traffic-recommendation.test.js
+// Tests for offline traffic recording (telemetry.offline, getTraffic) and
+// recommendFromTraffic
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { recommendFromTraffic } from '@brassproof/verifier';
+import { PASS_EPOCH, createSpendFixture as spend, createTestVerifier, silenceConsole } from './fixtures/proof-fixture.js';
+
+// One scope's traffic over `days` days, `usage` spread evenly across them
+const traffic = (scope, { days = 7, usage, softLimited = 0, rateLimited = 0 }) =>
+  Array.from({ length: days }, (_, day) => ({
+    scope,
+    epoch: PASS_EPOCH + day,
+    verified: usage.reduce((a, b) => a + b, 0) / days,
+    softLimited: softLimited / days,
+    rateLimited: rateLimited / days,
+    usage: usage.map((count) => count / days),
+  }));
+
+describe('offline traffic recording', () => {
+  beforeEach(() => {
+    silenceConsole(['log', 'debug']);
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true })));
+  });
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+  });
+
+  it('records outcomes and per-token usage without sending events', async () => {
+    const verifier = createTestVerifier({
+      rateLimits: { api: { maxRequests: 2, windowSeconds: 60, burstAllowance: 1 } },
+      telemetry: { enabled: true, offline: true },
+    });
+
+    for (let i = 0; i < 4; i++) await verifier.verify(spend(), { origin: 'https://example.com', scope: 'api' });
+
+    expect(verifier.getTraffic()).toEqual([{
+      scope: 'api',
+      epoch: Math.floor(Date.now() / 86400000),
+      verified: 3,
+      softLimited: 1,
+      rateLimited: 1,
+      usage: [1, 1, 1],
+    }]);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('returns no traffic without telemetry', () => {
+    const verifier = createTestVerifier();
+
+    expect(verifier.getTraffic()).toEqual([]);
+  });
+});
+
+describe('recommendFromTraffic', () => {
+  it('keeps the profile when there is too little traffic', () => {
+    const [result] = recommendFromTraffic(traffic('comments', { days: 1, usage: [20, 5] }));
+
+    expect(result).toMatchObject({ scope: 'comments', profile: 'comments@1.0', overrides: {}, confidence: 'low' });
+    expect(result.explanation[1]).toContain('Too little traffic');
+  });
+
+  it('tightens limits most tokens never reach', () => {
+    // comments: 3 requests a day + 1 burst; 97% of tokens comment once
+    const [result] = recommendFromTraffic(traffic('comments', { usage: [1400, 42, 7] }));
+
+    expect(result.stats).toMatchObject({ days: 7, tokenWindows: 1400, p95: 1, p99: 2, denialRate: 0 });
+    expect(result.overrides).toEqual({ rateLimit: { maxRequests: 1 } });
+    expect(result.confidence).toBe('high');
+    expect(result.explanation).toContain('95% of token windows needed at most 1 requests: lower maxRequests from 3 to 1.');
+  });
+
+  it('raises limits into observed burst use when little is rejected', () => {
+    // comments: 3 + 1 burst; a tenth of tokens use the 4th request (3.2% of all requests)
+    const [result] = recommendFromTraffic(traffic('comments', { usage: [700, 700, 700, 70], softLimited: 70 }));
+
+    expect(result.overrides).toEqual({ rateLimit: { maxRequests: 4, burstAllowance: 0 } });
+    expect(result.explanation).toContain('3.2% of accepted requests used the burst allowance.');
+  });
+
+  it('does not raise limits when demand above them is hidden by rejections', () => {
+    const [result] = recommendFromTraffic(traffic('comments', { usage: [700, 700, 700, 70], softLimited: 70, rateLimited: 140 }));
+
+    expect(result.overrides).toEqual({});
+    expect(result.confidence).toBe('medium');
+    expect(result.explanation.some((line) => line.includes('of requests were rate limited'))).toBe(true);
+  });
+
+  it('uses the configured profiles and keeps their overrides', () => {
+    const [api, signup] = recommendFromTraffic(
+      [...traffic('api', { usage: [1400, 42, 7] }), ...traffic('signup', { days: 1, usage: [10] })],
+      { scopes: { signup: 'signup@1.0' }, profile: { profile: 'comments', overrides: { tokens: { maxAgeSeconds: 600 } } } }
+    );
+
+    expect(api).toMatchObject({
+      profile: 'comments@1.0',
+      overrides: { tokens: { maxAgeSeconds: 600 }, rateLimit: { maxRequests: 1 } },
+    });
+    expect(signup).toMatchObject({ scope: 'signup', profile: 'signup@1.0' });
+  });
+});
@@ -0,0 +1,67 @@
+// worker/tests/utils/implementations.js
+// Every BRASS issuer and verifier, behind one calling convention, for
+// conformance and test-vector runs
+
+import { createBrassVerifier } from '@brassproof/verifier';
+import intermediateIssuer from '../../issuer-intermediate.js';
+import cloudflareIssuer from '../../issuer-cloudflare.js';
+import strictVerifier from '../../strict-verifier.js';
+import cloudflareVerifier from '../../verifier-cloudflare.js';
+import deterministicVerifier from '../../deterministic-verifier.js';
+import { MockKV, mockEnvFactory, mockContext, buildSpendRequest, responseJson } from './mock-worker-env.js';
+
+const API_KEY = 'test_api_key';
+
+export const issuers = {
+  'issuer-intermediate': intermediateIssuer,
+  'issuer-cloudflare': cloudflareIssuer,
+};
+
+/**
+ * fetch() that routes every request to an issuer worker
+ *
+ * @param {{ fetch: Function }} issuer
+ * @param {string} kHex - Issuer private key (ISSUER_K_HEX)
+ */
+export function issuerFetch(issuer, kHex) {
+  return (url, init) => issuer.fetch(new Request(url, init), { ISSUER_K_HEX: kHex }, mockContext());
+}
+
+/**
+ * Verify functions keyed by implementation name
+ *
+ * Each resolves to 'ok' or the error code the implementation returned, and
+ * runs against fresh counters.
+ *
+ * @param {string} issuerPubKey - Issuer public key Y (base64url)
+ * @returns {Object<string, (spend: Object) => Promise<string>>}
+ */
+export function createVerifiers(issuerPubKey) {
+  const viaWorker = (worker, env) => async (spend) => {
+    const body = await responseJson(await worker.fetch(buildSpendRequest(spend, { apiKey: API_KEY }), env(), mockContext()));
+    return body.ok ? 'ok' : body.error;
+  };
+
+  return {
+    'strict-verifier': viaWorker(strictVerifier, () => ({
+      BRASS_SECRET_KEY: API_KEY,
+      BRASS_ISSUER_PUBKEY: issuerPubKey,
+      COUNTER: {},
+      KV: new MockKV()
+    })),
+    'verifier-cloudflare': viaWorker(cloudflareVerifier, () => ({
+      BRASS_SECRET_KEY: API_KEY,
+      BRASS_ISSUER_PUBKEY: issuerPubKey,
+      KV: new MockKV()
+    })),
+    'deterministic-verifier': viaWorker(deterministicVerifier, () => ({
+      ...mockEnvFactory({ apiKey: API_KEY, issuerPubKey }),
+      BRASS_KV_SECRET: 'test_kv_secret'
+    })),
+    '@brassproof/verifier': async (spend) => {
+      const verifier = createBrassVerifier({ secretKey: API_KEY, issuerPublicKey: issuerPubKey });
+      const result = await verifier.verify(spend, { origin: spend.origin, scope: 'comments' });
+      return result.success ? 'ok' : result.code;
+    },
+  };
+}
@@ -3,25 +3,39 @@
 
 /**
  * MockKV - In-memory KV store for testing
+ *
+ * Entries expire by Date.now(), so tests can move the clock with fake timers.
+ * Like Cloudflare KV, an expirationTtl below 60 seconds is rejected.
  */
 export class MockKV {
   constructor() {
     this.store = new Map();
+    this.expiresAt = new Map();
   }
 
   async get(key) {
+    if (this.expiresAt.has(key) && this.expiresAt.get(key) <= Date.now()) {
+      this.store.delete(key);
+      this.expiresAt.delete(key);
+    }
     return this.store.get(key) || null;
   }
 
   async put(key, value, options = {}) {
+    if (options.expirationTtl !== undefined && !(options.expirationTtl >= 60)) {
+      throw new Error(`Invalid expiration_ttl of ${options.expirationTtl}. Expiration TTL must be at least 60.`);
+    }
     this.store.set(key, value);
     if (options.expirationTtl) {
-      setTimeout(() => this.store.delete(key), options.expirationTtl * 1000);
+      this.expiresAt.set(key, Date.now() + options.expirationTtl * 1000);
+    } else {
+      this.expiresAt.delete(key);
     }
   }
 
   async delete(key) {
     this.store.delete(key);
+    this.expiresAt.delete(key);
   }
 
   async list(options = {}) {
@@ -0,0 +1,92 @@
+// worker/tests/verifier-store.test.js
+// Tests for createBrassVerifier's pluggable store: the KV shorthand, the
+// worker's BrassCounterStore adapters, and projectId namespacing
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import Database from 'better-sqlite3';
+import { createKvStore } from '@brassproof/verifier';
+import { KVStore } from '../adapters/kv-store.js';
+import { SqlStore, sqliteClient } from '../adapters/sql-store.js';
+import { MockKV } from './utils/mock-worker-env.js';
+import { createSpendFixture as spend, createTestVerifier } from './fixtures/proof-fixture.js';
+
+const context = { origin: 'https://example.com', scope: 'comments' };
+const rateLimits = { comments: { maxRequests: 2, windowSeconds: 60 } };
+
+const verifierWith = (options) => createTestVerifier({ rateLimits, ...options });
+
+const sqlStore = async () => {
+  const store = new SqlStore(sqliteClient(new Database(':memory:')));
+  await store.ensureSchema();
+  return store;
+};
+
+const stores = {
+  'kvNamespace shorthand': async () => ({ kvNamespace: new MockKV() }),
+  'createKvStore': async () => ({ store: createKvStore(new MockKV()) }),
+  'worker KVStore': async () => ({ store: new KVStore(new MockKV()) }),
+  'worker SqlStore': async () => ({ store: await sqlStore() }),
+};
+
+describe.each(Object.entries(stores))('createBrassVerifier with %s', (_, setup) => {
+  it('counts spends of one token against its limit', async () => {
+    const verifier = verifierWith(await setup());
+
+    const first = await verifier.verify(spend(), context);
+    const second = await verifier.verify(spend(), context);
+    const third = await verifier.verify(spend(), context);
+
+    expect(first).toMatchObject({ success: true, limit: 2, remaining: 1 });
+    expect(second).toMatchObject({ success: true, remaining: 0 });
+    expect(third).toMatchObject({ success: false, error: 'Rate limit exceeded', remaining: 0 });
+  });
+
+  it('rejects a replayed spend without counting it', async () => {
+    const verifier = verifierWith(await setup());
+    const payload = spend();
+
+    await verifier.verify(payload, context);
+    const replay = await verifier.verify(payload, context);
+    const next = await verifier.verify(spend(), context);
+
+    expect(replay).toEqual({ success: false, error: 'Token already used (replay detected)' });
+    expect(next).toMatchObject({ success: true, remaining: 0 });
+  });
+
+  it('rejects a replay after the rate-limit window rolls over', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const verifier = verifierWith(await setup());
+    const payload = spend();
+
+    await verifier.verify(payload, context);
+    vi.setSystemTime(Date.now() + 61_000);
+    const replay = await verifier.verify(payload, context);
+
+    expect(replay).toEqual({ success: false, error: 'Token already used (replay detected)' });
+  });
+
+  afterEach(() => vi.useRealTimers());
+});
+
+describe('projectId', () => {
+  it('keeps projects sharing a store apart', async () => {
+    const store = await sqlStore();
+    const payload = spend();
+
+    const a = await verifierWith({ store, projectId: 'project-a' }).verify(payload, context);
+    const b = await verifierWith({ store, projectId: 'project-b' }).verify(payload, context);
+
+    expect(a.success).toBe(true);
+    expect(b.success).toBe(true);
+  });
+});
+
+describe('store errors', () => {
+  it('fail verification instead of letting the request through', async () => {
+    const store = { spend: async () => { throw new Error('store unavailable'); } };
+
+    const result = await verifierWith({ store }).verify(spend(), context);
+
+    expect(result).toEqual({ success: false, error: 'store unavailable' });
+  });
+});